@@ -36,6 +36,8 @@
  * Environment Variables:
  *   - `PORT`: The port on which the server will run (default: 5000).
  *   - `NODE_ENV`: The environment mode ("development" or "production").
+ *   - `TRUST_PROXY`: Express's `trust proxy` setting (default: off). Set it behind a reverse proxy or PaaS
+ *     router, so `req.ip` is the client's address (login throttling, rate limits, session IPs).
  *
  * Features:
  *   - Integrates Socket.IO for real-time communication.
@@ -48,6 +50,7 @@
  * Functions:
  *   - `createApp()`:
  *       - Configures the Express application with middleware and routes.
+ *       - Applies `TRUST_PROXY` before any middleware reads `req.ip`.
  *       - Serves static files from the frontend build directory in production.
  *       - Provides a fallback route for React Router to handle client-side routing.
  *       - Returns the configured application instance.
@@ -89,11 +92,14 @@ const frontendDistPath = path.join(__dirname, "/../frontend/dist");
 export const createApp = () => {
     // const app = express();
     const socketIOApp = app;
-    const { NODE_ENV } = createServerConfig(__dirname);
+    const { NODE_ENV, TRUST_PROXY } = createServerConfig(__dirname);
 
     console.log("🚀 Starting MERN Chat-App Server...");
     console.log(`📍 Environment: ${NODE_ENV}`);
 
+    // Behind a proxy every request would otherwise share the proxy's IP
+    socketIOApp.set("trust proxy", TRUST_PROXY);
+
     // Setup basic middleware
     setupBasicMiddlewares(socketIOApp, NODE_ENV, frontendDistPath);
 
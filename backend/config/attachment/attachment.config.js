@@ -0,0 +1,76 @@
+/**
+ * attachment.config.js
+ * --------------------
+ * Attachment limits and storage settings read from environment variables.
+ *
+ * Environment:
+ *   - ATTACHMENT_MAX_SIZE_MB: Maximum size of a single file (default 10).
+ *   - ATTACHMENT_MAX_FILES: Maximum number of files per message (default 5).
+ *   - ATTACHMENT_STORAGE_DRIVER: Storage driver name (default "local"; see `backend/storage`).
+ *   - ATTACHMENT_UPLOAD_DIR: Root directory of the local driver (default `<project root>/uploads`).
+ *
+ * Returns:
+ *   - MAX_FILE_SIZE_BYTES (number): The per-file size limit in bytes.
+ *   - MAX_FILES (number): The per-message file count limit.
+ *   - ALLOWED_MIME_TYPES (string[]): MIME types accepted for upload.
+ *   - STORAGE_DRIVER (string): The configured storage driver name.
+ *   - UPLOAD_DIR (string): Absolute path used by the local driver.
+ *
+ * Example:
+ *   import { createAttachmentConfig } from "../config/attachment/attachment.config.js";
+ *   const { MAX_FILE_SIZE_BYTES, ALLOWED_MIME_TYPES } = createAttachmentConfig();
+ */
+
+import path from "path";
+import { fileURLToPath } from "url";
+
+const DEFAULT_MAX_SIZE_MB = 10;
+const DEFAULT_MAX_FILES = 5;
+
+// Images render inline; the rest are offered as downloads
+export const IMAGE_MIME_TYPES = [
+    "image/jpeg",
+    "image/png",
+    "image/gif",
+    "image/webp",
+];
+
+const DOCUMENT_MIME_TYPES = [
+    "application/pdf",
+    "text/plain",
+    "application/zip",
+    "application/msword",
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    "application/vnd.ms-excel",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+];
+
+const projectRoot = path.resolve(
+    path.dirname(fileURLToPath(import.meta.url)),
+    "../../.."
+);
+
+const positiveNumber = (value, fallback) => {
+    const parsed = Number.parseFloat(value);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+export const createAttachmentConfig = () => ({
+    MAX_FILE_SIZE_BYTES: Math.floor(
+        positiveNumber(
+            process.env.ATTACHMENT_MAX_SIZE_MB,
+            DEFAULT_MAX_SIZE_MB
+        ) *
+            1024 *
+            1024
+    ),
+    MAX_FILES: Math.floor(
+        positiveNumber(process.env.ATTACHMENT_MAX_FILES, DEFAULT_MAX_FILES)
+    ),
+    ALLOWED_MIME_TYPES: [...IMAGE_MIME_TYPES, ...DOCUMENT_MIME_TYPES],
+    STORAGE_DRIVER: process.env.ATTACHMENT_STORAGE_DRIVER || "local",
+    UPLOAD_DIR: path.resolve(
+        projectRoot,
+        process.env.ATTACHMENT_UPLOAD_DIR || "uploads"
+    ),
+});
@@ -0,0 +1,66 @@
+/**
+ * auth.config.js
+ * --------------
+ * Account security settings read from environment variables.
+ *
+ * Environment:
+ *   - SESSION_TTL_DAYS: How long a login session (and its refresh cookie) lasts without activity (default 14).
+ *   - ACCESS_TOKEN_TTL_MINUTES: Lifetime of the access token (`jwt` cookie) (default 15).
+ *   - PASSWORD_RESET_TTL_MINUTES: How long a password reset link stays valid (default 30).
+ *   - TWO_FACTOR_ISSUER: The account issuer shown in authenticator apps (default "MERN Chat App").
+ *   - APP_URL: Public URL of the frontend, used to build links in emails
+ *     (default `http://localhost:5173` in development, the request's origin otherwise).
+ *
+ * Returns:
+ *   - SESSION_TTL_MS (number): The session lifetime in milliseconds.
+ *   - ACCESS_TOKEN_TTL_MS (number): The access token lifetime in milliseconds.
+ *   - PASSWORD_RESET_TTL_MS (number): The reset link lifetime in milliseconds.
+ *   - TWO_FACTOR_ISSUER (string): The issuer of TOTP provisioning URIs.
+ *   - TWO_FACTOR_CHALLENGE_TTL_MS (number): How long a login has to be completed with a code (5 minutes).
+ *   - APP_URL (string | null): The configured frontend URL without a trailing slash, or `null` when unset.
+ *
+ * Example:
+ *   import { createAuthConfig } from "../config/auth/auth.config.js";
+ *   const { PASSWORD_RESET_TTL_MS } = createAuthConfig();
+ */
+
+const DEFAULT_SESSION_TTL_DAYS = 14;
+const DEFAULT_ACCESS_TOKEN_TTL_MINUTES = 15;
+const DEFAULT_PASSWORD_RESET_TTL_MINUTES = 30;
+const DEFAULT_TWO_FACTOR_ISSUER = "MERN Chat App";
+
+const positiveNumber = (value, fallback) => {
+    const parsed = Number.parseFloat(value);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+export const createAuthConfig = () => ({
+    SESSION_TTL_MS:
+        positiveNumber(process.env.SESSION_TTL_DAYS, DEFAULT_SESSION_TTL_DAYS) *
+        24 *
+        60 *
+        60 *
+        1000,
+    ACCESS_TOKEN_TTL_MS:
+        positiveNumber(
+            process.env.ACCESS_TOKEN_TTL_MINUTES,
+            DEFAULT_ACCESS_TOKEN_TTL_MINUTES
+        ) *
+        60 *
+        1000,
+    PASSWORD_RESET_TTL_MS:
+        positiveNumber(
+            process.env.PASSWORD_RESET_TTL_MINUTES,
+            DEFAULT_PASSWORD_RESET_TTL_MINUTES
+        ) *
+        60 *
+        1000,
+    TWO_FACTOR_ISSUER:
+        process.env.TWO_FACTOR_ISSUER?.trim() || DEFAULT_TWO_FACTOR_ISSUER,
+    TWO_FACTOR_CHALLENGE_TTL_MS: 5 * 60 * 1000,
+    APP_URL:
+        process.env.APP_URL?.replace(/\/+$/, "") ||
+        (process.env.NODE_ENV === "production"
+            ? null
+            : "http://localhost:5173"),
+});
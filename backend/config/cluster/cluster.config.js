@@ -0,0 +1,51 @@
+/**
+ * cluster.config.js
+ * -----------------
+ * Settings for running several backend instances side by side, read from environment variables.
+ *
+ * Environment:
+ *   - PRESENCE_STORE: Where the online sockets are tracked (default "memory"; "mongo" shares them between
+ *     server instances; see `backend/presence`).
+ *   - SOCKET_ADAPTER: How Socket.IO reaches sockets (default "memory", this process only; "mongo" relays
+ *     emits through MongoDB to every instance; see `socket/mongo.adapter.js`).
+ *   - SOCKET_ADAPTER_COLLECTION_MB: Size of the capped collection the "mongo" adapter relays through
+ *     (default 16).
+ *
+ * Returns:
+ *   - PRESENCE_STORE (string): The configured presence store name.
+ *   - SOCKET_ADAPTER (string): The configured adapter name.
+ *   - ADAPTER_COLLECTION (string): The collection the "mongo" adapter uses ("socket.io-adapter-events").
+ *   - ADAPTER_COLLECTION_BYTES (number): Its size in bytes.
+ *   - PRESENCE_TTL_MS (number): How long a socket counts as online without a heartbeat (60s), so the
+ *     users of a crashed instance go offline.
+ *   - PRESENCE_HEARTBEAT_MS (number): How often each instance refreshes its sockets (20s).
+ *
+ * Example:
+ *   import { createClusterConfig } from "../config/cluster/cluster.config.js";
+ *   const { SOCKET_ADAPTER } = createClusterConfig();
+ */
+
+const DEFAULT_PRESENCE_STORE = "memory";
+const DEFAULT_SOCKET_ADAPTER = "memory";
+const DEFAULT_ADAPTER_COLLECTION_MB = 16;
+
+export const createClusterConfig = () => {
+    const megabytes = Number.parseFloat(
+        process.env.SOCKET_ADAPTER_COLLECTION_MB
+    );
+
+    return {
+        PRESENCE_STORE: process.env.PRESENCE_STORE || DEFAULT_PRESENCE_STORE,
+        SOCKET_ADAPTER: process.env.SOCKET_ADAPTER || DEFAULT_SOCKET_ADAPTER,
+        ADAPTER_COLLECTION: "socket.io-adapter-events",
+        ADAPTER_COLLECTION_BYTES: Math.round(
+            (Number.isFinite(megabytes) && megabytes > 0
+                ? megabytes
+                : DEFAULT_ADAPTER_COLLECTION_MB) *
+                1024 *
+                1024
+        ),
+        PRESENCE_TTL_MS: 60 * 1000,
+        PRESENCE_HEARTBEAT_MS: 20 * 1000,
+    };
+};
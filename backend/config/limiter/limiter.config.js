@@ -0,0 +1,97 @@
+/**
+ * limiter.config.js
+ * -----------------
+ * Login throttling and rate-limit settings read from environment variables.
+ *
+ * Environment:
+ *   - LIMITER_STORE: Where attempt counters live (default "memory"; "mongo" shares them between
+ *     server instances; see `backend/limiter`).
+ *   - LOGIN_MAX_ATTEMPTS: Failed logins per username before backoff starts (default 5).
+ *   - LOGIN_IP_MAX_ATTEMPTS: Failed logins per client IP before backoff starts (default 20).
+ *   - LOGIN_LOCKOUT_MINUTES: The longest wait the backoff reaches, i.e. the lockout (default 15).
+ *   - RATE_LIMIT_ENABLED: Set to "false" to turn API rate limiting and socket flood control off.
+ *   - RATE_LIMIT_READ / RATE_LIMIT_WRITE / RATE_LIMIT_SEND / RATE_LIMIT_AUTH / RATE_LIMIT_SOCKET:
+ *     Budgets as `<requests>/<seconds>`, e.g. "30/60" (defaults in `DEFAULT_RATE_LIMITS`).
+ *
+ * Returns:
+ *   - STORE (string): The configured limiter store name.
+ *   - LOGIN_MAX_ATTEMPTS (number): The per-username allowance.
+ *   - LOGIN_IP_MAX_ATTEMPTS (number): The per-IP allowance.
+ *   - LOGIN_BASE_DELAY_MS (number): The wait after the first failure past the allowance (30s),
+ *     doubled with every further failure.
+ *   - LOGIN_LOCKOUT_MS (number): The backoff cap in milliseconds.
+ *   - LOGIN_ATTEMPT_WINDOW_MS (number): How long failures are remembered after the last one (1 hour).
+ *   - RATE_LIMIT_ENABLED (boolean): Whether rate limits are enforced.
+ *   - RATE_LIMITS (object): Budget name -> `{ limit, windowMs }`:
+ *       - read: API GET requests per client (300/60).
+ *       - write: Other API requests per client (60/60).
+ *       - send: Sending messages per client (20/60).
+ *       - auth: `/api/auth` requests per client (30/60).
+ *       - socket: Events per socket connection (30/10).
+ *
+ * Example:
+ *   import { createLimiterConfig } from "../config/limiter/limiter.config.js";
+ *   const { LOGIN_MAX_ATTEMPTS } = createLimiterConfig();
+ */
+
+const DEFAULT_STORE = "memory";
+const DEFAULT_LOGIN_MAX_ATTEMPTS = 5;
+const DEFAULT_LOGIN_IP_MAX_ATTEMPTS = 20;
+const DEFAULT_LOGIN_LOCKOUT_MINUTES = 15;
+const DEFAULT_RATE_LIMITS = {
+    read: "300/60",
+    write: "60/60",
+    send: "20/60",
+    auth: "30/60",
+    socket: "30/10",
+};
+
+const positiveNumber = (value, fallback) => {
+    const parsed = Number.parseFloat(value);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// "<requests>/<seconds>" -> { limit, windowMs }
+const parseBudget = (value, fallback) => {
+    const [limit, seconds] = (value || fallback).split("/");
+    const [defaultLimit, defaultSeconds] = fallback.split("/");
+    return {
+        limit: Math.floor(positiveNumber(limit, Number(defaultLimit))),
+        windowMs: positiveNumber(seconds, Number(defaultSeconds)) * 1000,
+    };
+};
+
+export const createLimiterConfig = () => ({
+    STORE: process.env.LIMITER_STORE || DEFAULT_STORE,
+    LOGIN_MAX_ATTEMPTS: Math.floor(
+        positiveNumber(
+            process.env.LOGIN_MAX_ATTEMPTS,
+            DEFAULT_LOGIN_MAX_ATTEMPTS
+        )
+    ),
+    LOGIN_IP_MAX_ATTEMPTS: Math.floor(
+        positiveNumber(
+            process.env.LOGIN_IP_MAX_ATTEMPTS,
+            DEFAULT_LOGIN_IP_MAX_ATTEMPTS
+        )
+    ),
+    LOGIN_BASE_DELAY_MS: 30 * 1000,
+    LOGIN_LOCKOUT_MS:
+        positiveNumber(
+            process.env.LOGIN_LOCKOUT_MINUTES,
+            DEFAULT_LOGIN_LOCKOUT_MINUTES
+        ) *
+        60 *
+        1000,
+    LOGIN_ATTEMPT_WINDOW_MS: 60 * 60 * 1000,
+    RATE_LIMIT_ENABLED: process.env.RATE_LIMIT_ENABLED !== "false",
+    RATE_LIMITS: Object.fromEntries(
+        Object.entries(DEFAULT_RATE_LIMITS).map(([name, fallback]) => [
+            name,
+            parseBudget(
+                process.env[`RATE_LIMIT_${name.toUpperCase()}`],
+                fallback
+            ),
+        ])
+    ),
+});
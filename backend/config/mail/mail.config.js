@@ -0,0 +1,36 @@
+/**
+ * mail.config.js
+ * --------------
+ * Outgoing mail settings read from environment variables.
+ *
+ * Environment:
+ *   - MAIL_TRANSPORT: Transport name (default "console"; see `backend/mail`).
+ *   - MAIL_FROM: Sender address (default `"Chat App" <no-reply@localhost>`).
+ *   - MAIL_OUTBOX_DIR: Folder of the "file" transport (default `<project root>/mail-outbox`).
+ *
+ * Returns:
+ *   - TRANSPORT (string): The configured transport name.
+ *   - FROM (string): The sender address.
+ *   - OUTBOX_DIR (string): Absolute path used by the file transport.
+ *
+ * Example:
+ *   import { createMailConfig } from "../config/mail/mail.config.js";
+ *   const { TRANSPORT, FROM } = createMailConfig();
+ */
+
+import path from "path";
+import { fileURLToPath } from "url";
+
+const projectRoot = path.resolve(
+    path.dirname(fileURLToPath(import.meta.url)),
+    "../../.."
+);
+
+export const createMailConfig = () => ({
+    TRANSPORT: process.env.MAIL_TRANSPORT || "console",
+    FROM: process.env.MAIL_FROM || '"Chat App" <no-reply@localhost>',
+    OUTBOX_DIR: path.resolve(
+        projectRoot,
+        process.env.MAIL_OUTBOX_DIR || "mail-outbox"
+    ),
+});
@@ -0,0 +1,32 @@
+/**
+ * message.config.js
+ * -----------------
+ * Messaging limits read from environment variables.
+ *
+ * Values are read on every call (not at import time) because the ESM imports run before
+ * `dotenv.config()` in `app.js`.
+ *
+ * Environment:
+ *   - MESSAGE_EDIT_WINDOW_MINUTES: How long after sending a message its sender may edit it (default 15).
+ *
+ * Returns:
+ *   - EDIT_WINDOW_MS (number): The edit window in milliseconds.
+ *
+ * Example:
+ *   import { createMessageConfig } from "../config/message/message.config.js";
+ *   const { EDIT_WINDOW_MS } = createMessageConfig();
+ */
+
+const DEFAULT_EDIT_WINDOW_MINUTES = 15;
+
+export const createMessageConfig = () => {
+    const minutes = Number.parseFloat(process.env.MESSAGE_EDIT_WINDOW_MINUTES);
+    const EDIT_WINDOW_MS =
+        (Number.isFinite(minutes) && minutes >= 0
+            ? minutes
+            : DEFAULT_EDIT_WINDOW_MINUTES) *
+        60 *
+        1000;
+
+    return { EDIT_WINDOW_MS };
+};
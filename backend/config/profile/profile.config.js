@@ -0,0 +1,46 @@
+/**
+ * profile.config.js
+ * -----------------
+ * User profile (avatar upload) settings read from environment variables.
+ *
+ * Environment:
+ *   - AVATAR_MAX_SIZE_MB: Maximum size of an uploaded avatar image, before resizing (default 5).
+ *   - AVATAR_SIZE_PX: Width and height of the stored (square, WebP) avatar (default 256).
+ *
+ * Avatars are stored with the attachment storage driver (`ATTACHMENT_STORAGE_DRIVER`, see
+ * `attachment.config.js`).
+ *
+ * Returns:
+ *   - AVATAR_MAX_SIZE_BYTES (number): The upload size limit in bytes.
+ *   - AVATAR_SIZE_PX (number): The edge length of the resized avatar.
+ *   - AVATAR_MIME_TYPES (string[]): Image types accepted for upload.
+ *
+ * Example:
+ *   import { createProfileConfig } from "../config/profile/profile.config.js";
+ *   const { AVATAR_MAX_SIZE_BYTES, AVATAR_SIZE_PX } = createProfileConfig();
+ */
+
+import { IMAGE_MIME_TYPES } from "../attachment/attachment.config.js";
+
+const DEFAULT_AVATAR_MAX_SIZE_MB = 5;
+const DEFAULT_AVATAR_SIZE_PX = 256;
+
+const positiveNumber = (value, fallback) => {
+    const parsed = Number.parseFloat(value);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+export const createProfileConfig = () => ({
+    AVATAR_MAX_SIZE_BYTES: Math.floor(
+        positiveNumber(
+            process.env.AVATAR_MAX_SIZE_MB,
+            DEFAULT_AVATAR_MAX_SIZE_MB
+        ) *
+            1024 *
+            1024
+    ),
+    AVATAR_SIZE_PX: Math.floor(
+        positiveNumber(process.env.AVATAR_SIZE_PX, DEFAULT_AVATAR_SIZE_PX)
+    ),
+    AVATAR_MIME_TYPES: IMAGE_MIME_TYPES,
+});
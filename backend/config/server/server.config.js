@@ -1,9 +1,18 @@
 import path from "path";
 
+// Express `trust proxy`: "true" / "false", a number of proxy hops, or addresses and subnets
+const parseTrustProxy = (value) => {
+    if (value === undefined || value === "" || value === "false") return false;
+    if (value === "true") return true;
+    if (/^\d+$/.test(value)) return Number(value);
+    return value;
+};
+
 export const createServerConfig = (__dirname) => {
     const PORT = process.env.PORT || 5000;
     const NODE_ENV = process.env.NODE_ENV || "development";
+    const TRUST_PROXY = parseTrustProxy(process.env.TRUST_PROXY);
     const projectRoot = path.resolve(__dirname, "..");
 
-    return { PORT, NODE_ENV, projectRoot };
+    return { PORT, NODE_ENV, TRUST_PROXY, projectRoot };
 };
@@ -0,0 +1,33 @@
+/**
+ * sync.config.js
+ * --------------
+ * Event sync (reconnect catch-up) settings read from environment variables.
+ *
+ * Environment:
+ *   - SYNC_RETENTION_DAYS: How long recorded events are kept for catching up (default 7). A client
+ *     that was away longer reloads everything instead.
+ *
+ * Returns:
+ *   - RETENTION_MS (number): The retention in milliseconds.
+ *   - MAX_DELTA_EVENTS (number): The most events one `/api/sync` delta covers (1000); beyond that the
+ *     client is told to reload.
+ *
+ * Example:
+ *   import { createSyncConfig } from "../config/sync/sync.config.js";
+ *   const { RETENTION_MS } = createSyncConfig();
+ */
+
+const DEFAULT_RETENTION_DAYS = 7;
+const MAX_DELTA_EVENTS = 1000;
+
+export const createSyncConfig = () => {
+    const days = Number.parseFloat(process.env.SYNC_RETENTION_DAYS);
+    const RETENTION_MS =
+        (Number.isFinite(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS) *
+        24 *
+        60 *
+        60 *
+        1000;
+
+    return { RETENTION_MS, MAX_DELTA_EVENTS };
+};
@@ -5,8 +5,13 @@
  *
  * Exports:
  *   - signup: Registers a new user.
- *   - login: Authenticates a user and issues a JWT token.
- *   - logout: Logs out the user by clearing the authentication cookie.
+ *   - login: Authenticates a user and issues an access and a refresh token (or a 2FA challenge).
+ *   - verifyLoginTwoFactor: Completes a login challenged for a two-factor code.
+ *   - refresh: Exchanges the refresh token for a new access token (rotating the refresh token).
+ *   - logout: Ends the current session and clears the authentication cookies.
+ *   - changePassword: Changes the logged-in user's password and logs out their other sessions.
+ *   - requestPasswordReset: Emails a single-use password reset link.
+ *   - resetPassword: Sets a new password using a reset link's token.
  *
  * signup(req, res)
  * ----------------
@@ -16,7 +21,7 @@
  * - Hashes the password using bcrypt.
  * - Generates a profile picture URL (RoboHash by default).
  * - Creates and saves the user in the database.
- * - Issues a JWT token and sets it as an HTTP-only cookie.
+ * - Starts a session for this device and sets its access and refresh tokens as HTTP-only cookies.
  * - Emits a `user:created` event via Socket.IO to notify all connected clients.
  * - Responds with user info (excluding password) and a success message.
  * - Handles validation and server errors.
@@ -25,23 +30,78 @@
  * ---------------
  * Authenticates a user.
  * - Validates username and password.
- * - Checks if the user exists and password is correct.
- * - Issues a JWT token and sets it as an HTTP-only cookie.
+ * - Refuses with 429 and a `Retry-After` header while the username or the client IP is backing off
+ *   after repeated failures (see `utils/loginThrottle.js`); the password is not checked then.
+ * - Checks if the user exists and password is correct. A failure is counted; when it starts a wait,
+ *   the 401 carries `Retry-After` as well. Both responses include `retryAfter` (seconds) in the body.
+ * - With two-factor authentication enabled, no session is started yet: responds 200 with
+ *   `{ twoFactorRequired: true, challengeToken, message }` (see `utils/twoFactor.js`).
+ * - Otherwise starts a session for this device and sets its access and refresh tokens as HTTP-only cookies.
  * - Responds with user info (excluding password) and a success message.
  * - Handles validation and server errors.
  *
+ * verifyLoginTwoFactor(req, res)
+ * ------------------------------
+ * Second login step for accounts with two-factor authentication.
+ * - Body: { challengeToken, code } or { challengeToken, recoveryCode }.
+ * - 401 when the challenge is invalid or expired (the user logs in again), or was issued before a
+ *   password change.
+ * - A wrong code counts as a failed login for the username and client IP, so the same backoff and
+ *   lockout apply (429 with `Retry-After` while they last).
+ * - On success starts the session like `login`. After a recovery code the response also carries
+ *   `recoveryCodesLeft`.
+ *
+ * refresh(req, res)
+ * -----------------
+ * Renews the access token.
+ * - Reads the `refresh` cookie; responds 401 (and clears both cookies) when it is missing, expired,
+ *   or was already rotated out — reuse revokes the whole session (see `utils/sessions.js`).
+ * - Otherwise sets a new `jwt` access cookie and a rotated `refresh` cookie.
+ *
  * logout(req, res)
  * ----------------
  * Logs out the user.
- * - Clears the JWT authentication cookie.
+ * - Revokes the session named by the refresh cookie (or, failing that, by the access token, even
+ *   if it has expired), which also ends the sockets of other tabs sharing those cookies.
+ * - Clears the authentication cookies.
  * - Responds with a logout success message.
  * - Handles validation and server errors.
  *
+ * changePassword(req, res)
+ * ------------------------
+ * Changes the logged-in user's password.
+ * - Body: { currentPassword, newPassword, confirmPassword }.
+ * - Verifies the current password (400 if wrong) and checks the new one against the password policy
+ *   (`utils/passwordPolicy.js`); the new password must differ from the current one.
+ * - Increments the user's `tokenVersion`, so every previously issued JWT stops working, then renews
+ *   the caller's session with a fresh cookie: only the caller stays logged in.
+ * - Revokes every other session (their sockets are disconnected) and discards outstanding reset tokens.
+ *
+ * requestPasswordReset(req, res)
+ * ------------------------------
+ * Starts the reset flow.
+ * - Body: { identifier } — a username or recovery email.
+ * - If an account matches and has a recovery email, replaces its outstanding reset tokens with a new
+ *   random one (stored as a SHA-256 hash, valid for `PASSWORD_RESET_TTL_MINUTES`) and emails
+ *   `<APP_URL>/reset-password?token=…` through the configured mail transport (`backend/mail`).
+ * - Always answers 200 with the same message, so the endpoint does not reveal which accounts exist.
+ *
+ * resetPassword(req, res)
+ * -----------------------
+ * Completes the reset flow.
+ * - Body: { token, password, confirmPassword }.
+ * - Redeems the token atomically (unused and unexpired; 400 otherwise), so it works exactly once.
+ * - Sets the new password, increments `tokenVersion`, revokes every session (their sockets are
+ *   disconnected) and discards the user's other reset tokens. The user then logs in normally.
+ *
  * Dependencies:
  *   - bcrypt: For hashing and comparing passwords.
  *   - User model: For interacting with the `users` collection in MongoDB.
- *   - generateTokenAndSetCookie utility: For generating JWT tokens and setting them as cookies.
+ *   - Session utilities (`utils/sessions.js`): For starting, renewing and revoking login sessions.
  *   - Socket.IO: For emitting real-time events to connected clients.
+ *   - PasswordResetToken model and `sendMail`: For the password reset flow.
+ *   - loginThrottle utilities: For failed-login backoff and lockout.
+ *   - Two-factor utilities (`utils/twoFactor.js`): For the login challenge and code checks.
  *
  * Example Usage:
  * ---------------
@@ -59,14 +119,75 @@
  *         "username": "johndoe",
  *         "password": "Password123!"
  *     }
+ * - Refresh (cookies only):
+ *     POST /api/auth/refresh
+ * - Second factor (after a login answered with `twoFactorRequired`):
+ *     POST /api/auth/login/2fa
+ *     Body: { "challengeToken": "<from login>", "code": "123456" }
  * - Logout:
  *     POST /api/auth/logout
+ * - Change password:
+ *     POST /api/auth/change-password
+ *     Body: { "currentPassword": "...", "newPassword": "...", "confirmPassword": "..." }
+ * - Reset password:
+ *     POST /api/auth/forgot-password   Body: { "identifier": "johndoe" }
+ *     POST /api/auth/reset-password    Body: { "token": "<from the email>", "password": "...", "confirmPassword": "..." }
  */
 
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
 import { io } from "../socket/socket.js";
 import bcrypt from "bcrypt";
 import User from "../models/user.model.js";
-import generateTokenAndSetCookie from "../utils/generateToken.js";
+import PasswordResetToken from "../models/passwordResetToken.model.js";
+import {
+    REFRESH_COOKIE,
+    startSession,
+    renewSession,
+    refreshSession,
+    revokeSessions,
+    endSession,
+    parseRefreshToken,
+    clearAuthCookies,
+    getClientIp,
+} from "../utils/sessions.js";
+import {
+    getLoginRetryAfter,
+    recordLoginFailure,
+    clearLoginFailures,
+} from "../utils/loginThrottle.js";
+import { validateNewPassword } from "../utils/passwordPolicy.js";
+import {
+    createLoginChallenge,
+    readLoginChallenge,
+    verifySecondFactor,
+} from "../utils/twoFactor.js";
+import { createAuthConfig } from "../config/auth/auth.config.js";
+import { sendMail } from "../mail/index.js";
+import { buildPasswordResetMail } from "../mail/templates/passwordReset.js";
+
+const RESET_REQUESTED_MESSAGE =
+    "If that account has a recovery email, a reset link is on its way";
+
+const hashResetToken = (token) =>
+    crypto.createHash("sha256").update(token).digest("hex");
+
+const hashPassword = async (password) => {
+    const salt = await bcrypt.genSalt(10);
+    return bcrypt.hash(password, salt);
+};
+
+// "45 seconds" / "3 minutes"
+const formatWait = (seconds) =>
+    seconds < 60
+        ? `${seconds} second${seconds === 1 ? "" : "s"}`
+        : `${Math.ceil(seconds / 60)} minute${seconds > 60 ? "s" : ""}`;
+
+const setRetryAfter = (res, waitMs) => {
+    const seconds = Math.ceil(waitMs / 1000);
+    res.set("Retry-After", String(seconds));
+    return seconds;
+};
 
 export const signup = async (req, res) => {
     try {
@@ -105,11 +226,11 @@ export const signup = async (req, res) => {
         });
 
         if (newUser) {
-            // Generate JWT token
-            const token = generateTokenAndSetCookie(newUser, res);
-
             await newUser.save();
 
+            // Start a session and set its JWT cookie
+            await startSession(newUser, req, res);
+
             // Emit to all clients: a new user was created
             io.emit("user:created", {
                 _id: newUser._id,
@@ -140,10 +261,31 @@ export const signup = async (req, res) => {
     }
 };
 
+const formatLoginUser = (user) => ({
+    _id: user._id,
+    fullName: user.fullName,
+    username: user.username,
+    profilePicture: user.profilePicture,
+});
+
 export const login = async (req, res) => {
     try {
         const { username, password } = req.body;
-        const user = await User.findOne({ username });
+        const attempt = {
+            username: String(username ?? ""),
+            ip: getClientIp(req),
+        };
+
+        const waitMs = await getLoginRetryAfter(attempt);
+        if (waitMs > 0) {
+            const retryAfter = setRetryAfter(res, waitMs);
+            return res.status(429).json({
+                message: `Too many failed login attempts. Try again in ${formatWait(retryAfter)}.`,
+                retryAfter,
+            });
+        }
+
+        const user = await User.findOne({ username }).select("+twoFactor");
 
         // Use optional chaining to handle case where user is null and avoid errors
         const isPasswordValid = await bcrypt.compare(
@@ -152,21 +294,29 @@ export const login = async (req, res) => {
         );
 
         if (!user || !isPasswordValid) {
-            return res
-                .status(401)
-                .json({ message: "Invalid username or password" });
+            const retryMs = await recordLoginFailure(attempt);
+            return res.status(401).json({
+                message: "Invalid username or password",
+                retryAfter: retryMs > 0 ? setRetryAfter(res, retryMs) : null,
+            });
         }
 
-        // Generate JWT token and set cookie
-        const token = generateTokenAndSetCookie(user, res);
+        // The password was right; the session waits for the second factor
+        if (user.twoFactor?.enabled) {
+            return res.status(200).json({
+                twoFactorRequired: true,
+                challengeToken: createLoginChallenge(user),
+                message: "Enter the code from your authenticator app",
+            });
+        }
+
+        await clearLoginFailures(attempt);
+
+        // Start a session and set its JWT cookie
+        await startSession(user, req, res);
 
         res.status(200).json({
-            user: {
-                _id: user._id,
-                fullName: user.fullName,
-                username: user.username,
-                profilePicture: user.profilePicture,
-            },
+            user: formatLoginUser(user),
             message: "Login successful",
         });
     } catch (error) {
@@ -178,14 +328,110 @@ export const login = async (req, res) => {
     }
 };
 
-export const logout = (req, res) => {
+export const verifyLoginTwoFactor = async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body || {};
+    if (!code && !recoveryCode) {
+        return res
+            .status(400)
+            .json({ message: "Authentication code is required" });
+    }
+
     try {
-        // Clear the cookie by setting it to an empty value and a past expiration date
-        res.clearCookie("jwt", {
-            httpOnly: true,
-            sameSite: "strict",
-            secure: process.env.NODE_ENV === "production",
+        const challenge = readLoginChallenge(challengeToken);
+        if (challenge.error) {
+            return res.status(401).json({ message: challenge.error });
+        }
+
+        const user = await User.findById(challenge.userId).select("+twoFactor");
+        if (!user || (user.tokenVersion || 0) !== challenge.tokenVersion) {
+            return res
+                .status(401)
+                .json({
+                    message: "Login challenge expired, please log in again",
+                });
+        }
+
+        const attempt = { username: user.username, ip: getClientIp(req) };
+        const waitMs = await getLoginRetryAfter(attempt);
+        if (waitMs > 0) {
+            const retryAfter = setRetryAfter(res, waitMs);
+            return res.status(429).json({
+                message: `Too many failed login attempts. Try again in ${formatWait(retryAfter)}.`,
+                retryAfter,
+            });
+        }
+
+        const { method, error } = await verifySecondFactor(user, {
+            code,
+            recoveryCode,
         });
+        if (error) {
+            const retryMs = await recordLoginFailure(attempt);
+            return res.status(401).json({
+                message: error,
+                retryAfter: retryMs > 0 ? setRetryAfter(res, retryMs) : null,
+            });
+        }
+
+        await clearLoginFailures(attempt);
+        await startSession(user, req, res);
+
+        res.status(200).json({
+            user: formatLoginUser(user),
+            message: "Login successful",
+            ...(method === "recovery" && {
+                recoveryCodesLeft: user.twoFactor.recoveryCodes.length - 1,
+            }),
+        });
+    } catch (error) {
+        console.error(
+            "Error in verifyLoginTwoFactor controller:",
+            error.message
+        );
+        res.status(500).json({ message: "Internal server error" });
+    }
+};
+
+export const refresh = async (req, res) => {
+    try {
+        const { error } = await refreshSession(
+            req.cookies?.[REFRESH_COOKIE],
+            req,
+            res
+        );
+        if (error) {
+            clearAuthCookies(res);
+            return res.status(401).json({ message: error });
+        }
+
+        res.status(200).json({ message: "Session refreshed" });
+    } catch (error) {
+        console.error("Error in refresh controller:", error.message);
+        res.status(500).json({ message: "Internal server error" });
+    }
+};
+
+// The session ID of a correctly signed access token, expired or not
+const sessionIdFromAccessToken = (token) => {
+    try {
+        return jwt.verify(token, process.env.JWT_SECRET, {
+            ignoreExpiration: true,
+        }).sid;
+    } catch {
+        return null;
+    }
+};
+
+export const logout = async (req, res) => {
+    try {
+        // End this device's session so its tokens cannot be reused
+        const sessionId =
+            parseRefreshToken(req.cookies?.[REFRESH_COOKIE])?.sessionId ||
+            (req.cookies?.jwt && sessionIdFromAccessToken(req.cookies.jwt));
+        await endSession(sessionId);
+
+        // Clear the cookies by setting them to an empty value and a past expiration date
+        clearAuthCookies(res);
 
         res.status(200).json({ message: "Logout successful" });
     } catch (error) {
@@ -196,3 +442,147 @@ export const logout = (req, res) => {
         res.status(500).json({ message: "Internal server error" });
     }
 };
+
+export const changePassword = async (req, res) => {
+    const { currentPassword, newPassword, confirmPassword } = req.body || {};
+
+    if (!currentPassword) {
+        return res
+            .status(400)
+            .json({ message: "Current password is required" });
+    }
+    const { error } = validateNewPassword(newPassword, confirmPassword);
+    if (error) return res.status(400).json({ message: error });
+
+    try {
+        const user = await User.findById(req.user._id);
+        const isPasswordValid = await bcrypt.compare(
+            currentPassword,
+            user?.password || ""
+        );
+        if (!user || !isPasswordValid) {
+            return res
+                .status(400)
+                .json({ message: "Current password is incorrect" });
+        }
+        if (await bcrypt.compare(newPassword, user.password)) {
+            return res.status(400).json({
+                message: "New password must be different from the current one",
+            });
+        }
+
+        user.password = await hashPassword(newPassword);
+        user.tokenVersion = (user.tokenVersion || 0) + 1;
+        await user.save();
+
+        // Keep this session; every other one is logged out
+        await renewSession(user, req.sessionId, res);
+        await revokeSessions(user._id, { exceptSessionId: req.sessionId });
+        await PasswordResetToken.deleteMany({ userId: user._id });
+
+        res.status(200).json({ message: "Password changed" });
+    } catch (error) {
+        console.error("Error in changePassword controller:", error.message);
+        res.status(500).json({ message: "Internal server error" });
+    }
+};
+
+export const requestPasswordReset = async (req, res) => {
+    const identifier = req.body?.identifier;
+    if (typeof identifier !== "string" || !identifier.trim()) {
+        return res
+            .status(400)
+            .json({ message: "Username or email is required" });
+    }
+
+    try {
+        const value = identifier.trim();
+        const user = await User.findOne({
+            $or: [{ username: value }, { email: value.toLowerCase() }],
+        });
+
+        if (user?.email) {
+            const { PASSWORD_RESET_TTL_MS, APP_URL } = createAuthConfig();
+            const token = crypto.randomBytes(32).toString("hex");
+
+            await PasswordResetToken.deleteMany({ userId: user._id });
+            await PasswordResetToken.create({
+                userId: user._id,
+                tokenHash: hashResetToken(token),
+                expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MS),
+            });
+
+            const appUrl = APP_URL || `${req.protocol}://${req.get("host")}`;
+            const { subject, text } = buildPasswordResetMail({
+                user,
+                resetUrl: `${appUrl}/reset-password?token=${token}`,
+                expiresInMinutes: Math.round(PASSWORD_RESET_TTL_MS / 60000),
+            });
+
+            try {
+                await sendMail({ to: user.email, subject, text });
+            } catch (error) {
+                // Same answer either way; the failure is for the operator
+                console.error(
+                    "Failed to send password reset email:",
+                    error.message
+                );
+            }
+        }
+
+        res.status(200).json({ message: RESET_REQUESTED_MESSAGE });
+    } catch (error) {
+        console.error(
+            "Error in requestPasswordReset controller:",
+            error.message
+        );
+        res.status(500).json({ message: "Internal server error" });
+    }
+};
+
+export const resetPassword = async (req, res) => {
+    const { token, password, confirmPassword } = req.body || {};
+
+    if (typeof token !== "string" || !token) {
+        return res
+            .status(400)
+            .json({ message: "Invalid or expired reset link" });
+    }
+    const { error } = validateNewPassword(password, confirmPassword);
+    if (error) return res.status(400).json({ message: error });
+
+    try {
+        // Claim the token atomically so it can only ever be used once
+        const resetToken = await PasswordResetToken.findOneAndUpdate(
+            {
+                tokenHash: hashResetToken(token),
+                usedAt: null,
+                expiresAt: { $gt: new Date() },
+            },
+            { $set: { usedAt: new Date() } }
+        );
+        const user = resetToken && (await User.findById(resetToken.userId));
+        if (!user) {
+            return res
+                .status(400)
+                .json({ message: "Invalid or expired reset link" });
+        }
+
+        user.password = await hashPassword(password);
+        user.tokenVersion = (user.tokenVersion || 0) + 1;
+        await user.save();
+
+        await PasswordResetToken.deleteMany({
+            userId: user._id,
+            _id: { $ne: resetToken._id },
+        });
+        await revokeSessions(user._id);
+
+        res.status(200).json({
+            message: "Password reset. You can now log in.",
+        });
+    } catch (error) {
+        console.error("Error in resetPassword controller:", error.message);
+        res.status(500).json({ message: "Internal server error" });
+    }
+};
@@ -1,7 +1,7 @@
 /**
  * getConversationsWithLastMessage Controller
  * ------------------------------------------
- * Fetches all conversations for the logged-in user, including the last message
+ * Fetches all conversations (direct chats and groups) for the logged-in user, including the last message
  * and participant details for each conversation.
  *
  * Request:
@@ -12,6 +12,7 @@
  *       [
  *           {
  *               _id: "conversationId",
+ *               isGroup: false,
  *               participants: [
  *                   {
  *                       _id: "userId",
@@ -29,9 +30,22 @@
  *                       username: "johndoe",
  *                       profilePicture: "https://example.com/avatar.png"
  *                   },
- *                   createdAt: "2023-10-01T12:30:00.000Z"
+ *                   createdAt: "2023-10-01T12:30:00.000Z",
+ *                   isDeleted: false
  *               },
- *               unreadCount: 2
+ *               unreadCount: 2,
+ *               mutedUntil: null
+ *           },
+ *           {
+ *               _id: "groupConversationId",
+ *               isGroup: true,
+ *               name: "Design team",
+ *               admins: ["userId"],
+ *               createdBy: "userId",
+ *               participants: [...],
+ *               lastMessage: { ... } | null,
+ *               unreadCount: 0,
+ *               mutedUntil: "2023-10-01T20:30:00.000Z"
  *           },
  *           ...
  *       ]
@@ -39,12 +53,17 @@
  *
  * How it works:
  *   1. Finds all conversations where the logged-in user is a participant.
- *   2. Populates the `messages` field with the most recent message (sorted by `createdAt` in descending order).
+ *   2. Reads the denormalized `lastMessage` snapshot stored on each conversation. Only when the user deleted
+ *      that message for themselves is the newest message they can still see looked up instead.
  *   3. Populates the `participants` field with user details (excluding sensitive information).
- *   4. Formats the response to include the last message, participant details, and unread count.
+ *   4. Formats the response to include the last message, participant details, unread count and
+ *      `mutedUntil` (the end of the user's mute, `null` when not muted or the mute has expired).
+ *      Group conversations additionally carry `name`, `admins` and `createdBy`.
  *
  * Dependencies:
  *   - Conversation model: Used to query and populate conversation data.
+ *   - conversationSummary utilities: Format each conversation for the user, replacing last messages
+ *     they deleted for themselves.
  *
  * Example:
  *   - Request:
@@ -82,8 +101,14 @@
  *       ]
  */
 
+import mongoose from "mongoose";
 import Conversation from "../models/conversation.model.js";
-import { io, getReceiverSocketIds } from "../socket/socket.js";
+import { emitToUsers, emitSyncedToUsers } from "../socket/socket.js";
+import {
+    PARTICIPANT_FIELDS,
+    summarizeConversations,
+} from "../utils/conversationSummary.js";
+import { statusPayloadFor } from "../utils/messageStatus.js";
 
 export const getConversationsWithLastMessage = async (req, res) => {
     const loggedInUserId = req.user._id;
@@ -92,36 +117,13 @@ export const getConversationsWithLastMessage = async (req, res) => {
         const conversations = await Conversation.find({
             participants: loggedInUserId,
         })
-            .populate({
-                path: "messages",
-                select: "message senderId createdAt",
-                options: { sort: { createdAt: -1 } },
-                perDocumentLimit: 1,
-            })
-            .populate({
-                path: "participants",
-                select: "fullName username profilePicture",
-            })
+            .populate({ path: "participants", select: PARTICIPANT_FIELDS })
             .lean();
 
-        const formattedConversations = conversations.map((conversation) => {
-            const lastMessage = conversation.messages?.[0] || null;
-            const myReads = (conversation.reads || []).find(
-                (r) => r.userId?.toString() === loggedInUserId.toString()
-            );
-            return {
-                _id: conversation._id,
-                participants: conversation.participants,
-                lastMessage: lastMessage
-                    ? {
-                          content: lastMessage.message,
-                          sender: lastMessage.senderId,
-                          createdAt: lastMessage.createdAt,
-                      }
-                    : null,
-                unreadCount: myReads?.unreadCount || 0,
-            };
-        });
+        const formattedConversations = await summarizeConversations(
+            conversations,
+            loggedInUserId
+        );
 
         // Prevent intermediaries/browsers from caching this response
         res.set("Cache-Control", "no-store");
@@ -154,14 +156,15 @@ export const getConversationsWithLastMessage = async (req, res) => {
  *   1. Finds the conversation by its ID.
  *   2. Verifies that the logged-in user is a participant in the conversation.
  *   3. Updates the `reads` array for the user:
- *       - Sets `lastReadAt` to the current timestamp.
+ *       - Sets `lastReadAt` (and `lastDeliveredAt`, as reading implies delivery) to the current timestamp.
  *       - Resets `unreadCount` to 0.
  *   4. Saves the updated conversation to the database.
- *   5. Emits a `conversation:updated` event via Socket.IO to notify the user's other sessions.
+ *   5. Emits a `conversation:updated` event via Socket.IO to notify the user's other sessions (synced, with `seq`).
+ *   6. Emits `message:status` to the other participants so senders see their messages as read.
  *
  * Dependencies:
  *   - Conversation model: Used to query and update conversation data.
- *   - Socket.IO: Used to emit real-time updates to the user's other sessions.
+ *   - Socket.IO: Used to emit real-time updates to the user's other sessions and read receipts to senders.
  *
  * Example:
  *   - Request:
@@ -190,20 +193,35 @@ export const markConversationRead = async (req, res) => {
         const idx = conv.reads.findIndex(
             (r) => r.userId.toString() === userId.toString()
         );
+        const now = new Date();
         if (idx === -1) {
-            conv.reads.push({ userId, lastReadAt: new Date(), unreadCount: 0 });
+            conv.reads.push({
+                userId,
+                lastReadAt: now,
+                lastDeliveredAt: now,
+                unreadCount: 0,
+            });
         } else {
-            conv.reads[idx].lastReadAt = new Date();
+            conv.reads[idx].lastReadAt = now;
+            conv.reads[idx].lastDeliveredAt = now;
             conv.reads[idx].unreadCount = 0;
         }
 
         await conv.save();
 
         // notify this user's other sessions to clear the badge
-        getReceiverSocketIds(userId.toString()).forEach((sid) =>
-            io
-                .to(sid)
-                .emit("conversation:updated", { _id: conv._id, unreadCount: 0 })
+        emitSyncedToUsers(
+            [userId],
+            "conversation:updated",
+            { _id: conv._id, unreadCount: 0 },
+            { conversationId: conv._id }
+        );
+
+        // read receipts for the senders
+        emitToUsers(
+            conv.participants.filter((p) => p.toString() !== userId.toString()),
+            "message:status",
+            statusPayloadFor(conv)
         );
 
         res.json({ message: "Marked as read" });
@@ -212,3 +230,103 @@ export const markConversationRead = async (req, res) => {
         res.status(500).json({ message: "Internal server error" });
     }
 };
+
+/**
+ * muteConversation / unmuteConversation Controllers
+ * -------------------------------------------------
+ * Mutes or unmutes a conversation for the logged-in user. Muted conversations keep receiving messages and
+ * unread counts, but the client plays no notification sound and dims the unread badge.
+ *
+ * Request:
+ *   - req.params.id: The ID of the conversation.
+ *   - req.body.hours (optional, mute only): How long to mute for. Omitted or `null` mutes until unmuted.
+ *   - req.user._id: The ID of the authenticated user (set by the `protectRoute` middleware).
+ *
+ * Response:
+ *   - 200: `{ _id, mutedUntil }` with `mutedUntil` as an ISO date, or `null` after unmuting.
+ *   - 400: Invalid conversation ID, or `hours` is not a positive number (at most one year).
+ *   - 404: The conversation is not found.
+ *   - 403: The user is not a participant in the conversation.
+ *   - 500: Internal server error.
+ *
+ * How it works:
+ *   1. Stores `mutedUntil` on the user's entry in `reads` (creating the entry if needed). "Until unmuted"
+ *      is stored as a far-future date so expiry checks stay a simple comparison.
+ *   2. Emits `conversation:updated` with `{ _id, mutedUntil }` to the user's other sessions.
+ *   3. Expired mutes need no cleanup: `getConversationsWithLastMessage` reports them as `null`.
+ *
+ * Example:
+ *   - POST   /api/conversations/:id/mute   Body: { "hours": 8 } -> { "_id": "...", "mutedUntil": "2023-10-01T20:30:00.000Z" }
+ *   - DELETE /api/conversations/:id/mute                          -> { "_id": "...", "mutedUntil": null }
+ */
+const MUTED_FOREVER = new Date("9999-12-31T23:59:59.999Z");
+const MAX_MUTE_HOURS = 24 * 365;
+
+const setMutedUntil = async (req, res, mutedUntil) => {
+    const { id } = req.params;
+    const userId = req.user._id;
+
+    if (!mongoose.isValidObjectId(id)) {
+        return res.status(400).json({ message: "Invalid conversation ID" });
+    }
+
+    const conv = await Conversation.findById(id);
+    if (!conv)
+        return res.status(404).json({ message: "Conversation not found" });
+
+    const isParticipant = conv.participants.some(
+        (p) => p.toString() === userId.toString()
+    );
+    if (!isParticipant) return res.status(403).json({ message: "Forbidden" });
+
+    conv.reads = conv.reads || [];
+    const entry = conv.reads.find(
+        (r) => r.userId.toString() === userId.toString()
+    );
+    if (entry) {
+        entry.mutedUntil = mutedUntil;
+    } else {
+        conv.reads.push({ userId, unreadCount: 0, mutedUntil });
+    }
+
+    await conv.save();
+
+    const payload = { _id: conv._id, mutedUntil };
+    emitSyncedToUsers([userId], "conversation:updated", payload, {
+        conversationId: conv._id,
+    });
+
+    res.status(200).json(payload);
+};
+
+export const muteConversation = async (req, res) => {
+    const hours = req.body?.hours ?? null;
+    if (
+        hours !== null &&
+        !(Number.isFinite(hours) && hours > 0 && hours <= MAX_MUTE_HOURS)
+    ) {
+        return res.status(400).json({
+            message: "Mute duration must be between 0 and 8760 hours",
+        });
+    }
+
+    try {
+        const mutedUntil =
+            hours === null
+                ? MUTED_FOREVER
+                : new Date(Date.now() + hours * 60 * 60 * 1000);
+        await setMutedUntil(req, res, mutedUntil);
+    } catch (error) {
+        console.error("Error in muteConversation controller:", error.message);
+        res.status(500).json({ message: "Internal server error" });
+    }
+};
+
+export const unmuteConversation = async (req, res) => {
+    try {
+        await setMutedUntil(req, res, null);
+    } catch (error) {
+        console.error("Error in unmuteConversation controller:", error.message);
+        res.status(500).json({ message: "Internal server error" });
+    }
+};
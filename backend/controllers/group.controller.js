@@ -0,0 +1,447 @@
+/**
+ * Group Controller
+ * ----------------
+ * Handles named group conversations: creation, renaming, membership changes and admin roles.
+ *
+ * Exports:
+ *   - createGroupConversation: Creates a named group with the authenticated user as its first admin.
+ *   - renameGroup: Renames a group (admins only).
+ *   - addGroupMembers: Adds one or more users to a group (admins only).
+ *   - removeGroupMember: Removes a member from a group (admins only).
+ *   - promoteGroupAdmin: Promotes a member to group admin (admins only).
+ *   - leaveGroup: Removes the authenticated user from a group.
+ *
+ * Group Rules:
+ *   - A group always has at least one admin: when the last admin leaves, the longest-standing
+ *     remaining member is promoted automatically.
+ *   - The group creator cannot be removed by other admins (they may still leave on their own).
+ *   - When the last member leaves, the group and its messages (including stored attachment files) are deleted.
+ *
+ * Real-Time Events (fanned out with `emitSyncedToUsers`, so each carries the recipient's `seq`):
+ *   - `conversation:created`: Sent to every member of a new group, and to users added to an existing group.
+ *       - Payload: The formatted group (see below) with the user-specific `unreadCount`.
+ *   - `conversation:updated`: Sent to the remaining members whenever the name, members or admins change.
+ *       - Payload: { _id, name, participants, admins }
+ *   - `conversation:removed`: Sent to users who were removed from, or left, a group.
+ *       - Payload: { _id }
+ *
+ * Formatted Group:
+ *   {
+ *       _id: "conversationId",
+ *       isGroup: true,
+ *       name: "Design team",
+ *       createdBy: "userId",
+ *       admins: ["userId", ...],
+ *       participants: [{ _id, fullName, username, profilePicture }, ...],
+ *       lastMessage: { content, sender, createdAt, isDeleted } | null,
+ *       unreadCount: 0
+ *   }
+ *
+ * Responses (all handlers):
+ *   - 400: Invalid input (missing name, malformed or unknown user IDs, etc.).
+ *   - 403: The authenticated user is not a member, or not an admin where one is required.
+ *   - 404: Group not found.
+ *   - 500: Internal server error.
+ *
+ * Example:
+ *   - Request:
+ *       POST /api/conversations/group
+ *       Body: { "name": "Design team", "participantIds": ["userId2", "userId3"] }
+ *   - Response (201):
+ *       { "message": "Group created successfully", "data": { ...formatted group } }
+ *
+ * Dependencies:
+ *   - mongoose: ObjectId validation.
+ *   - Conversation, Message and User models.
+ *   - `emitSyncedToUsers` from the Socket.IO gateway for real-time fan-out.
+ *   - `formatLastMessage` from the lastMessage utilities and `PARTICIPANT_FIELDS` from conversationSummary.
+ *   - `removeAttachmentFiles` from the attachment storage.
+ */
+
+import mongoose from "mongoose";
+import Conversation from "../models/conversation.model.js";
+import Message from "../models/message.model.js";
+import User from "../models/user.model.js";
+import { emitSyncedToUsers } from "../socket/socket.js";
+import { formatLastMessage } from "../utils/lastMessage.js";
+import { PARTICIPANT_FIELDS } from "../utils/conversationSummary.js";
+import { removeAttachmentFiles } from "../storage/index.js";
+
+const toIdStrings = (ids = []) => ids.map((id) => (id?._id ?? id).toString());
+
+const includesId = (ids, userId) =>
+    toIdStrings(ids).includes(userId.toString());
+
+// Normalize, de-duplicate and validate a list of user IDs from the request body
+const parseUserIds = async (userIds) => {
+    if (!Array.isArray(userIds) || userIds.length === 0) return null;
+
+    const unique = [...new Set(userIds.map(String))];
+    if (!unique.every((id) => mongoose.isValidObjectId(id))) return null;
+
+    const existing = await User.countDocuments({ _id: { $in: unique } });
+    return existing === unique.length ? unique : null;
+};
+
+// Load a group and make sure the requester is a member (and optionally an admin)
+const loadGroup = async (req, res, { requireAdmin = false } = {}) => {
+    const { id } = req.params;
+    const userId = req.user._id;
+
+    if (!mongoose.isValidObjectId(id)) {
+        res.status(404).json({ message: "Group not found" });
+        return null;
+    }
+
+    const conversation = await Conversation.findOne({ _id: id, isGroup: true });
+    if (!conversation) {
+        res.status(404).json({ message: "Group not found" });
+        return null;
+    }
+
+    if (!includesId(conversation.participants, userId)) {
+        res.status(403).json({ message: "Forbidden" });
+        return null;
+    }
+
+    if (requireAdmin && !includesId(conversation.admins, userId)) {
+        res.status(403).json({ message: "Only group admins can do that" });
+        return null;
+    }
+
+    return conversation;
+};
+
+// Build the sidebar-ready representation of a group plus a per-member unread lookup
+const formatGroup = async (conversationId) => {
+    const conversation = await Conversation.findById(conversationId)
+        .populate({ path: "participants", select: PARTICIPANT_FIELDS })
+        .lean();
+    if (!conversation) return null;
+
+    const { lastMessage } = conversation;
+
+    const base = {
+        _id: conversation._id,
+        isGroup: true,
+        name: conversation.name,
+        createdBy: conversation.createdBy,
+        admins: conversation.admins,
+        participants: conversation.participants,
+        lastMessage: formatLastMessage(lastMessage),
+    };
+
+    const unreadFor = (uid) =>
+        (conversation.reads || []).find(
+            (r) => r.userId?.toString() === uid.toString()
+        )?.unreadCount || 0;
+
+    return { base, unreadFor };
+};
+
+// Notify members about a changed group, newcomers about a new group and leavers about their removal
+const broadcastGroupChange = async (
+    conversation,
+    { addedIds = [], removedIds = [] } = {}
+) => {
+    const formatted = await formatGroup(conversation._id);
+    const added = new Set(toIdStrings(addedIds));
+    const change = { conversationId: conversation._id };
+
+    if (formatted) {
+        const { base, unreadFor } = formatted;
+        const memberIds = toIdStrings(conversation.participants);
+
+        emitSyncedToUsers(
+            memberIds.filter((uid) => !added.has(uid)),
+            "conversation:updated",
+            {
+                _id: base._id,
+                name: base.name,
+                participants: base.participants,
+                admins: base.admins,
+            },
+            change
+        );
+        emitSyncedToUsers(
+            memberIds.filter((uid) => added.has(uid)),
+            "conversation:created",
+            (uid) => ({ ...base, unreadCount: unreadFor(uid) }),
+            change
+        );
+    }
+
+    if (removedIds.length) {
+        emitSyncedToUsers(
+            removedIds,
+            "conversation:removed",
+            { _id: conversation._id },
+            change
+        );
+    }
+
+    return formatted;
+};
+
+export const createGroupConversation = async (req, res) => {
+    const creatorId = req.user._id;
+    const name = req.body?.name?.trim();
+
+    try {
+        if (!name) {
+            return res.status(400).json({ message: "Group name is required" });
+        }
+
+        const requestedIds = Array.isArray(req.body?.participantIds)
+            ? req.body.participantIds
+            : [];
+        const memberIds = await parseUserIds(
+            requestedIds.filter((id) => String(id) !== creatorId.toString())
+        );
+        if (!memberIds) {
+            return res
+                .status(400)
+                .json({ message: "Select at least one valid member" });
+        }
+
+        const participants = [creatorId.toString(), ...memberIds];
+
+        const conversation = await Conversation.create({
+            isGroup: true,
+            name,
+            participants,
+            admins: [creatorId],
+            createdBy: creatorId,
+            reads: participants.map((uid) => ({
+                userId: uid,
+                lastReadAt: uid === creatorId.toString() ? new Date() : null,
+                unreadCount: 0,
+            })),
+        });
+
+        const formatted = await broadcastGroupChange(conversation, {
+            addedIds: participants,
+        });
+
+        res.status(201).json({
+            message: "Group created successfully",
+            data: { ...formatted.base, unreadCount: 0 },
+        });
+    } catch (error) {
+        console.error("Error in createGroupConversation:", error.message);
+        if (error.name === "ValidationError") {
+            return res.status(400).json({ message: error.message });
+        }
+        res.status(500).json({ message: "Internal server error" });
+    }
+};
+
+export const renameGroup = async (req, res) => {
+    const name = req.body?.name?.trim();
+
+    try {
+        if (!name) {
+            return res.status(400).json({ message: "Group name is required" });
+        }
+
+        const conversation = await loadGroup(req, res, { requireAdmin: true });
+        if (!conversation) return;
+
+        conversation.name = name;
+        await conversation.save();
+
+        await broadcastGroupChange(conversation);
+
+        res.json({
+            message: "Group renamed",
+            data: { _id: conversation._id, name },
+        });
+    } catch (error) {
+        console.error("Error in renameGroup:", error.message);
+        if (error.name === "ValidationError") {
+            return res.status(400).json({ message: error.message });
+        }
+        res.status(500).json({ message: "Internal server error" });
+    }
+};
+
+export const addGroupMembers = async (req, res) => {
+    try {
+        const conversation = await loadGroup(req, res, { requireAdmin: true });
+        if (!conversation) return;
+
+        const userIds = await parseUserIds(req.body?.userIds);
+        if (!userIds) {
+            return res
+                .status(400)
+                .json({ message: "Select at least one valid user" });
+        }
+
+        const newIds = userIds.filter(
+            (uid) => !includesId(conversation.participants, uid)
+        );
+        if (newIds.length === 0) {
+            return res
+                .status(400)
+                .json({ message: "Selected users are already members" });
+        }
+
+        // Earlier history counts as seen by newcomers, so it keeps its read receipts
+        const joinedAt = new Date();
+        newIds.forEach((uid) => {
+            conversation.participants.push(uid);
+            if (
+                !includesId(
+                    conversation.reads.map((r) => r.userId),
+                    uid
+                )
+            ) {
+                conversation.reads.push({
+                    userId: uid,
+                    lastReadAt: joinedAt,
+                    lastDeliveredAt: joinedAt,
+                    unreadCount: 0,
+                });
+            }
+        });
+        await conversation.save();
+
+        const formatted = await broadcastGroupChange(conversation, {
+            addedIds: newIds,
+        });
+
+        res.json({
+            message: "Members added",
+            data: {
+                _id: conversation._id,
+                participants: formatted?.base.participants,
+            },
+        });
+    } catch (error) {
+        console.error("Error in addGroupMembers:", error.message);
+        res.status(500).json({ message: "Internal server error" });
+    }
+};
+
+export const removeGroupMember = async (req, res) => {
+    const { userId: targetId } = req.params;
+    const requesterId = req.user._id;
+
+    try {
+        const conversation = await loadGroup(req, res, { requireAdmin: true });
+        if (!conversation) return;
+
+        if (targetId === requesterId.toString()) {
+            return res
+                .status(400)
+                .json({ message: "Use leave to exit the group yourself" });
+        }
+        if (!includesId(conversation.participants, targetId)) {
+            return res.status(404).json({ message: "Member not found" });
+        }
+        if (conversation.createdBy?.toString() === targetId) {
+            return res
+                .status(403)
+                .json({ message: "The group creator cannot be removed" });
+        }
+
+        conversation.participants = conversation.participants.filter(
+            (p) => p.toString() !== targetId
+        );
+        conversation.admins = conversation.admins.filter(
+            (a) => a.toString() !== targetId
+        );
+        conversation.reads = conversation.reads.filter(
+            (r) => r.userId.toString() !== targetId
+        );
+        await conversation.save();
+
+        await broadcastGroupChange(conversation, { removedIds: [targetId] });
+
+        res.json({ message: "Member removed" });
+    } catch (error) {
+        console.error("Error in removeGroupMember:", error.message);
+        res.status(500).json({ message: "Internal server error" });
+    }
+};
+
+export const promoteGroupAdmin = async (req, res) => {
+    const targetId = req.body?.userId?.toString();
+
+    try {
+        const conversation = await loadGroup(req, res, { requireAdmin: true });
+        if (!conversation) return;
+
+        if (!targetId || !includesId(conversation.participants, targetId)) {
+            return res.status(404).json({ message: "Member not found" });
+        }
+        if (includesId(conversation.admins, targetId)) {
+            return res
+                .status(400)
+                .json({ message: "Member is already an admin" });
+        }
+
+        conversation.admins.push(targetId);
+        await conversation.save();
+
+        await broadcastGroupChange(conversation);
+
+        res.json({ message: "Member promoted to admin" });
+    } catch (error) {
+        console.error("Error in promoteGroupAdmin:", error.message);
+        res.status(500).json({ message: "Internal server error" });
+    }
+};
+
+export const leaveGroup = async (req, res) => {
+    const userId = req.user._id.toString();
+
+    try {
+        const conversation = await loadGroup(req, res);
+        if (!conversation) return;
+
+        conversation.participants = conversation.participants.filter(
+            (p) => p.toString() !== userId
+        );
+        conversation.admins = conversation.admins.filter(
+            (a) => a.toString() !== userId
+        );
+        conversation.reads = conversation.reads.filter(
+            (r) => r.userId.toString() !== userId
+        );
+
+        // Last one out: drop the group together with its history
+        if (conversation.participants.length === 0) {
+            const withFiles = await Message.find({
+                conversationId: conversation._id,
+                "attachments.0": { $exists: true },
+            }).select("attachments");
+            await removeAttachmentFiles(
+                withFiles.flatMap((m) => m.attachments)
+            );
+            await Message.deleteMany({ conversationId: conversation._id });
+            await conversation.deleteOne();
+            emitSyncedToUsers(
+                [userId],
+                "conversation:removed",
+                { _id: conversation._id },
+                { conversationId: conversation._id }
+            );
+            return res.json({ message: "Left group" });
+        }
+
+        // Keep at least one admin around
+        if (conversation.admins.length === 0) {
+            conversation.admins.push(conversation.participants[0]);
+        }
+
+        await conversation.save();
+
+        await broadcastGroupChange(conversation, { removedIds: [userId] });
+
+        res.json({ message: "Left group" });
+    } catch (error) {
+        console.error("Error in leaveGroup:", error.message);
+        res.status(500).json({ message: "Internal server error" });
+    }
+};
@@ -5,42 +5,65 @@
  *
  * Exports:
  *   - sendMessage: Sends a message from the authenticated user to a receiver.
- *   - getMessages: Retrieves all messages in a conversation between the authenticated user and a receiver.
+ *   - sendGroupMessage: Sends a message from the authenticated user to every member of a group.
+ *   - getMessages: Retrieves a page of messages in a conversation between the authenticated user and a receiver.
+ *   - getGroupMessages: Retrieves a page of messages of a group conversation the authenticated user belongs to.
+ *   - editMessage: Edits the text of a message the authenticated user sent, keeping the prior versions.
+ *   - deleteMessage: Hides a message for the authenticated user, or deletes it for everyone (sender only).
+ *   - downloadAttachment: Streams a message attachment to a participant of its conversation.
+ *   - toggleReaction: Adds or removes the authenticated user's emoji reaction on a message.
+ *   - searchMessages: Full-text search over the messages of every conversation the authenticated user belongs to.
  *
  * sendMessage(req, res)
  * ---------------------
  * Sends a message from the authenticated user to the specified receiver.
  *
  * Request:
- *   - req.body.message: The message content (string, required).
+ *   - req.body.message: The message content (string, required unless files are attached).
+ *   - req.files: Attachments parsed by the `uploadAttachments` middleware (multipart requests only).
+ *   - req.body.replyTo: ID of an earlier message of the same conversation to reply to (string, optional).
+ *   - req.body.clientMessageId: ID the client generated for this message, 8-64 letters, digits, "-" or "_"
+ *     (string, optional). Retrying a send with the same ID never creates a second message.
  *   - req.params.receiverId: The receiver's user ID (string, required).
  *   - req.user._id: The sender's user ID (set by protectRoute middleware).
  *
  * How it works:
- *   1. Finds an existing conversation between the sender and receiver using:
- *        { participants: { $all: [senderId, receiverId] } }.
+ *   0. Rejects a `receiverId` that is not a valid ObjectId. With a `clientMessageId` the sender already used, responds with that original message instead
+ *      (see `replayOriginal`). Otherwise refuses the message when either user blocked the other
+ *      (`blockedUsers`, see `blockUser`).
+ *   1. Finds an existing direct conversation between the sender and receiver using:
+ *        { isGroup: { $ne: true }, participants: { $all: [senderId, receiverId] } }.
  *      - `$all` is a MongoDB operator that matches arrays containing all specified elements.
- *   2. If no conversation exists, creates a new one with both participants.
- *   3. Creates a new message document in the database.
- *   4. Adds the new message's ID to the conversation's `messages` array and saves the conversation.
- *   5. Updates the `reads` array:
- *        - Ensures both sender and receiver have read entries.
- *        - Increments the receiver's `unreadCount`.
- *   6. Emits real-time events via Socket.IO:
- *        - `message:new`: Sends the new message to both sender and receiver.
- *        - `conversation:updated`: Updates the last message and unread count for both users.
- *        - `conversation:created`: Notifies both users if a new conversation is created.
- *   7. Responds with the created message and a success message.
+ *      - `isGroup` is excluded so a group containing both users is never mistaken for their direct chat.
+ *   2. If a reply target is given, checks that it is a message of that conversation which the sender
+ *      can still see (not deleted for everyone or hidden for them).
+ *   3. If no conversation exists, creates a new one with both participants.
+ *   4. Delegates to `deliverMessage`, which:
+ *        - Writes any attachments to the configured storage driver.
+ *        - Creates the message with its `conversationId` and stores a `lastMessage` snapshot on the conversation.
+ *        - Ensures every participant has a read entry and increments `unreadCount` for everyone but the sender.
+ *        - Emits real-time events via Socket.IO to every participant:
+ *            - `message:new`: Sends the new message.
+ *            - `conversation:updated`: Updates the last message and the user-specific unread count.
+ *            - `conversation:created`: Notifies participants if a new conversation is created.
+ *   5. Responds with the created message and a success message. If a concurrent request with the same
+ *      `clientMessageId` won the race (unique index violation), responds with its message instead.
  *
  * Responses:
  *   - 201: Message sent successfully, returns the new message data.
+ *   - 200: Replayed send, returns the message created by the first request with this `clientMessageId`.
+ *   - 400: Invalid `receiverId`; neither text nor attachments were sent, the reply target or `clientMessageId`
+ *     is invalid.
+ *   - 403: The sender blocked the receiver, or the receiver blocked the sender.
+ *   - 409: The `clientMessageId` was already used for a message to someone else.
  *   - 500: Failed to send message or internal server error.
  *
  * Real-Time Events:
  *   - `message:new`:
  *       - Payload:
  *           - conversationId: The ID of the conversation.
- *           - message: The new message object (id, content, senderId, receiverId, createdAt).
+ *           - message: The new message object (id, clientMessageId, content, senderId, receiverId, createdAt,
+ *             editableUntil, attachments, `replyTo` quote, and the sender's `status`).
  *   - `conversation:updated`:
  *       - Payload:
  *           - _id: The conversation ID.
@@ -52,51 +75,611 @@
  *           - participants: The participants of the conversation.
  *           - lastMessage: The last message object.
  *           - unreadCount: The unread count for the user.
+ *   - Every event of this controller also carries the recipient's `seq` (see `emitSyncedToUsers`).
+ *
+ * sendGroupMessage(req, res)
+ * --------------------------
+ * Sends a message from the authenticated user to a group conversation.
+ *
+ * Request:
+ *   - req.body.message: The message content (string, required unless files are attached).
+ *   - req.files: Attachments parsed by the `uploadAttachments` middleware (multipart requests only).
+ *   - req.body.replyTo: ID of an earlier message of the group to reply to (string, optional).
+ *   - req.body.clientMessageId: ID the client generated for this message (string, optional, see `sendMessage`).
+ *   - req.params.conversationId: The group conversation ID (string, required).
+ *   - req.user._id: The sender's user ID (set by protectRoute middleware).
+ *
+ * How it works:
+ *   0. Rejects a `conversationId` that is not a valid ObjectId.
+ *   1. Finds the group conversation, verifies the sender is a member and validates the reply target
+ *      (same rules as `sendMessage`).
+ *   2. Delegates to `deliverMessage` (see above); the message is stored with `receiverId: null`
+ *      and the events are fanned out to every member's sockets.
+ *   - A repeated `clientMessageId` is answered with the original message, as in `sendMessage`.
+ *
+ * Responses:
+ *   - 201: Message sent successfully, returns the new message data.
+ *   - 200: Replayed send, returns the message created by the first request with this `clientMessageId`.
+ *   - 400: Invalid `conversationId`; neither text nor attachments were sent, or the `clientMessageId` is invalid.
+ *   - 403: The sender is not a member of the group.
+ *   - 409: The `clientMessageId` was already used for a message to another conversation.
+ *   - 404: Group not found.
+ *   - 500: Failed to send message or internal server error.
  *
  * getMessages(req, res)
  * ---------------------
- * Retrieves all messages in a conversation between the authenticated user (sender) and the specified receiver.
+ * Retrieves one page of messages in a conversation between the authenticated user (sender) and the specified receiver.
  *
  * Request:
  *   - req.params.receiverId: The receiver's user ID (string, required).
+ *   - req.query.before: Message ID cursor; only messages older than this one are returned (optional).
+ *   - req.query.limit: Page size (optional, default 30, max 100).
  *   - req.user._id: The sender's user ID (set by protectRoute middleware).
  *
  * How it works:
- *   1. Finds the conversation between the sender and receiver using:
- *        { participants: { $all: [senderId, receiverId] } }.
- *   2. Uses `.populate("messages")` to replace message IDs in the conversation's `messages` array
- *      with the actual message documents from the `Message` collection.
- *   3. If the conversation exists, returns all messages in the conversation.
+ *   1. Validates the `receiverId`, then the paging parameters with `parsePageParams`.
+ *   2. Finds the direct conversation between the sender and receiver using:
+ *        { isGroup: { $ne: true }, participants: { $all: [senderId, receiverId] } }.
+ *   3. Delegates to `findMessagePage`, which:
+ *        - Queries the `Message` collection by `conversationId` for messages older than `before` (newest first),
+ *          served by the `{ conversationId: 1, _id: -1 }` index.
+ *        - Fetches `limit + 1` documents so `hasMore` can be derived without a count query.
+ *        - Returns the page in chronological (oldest first) order.
  *   4. If not found, responds with an empty array and a 200 status.
  *
  * Responses:
- *   - 200: Messages retrieved successfully, returns the messages array.
+ *   - 200: Messages retrieved successfully.
+ *       - data: The page of messages (oldest first).
+ *       - hasMore: `true` if older messages exist before the first one in `data`.
+ *   - 400: Invalid `receiverId`, `before` cursor or `limit`.
+ *   - 500: Internal server error.
+ *
+ * Example:
+ *   - GET /api/messages/:receiverId?limit=30                       -> latest 30 messages
+ *   - GET /api/messages/:receiverId?before=<oldestId>&limit=30     -> the 30 messages before <oldestId>
+ *
+ * getGroupMessages(req, res)
+ * --------------------------
+ * Retrieves one page of messages of a group conversation.
+ *
+ * Request:
+ *   - req.params.conversationId: The group conversation ID (string, required).
+ *   - req.query.before / req.query.limit: Same paging parameters as `getMessages`.
+ *   - req.user._id: The requesting user's ID (set by protectRoute middleware).
+ *
+ * Responses:
+ *   - 200: Messages retrieved successfully, returns `data` and `hasMore` like `getMessages`.
+ *   - 400: Invalid `conversationId`, `before` cursor or `limit`.
+ *   - 403: The user is not a member of the group.
+ *   - 404: Group not found.
+ *   - 500: Internal server error.
+ *
+ * editMessage(req, res)
+ * ---------------------
+ * Replaces the text of a message sent by the authenticated user.
+ *
+ * Request:
+ *   - req.params.id: The message ID (string, required).
+ *   - req.body.message: The new message content (string, required).
+ *   - req.user._id: The editor's user ID (set by protectRoute middleware).
+ *
+ * How it works:
+ *   1. Only the sender may edit, and only within `MESSAGE_EDIT_WINDOW_MINUTES` (default 15) of sending.
+ *   2. The current text is appended to `edits` (with the time it was written) before being replaced,
+ *      and `editedAt` is set. Submitting the unchanged text is a no-op.
+ *   3. If the message is the conversation's `lastMessage`, the snapshot is updated too.
+ *   4. Emits `message:edited` ({ conversationId, message }) to every participant, plus a
+ *      `conversation:updated` patch when the sidebar preview changed.
+ *
+ * Responses:
+ *   - 200: Message edited, returns the updated message.
+ *   - 400: Invalid message ID or empty content.
+ *   - 403: Not the sender, the edit window has expired, or the message was deleted.
+ *   - 404: Message not found.
+ *   - 500: Internal server error.
+ *
+ * deleteMessage(req, res)
+ * -----------------------
+ * Deletes a message either for the authenticated user only, or for every participant.
+ *
+ * Request:
+ *   - req.params.id: The message ID (string, required).
+ *   - req.query.mode: "me" (default) or "everyone".
+ *   - req.user._id: The requesting user's ID (set by protectRoute middleware).
+ *
+ * How it works:
+ *   - mode=me (any participant):
+ *       1. Adds the user to the message's `deletedFor`; the message is left out of their pages from now on.
+ *       2. If the message was still unread for the user, their `unreadCount` is decremented.
+ *       3. Emits `message:deleted` ({ conversationId, messageId, mode: "me" }) to the user's own sessions,
+ *          plus a `conversation:updated` patch whose `lastMessage` is the newest message they can still see.
+ *   - mode=everyone (sender only):
+ *       1. Turns the message into a tombstone: `deletedAt` is set, and the text, attachments (including
+ *          the stored files) and edit history are cleared.
+ *       2. Decrements `unreadCount` for every participant who had not read the message yet.
+ *       3. If it was the conversation's `lastMessage`, the snapshot is emptied and flagged `isDeleted`.
+ *       4. Emits `message:deleted` ({ conversationId, messageId, mode: "everyone" }) to every participant,
+ *          plus a user-specific `conversation:updated` patch (unread count and last message).
+ *
+ * Responses:
+ *   - 200: Message deleted, returns { messageId, mode }.
+ *   - 400: Invalid message ID or mode.
+ *   - 403: Not a participant, or not the sender for mode=everyone.
+ *   - 404: Message not found.
+ *   - 500: Internal server error.
+ *
+ * downloadAttachment(req, res)
+ * ----------------------------
+ * Streams one attachment of a message.
+ *
+ * Request:
+ *   - req.params.messageId / req.params.attachmentId: Identify the attachment (strings, required).
+ *   - req.user._id: The requesting user's ID (set by protectRoute middleware).
+ *
+ * How it works:
+ *   - Only participants of the message's conversation may download, and never from messages that were
+ *     deleted for everyone or that the user deleted for themselves.
+ *   - Images are served inline (so they can render as thumbnails); other files as downloads.
+ *   - Responses are `private` and `nosniff`, so shared caches never keep them and browsers
+ *     never reinterpret them as another type.
+ *
+ * Responses:
+ *   - 200: The file contents.
+ *   - 403: Not a participant of the conversation.
+ *   - 404: Message, attachment or stored file not found.
+ *   - 500: Internal server error.
+ *
+ * toggleReaction(req, res)
+ * ------------------------
+ * Toggles an emoji reaction of the authenticated user on a message.
+ *
+ * Request:
+ *   - req.params.id: The message ID (string, required).
+ *   - req.body.emoji: The emoji to toggle (string, required; a single emoji, modifiers allowed).
+ *   - req.user._id: The reacting user's ID (set by protectRoute middleware).
+ *
+ * How it works:
+ *   1. Any participant may react to any message they can see (not deleted for everyone, not hidden for them).
+ *   2. Reactions are grouped by emoji: reacting again with the same emoji removes the user from that
+ *      group, and empty groups are dropped.
+ *   3. Emits `message:reaction` ({ conversationId, messageId, reactions }) to every participant with the
+ *      full, updated reaction list, so clients simply replace theirs.
+ *
+ * Responses:
+ *   - 200: Reaction toggled, returns { messageId, reactions }.
+ *   - 400: Invalid message ID or emoji.
+ *   - 403: Not a participant, or the message was deleted.
+ *   - 404: Message not found.
+ *   - 500: Internal server error.
+ *
+ * searchMessages(req, res)
+ * ------------------------
+ * Searches the text of every message visible to the authenticated user.
+ *
+ * Request:
+ *   - req.query.q: The search query (string, 2–200 characters). Uses MongoDB `$text` syntax:
+ *     words match any of them, "quoted phrases" must appear as-is, and `-word` excludes messages.
+ *   - req.query.conversationId: Restricts the search to one conversation the user belongs to (string, optional).
+ *   - req.query.before / req.query.limit: Same paging parameters as `getMessages`.
+ *   - req.user._id: The searching user's ID (set by protectRoute middleware).
+ *
+ * How it works:
+ *   1. Collects the IDs of all conversations the user participates in (or checks membership of
+ *      `conversationId`); nothing else is searched.
+ *   2. Queries the `message_text` index, skipping tombstones and messages the user hid for themselves.
+ *   3. Results are ordered newest first and paged with the `before` message ID cursor.
+ *   4. Each result carries a plain-text `snippet` around the first match with the ranges to highlight
+ *      (see `utils/searchSnippet.js`).
+ *
+ * Responses:
+ *   - 200: Returns `data` (array of { _id, conversationId, senderId, createdAt, snippet: { text, highlights } })
+ *     and `hasMore`.
+ *   - 400: Missing, too short or too long query; invalid `conversationId`, `before` cursor or `limit`.
+ *   - 404: `conversationId` is not a conversation of the user.
  *   - 500: Internal server error.
  *
+ * Message payloads:
+ *   - Every message returned by this controller (REST or socket) carries `editableUntil`,
+ *     the ISO time after which the server will reject edits, so clients never duplicate the window setting.
+ *   - Replies carry `replyTo`, a compact quote of the original: { _id, senderId, content, isDeleted },
+ *     where `content` is cut to 120 characters (attachment-only messages get a "📷 Photo" / "📎 name"
+ *     label). The quote is built when the message is read, so it follows later edits and deletions
+ *     of the original. Messages that are not replies have `replyTo: null`.
+ *   - Reactions are returned as [{ emoji, users: [userId, ...] }, ...].
+ *   - Attachments are returned as { _id, name, mimeType, size, url }, where `url` points at
+ *     `downloadAttachment`; storage keys are never exposed.
+ *   - Messages deleted for everyone are returned as tombstones: `isDeleted: true`, empty `message`,
+ *     no attachments, reactions, quote or edit history and `editableUntil: null`.
+ *   - Messages a user deleted for themselves are never returned to that user.
+ *   - Messages returned to their sender also carry `status` ("sent", "delivered" or "read"), derived from the
+ *     other participants' `lastDeliveredAt` / `lastReadAt` watermarks (see `utils/messageStatus.js`).
+ *     A message is delivered right away when a receiver has an open socket; later progress is pushed
+ *     to the sender with `message:status`.
+ *
  * Dependencies:
  *   - Conversation model
  *   - Message model
- *   - Socket.IO instance (`io`) for real-time communication.
+ *   - `emitSyncedToUsers` from the Socket.IO gateway for real-time fan-out (numbered for reconnect catch-up).
+ *   - `getConnectedUserIds` from the Socket.IO gateway to deliver right away to receivers with an open socket
+ *     (on any instance).
+ *   - messageSerializer utilities for the message payloads described above.
+ *   - lastMessage utilities for the conversation preview snapshot.
+ *   - messageStatus utilities for delivery/read receipts.
+ *   - Attachment storage drivers (`backend/storage`) for saving, streaming and removing files.
  *
  * Notes:
  *   - `{ participants: { $all: [senderId, receiverId] } }` is a Mongoose/MongoDB query that finds conversations containing both users.
- *   - `.populate("messages")` is a Mongoose method that fetches and replaces message IDs with the corresponding message documents,
- *     making it easy to access all message details in a single query.
+ *   - Message IDs are ObjectIds, which sort by creation time, so `_id` doubles as a stable pagination cursor
+ *     (unlike `createdAt`, it never ties between two messages).
  */
 
+import mongoose from "mongoose";
 import Conversation from "../models/conversation.model.js";
 import Message from "../models/message.model.js";
-import { io, getReceiverSocketIds } from "../socket/socket.js";
+import User from "../models/user.model.js";
+import { emitSyncedToUsers, getConnectedUserIds } from "../socket/socket.js";
+import {
+    toLastMessageSnapshot,
+    formatLastMessage,
+    findLatestVisibleMessage,
+} from "../utils/lastMessage.js";
+import {
+    getStatusWatermarks,
+    getMessageStatus,
+} from "../utils/messageStatus.js";
+import { parseSearchTerms, buildSnippet } from "../utils/searchSnippet.js";
+import { REPLY_FIELDS, serializeMessage } from "../utils/messageSerializer.js";
+import { IMAGE_MIME_TYPES } from "../config/attachment/attachment.config.js";
+import { getStorageDriver, removeAttachmentFiles } from "../storage/index.js";
+
+// Find-or-create lookups for direct chats must never match a group that happens to contain both users
+const directConversationQuery = (userA, userB) => ({
+    isGroup: { $ne: true },
+    participants: { $all: [userA, userB] },
+});
+
+// Direct messages are refused in both directions while either user blocks the other
+const checkBlocked = async (sender, receiverId) => {
+    const blockedBySender = (sender.blockedUsers || []).some(
+        (id) => id.toString() === receiverId.toString()
+    );
+    if (blockedBySender) {
+        return { error: "Unblock this user to send them messages" };
+    }
+
+    const blockedByReceiver = await User.exists({
+        _id: receiverId,
+        blockedUsers: sender._id,
+    });
+    if (blockedByReceiver) {
+        return { error: "You can't send messages to this user" };
+    }
+    return {};
+};
+
+const isParticipant = (conversation, userId) =>
+    conversation.participants.some((p) => p.toString() === userId.toString());
+
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+
+// Returns { before, limit } or { error } for invalid cursors/limits
+const parsePageParams = (query = {}) => {
+    const { before } = query;
+    if (before !== undefined && !mongoose.Types.ObjectId.isValid(before)) {
+        return { error: "Invalid cursor" };
+    }
+
+    let limit = DEFAULT_PAGE_SIZE;
+    if (query.limit !== undefined) {
+        limit = Number.parseInt(query.limit, 10);
+        if (!Number.isInteger(limit) || limit < 1) {
+            return { error: "Invalid limit" };
+        }
+        limit = Math.min(limit, MAX_PAGE_SIZE);
+    }
+
+    return { before, limit };
+};
+
+// One page of a conversation's messages (oldest first) plus whether older ones exist,
+// skipping messages the user deleted for themselves
+const findMessagePage = async (conversation, userId, { before, limit }) => {
+    const filter = {
+        conversationId: conversation._id,
+        deletedFor: { $ne: userId },
+    };
+    if (before) filter._id = { $lt: new mongoose.Types.ObjectId(before) };
+
+    const newestFirst = await Message.find(filter)
+        .sort({ _id: -1 })
+        .limit(limit + 1)
+        .populate("replyTo", REPLY_FIELDS);
+
+    const hasMore = newestFirst.length > limit;
+    const watermarks = getStatusWatermarks(conversation, userId);
+    return {
+        messages: newestFirst
+            .slice(0, limit)
+            .reverse()
+            .map((message) =>
+                serializeMessage(
+                    message,
+                    message.senderId.toString() === userId.toString()
+                        ? watermarks
+                        : null
+                )
+            ),
+        hasMore,
+    };
+};
+
+// Returns { replyTo } (null when not replying) or { error } when the target is not a message
+// of the conversation that the sender can still see
+const resolveReplyTarget = async (conversation, replyToId, userId) => {
+    if (!replyToId) return { replyTo: null };
+    if (!conversation || !mongoose.Types.ObjectId.isValid(replyToId)) {
+        return { error: "Invalid reply target" };
+    }
+
+    const replyTo = await Message.findOne({
+        _id: replyToId,
+        conversationId: conversation._id,
+        deletedAt: null,
+        deletedFor: { $ne: userId },
+    }).select(REPLY_FIELDS);
+
+    return replyTo ? { replyTo } : { error: "Invalid reply target" };
+};
+
+// Client message IDs are opaque tokens such as UUIDs
+const CLIENT_MESSAGE_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+// Returns { clientMessageId } (null when not given) or { error }
+const parseClientMessageId = (value) => {
+    if (value === undefined || value === null || value === "") {
+        return { clientMessageId: null };
+    }
+    if (typeof value !== "string" || !CLIENT_MESSAGE_ID_PATTERN.test(value)) {
+        return { error: "Invalid clientMessageId" };
+    }
+    return { clientMessageId: value };
+};
+
+// A send retried with a clientMessageId the sender already used gets the original message back.
+// Resolves to true when a response was sent.
+const replayOriginal = async (
+    res,
+    { senderId, clientMessageId, isSameTarget }
+) => {
+    if (!clientMessageId) return false;
+
+    const original = await Message.findOne({
+        senderId,
+        clientMessageId,
+    }).populate("replyTo", REPLY_FIELDS);
+    if (!original) return false;
+
+    if (!isSameTarget(original)) {
+        res.status(409).json({
+            message: "clientMessageId was already used for another message",
+        });
+        return true;
+    }
+
+    const conversation = await Conversation.findById(original.conversationId);
+    res.status(200).json({
+        message: "Message already sent",
+        data: serializeMessage(
+            original,
+            conversation && getStatusWatermarks(conversation, senderId)
+        ),
+    });
+    return true;
+};
+
+// Write uploaded files to the storage driver and return their metadata for the message
+const storeAttachments = async (files = []) => {
+    const storage = getStorageDriver();
+    const attachments = [];
+    try {
+        for (const file of files) {
+            const { key } = await storage.save({
+                buffer: file.buffer,
+                originalName: file.originalname,
+            });
+            attachments.push({
+                driver: storage.name,
+                storageKey: key,
+                originalName: file.originalname,
+                mimeType: file.mimetype,
+                size: file.size,
+            });
+        }
+        return attachments;
+    } catch (error) {
+        await removeAttachmentFiles(attachments);
+        throw error;
+    }
+};
+
+// Persist a message in an existing conversation, update unread counters and fan out real-time events
+const deliverMessage = async ({
+    conversation,
+    senderId,
+    receiverId = null,
+    message,
+    files = [],
+    replyTo = null,
+    clientMessageId = null,
+    isNewConversation = false,
+}) => {
+    const attachments = await storeAttachments(files);
+
+    let newMessage;
+    try {
+        newMessage = await Message.create({
+            conversationId: conversation._id,
+            senderId,
+            receiverId,
+            message,
+            attachments,
+            replyTo: replyTo?._id ?? null,
+            ...(clientMessageId && { clientMessageId }),
+        });
+    } catch (error) {
+        await removeAttachmentFiles(attachments);
+        throw error;
+    }
+    if (!newMessage) return null;
+
+    // Populate with the already loaded target so the quote is available without a query
+    if (replyTo) newMessage.replyTo = replyTo;
+
+    // Denormalized preview for conversation lists
+    conversation.lastMessage = toLastMessageSnapshot(newMessage);
+
+    // Ensure read entries exist for every participant
+    conversation.reads = conversation.reads || [];
+    conversation.participants.forEach((uid) => {
+        if (
+            !conversation.reads.find(
+                (r) => r.userId.toString() === uid.toString()
+            )
+        ) {
+            conversation.reads.push({
+                userId: uid,
+                lastReadAt: null,
+                unreadCount: 0,
+            });
+        }
+    });
+
+    // Increment unread for everyone except the sender; receivers with an open socket get it delivered now
+    const connected = new Set(
+        await getConnectedUserIds(
+            conversation.participants.filter(
+                (uid) => uid.toString() !== senderId.toString()
+            )
+        )
+    );
+    conversation.reads.forEach((entry) => {
+        const uid = entry.userId.toString();
+        if (uid !== senderId.toString()) {
+            entry.unreadCount = (entry.unreadCount || 0) + 1;
+            if (connected.has(uid)) {
+                entry.lastDeliveredAt = newMessage.createdAt;
+            }
+        }
+    });
+
+    await conversation.save();
+
+    // Real-time emits
+    const serialized = serializeMessage(newMessage);
+    const messageDTO = {
+        id: newMessage._id,
+        clientMessageId: newMessage.clientMessageId || null,
+        content: newMessage.message,
+        senderId: newMessage.senderId,
+        receiverId: newMessage.receiverId,
+        createdAt: newMessage.createdAt,
+        attachments: serialized.attachments,
+        replyTo: serialized.replyTo,
+        editableUntil: serialized.editableUntil,
+        // Only meaningful to the sender's own sessions
+        status: getMessageStatus(
+            newMessage,
+            getStatusWatermarks(conversation, senderId)
+        ),
+    };
+
+    // Send a user-specific unreadCount in the patch
+    const patchFor = (uid) => {
+        const entry = conversation.reads.find(
+            (r) => r.userId.toString() === uid.toString()
+        );
+        return {
+            _id: conversation._id,
+            lastMessage: formatLastMessage(conversation.lastMessage),
+            unreadCount: entry?.unreadCount || 0,
+        };
+    };
+
+    const memberIds = conversation.participants.map((p) => p.toString());
+
+    const change = { conversationId: conversation._id };
+
+    emitSyncedToUsers(
+        memberIds,
+        "message:new",
+        { conversationId: conversation._id, message: messageDTO },
+        { ...change, messageId: newMessage._id }
+    );
+    emitSyncedToUsers(memberIds, "conversation:updated", patchFor, change);
+    if (isNewConversation) {
+        emitSyncedToUsers(
+            memberIds,
+            "conversation:created",
+            (uid) => ({
+                _id: conversation._id,
+                isGroup: conversation.isGroup,
+                name: conversation.name,
+                participants: conversation.participants,
+                admins: conversation.admins,
+                lastMessage: patchFor(uid).lastMessage,
+                unreadCount: patchFor(uid).unreadCount,
+            }),
+            change
+        );
+    }
+
+    return newMessage;
+};
 
 export const sendMessage = async (req, res) => {
-    const { message } = req.body;
+    const message = req.body?.message?.trim() || "";
+    const files = req.files || [];
     const { receiverId } = req.params; // Get the user ID to chat with from the request parameters
     const senderId = req.user._id; // Get sender ID from authenticated user
 
+    if (!mongoose.isValidObjectId(receiverId)) {
+        return res.status(400).json({ message: "Invalid receiver ID" });
+    }
+    if (!message && files.length === 0) {
+        return res.status(400).json({ message: "Message cannot be empty" });
+    }
+
+    const { clientMessageId, error } = parseClientMessageId(
+        req.body?.clientMessageId
+    );
+    if (error) return res.status(400).json({ message: error });
+
+    const replay = {
+        senderId,
+        clientMessageId,
+        isSameTarget: (original) =>
+            original.receiverId?.toString() === receiverId,
+    };
+
     try {
-        let conversation = await Conversation.findOne({
-            participants: { $all: [senderId, receiverId] },
-        });
+        if (await replayOriginal(res, replay)) return;
+
+        const blocked = await checkBlocked(req.user, receiverId);
+        if (blocked.error) {
+            return res.status(403).json({ message: blocked.error });
+        }
+
+        let conversation = await Conversation.findOne(
+            directConversationQuery(senderId, receiverId)
+        );
+
+        const reply = await resolveReplyTarget(
+            conversation,
+            req.body?.replyTo,
+            senderId
+        );
+        if (reply.error) return res.status(400).json({ message: reply.error });
 
         const isNewConversation = !conversation;
 
@@ -114,92 +697,100 @@ export const sendMessage = async (req, res) => {
             });
         }
 
-        const newMessage = await Message.create({
+        const newMessage = await deliverMessage({
+            conversation,
             senderId,
             receiverId,
             message,
+            files,
+            replyTo: reply.replyTo,
+            clientMessageId,
+            isNewConversation,
         });
         if (!newMessage)
             return res.status(500).json({ message: "Failed to send message" });
 
-        conversation.messages.push(newMessage._id);
+        res.status(201).json({
+            message: "Message sent successfully",
+            data: serializeMessage(
+                newMessage,
+                getStatusWatermarks(conversation, senderId)
+            ),
+        });
+    } catch (error) {
+        // A concurrent retry created the message first
+        if (error.code === 11000 && (await replayOriginal(res, replay))) return;
+        console.error("Error in sendMessage controller:", error.message);
+        res.status(500).json({ message: "Internal server error" });
+    }
+};
 
-        // Ensure read entries exist
-        conversation.reads = conversation.reads || [];
-        const ensureRead = (uid) => {
-            if (
-                !conversation.reads.find(
-                    (r) => r.userId.toString() === uid.toString()
-                )
-            ) {
-                conversation.reads.push({
-                    userId: uid,
-                    lastReadAt: null,
-                    unreadCount: 0,
-                });
-            }
-        };
-        ensureRead(senderId);
-        ensureRead(receiverId);
+export const sendGroupMessage = async (req, res) => {
+    const message = req.body?.message?.trim() || "";
+    const files = req.files || [];
+    const { conversationId } = req.params;
+    const senderId = req.user._id;
 
-        // Increment receiver unread; sender stays the same (optionally mark sender read now)
-        const recvEntry = conversation.reads.find(
-            (r) => r.userId.toString() === receiverId.toString()
-        );
-        recvEntry.unreadCount = (recvEntry.unreadCount || 0) + 1;
+    if (!mongoose.isValidObjectId(conversationId)) {
+        return res.status(400).json({ message: "Invalid conversation ID" });
+    }
+    if (!message && files.length === 0) {
+        return res.status(400).json({ message: "Message cannot be empty" });
+    }
 
-        await conversation.save();
+    const { clientMessageId, error } = parseClientMessageId(
+        req.body?.clientMessageId
+    );
+    if (error) return res.status(400).json({ message: error });
 
-        // Real-time emits
-        const messageDTO = {
-            id: newMessage._id,
-            content: newMessage.message,
-            senderId: newMessage.senderId,
-            receiverId: newMessage.receiverId,
-            createdAt: newMessage.createdAt,
-        };
+    const replay = {
+        senderId,
+        clientMessageId,
+        isSameTarget: (original) =>
+            original.conversationId.toString() === conversationId,
+    };
 
-        // Send a user-specific unreadCount in the patch
-        const patchFor = (uid) => {
-            const entry = conversation.reads.find(
-                (r) => r.userId.toString() === uid.toString()
-            );
-            return {
-                _id: conversation._id,
-                lastMessage: {
-                    content: newMessage.message,
-                    sender: senderId,
-                    createdAt: newMessage.createdAt,
-                },
-                unreadCount: entry?.unreadCount || 0,
-            };
-        };
+    try {
+        if (await replayOriginal(res, replay)) return;
 
-        [senderId.toString(), receiverId.toString()].forEach((uid) => {
-            const sockets = getReceiverSocketIds(uid);
-            sockets.forEach((sid) => {
-                io.to(sid).emit("message:new", {
-                    conversationId: conversation._id,
-                    message: messageDTO,
-                });
-                io.to(sid).emit("conversation:updated", patchFor(uid));
-                if (isNewConversation) {
-                    io.to(sid).emit("conversation:created", {
-                        _id: conversation._id,
-                        participants: conversation.participants,
-                        lastMessage: patchFor(uid).lastMessage,
-                        unreadCount: patchFor(uid).unreadCount,
-                    });
-                }
-            });
+        const conversation = await Conversation.findOne({
+            _id: conversationId,
+            isGroup: true,
         });
+        if (!conversation)
+            return res.status(404).json({ message: "Group not found" });
+
+        if (!isParticipant(conversation, senderId))
+            return res.status(403).json({ message: "Forbidden" });
+
+        const reply = await resolveReplyTarget(
+            conversation,
+            req.body?.replyTo,
+            senderId
+        );
+        if (reply.error) return res.status(400).json({ message: reply.error });
+
+        const newMessage = await deliverMessage({
+            conversation,
+            senderId,
+            message,
+            files,
+            replyTo: reply.replyTo,
+            clientMessageId,
+        });
+        if (!newMessage)
+            return res.status(500).json({ message: "Failed to send message" });
 
         res.status(201).json({
             message: "Message sent successfully",
-            data: newMessage,
+            data: serializeMessage(
+                newMessage,
+                getStatusWatermarks(conversation, senderId)
+            ),
         });
     } catch (error) {
-        console.error("Error in sendMessage controller:", error.message);
+        if (error.code === 11000 && (await replayOriginal(res, replay))) return;
+        console.error("Error in sendGroupMessage controller:", error.message);
         res.status(500).json({ message: "Internal server error" });
     }
 };
@@ -208,10 +799,17 @@ export const getMessages = async (req, res) => {
     const { receiverId } = req.params; // Get the user ID to chat with from the request parameters
     const senderId = req.user._id; // Get sender ID from authenticated user
 
+    if (!mongoose.isValidObjectId(receiverId)) {
+        return res.status(400).json({ message: "Invalid receiver ID" });
+    }
+
+    const page = parsePageParams(req.query);
+    if (page.error) return res.status(400).json({ message: page.error });
+
     try {
-        const conversation = await Conversation.findOne({
-            participants: { $all: [senderId, receiverId] },
-        }).populate("messages"); // NOT REFERENCE BUT ACTUAL MESSAGES
+        const conversation = await Conversation.findOne(
+            directConversationQuery(senderId, receiverId)
+        );
 
         if (!conversation) {
             // return res.status(404).json({ message: "Conversation not found" });
@@ -219,18 +817,576 @@ export const getMessages = async (req, res) => {
             return res.status(200).json({
                 message: "No messages yet",
                 data: [],
+                hasMore: false,
             });
         }
 
-        // If conversation exists, retrieve messages
-        const messages = conversation.messages;
+        // If conversation exists, retrieve the requested page
+        const { messages, hasMore } = await findMessagePage(
+            conversation,
+            senderId,
+            page
+        );
 
         res.status(200).json({
             message: "Messages retrieved successfully",
             data: messages,
+            hasMore,
         });
     } catch (error) {
         console.error("Error in getMessages controller:", error.message);
         res.status(500).json({ message: "Internal server error" });
     }
 };
+
+export const getGroupMessages = async (req, res) => {
+    const { conversationId } = req.params;
+    const userId = req.user._id;
+
+    if (!mongoose.isValidObjectId(conversationId)) {
+        return res.status(400).json({ message: "Invalid conversation ID" });
+    }
+
+    const page = parsePageParams(req.query);
+    if (page.error) return res.status(400).json({ message: page.error });
+
+    try {
+        const conversation = await Conversation.findOne({
+            _id: conversationId,
+            isGroup: true,
+        });
+        if (!conversation)
+            return res.status(404).json({ message: "Group not found" });
+
+        if (!isParticipant(conversation, userId))
+            return res.status(403).json({ message: "Forbidden" });
+
+        const { messages, hasMore } = await findMessagePage(
+            conversation,
+            userId,
+            page
+        );
+
+        res.status(200).json({
+            message: "Messages retrieved successfully",
+            data: messages,
+            hasMore,
+        });
+    } catch (error) {
+        console.error("Error in getGroupMessages controller:", error.message);
+        res.status(500).json({ message: "Internal server error" });
+    }
+};
+
+export const editMessage = async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user._id;
+    const content = req.body?.message?.trim();
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ message: "Invalid message ID" });
+    }
+    if (!content) {
+        return res.status(400).json({ message: "Message cannot be empty" });
+    }
+
+    try {
+        const message = await Message.findById(id).populate(
+            "replyTo",
+            REPLY_FIELDS
+        );
+        if (!message)
+            return res.status(404).json({ message: "Message not found" });
+
+        if (message.senderId.toString() !== userId.toString())
+            return res
+                .status(403)
+                .json({ message: "You can only edit your own messages" });
+
+        if (message.deletedAt)
+            return res
+                .status(403)
+                .json({ message: "Deleted messages cannot be edited" });
+
+        const { editableUntil } = serializeMessage(message);
+        if (Date.now() > editableUntil.getTime())
+            return res
+                .status(403)
+                .json({ message: "This message can no longer be edited" });
+
+        // Nothing changed; don't grow the history
+        if (content === message.message) {
+            return res.json({
+                message: "Message unchanged",
+                data: serializeMessage(message),
+            });
+        }
+
+        message.edits.push({
+            message: message.message,
+            createdAt: message.editedAt || message.createdAt,
+        });
+        message.message = content;
+        message.editedAt = new Date();
+        await message.save();
+
+        const conversation = await Conversation.findById(
+            message.conversationId
+        );
+        const isLastMessage =
+            conversation?.lastMessage?.messageId?.toString() ===
+            message._id.toString();
+        if (isLastMessage) {
+            conversation.lastMessage.content = content;
+            await conversation.save();
+        }
+
+        const data = serializeMessage(message);
+
+        if (conversation) {
+            const memberIds = conversation.participants.map((p) =>
+                p.toString()
+            );
+            const change = {
+                conversationId: conversation._id,
+                messageId: message._id,
+            };
+            emitSyncedToUsers(
+                memberIds,
+                "message:edited",
+                {
+                    conversationId: conversation._id,
+                    message: {
+                        id: message._id,
+                        content: message.message,
+                        editedAt: message.editedAt,
+                        edits: data.edits,
+                    },
+                },
+                change
+            );
+            if (isLastMessage) {
+                // Users who hid this message keep their own preview
+                const hiddenFor = message.deletedFor.map((u) => u.toString());
+                emitSyncedToUsers(
+                    memberIds.filter((uid) => !hiddenFor.includes(uid)),
+                    "conversation:updated",
+                    {
+                        _id: conversation._id,
+                        lastMessage: formatLastMessage(
+                            conversation.lastMessage
+                        ),
+                    },
+                    { conversationId: conversation._id }
+                );
+            }
+        }
+
+        res.json({ message: "Message edited", data });
+    } catch (error) {
+        console.error("Error in editMessage controller:", error.message);
+        if (error.name === "ValidationError") {
+            return res.status(400).json({ message: error.message });
+        }
+        res.status(500).json({ message: "Internal server error" });
+    }
+};
+
+// The message was unread for the user if they didn't send it and haven't read past it
+const wasUnreadFor = (conversation, message, uid) => {
+    if (message.senderId.toString() === uid.toString()) return false;
+    const entry = conversation.reads.find(
+        (r) => r.userId.toString() === uid.toString()
+    );
+    return Boolean(
+        entry &&
+        entry.unreadCount > 0 &&
+        (!entry.lastReadAt || entry.lastReadAt < message.createdAt)
+    );
+};
+
+const unreadCountFor = (conversation, uid) =>
+    conversation.reads.find((r) => r.userId.toString() === uid.toString())
+        ?.unreadCount || 0;
+
+export const deleteMessage = async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user._id;
+    const mode = req.query.mode || "me";
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ message: "Invalid message ID" });
+    }
+    if (!["me", "everyone"].includes(mode)) {
+        return res.status(400).json({ message: "Invalid delete mode" });
+    }
+
+    try {
+        const message = await Message.findById(id);
+        if (!message)
+            return res.status(404).json({ message: "Message not found" });
+
+        const conversation = await Conversation.findById(
+            message.conversationId
+        );
+        if (!conversation || !isParticipant(conversation, userId))
+            return res.status(403).json({ message: "Forbidden" });
+
+        const isLastMessage =
+            conversation.lastMessage?.messageId?.toString() ===
+            message._id.toString();
+
+        if (mode === "me") {
+            if (
+                message.deletedFor.some(
+                    (u) => u.toString() === userId.toString()
+                )
+            ) {
+                return res.json({
+                    message: "Message deleted",
+                    data: { messageId: message._id, mode },
+                });
+            }
+
+            const decrementUnread = wasUnreadFor(conversation, message, userId);
+
+            message.deletedFor.push(userId);
+            await message.save();
+
+            if (decrementUnread) {
+                const entry = conversation.reads.find(
+                    (r) => r.userId.toString() === userId.toString()
+                );
+                entry.unreadCount -= 1;
+                await conversation.save();
+            }
+
+            // The shared snapshot may now point at a message this user can't see
+            const lastMessage = isLastMessage
+                ? formatLastMessage(
+                      toLastMessageSnapshot(
+                          await findLatestVisibleMessage(
+                              conversation._id,
+                              userId
+                          )
+                      )
+                  )
+                : formatLastMessage(conversation.lastMessage);
+
+            emitSyncedToUsers(
+                [userId],
+                "message:deleted",
+                {
+                    conversationId: conversation._id,
+                    messageId: message._id,
+                    mode,
+                },
+                { conversationId: conversation._id, messageId: message._id }
+            );
+            emitSyncedToUsers(
+                [userId],
+                "conversation:updated",
+                {
+                    _id: conversation._id,
+                    lastMessage,
+                    unreadCount: unreadCountFor(conversation, userId),
+                },
+                { conversationId: conversation._id }
+            );
+
+            return res.json({
+                message: "Message deleted",
+                data: { messageId: message._id, mode },
+            });
+        }
+
+        if (message.senderId.toString() !== userId.toString())
+            return res
+                .status(403)
+                .json({ message: "You can only delete your own messages" });
+
+        if (!message.deletedAt) {
+            const memberIds = conversation.participants.map((p) =>
+                p.toString()
+            );
+            const unreadFor = memberIds.filter((uid) =>
+                wasUnreadFor(conversation, message, uid)
+            );
+
+            const storedFiles = message.attachments.map((a) => a.toObject());
+
+            message.deletedAt = new Date();
+            message.message = "";
+            message.attachments = [];
+            message.reactions = [];
+            message.edits = [];
+            message.editedAt = null;
+            await message.save();
+
+            conversation.reads.forEach((entry) => {
+                if (unreadFor.includes(entry.userId.toString())) {
+                    entry.unreadCount -= 1;
+                }
+            });
+            if (isLastMessage) {
+                conversation.lastMessage = toLastMessageSnapshot(message);
+            }
+            await conversation.save();
+            await removeAttachmentFiles(storedFiles);
+
+            emitSyncedToUsers(
+                memberIds,
+                "message:deleted",
+                {
+                    conversationId: conversation._id,
+                    messageId: message._id,
+                    mode,
+                },
+                { conversationId: conversation._id, messageId: message._id }
+            );
+
+            const hiddenFor = message.deletedFor.map((u) => u.toString());
+            emitSyncedToUsers(
+                memberIds,
+                "conversation:updated",
+                (uid) => ({
+                    _id: conversation._id,
+                    unreadCount: unreadCountFor(conversation, uid),
+                    // Users who hid the message already see an older preview
+                    ...(isLastMessage &&
+                        !hiddenFor.includes(uid) && {
+                            lastMessage: formatLastMessage(
+                                conversation.lastMessage
+                            ),
+                        }),
+                }),
+                { conversationId: conversation._id }
+            );
+        }
+
+        res.json({
+            message: "Message deleted",
+            data: { messageId: message._id, mode },
+        });
+    } catch (error) {
+        console.error("Error in deleteMessage controller:", error.message);
+        res.status(500).json({ message: "Internal server error" });
+    }
+};
+
+export const downloadAttachment = async (req, res) => {
+    const { messageId, attachmentId } = req.params;
+    const userId = req.user._id;
+
+    if (
+        !mongoose.Types.ObjectId.isValid(messageId) ||
+        !mongoose.Types.ObjectId.isValid(attachmentId)
+    ) {
+        return res.status(404).json({ message: "Attachment not found" });
+    }
+
+    try {
+        const message = await Message.findOne({
+            _id: messageId,
+            deletedAt: null,
+            deletedFor: { $ne: userId },
+        });
+        const attachment = message?.attachments.id(attachmentId);
+        if (!attachment)
+            return res.status(404).json({ message: "Attachment not found" });
+
+        const conversation = await Conversation.findById(
+            message.conversationId
+        ).select("participants");
+        if (!conversation || !isParticipant(conversation, userId))
+            return res.status(403).json({ message: "Forbidden" });
+
+        let stream;
+        try {
+            stream = await getStorageDriver(attachment.driver).createReadStream(
+                attachment.storageKey
+            );
+        } catch (error) {
+            if (error.code === "ENOENT")
+                return res.status(404).json({ message: "File not found" });
+            throw error;
+        }
+
+        const disposition = IMAGE_MIME_TYPES.includes(attachment.mimeType)
+            ? "inline"
+            : "attachment";
+        res.set({
+            "Content-Type": attachment.mimeType,
+            "Content-Length": attachment.size,
+            "Content-Disposition": `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.originalName)}`,
+            "Cache-Control": "private, max-age=3600",
+            "X-Content-Type-Options": "nosniff",
+        });
+
+        stream.on("error", (error) => {
+            console.error("Error streaming attachment:", error.message);
+            res.destroy(error);
+        });
+        stream.pipe(res);
+    } catch (error) {
+        console.error("Error in downloadAttachment controller:", error.message);
+        res.status(500).json({ message: "Internal server error" });
+    }
+};
+
+// One emoji (flags, skin tones and ZWJ sequences included), nothing else
+const EMOJI_PATTERN =
+    /^(?:\p{Extended_Pictographic}|\p{Regional_Indicator}|\p{Emoji_Modifier}|\p{Emoji_Component}|\u200d|\ufe0f)+$/u;
+const MAX_EMOJI_LENGTH = 32;
+
+const isEmoji = (value) =>
+    typeof value === "string" &&
+    value.length <= MAX_EMOJI_LENGTH &&
+    EMOJI_PATTERN.test(value) &&
+    /\p{Extended_Pictographic}|\p{Regional_Indicator}/u.test(value);
+
+export const toggleReaction = async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user._id;
+    const emoji = req.body?.emoji?.trim();
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ message: "Invalid message ID" });
+    }
+    if (!isEmoji(emoji)) {
+        return res.status(400).json({ message: "Invalid emoji" });
+    }
+
+    try {
+        const message = await Message.findOne({
+            _id: id,
+            deletedFor: { $ne: userId },
+        });
+        if (!message)
+            return res.status(404).json({ message: "Message not found" });
+
+        const conversation = await Conversation.findById(
+            message.conversationId
+        ).select("participants");
+        if (!conversation || !isParticipant(conversation, userId))
+            return res.status(403).json({ message: "Forbidden" });
+
+        if (message.deletedAt)
+            return res
+                .status(403)
+                .json({ message: "Deleted messages cannot be reacted to" });
+
+        const group = message.reactions.find((r) => r.emoji === emoji);
+        const hasReacted = group?.users.some(
+            (u) => u.toString() === userId.toString()
+        );
+
+        if (hasReacted) {
+            group.users = group.users.filter(
+                (u) => u.toString() !== userId.toString()
+            );
+            if (group.users.length === 0) {
+                message.reactions = message.reactions.filter(
+                    (r) => r.emoji !== emoji
+                );
+            }
+        } else if (group) {
+            group.users.push(userId);
+        } else {
+            message.reactions.push({ emoji, users: [userId] });
+        }
+        await message.save();
+
+        const { reactions } = serializeMessage(message);
+
+        emitSyncedToUsers(
+            conversation.participants,
+            "message:reaction",
+            {
+                conversationId: conversation._id,
+                messageId: message._id,
+                reactions,
+            },
+            { conversationId: conversation._id, messageId: message._id }
+        );
+
+        res.json({
+            message: hasReacted ? "Reaction removed" : "Reaction added",
+            data: { messageId: message._id, reactions },
+        });
+    } catch (error) {
+        console.error("Error in toggleReaction controller:", error.message);
+        res.status(500).json({ message: "Internal server error" });
+    }
+};
+
+const MIN_SEARCH_LENGTH = 2;
+const MAX_SEARCH_LENGTH = 200;
+
+export const searchMessages = async (req, res) => {
+    const userId = req.user._id;
+    const query = typeof req.query.q === "string" ? req.query.q.trim() : "";
+
+    if (query.length < MIN_SEARCH_LENGTH) {
+        return res.status(400).json({
+            message: `Search query must be at least ${MIN_SEARCH_LENGTH} characters`,
+        });
+    }
+    if (query.length > MAX_SEARCH_LENGTH) {
+        return res.status(400).json({
+            message: `Search query must be at most ${MAX_SEARCH_LENGTH} characters`,
+        });
+    }
+
+    const { conversationId } = req.query;
+    if (
+        conversationId !== undefined &&
+        !mongoose.Types.ObjectId.isValid(conversationId)
+    ) {
+        return res.status(400).json({ message: "Invalid conversation ID" });
+    }
+
+    const page = parsePageParams(req.query);
+    if (page.error) return res.status(400).json({ message: page.error });
+
+    try {
+        const conversationIds = await Conversation.find({
+            participants: userId,
+            ...(conversationId && { _id: conversationId }),
+        }).distinct("_id");
+        if (conversationId && conversationIds.length === 0) {
+            return res.status(404).json({ message: "Conversation not found" });
+        }
+
+        const filter = {
+            $text: { $search: query },
+            conversationId: { $in: conversationIds },
+            deletedAt: null,
+            deletedFor: { $ne: userId },
+        };
+        if (page.before) {
+            filter._id = { $lt: new mongoose.Types.ObjectId(page.before) };
+        }
+
+        const newestFirst = await Message.find(filter)
+            .select("conversationId senderId message createdAt")
+            .sort({ _id: -1 })
+            .limit(page.limit + 1);
+
+        const terms = parseSearchTerms(query);
+        res.status(200).json({
+            message: "Search completed",
+            data: newestFirst.slice(0, page.limit).map((message) => ({
+                _id: message._id,
+                conversationId: message.conversationId,
+                senderId: message.senderId,
+                createdAt: message.createdAt,
+                snippet: buildSnippet(message.message, terms),
+            })),
+            hasMore: newestFirst.length > page.limit,
+        });
+    } catch (error) {
+        console.error("Error in searchMessages controller:", error.message);
+        res.status(500).json({ message: "Internal server error" });
+    }
+};
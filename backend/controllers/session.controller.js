@@ -0,0 +1,118 @@
+/**
+ * Session Controller
+ * ------------------
+ * Lists and revokes the logged-in user's login sessions ("devices").
+ *
+ * Exports:
+ *   - getSessions: Lists the user's active sessions, most recently active first.
+ *   - revokeSession: Logs one session out.
+ *   - revokeOtherSessions: Logs out every session except the current one ("log out other devices").
+ *
+ * Formatted Session:
+ *   {
+ *       _id: "sessionId",
+ *       userAgent: "Mozilla/5.0 (...)",
+ *       ip: "203.0.113.7",
+ *       createdAt: Date,      // login time
+ *       lastActiveAt: Date,   // last request or socket connection (minute resolution)
+ *       expiresAt: Date,
+ *       current: true         // the session making this request
+ *   }
+ *
+ * Behavior:
+ *   - Revoking deletes the session, so its token is refused by `protectRoute` and the socket handshake,
+ *     and disconnects its live sockets right away (they receive `session:revoked` first).
+ *   - Revoking the current session also clears the caller's cookies, like logout.
+ *
+ * Responses:
+ *   - 400: Malformed session ID.
+ *   - 404: The session does not exist or belongs to someone else.
+ *   - 500: Internal server error.
+ *
+ * Example:
+ *   - GET    /api/auth/sessions          -> [ ...formatted sessions ]
+ *   - DELETE /api/auth/sessions/:id      -> { message }
+ *   - DELETE /api/auth/sessions          -> { message, revoked: 2 }
+ *
+ * Dependencies:
+ *   - mongoose: ObjectId validation.
+ *   - Session model.
+ *   - `revokeSessions` from the session utilities.
+ */
+
+import mongoose from "mongoose";
+import Session from "../models/session.model.js";
+import { revokeSessions, clearAuthCookies } from "../utils/sessions.js";
+
+const formatSession = (session, currentSessionId) => ({
+    _id: session._id,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastActiveAt: session.lastActiveAt,
+    expiresAt: session.expiresAt,
+    current: session._id.toString() === currentSessionId,
+});
+
+export const getSessions = async (req, res) => {
+    try {
+        const sessions = await Session.find({
+            userId: req.user._id,
+            expiresAt: { $gt: new Date() },
+        })
+            .sort({ lastActiveAt: -1 })
+            .lean();
+
+        res.status(200).json(
+            sessions.map((session) => formatSession(session, req.sessionId))
+        );
+    } catch (error) {
+        console.error("Error in getSessions controller:", error.message);
+        res.status(500).json({ message: "Internal server error" });
+    }
+};
+
+export const revokeSession = async (req, res) => {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+        return res.status(400).json({ message: "Invalid session ID" });
+    }
+
+    try {
+        const revoked = await revokeSessions(req.user._id, {
+            sessionIds: [id],
+        });
+        if (revoked === 0) {
+            return res.status(404).json({ message: "Session not found" });
+        }
+
+        if (id === req.sessionId) clearAuthCookies(res);
+
+        res.status(200).json({ message: "Session logged out" });
+    } catch (error) {
+        console.error("Error in revokeSession controller:", error.message);
+        res.status(500).json({ message: "Internal server error" });
+    }
+};
+
+export const revokeOtherSessions = async (req, res) => {
+    try {
+        const revoked = await revokeSessions(req.user._id, {
+            exceptSessionId: req.sessionId,
+        });
+
+        res.status(200).json({
+            message:
+                revoked === 1
+                    ? "Logged out 1 other device"
+                    : `Logged out ${revoked} other devices`,
+            revoked,
+        });
+    } catch (error) {
+        console.error(
+            "Error in revokeOtherSessions controller:",
+            error.message
+        );
+        res.status(500).json({ message: "Internal server error" });
+    }
+};
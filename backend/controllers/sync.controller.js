@@ -0,0 +1,172 @@
+/**
+ * Sync Controller
+ * ---------------
+ * Lets a client that was disconnected catch up on the real-time events it missed.
+ *
+ * Exports:
+ *   - getSync: Returns what changed for the logged-in user since a sequence number.
+ *
+ * Request:
+ *   - req.query.since: The `seq` of the last event the client applied (non-negative integer). Omitted, only
+ *     the current sequence number is returned (to start counting from).
+ *   - req.user._id: The ID of the authenticated user (set by the `protectRoute` middleware).
+ *
+ * Response (200):
+ *   {
+ *       seq: 42,                      // the user's current sequence number; continue from here
+ *       reset: false,                 // true: the delta is not available, reload everything instead
+ *       conversations: [...],         // changed conversations, formatted like `GET /api/conversations`
+ *       removedConversationIds: [...],// conversations the user left, was removed from, or that were deleted
+ *       messages: [...],              // sent, edited, deleted (tombstones) or reacted-to messages, oldest first,
+ *                                     // formatted like `GET /api/messages/:receiverId` (with `conversationId`)
+ *       removedMessageIds: [...]      // messages the user deleted for themselves
+ *   }
+ *
+ * How it works:
+ *   1. Every synced socket event (see `emitSyncedToUsers`) recorded which conversation and message it was
+ *      about under the next number of the user's sequence (`utils/syncLog.js`).
+ *   2. The events after `since` are read back, and the current state of those conversations and messages
+ *      is returned, so many changes to the same message collapse into one entry.
+ *   3. `reset` is set instead when `since` is ahead of the server, when the events right after it expired
+ *      (`SYNC_RETENTION_DAYS`), or when there are more than `MAX_DELTA_EVENTS`.
+ *   4. Events numbered but not stored yet (emits in flight) end the delta early: `seq` is then the last
+ *      event included, and the rest arrives over the socket or with the next sync.
+ *
+ * Responses:
+ *   - 400: `since` is not a non-negative integer.
+ *   - 500: Internal server error.
+ *
+ * Example:
+ *   - GET /api/sync              -> { seq: 42, reset: false, conversations: [], ... }
+ *   - GET /api/sync?since=40     -> { seq: 42, reset: false, conversations: [{ ... }], messages: [{ ... }], ... }
+ *   - GET /api/sync?since=3      -> { seq: 42, reset: true }
+ *
+ * Dependencies:
+ *   - Conversation, Message, SyncEvent and User models.
+ *   - conversationSummary and messageSerializer utilities for the response formats.
+ *   - messageStatus utilities for the `status` of the user's own messages.
+ */
+
+import Conversation from "../models/conversation.model.js";
+import Message from "../models/message.model.js";
+import SyncEvent from "../models/syncEvent.model.js";
+import User from "../models/user.model.js";
+import {
+    PARTICIPANT_FIELDS,
+    summarizeConversations,
+} from "../utils/conversationSummary.js";
+import { REPLY_FIELDS, serializeMessage } from "../utils/messageSerializer.js";
+import { getStatusWatermarks } from "../utils/messageStatus.js";
+import { createSyncConfig } from "../config/sync/sync.config.js";
+
+const parseSince = (value) => {
+    if (value === undefined) return { since: null };
+    if (typeof value !== "string" || !/^\d+$/.test(value)) {
+        return { error: "since must be a non-negative integer" };
+    }
+    return { since: Number(value) };
+};
+
+const uniqueIds = (ids) => [
+    ...new Set(ids.filter(Boolean).map((id) => id.toString())),
+];
+
+const emptyDelta = (seq) => ({
+    seq,
+    reset: false,
+    conversations: [],
+    removedConversationIds: [],
+    messages: [],
+    removedMessageIds: [],
+});
+
+export const getSync = async (req, res) => {
+    const userId = req.user._id;
+
+    const { since, error } = parseSince(req.query.since);
+    if (error) return res.status(400).json({ message: error });
+
+    try {
+        const user = await User.findById(userId).select("syncSeq").lean();
+        const seq = user?.syncSeq || 0;
+
+        res.set("Cache-Control", "no-store");
+        if (since === null || since === seq) {
+            return res.status(200).json(emptyDelta(seq));
+        }
+
+        const { MAX_DELTA_EVENTS } = createSyncConfig();
+        const missed = seq - since;
+        if (missed < 0 || missed > MAX_DELTA_EVENTS) {
+            return res.status(200).json({ seq, reset: true });
+        }
+
+        const recorded = await SyncEvent.find({
+            userId,
+            seq: { $gt: since, $lte: seq },
+        })
+            .sort({ seq: 1 })
+            .select("seq conversationId messageId")
+            .lean();
+        // Expired events leave a gap at the start we cannot fill
+        if (recorded[0]?.seq !== since + 1) {
+            return res.status(200).json({ seq, reset: true });
+        }
+        // Events still being recorded are left for the next sync
+        const gapAt = recorded.findIndex((e, i) => e.seq !== since + 1 + i);
+        const events = gapAt === -1 ? recorded : recorded.slice(0, gapAt);
+        const syncedUpTo = events[events.length - 1].seq;
+
+        const conversationIds = uniqueIds(events.map((e) => e.conversationId));
+        const conversations = await Conversation.find({
+            _id: { $in: conversationIds },
+            participants: userId,
+        })
+            .populate({ path: "participants", select: PARTICIPANT_FIELDS })
+            .lean();
+        const byId = new Map(conversations.map((c) => [c._id.toString(), c]));
+
+        // Messages of conversations the user is no longer in stay out
+        const changedMessages = await Message.find({
+            _id: { $in: uniqueIds(events.map((e) => e.messageId)) },
+            conversationId: { $in: conversations.map((c) => c._id) },
+        })
+            .sort({ _id: 1 })
+            .populate("replyTo", REPLY_FIELDS);
+
+        const messages = [];
+        const removedMessageIds = [];
+        changedMessages.forEach((message) => {
+            if (
+                message.deletedFor.some(
+                    (u) => u.toString() === userId.toString()
+                )
+            ) {
+                removedMessageIds.push(message._id);
+                return;
+            }
+            const isOwn = message.senderId.toString() === userId.toString();
+            const conversation = byId.get(message.conversationId.toString());
+            messages.push(
+                serializeMessage(
+                    message,
+                    isOwn ? getStatusWatermarks(conversation, userId) : null
+                )
+            );
+        });
+
+        res.status(200).json({
+            seq: syncedUpTo,
+            reset: false,
+            conversations: await summarizeConversations(conversations, userId),
+            removedConversationIds: conversationIds.filter(
+                (id) => !byId.has(id)
+            ),
+            messages,
+            removedMessageIds,
+        });
+    } catch (error) {
+        console.error("Error in getSync controller:", error.message);
+        res.status(500).json({ message: "Internal server error" });
+    }
+};
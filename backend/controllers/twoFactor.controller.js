@@ -0,0 +1,221 @@
+/**
+ * Two-Factor Controller
+ * ---------------------
+ * Enrollment and management of the logged-in user's TOTP two-factor authentication.
+ *
+ * Exports:
+ *   - getTwoFactorStatus: Whether 2FA is enabled and how many recovery codes are left.
+ *   - setupTwoFactor: Starts enrollment: a new secret, its provisioning URI and a QR code.
+ *   - enableTwoFactor: Completes enrollment with a code from the app; returns the recovery codes.
+ *   - regenerateRecoveryCodes: Replaces the recovery codes (requires an authenticator code).
+ *   - disableTwoFactor: Turns 2FA off (requires the password and a code).
+ *
+ * Enrollment:
+ *   1. `POST /api/auth/2fa/setup` stores a pending secret and responds with
+ *      `{ secret, otpauthUri, qrCode }`; `qrCode` is a PNG data URL of `otpauthUri`.
+ *   2. The user scans it (or types `secret`) into an authenticator app.
+ *   3. `POST /api/auth/2fa/enable` with `{ code }` checks the first code against the pending secret,
+ *      switches 2FA on and responds with ten one-time recovery codes. They are shown only once;
+ *      only their SHA-256 digests are stored.
+ *
+ * Behavior:
+ *   - From then on `login` answers with a challenge instead of a session (see `auth.controller.js`).
+ *   - Running setup again before enabling simply replaces the pending secret.
+ *   - Disabling accepts an authenticator code or a recovery code next to the password, so a user who
+ *     lost their device can still turn 2FA off.
+ *
+ * Responses:
+ *   - 400: Missing or wrong password or code, or no pending enrollment.
+ *   - 409: 2FA is already enabled (setup / enable).
+ *   - 500: Internal server error.
+ *
+ * Example:
+ *   - GET  /api/auth/2fa                  -> { enabled: true, recoveryCodesLeft: 8 }
+ *   - POST /api/auth/2fa/setup            -> { secret, otpauthUri, qrCode }
+ *   - POST /api/auth/2fa/enable           Body: { "code": "123456" } -> { message, recoveryCodes }
+ *   - POST /api/auth/2fa/recovery-codes   Body: { "code": "123456" } -> { message, recoveryCodes }
+ *   - POST /api/auth/2fa/disable          Body: { "password": "...", "code": "123456" } -> { message }
+ *
+ * Dependencies:
+ *   - bcrypt: Password check when disabling.
+ *   - qrcode: Renders the provisioning URI.
+ *   - TOTP and two-factor utilities (`utils/totp.js`, `utils/twoFactor.js`).
+ */
+
+import bcrypt from "bcrypt";
+import QRCode from "qrcode";
+import User from "../models/user.model.js";
+import {
+    generateTotpSecret,
+    buildOtpauthUri,
+    verifyTotp,
+    generateRecoveryCodes,
+    hashRecoveryCode,
+} from "../utils/totp.js";
+import { verifySecondFactor } from "../utils/twoFactor.js";
+import { createAuthConfig } from "../config/auth/auth.config.js";
+
+const findWithTwoFactor = (userId) =>
+    User.findById(userId).select("+twoFactor");
+
+export const getTwoFactorStatus = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id)
+            .select("+twoFactor")
+            .lean();
+        const enabled = Boolean(user?.twoFactor?.enabled);
+
+        res.status(200).json({
+            enabled,
+            recoveryCodesLeft: enabled
+                ? user.twoFactor.recoveryCodes.length
+                : 0,
+        });
+    } catch (error) {
+        console.error("Error in getTwoFactorStatus controller:", error.message);
+        res.status(500).json({ message: "Internal server error" });
+    }
+};
+
+export const setupTwoFactor = async (req, res) => {
+    try {
+        const user = await findWithTwoFactor(req.user._id);
+        if (user.twoFactor?.enabled) {
+            return res.status(409).json({
+                message: "Two-factor authentication is already enabled",
+            });
+        }
+
+        const { TWO_FACTOR_ISSUER } = createAuthConfig();
+        const secret = generateTotpSecret();
+        const otpauthUri = buildOtpauthUri({
+            secret,
+            accountName: user.username,
+            issuer: TWO_FACTOR_ISSUER,
+        });
+
+        await User.updateOne(
+            { _id: user._id },
+            { $set: { "twoFactor.pendingSecret": secret } }
+        );
+
+        res.status(200).json({
+            secret,
+            otpauthUri,
+            qrCode: await QRCode.toDataURL(otpauthUri, { margin: 1 }),
+        });
+    } catch (error) {
+        console.error("Error in setupTwoFactor controller:", error.message);
+        res.status(500).json({ message: "Internal server error" });
+    }
+};
+
+export const enableTwoFactor = async (req, res) => {
+    try {
+        const user = await findWithTwoFactor(req.user._id);
+        if (user.twoFactor?.enabled) {
+            return res.status(409).json({
+                message: "Two-factor authentication is already enabled",
+            });
+        }
+
+        const pendingSecret = user.twoFactor?.pendingSecret;
+        if (!pendingSecret) {
+            return res
+                .status(400)
+                .json({ message: "Start two-factor setup first" });
+        }
+
+        const step = verifyTotp(pendingSecret, req.body?.code);
+        if (step === null) {
+            return res
+                .status(400)
+                .json({ message: "Invalid authentication code" });
+        }
+
+        const recoveryCodes = generateRecoveryCodes();
+        await User.updateOne(
+            { _id: user._id },
+            {
+                $set: {
+                    twoFactor: {
+                        enabled: true,
+                        secret: pendingSecret,
+                        pendingSecret: null,
+                        recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+                        lastUsedStep: step,
+                    },
+                },
+            }
+        );
+
+        res.status(200).json({
+            message: "Two-factor authentication enabled",
+            recoveryCodes,
+        });
+    } catch (error) {
+        console.error("Error in enableTwoFactor controller:", error.message);
+        res.status(500).json({ message: "Internal server error" });
+    }
+};
+
+export const regenerateRecoveryCodes = async (req, res) => {
+    try {
+        const user = await findWithTwoFactor(req.user._id);
+        const { error } = await verifySecondFactor(user, {
+            code: req.body?.code,
+        });
+        if (error) return res.status(400).json({ message: error });
+
+        const recoveryCodes = generateRecoveryCodes();
+        await User.updateOne(
+            { _id: user._id },
+            {
+                $set: {
+                    "twoFactor.recoveryCodes":
+                        recoveryCodes.map(hashRecoveryCode),
+                },
+            }
+        );
+
+        res.status(200).json({
+            message: "New recovery codes generated",
+            recoveryCodes,
+        });
+    } catch (error) {
+        console.error(
+            "Error in regenerateRecoveryCodes controller:",
+            error.message
+        );
+        res.status(500).json({ message: "Internal server error" });
+    }
+};
+
+export const disableTwoFactor = async (req, res) => {
+    const { password, code, recoveryCode } = req.body || {};
+    if (!password) {
+        return res.status(400).json({ message: "Password is required" });
+    }
+
+    try {
+        const user = await findWithTwoFactor(req.user._id);
+        if (!(await bcrypt.compare(password, user?.password || ""))) {
+            return res.status(400).json({ message: "Password is incorrect" });
+        }
+
+        const { error } = await verifySecondFactor(user, {
+            code,
+            recoveryCode,
+        });
+        if (error) return res.status(400).json({ message: error });
+
+        await User.updateOne({ _id: user._id }, { $unset: { twoFactor: 1 } });
+
+        res.status(200).json({
+            message: "Two-factor authentication disabled",
+        });
+    } catch (error) {
+        console.error("Error in disableTwoFactor controller:", error.message);
+        res.status(500).json({ message: "Internal server error" });
+    }
+};
@@ -6,19 +6,27 @@
  * Exports:
  *   - getUsersForSidebar: Retrieves a list of all users except the currently logged-in user.
  *   - getCurrentUser: Retrieves the profile of the currently logged-in user.
+ *   - updateProfile: Changes the logged-in user's full name, bio and/or status text.
+ *   - updatePresence: Sets the logged-in user's presence to online, do not disturb or invisible.
+ *   - updateAvatar: Resizes and stores an uploaded avatar image for the logged-in user.
+ *   - deleteAvatar: Removes the logged-in user's uploaded avatar (back to the RoboHash default).
+ *   - getAvatar: Streams a user's uploaded avatar.
+ *   - getBlockedUsers: Lists the users the logged-in user blocked.
+ *   - blockUser / unblockUser: Adds a user to or removes them from the logged-in user's block list.
  *
  * getUsersForSidebar(req, res)
  * ----------------------------
- * Retrieves a list of all users except the currently logged-in user.
+ * Retrieves a list of all users except the currently logged-in user and the users they blocked.
  *
  * Request:
  *   - req.user._id: The logged-in user's ID (set by protectRoute middleware).
  *
  * How it works:
- *   1. Finds all users in the database whose `_id` does not match the logged-in user's ID.
- *      - Query: `{ _id: { $ne: loggedInUserId } }`
- *      - `$ne`: MongoDB operator meaning "not equal".
- *   2. Excludes sensitive fields (`password`, `__v`) using `.select("-password -__v")`.
+ *   1. Finds all users in the database whose `_id` is neither the logged-in user's ID nor in their `blockedUsers`.
+ *      - Query: `{ _id: { $nin: [loggedInUserId, ...blockedUsers] } }`
+ *      - `$nin`: MongoDB operator meaning "not in".
+ *   2. Excludes sensitive and private fields (`password`, `avatar`, `email`, `tokenVersion`, `blockedUsers`,
+ *      `presenceStatus`, `syncSeq`, `__v`). `lastSeenAt` is included for the "last seen" line.
  *   3. Returns the list of users as a JSON response.
  *
  * Responses:
@@ -64,21 +72,228 @@
  *           "fullName": "John Doe",
  *           "username": "johndoe",
  *           "profilePicture": "https://example.com/avatar.png",
+ *           "bio": "Coffee first.",
+ *           "statusText": "In a meeting",
+ *           "presenceStatus": "online",
  *           "createdAt": "2023-01-01T00:00:00.000Z",
  *           "updatedAt": "2023-01-10T00:00:00.000Z"
  *       }
+ *
+ * updateProfile(req, res)
+ * -----------------------
+ * Changes the logged-in user's profile text fields.
+ *
+ * Request:
+ *   - req.body: Any of `fullName` (1–50 characters), `bio` (up to 160), `statusText` (up to 80) and
+ *     `email` (recovery address for password resets). Values are trimmed; an empty `bio`, `statusText`
+ *     or `email` clears it. Omitted fields are left unchanged.
+ *
+ * How it works:
+ *   1. Validates the fields (`parseProfileUpdate`).
+ *   2. Saves them and broadcasts `user:updated` with the public profile to every client, so names
+ *      and status lines refresh in the sidebar, conversation participants and chat headers.
+ *      The email is private: it is only returned to the user, never broadcast.
+ *
+ * Responses:
+ *   - 200: The updated profile (same shape as `getCurrentUser`).
+ *   - 400: No known field given, a field is not a string, a length limit is exceeded, or the email is malformed.
+ *   - 409: The email is already used by another account.
+ *   - 500: Internal server error.
+ *
+ * updatePresence(req, res)
+ * ------------------------
+ * Sets the presence the logged-in user chose.
+ *
+ * Request:
+ *   - req.body.status: "online", "dnd" (do not disturb) or "invisible". "away" is not chosen: clients
+ *     report it over the socket while idle.
+ *
+ * How it works:
+ *   1. Saves `presenceStatus`. Turning invisible also saves `lastSeenAt`: to everyone else the user
+ *      just went offline.
+ *   2. Applies the mode to the user's open sockets (`setPresenceMode`), which re-sends everyone's
+ *      `presence:statuses`; the user's other devices see their own new status there.
+ *
+ * Responses:
+ *   - 200: The updated profile (same shape as `getCurrentUser`).
+ *   - 400: Unknown status.
+ *   - 500: Internal server error.
+ *
+ * updateAvatar(req, res)
+ * ----------------------
+ * Replaces the logged-in user's avatar with an uploaded image.
+ *
+ * Request:
+ *   - `multipart/form-data` with one image in the `avatar` field (parsed by `uploadAvatar`).
+ *
+ * How it works:
+ *   1. Auto-rotates the image from its EXIF data, crops it to a centered square of
+ *      `AVATAR_SIZE_PX` (default 256) and re-encodes it as WebP with `sharp`. Re-encoding also
+ *      drops the original metadata (e.g. GPS location).
+ *   2. Saves it with the attachment storage driver, points `profilePicture` at `getAvatar`
+ *      (with a `v` query that changes on every upload) and removes the previous file.
+ *   3. Broadcasts `user:updated`.
+ *
+ * Responses:
+ *   - 200: The updated profile.
+ *   - 400: No file, or a file that is not a decodable image.
+ *   - 413 / 400: Size or type rejected by `uploadAvatar`.
+ *   - 500: Internal server error.
+ *
+ * deleteAvatar(req, res)
+ * ----------------------
+ * Removes the uploaded avatar: `profilePicture` goes back to the RoboHash URL assigned at signup
+ * and the stored file is deleted. Broadcasts `user:updated`. Responds 200 with the updated profile.
+ *
+ * getAvatar(req, res)
+ * -------------------
+ * Streams the uploaded avatar of the user in `req.params.id` as `image/webp`.
+ *
+ * Responses:
+ *   - 200: The image. Cacheable for a day: the URL changes whenever the avatar does.
+ *   - 404: Unknown user, or the user has no uploaded avatar.
+ *
+ * getBlockedUsers(req, res)
+ * -------------------------
+ * Responds 200 with the public profiles of the users the logged-in user blocked (for the "Blocked users" list).
+ *
+ * blockUser(req, res) / unblockUser(req, res)
+ * -------------------------------------------
+ * Blocks or unblocks the user in `req.params.id`.
+ *
+ * How it works:
+ *   1. `$addToSet` / `$pull` the ID on the logged-in user's `blockedUsers` (both are idempotent).
+ *   2. Refreshes the presence list of the user's sockets (`setBlockedUsers`), so a blocked user drops out of
+ *      their `presence:statuses` right away, and emits `blocks:updated` with `{ blockedUsers }` to all of their sessions.
+ *   3. While blocked, `sendMessage` refuses direct messages in both directions (see `message.controller.js`)
+ *      and the user is missing from `getUsersForSidebar`. Existing conversations and group chats stay.
+ *
+ * Responses:
+ *   - 200: `{ message, blockedUsers }` with the updated list of blocked user IDs.
+ *   - 400: Invalid user ID, or an attempt to block yourself.
+ *   - 404: Unknown user (block only).
+ *   - 500: Internal server error.
+ *
+ * Example:
+ *   - Request:
+ *       PATCH /api/users/me
+ *       { "statusText": "On holiday until Monday" }
+ *   - Broadcast:
+ *       socket.on("user:updated", ({ _id, fullName, username, profilePicture, bio, statusText }) => ...)
  */
 
+import mongoose from "mongoose";
+import sharp from "sharp";
 import User from "../models/user.model.js";
+import {
+    io,
+    emitToUsers,
+    setBlockedUsers,
+    setPresenceMode,
+} from "../socket/socket.js";
+import { getStorageDriver, removeAttachmentFiles } from "../storage/index.js";
+import { createProfileConfig } from "../config/profile/profile.config.js";
+
+// Editable text fields and their limits (mirrors the User schema)
+const PROFILE_TEXT_FIELDS = {
+    fullName: { min: 1, max: 50 },
+    bio: { min: 0, max: 160 },
+    statusText: { min: 0, max: 80 },
+};
+
+// Presence modes a user can choose ("away" is automatic)
+const PRESENCE_MODES = ["online", "dnd", "invisible"];
+
+// Loose on purpose: the reset email is the real check
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const EMAIL_MAX_LENGTH = 254;
+
+const FIELD_LABELS = {
+    fullName: "Full name",
+    bio: "Bio",
+    statusText: "Status",
+};
+
+// The fields anyone may see; never includes the password or avatar storage details
+const serializeProfile = (user) => ({
+    _id: user._id,
+    fullName: user.fullName,
+    username: user.username,
+    profilePicture: user.profilePicture,
+    bio: user.bio || "",
+    statusText: user.statusText || "",
+});
+
+// What the user sees about themselves (`GET /me` and the profile update responses)
+const serializeOwnProfile = (user) => ({
+    ...serializeProfile(user),
+    email: user.email || "",
+    presenceStatus: user.presenceStatus || "online",
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt,
+});
+
+const broadcastProfile = (user) => {
+    io.emit("user:updated", serializeProfile(user));
+};
+
+const defaultProfilePicture = (username) =>
+    `https://robohash.org/${username}.png`;
+
+const parseProfileUpdate = (body = {}) => {
+    const updates = {};
+
+    for (const [field, { min, max }] of Object.entries(PROFILE_TEXT_FIELDS)) {
+        if (body[field] === undefined) continue;
+        if (typeof body[field] !== "string") {
+            return { error: `${FIELD_LABELS[field]} must be text` };
+        }
+
+        const value = body[field].trim();
+        if (value.length < min) {
+            return { error: `${FIELD_LABELS[field]} is required` };
+        }
+        if (value.length > max) {
+            return {
+                error: `${FIELD_LABELS[field]} must be at most ${max} characters`,
+            };
+        }
+        updates[field] = value;
+    }
+
+    if (body.email !== undefined) {
+        if (typeof body.email !== "string") {
+            return { error: "Email must be text" };
+        }
+        const email = body.email.trim().toLowerCase();
+        if (
+            email &&
+            (email.length > EMAIL_MAX_LENGTH || !EMAIL_PATTERN.test(email))
+        ) {
+            return { error: "Enter a valid email address" };
+        }
+        // An empty value removes the address (unset keeps the sparse index usable)
+        updates.email = email || undefined;
+    }
+
+    if (Object.keys(updates).length === 0) {
+        return { error: "Nothing to update" };
+    }
+    return { updates };
+};
 
 export const getUsersForSidebar = async (req, res) => {
     const loggedInUserId = req.user._id; // Get logged-in user ID from authenticated user
 
     try {
-        // Fetch all users except the logged-in user (loggedInUserId)
-        const allUsers = await User.find({ _id: { $ne: loggedInUserId } })
-            .select("-password -__v")
-            .lean(); // Exclude password and version field
+        // Fetch all users except the logged-in user (loggedInUserId) and the users they blocked
+        const allUsers = await User.find({
+            _id: { $nin: [loggedInUserId, ...(req.user.blockedUsers || [])] },
+        })
+            .select(
+                "-password -avatar -email -tokenVersion -blockedUsers -presenceStatus -syncSeq -__v"
+            )
+            .lean(); // Exclude password, private and internal fields
         res.status(200).json(allUsers);
     } catch (error) {
         console.error("Error fetching users for sidebar: ", error.message);
@@ -93,16 +308,240 @@ export const getCurrentUser = async (req, res) => {
         const user = req.user;
 
         // Return user data without sensitive information
-        res.status(200).json({
-            _id: user._id,
-            fullName: user.fullName,
-            username: user.username,
-            profilePicture: user.profilePicture,
-            createdAt: user.createdAt,
-            updatedAt: user.updatedAt,
-        });
+        res.status(200).json(serializeOwnProfile(user));
     } catch (error) {
         console.error("Error fetching current user:", error.message);
         res.status(500).json({ error: "Internal server error" });
     }
 };
+
+export const updateProfile = async (req, res) => {
+    const { updates, error } = parseProfileUpdate(req.body);
+    if (error) return res.status(400).json({ message: error });
+
+    try {
+        const user = req.user;
+        Object.assign(user, updates);
+        await user.save();
+
+        broadcastProfile(user);
+
+        res.status(200).json(serializeOwnProfile(user));
+    } catch (error) {
+        if (error.code === 11000) {
+            return res
+                .status(409)
+                .json({ message: "That email is already in use" });
+        }
+        console.error("Error in updateProfile controller:", error.message);
+        res.status(500).json({ message: "Internal server error" });
+    }
+};
+
+export const updatePresence = async (req, res) => {
+    const { status } = req.body || {};
+    if (!PRESENCE_MODES.includes(status)) {
+        return res.status(400).json({
+            message: `Status must be one of: ${PRESENCE_MODES.join(", ")}`,
+        });
+    }
+
+    try {
+        const user = req.user;
+        // Others saw the user online until now
+        if (status === "invisible" && user.presenceStatus !== "invisible") {
+            user.lastSeenAt = new Date();
+        }
+        user.presenceStatus = status;
+        await user.save();
+
+        await setPresenceMode(user._id, status);
+
+        res.status(200).json(serializeOwnProfile(user));
+    } catch (error) {
+        console.error("Error in updatePresence controller:", error.message);
+        res.status(500).json({ message: "Internal server error" });
+    }
+};
+
+export const updateAvatar = async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ message: "No image uploaded" });
+    }
+
+    const { AVATAR_SIZE_PX } = createProfileConfig();
+
+    let buffer;
+    try {
+        buffer = await sharp(req.file.buffer)
+            .rotate()
+            .resize(AVATAR_SIZE_PX, AVATAR_SIZE_PX, { fit: "cover" })
+            .webp({ quality: 85 })
+            .toBuffer();
+    } catch (error) {
+        console.error("Error resizing avatar:", error.message);
+        return res
+            .status(400)
+            .json({ message: "The file is not a valid image" });
+    }
+
+    try {
+        const user = req.user;
+        const storage = getStorageDriver();
+        const { key } = await storage.save({
+            buffer,
+            originalName: "avatar.webp",
+        });
+
+        const previous = user.avatar;
+        user.avatar = { driver: storage.name, storageKey: key };
+        user.profilePicture = `/api/users/${user._id}/avatar?v=${Date.now()}`;
+        try {
+            await user.save();
+        } catch (error) {
+            await removeAttachmentFiles([user.avatar]);
+            throw error;
+        }
+
+        if (previous) await removeAttachmentFiles([previous]);
+        broadcastProfile(user);
+
+        res.status(200).json(serializeOwnProfile(user));
+    } catch (error) {
+        console.error("Error in updateAvatar controller:", error.message);
+        res.status(500).json({ message: "Internal server error" });
+    }
+};
+
+export const deleteAvatar = async (req, res) => {
+    try {
+        const user = req.user;
+        const previous = user.avatar;
+
+        user.avatar = null;
+        user.profilePicture = defaultProfilePicture(user.username);
+        await user.save();
+
+        if (previous) await removeAttachmentFiles([previous]);
+        broadcastProfile(user);
+
+        res.status(200).json(serializeOwnProfile(user));
+    } catch (error) {
+        console.error("Error in deleteAvatar controller:", error.message);
+        res.status(500).json({ message: "Internal server error" });
+    }
+};
+
+export const getAvatar = async (req, res) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(404).json({ message: "Avatar not found" });
+    }
+
+    try {
+        const user = await User.findById(id).select("avatar").lean();
+        if (!user?.avatar) {
+            return res.status(404).json({ message: "Avatar not found" });
+        }
+
+        let stream;
+        try {
+            stream = await getStorageDriver(
+                user.avatar.driver
+            ).createReadStream(user.avatar.storageKey);
+        } catch (error) {
+            if (error.code === "ENOENT")
+                return res.status(404).json({ message: "Avatar not found" });
+            throw error;
+        }
+
+        res.set({
+            "Content-Type": "image/webp",
+            "Cache-Control": "private, max-age=86400",
+            "X-Content-Type-Options": "nosniff",
+        });
+
+        stream.on("error", (error) => {
+            console.error("Error streaming avatar:", error.message);
+            res.destroy(error);
+        });
+        stream.pipe(res);
+    } catch (error) {
+        console.error("Error in getAvatar controller:", error.message);
+        res.status(500).json({ message: "Internal server error" });
+    }
+};
+
+export const getBlockedUsers = async (req, res) => {
+    try {
+        const users = await User.find({
+            _id: { $in: req.user.blockedUsers || [] },
+        })
+            .select("fullName username profilePicture bio statusText")
+            .lean();
+        res.status(200).json(users.map(serializeProfile));
+    } catch (error) {
+        console.error("Error in getBlockedUsers controller:", error.message);
+        res.status(500).json({ message: "Internal server error" });
+    }
+};
+
+// Apply a block list change and tell the user's sockets about it
+const updateBlockList = async (req, res, update, message) => {
+    const userId = req.user._id;
+    const user = await User.findByIdAndUpdate(userId, update, {
+        new: true,
+    })
+        .select("blockedUsers")
+        .lean();
+
+    const blockedUsers = (user?.blockedUsers || []).map((id) => id.toString());
+    setBlockedUsers(userId, blockedUsers);
+    emitToUsers([userId], "blocks:updated", { blockedUsers });
+
+    res.status(200).json({ message, blockedUsers });
+};
+
+export const blockUser = async (req, res) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ message: "Invalid user ID" });
+    }
+    if (id === req.user._id.toString()) {
+        return res.status(400).json({ message: "You can't block yourself" });
+    }
+
+    try {
+        if (!(await User.exists({ _id: id }))) {
+            return res.status(404).json({ message: "User not found" });
+        }
+        await updateBlockList(
+            req,
+            res,
+            { $addToSet: { blockedUsers: id } },
+            "User blocked"
+        );
+    } catch (error) {
+        console.error("Error in blockUser controller:", error.message);
+        res.status(500).json({ message: "Internal server error" });
+    }
+};
+
+export const unblockUser = async (req, res) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ message: "Invalid user ID" });
+    }
+
+    try {
+        await updateBlockList(
+            req,
+            res,
+            { $pull: { blockedUsers: id } },
+            "User unblocked"
+        );
+    } catch (error) {
+        console.error("Error in unblockUser controller:", error.message);
+        res.status(500).json({ message: "Internal server error" });
+    }
+};
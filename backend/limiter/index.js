@@ -0,0 +1,46 @@
+/**
+ * Limiter Stores
+ * --------------
+ * Resolves the store that keeps rate-limiting state (failed login counters, API rate-limit buckets).
+ *
+ * Exports:
+ *   - getLimiterStore(name?): Returns the named store, or the one selected by `LIMITER_STORE`.
+ *     Stores are created once and reused.
+ *
+ * Stores:
+ *   - "memory": `createMemoryLimiterStore` (per process; the default).
+ *   - "mongo": `createMongoLimiterStore` (shared by every instance; use with several servers).
+ *
+ * Adding a store:
+ *   - Implement `{ name, hit, get, reset, take }` (see `memory.store.js`) and register its factory in
+ *     `STORES`, e.g. a Redis store for high-traffic deployments.
+ *
+ * Usage:
+ *   import { getLimiterStore } from "../limiter/index.js";
+ *   const { count } = await getLimiterStore().hit(key, { windowMs });
+ */
+
+import { createLimiterConfig } from "../config/limiter/limiter.config.js";
+import { createMemoryLimiterStore } from "./memory.store.js";
+import { createMongoLimiterStore } from "./mongo.store.js";
+
+const STORES = {
+    memory: () => createMemoryLimiterStore(),
+    mongo: () => createMongoLimiterStore(),
+};
+
+const instances = new Map();
+
+export const getLimiterStore = (name) => {
+    const storeName = name || createLimiterConfig().STORE;
+
+    const factory = STORES[storeName];
+    if (!factory) {
+        throw new Error(`Unknown limiter store: ${storeName}`);
+    }
+
+    if (!instances.has(storeName)) {
+        instances.set(storeName, factory());
+    }
+    return instances.get(storeName);
+};
@@ -0,0 +1,96 @@
+/**
+ * Memory Limiter Store
+ * --------------------
+ * Keeps limiter counters in this process. Fast and dependency-free, but every server instance counts
+ * on its own and counters reset on restart; use the "mongo" store when running several instances.
+ *
+ * Exports:
+ *   - createMemoryLimiterStore(): Creates a store backed by a `Map`.
+ *
+ * Store Interface (shared by every limiter store, see `limiter/index.js`):
+ *   - name (string): "memory".
+ *   - hit(key, { windowMs }) => Promise<{ count, lastHitAt }>:
+ *       - Atomically counts one more hit for `key` and returns the updated entry. An entry expires
+ *         `windowMs` after its last hit; hitting an expired entry starts over at 1.
+ *   - get(key) => Promise<{ count, lastHitAt } | null>:
+ *       - The live entry for `key`, or `null`.
+ *   - reset(key) => Promise<void>:
+ *       - Forgets `key`.
+ *   - take(key, { limit, windowMs }) => Promise<{ allowed, remaining, retryAfterMs, resetMs }>:
+ *       - Takes a token from the token bucket `key` (`limit` tokens, refilled over `windowMs`; see
+ *         `tokenBucket.js`). Used by the API rate limiter.
+ *
+ * Notes:
+ *   - Expired entries, and buckets that have filled up again, are swept once a minute (the timer does
+ *     not keep the process alive).
+ *
+ * Example:
+ *   const store = createMemoryLimiterStore();
+ *   const { count } = await store.hit("login:user:ada", { windowMs: 60 * 60 * 1000 });
+ */
+
+import { takeToken } from "./tokenBucket.js";
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+export const createMemoryLimiterStore = () => {
+    // key -> { count, lastHitAt: Date, expiresAt: number }
+    const entries = new Map();
+    // key -> { tokens, refilledAt: number, expiresAt: number }
+    const buckets = new Map();
+
+    const live = (key, now = Date.now()) => {
+        const entry = entries.get(key);
+        if (entry && entry.expiresAt <= now) {
+            entries.delete(key);
+            return null;
+        }
+        return entry || null;
+    };
+
+    setInterval(() => {
+        const now = Date.now();
+        entries.forEach((entry, key) => {
+            if (entry.expiresAt <= now) entries.delete(key);
+        });
+        buckets.forEach((bucket, key) => {
+            if (bucket.expiresAt <= now) buckets.delete(key);
+        });
+    }, SWEEP_INTERVAL_MS).unref();
+
+    const hit = async (key, { windowMs }) => {
+        const now = Date.now();
+        const entry = live(key, now);
+        const next = {
+            count: (entry?.count || 0) + 1,
+            lastHitAt: new Date(now),
+            expiresAt: now + windowMs,
+        };
+        entries.set(key, next);
+        return { count: next.count, lastHitAt: next.lastHitAt };
+    };
+
+    const get = async (key) => {
+        const entry = live(key);
+        return entry
+            ? { count: entry.count, lastHitAt: entry.lastHitAt }
+            : null;
+    };
+
+    const reset = async (key) => {
+        entries.delete(key);
+    };
+
+    const take = async (key, { limit, windowMs }) => {
+        const now = Date.now();
+        const { bucket, ...result } = takeToken(
+            buckets.get(key),
+            { limit, windowMs },
+            now
+        );
+        buckets.set(key, { ...bucket, expiresAt: now + result.resetMs });
+        return result;
+    };
+
+    return { name: "memory", hit, get, reset, take };
+};
@@ -0,0 +1,160 @@
+/**
+ * Mongo Limiter Store
+ * -------------------
+ * Keeps limiter counters in MongoDB (`LimiterEntry`), so every server instance enforces the same limits.
+ *
+ * Exports:
+ *   - createMongoLimiterStore(): Creates a store backed by the `limiterentries` collection.
+ *
+ * Store Interface:
+ *   - Same as the memory store (`memory.store.js`): `{ name, hit, get, reset, take }`; `name` is "mongo".
+ *
+ * How it works:
+ *   - `hit` is a single upsert with an update pipeline: it increments the count, or restarts it at 1
+ *     when the entry has lapsed, so concurrent hits from several instances are never lost.
+ *   - `take` works the same way: the pipeline refills the bucket, takes a token if one is available and
+ *     records whether it did (`allowed`), all in one atomic update (see `tokenBucket.js` for the formula).
+ *     A bucket entry lapses once it would be full again.
+ *   - A TTL index removes lapsed entries; reads ignore entries past `expiresAt` in the meantime.
+ *   - Two first hits on a new key can both try to insert it; the loser gets a duplicate key error and
+ *     repeats its update on the entry the winner created (`upsertEntry`).
+ *
+ * Example:
+ *   const store = createMongoLimiterStore();
+ *   const { count } = await store.hit("login:ip:203.0.113.7", { windowMs: 60 * 60 * 1000 });
+ */
+
+import LimiterEntry from "../models/limiterEntry.model.js";
+
+const DUPLICATE_KEY = 11000;
+
+// Apply an update pipeline to the key's entry, creating it if needed; returns the updated entry
+const upsertEntry = async (key, pipeline) => {
+    try {
+        return await LimiterEntry.findOneAndUpdate({ key }, pipeline, {
+            upsert: true,
+            new: true,
+        }).lean();
+    } catch (error) {
+        // A concurrent first hit created the entry: update that one instead
+        if (error.code !== DUPLICATE_KEY) throw error;
+        return LimiterEntry.findOneAndUpdate({ key }, pipeline, {
+            new: true,
+        }).lean();
+    }
+};
+
+export const createMongoLimiterStore = () => {
+    const hit = async (key, { windowMs }) => {
+        const now = new Date();
+        const entry = await upsertEntry(key, [
+            {
+                $set: {
+                    count: {
+                        $cond: [
+                            { $gt: ["$expiresAt", now] },
+                            { $add: ["$count", 1] },
+                            1,
+                        ],
+                    },
+                    lastHitAt: now,
+                    expiresAt: new Date(now.getTime() + windowMs),
+                },
+            },
+        ]);
+
+        return { count: entry.count, lastHitAt: entry.lastHitAt };
+    };
+
+    const get = async (key) => {
+        const entry = await LimiterEntry.findOne({
+            key,
+            expiresAt: { $gt: new Date() },
+        }).lean();
+        return entry
+            ? { count: entry.count, lastHitAt: entry.lastHitAt }
+            : null;
+    };
+
+    const reset = async (key) => {
+        await LimiterEntry.deleteOne({ key });
+    };
+
+    const take = async (key, { limit, windowMs }) => {
+        const now = new Date();
+        const rate = limit / windowMs; // tokens per millisecond
+        const entry = await upsertEntry(key, [
+            {
+                $set: {
+                    tokens: {
+                        $cond: [
+                            { $gt: ["$expiresAt", now] },
+                            {
+                                $min: [
+                                    limit,
+                                    {
+                                        $add: [
+                                            "$tokens",
+                                            {
+                                                $multiply: [
+                                                    {
+                                                        $subtract: [
+                                                            now,
+                                                            "$refilledAt",
+                                                        ],
+                                                    },
+                                                    rate,
+                                                ],
+                                            },
+                                        ],
+                                    },
+                                ],
+                            },
+                            limit,
+                        ],
+                    },
+                },
+            },
+            {
+                $set: {
+                    allowed: { $gte: ["$tokens", 1] },
+                    tokens: {
+                        $cond: [
+                            { $gte: ["$tokens", 1] },
+                            { $subtract: ["$tokens", 1] },
+                            "$tokens",
+                        ],
+                    },
+                    refilledAt: now,
+                },
+            },
+            {
+                $set: {
+                    expiresAt: {
+                        $add: [
+                            now,
+                            {
+                                $ceil: {
+                                    $divide: [
+                                        { $subtract: [limit, "$tokens"] },
+                                        rate,
+                                    ],
+                                },
+                            },
+                        ],
+                    },
+                },
+            },
+        ]);
+
+        const { tokens, allowed } = entry;
+        return {
+            allowed,
+            remaining: Math.floor(tokens),
+            retryAfterMs: allowed ? 0 : Math.ceil((1 - tokens) / rate),
+            resetMs: entry.expiresAt.getTime() - now.getTime(),
+        };
+    };
+
+    return { name: "mongo", hit, get, reset, take };
+};
@@ -0,0 +1,43 @@
+/**
+ * Token Bucket
+ * ------------
+ * The arithmetic behind rate limits: a bucket holds up to `limit` tokens and refills continuously at
+ * `limit` tokens per `windowMs`. Every request takes one token; a request finding less than one token
+ * is refused. Bursts up to `limit` are allowed, sustained traffic is capped at the refill rate.
+ *
+ * Exports:
+ *   - takeToken(bucket, { limit, windowMs }, now?): Refills `bucket` (`{ tokens, refilledAt }`, or `null`
+ *     for a full one) up to `now` and tries to take a token. Returns:
+ *       - bucket: The updated `{ tokens, refilledAt }` to keep for the next call.
+ *       - allowed (boolean): Whether a token was taken.
+ *       - remaining (number): Whole tokens left.
+ *       - retryAfterMs (number): How long until a token is available (0 when allowed).
+ *       - resetMs (number): How long until the bucket is full again.
+ *
+ * Notes:
+ *   - Pure and synchronous: the memory limiter store and the socket event limiter keep the buckets,
+ *     the Mongo store runs the same formula inside its update pipeline.
+ *
+ * Example:
+ *   let bucket = null;
+ *   const result = takeToken(bucket, { limit: 30, windowMs: 60 * 1000 });
+ *   bucket = result.bucket;
+ */
+
+export const takeToken = (bucket, { limit, windowMs }, now = Date.now()) => {
+    const rate = limit / windowMs; // tokens per millisecond
+    const available = bucket
+        ? Math.min(limit, bucket.tokens + (now - bucket.refilledAt) * rate)
+        : limit;
+
+    const allowed = available >= 1;
+    const tokens = allowed ? available - 1 : available;
+
+    return {
+        bucket: { tokens, refilledAt: now },
+        allowed,
+        remaining: Math.floor(tokens),
+        retryAfterMs: allowed ? 0 : Math.ceil((1 - tokens) / rate),
+        resetMs: Math.ceil((limit - tokens) / rate),
+    };
+};
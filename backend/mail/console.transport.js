@@ -0,0 +1,34 @@
+/**
+ * Console Mail Transport
+ * ----------------------
+ * "Sends" emails by printing them to the server log. Meant for local development.
+ *
+ * Exports:
+ *   - createConsoleTransport(): Creates a transport that logs every message.
+ *
+ * Transport Interface (shared by every mail transport, see `mail/index.js`):
+ *   - name (string): "console".
+ *   - send({ from, to, subject, text }) => Promise<void>:
+ *       - Delivers one plain-text message; rejects when delivery fails.
+ *
+ * Example:
+ *   const transport = createConsoleTransport();
+ *   await transport.send({ from, to: "ada@example.com", subject: "Hi", text: "Hello" });
+ */
+
+export const createConsoleTransport = () => {
+    const send = async ({ from, to, subject, text }) => {
+        console.log(
+            [
+                "📧 Outgoing email (console transport)",
+                `From: ${from}`,
+                `To: ${to}`,
+                `Subject: ${subject}`,
+                "",
+                text,
+            ].join("\n")
+        );
+    };
+
+    return { name: "console", send };
+};
@@ -0,0 +1,52 @@
+/**
+ * File Mail Transport
+ * -------------------
+ * "Sends" emails by writing each one to a `.eml` file in an outbox folder, so tests and local
+ * setups can open the message (and its links) without a mail server.
+ *
+ * Exports:
+ *   - createFileTransport({ outboxDir }): Creates a transport that writes into `outboxDir`.
+ *
+ * Transport Interface: see `console.transport.js`.
+ *
+ * Behavior:
+ *   - File names start with the send time, so a directory listing is in delivery order.
+ *   - The files are RFC 822 style (headers, blank line, body) and open in most mail clients.
+ *
+ * Example:
+ *   const transport = createFileTransport({ outboxDir: "/tmp/mail" });
+ *   await transport.send({ from, to: "ada@example.com", subject: "Hi", text: "Hello" });
+ */
+
+import fsp from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+export const createFileTransport = ({ outboxDir }) => {
+    const root = path.resolve(outboxDir);
+
+    const send = async ({ from, to, subject, text }) => {
+        await fsp.mkdir(root, { recursive: true });
+
+        const now = new Date();
+        const fileName = `${now.toISOString().replace(/[:.]/g, "-")}-${crypto
+            .randomBytes(4)
+            .toString("hex")}.eml`;
+        const contents = [
+            `From: ${from}`,
+            `To: ${to}`,
+            `Subject: ${subject}`,
+            `Date: ${now.toUTCString()}`,
+            "Content-Type: text/plain; charset=utf-8",
+            "",
+            text,
+            "",
+        ].join("\r\n");
+
+        await fsp.writeFile(path.join(root, fileName), contents, {
+            flag: "wx",
+        });
+    };
+
+    return { name: "file", send };
+};
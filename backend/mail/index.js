@@ -0,0 +1,52 @@
+/**
+ * Mail Transports
+ * ---------------
+ * Resolves the configured mail transport and sends messages through it.
+ *
+ * Exports:
+ *   - getMailTransport(name?): Returns the transport instance for `name` (defaults to `MAIL_TRANSPORT`).
+ *   - sendMail({ to, subject, text }): Sends a plain-text message from `MAIL_FROM` with the configured transport.
+ *
+ * Transports:
+ *   - console: Prints messages to the server log (default; see `console.transport.js`).
+ *   - file: Writes each message to `MAIL_OUTBOX_DIR` as a `.eml` file (see `file.transport.js`).
+ *
+ * Adding a transport:
+ *   - Implement `{ name, send({ from, to, subject, text }) }` (e.g. an SMTP or provider API client)
+ *     and register its factory in `TRANSPORTS`. Factories receive the mail config.
+ *
+ * Example:
+ *   import { sendMail } from "../mail/index.js";
+ *   await sendMail({ to: user.email, subject, text });
+ */
+
+import { createMailConfig } from "../config/mail/mail.config.js";
+import { createConsoleTransport } from "./console.transport.js";
+import { createFileTransport } from "./file.transport.js";
+
+const TRANSPORTS = {
+    console: () => createConsoleTransport(),
+    file: ({ OUTBOX_DIR }) => createFileTransport({ outboxDir: OUTBOX_DIR }),
+};
+
+const instances = new Map();
+
+export const getMailTransport = (name) => {
+    const config = createMailConfig();
+    const transportName = name || config.TRANSPORT;
+
+    const factory = TRANSPORTS[transportName];
+    if (!factory) {
+        throw new Error(`Unknown mail transport: ${transportName}`);
+    }
+
+    if (!instances.has(transportName)) {
+        instances.set(transportName, factory(config));
+    }
+    return instances.get(transportName);
+};
+
+export const sendMail = async ({ to, subject, text }) => {
+    const { FROM } = createMailConfig();
+    await getMailTransport().send({ from: FROM, to, subject, text });
+};
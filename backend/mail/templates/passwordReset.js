@@ -0,0 +1,31 @@
+/**
+ * Password Reset Email
+ * --------------------
+ * Builds the email that carries a password reset link.
+ *
+ * Exports:
+ *   - buildPasswordResetMail({ user, resetUrl, expiresInMinutes }) => { subject, text }
+ *
+ * Example:
+ *   const { subject, text } = buildPasswordResetMail({ user, resetUrl, expiresInMinutes: 30 });
+ *   await sendMail({ to: user.email, subject, text });
+ */
+
+export const buildPasswordResetMail = ({
+    user,
+    resetUrl,
+    expiresInMinutes,
+}) => ({
+    subject: "Reset your password",
+    text: [
+        `Hi ${user.fullName || user.username},`,
+        "",
+        `Someone asked to reset the password of the account @${user.username}.`,
+        "Open this link to choose a new password:",
+        "",
+        resetUrl,
+        "",
+        `The link works once and expires in ${expiresInMinutes} minutes.`,
+        "If you did not ask for this, you can ignore this email; your password stays the same.",
+    ].join("\n"),
+});
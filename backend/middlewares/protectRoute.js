@@ -10,23 +10,35 @@
  *
  * How it works:
  *   1. Extracts the JWT token from the "jwt" cookie.
- *   2. Verifies the token using the JWT secret.
+ *   2. Verifies the token using the JWT secret. Access tokens are short-lived: an expired one gets a 401,
+ *      and the client renews it through `POST /api/auth/refresh` and retries.
  *   3. Finds the user by ID from the decoded token (excluding password).
- *   4. Attaches the user object to req.user for downstream handlers.
- *   5. If any step fails, responds with an appropriate error and status code.
+ *   4. Rejects the token if its `tv` claim differs from the user's `tokenVersion` (the password was
+ *      changed or reset since it was issued).
+ *   5. Rejects the token if its `sid` session was revoked or has expired (see `utils/sessions.js`).
+ *   6. Attaches the user object to req.user and the session ID to req.sessionId for downstream
+ *      handlers, and records the request as session activity (at most once a minute).
+ *   7. If any step fails, responds with an appropriate error and status code.
  *
  * Error Handling:
- *   - 401 Unauthorized: No token provided.
+ *   - 401 Unauthorized: No token provided, the token expired, the token was invalidated by a password change, or its
+ *     session was revoked ("log out other devices", logout) or expired.
  *   - 403 Unauthorized: Invalid token or forbidden access.
  *   - 404 Not Found:    User not found in database.
  *
  * Dependencies:
  *   - jsonwebtoken
  *   - User model
+ *   - Session utilities (`findActiveSession`, `touchSession`)
  */
 
 import jwt from "jsonwebtoken";
 import User from "../models/user.model.js";
+import {
+    findActiveSession,
+    touchSession,
+    getClientIp,
+} from "../utils/sessions.js";
 
 export const protectRoute = async (req, res, next) => {
     try {
@@ -54,9 +66,34 @@ export const protectRoute = async (req, res, next) => {
             return res.status(404).json({ message: "User not found" });
         }
 
+        // Tokens issued before a password change or reset are no longer valid
+        if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+            return res
+                .status(401)
+                .json({ message: "Unauthorized - Session expired" });
+        }
+
+        // Tokens of revoked or expired sessions are no longer valid either
+        const session = await findActiveSession(decoded.sid, user._id);
+        if (!session) {
+            return res
+                .status(401)
+                .json({ message: "Unauthorized - Session expired" });
+        }
+
+        touchSession(session, getClientIp(req)).catch((err) =>
+            console.error("Failed to record session activity:", err.message)
+        );
+
         req.user = user; // Attach user to request object
+        req.sessionId = session._id.toString();
         next();
     } catch (error) {
+        if (error instanceof jwt.TokenExpiredError) {
+            return res
+                .status(401)
+                .json({ message: "Unauthorized - Token expired" });
+        }
         console.error("Error in protectRoute middleware:", error.message);
         return res.status(403).json({ message: "Forbidden access" });
     }
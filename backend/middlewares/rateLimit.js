@@ -0,0 +1,101 @@
+/**
+ * rateLimit Middleware
+ * --------------------
+ * Limits how fast a client can call the API, with a token bucket per client and budget
+ * (see `limiter/tokenBucket.js`). Budgets are configured in `createLimiterConfig().RATE_LIMITS`.
+ *
+ * Usage:
+ *   Mounted in `setupRoutes` (`routes/index.js`) before the routers, most specific first:
+ *     app.use("/api/auth", rateLimit("auth"));
+ *     app.use("/api", rateLimit((req) => (req.method === "GET" ? "read" : "write")));
+ *
+ * Parameters:
+ *   - budget (string | (req) => string): The budget name, or a function choosing it per request.
+ *
+ * How it works:
+ *   1. Each request is charged to one budget only: the first `rateLimit` it passes through. Later ones
+ *      see `req.rateLimit` and let it through.
+ *   2. The client is the user of the access token (also an expired one, so the budget survives a
+ *      refresh) or, for logged-out requests, the client IP. Buckets live in the limiter store
+ *      (`LIMITER_STORE`), so they are shared by every instance with the "mongo" store.
+ *   3. Every response carries the standard rate-limit headers:
+ *        - `RateLimit-Limit`: The budget's burst size.
+ *        - `RateLimit-Remaining`: Requests left right now.
+ *        - `RateLimit-Reset`: Seconds until the budget is fully restored.
+ *        - `RateLimit-Policy`: `<limit>;w=<window seconds>`.
+ *   4. Over budget, the request is answered with 429, `Retry-After` (seconds) and
+ *      `{ message, retryAfter }`.
+ *
+ * Error Handling:
+ *   - If the limiter store fails (e.g. the database is unreachable), the request is let through
+ *     rather than taking the API down with it.
+ *   - `RATE_LIMIT_ENABLED=false` turns the middleware into a no-op.
+ *
+ * Dependencies:
+ *   - jsonwebtoken
+ *   - Limiter stores (`limiter/index.js`)
+ */
+
+import jwt from "jsonwebtoken";
+import { getLimiterStore } from "../limiter/index.js";
+import { createLimiterConfig } from "../config/limiter/limiter.config.js";
+import { getClientIp } from "../utils/sessions.js";
+
+// Who the request is charged to: the token's user, or the client IP
+const getClientKey = (req) => {
+    const token = req.cookies?.jwt;
+    if (token) {
+        try {
+            const { id } = jwt.verify(token, process.env.JWT_SECRET, {
+                ignoreExpiration: true,
+            });
+            if (id) return `user:${id}`;
+        } catch {
+            // Invalid token: fall back to the IP
+        }
+    }
+    return `ip:${getClientIp(req)}`;
+};
+
+export const rateLimit = (budget) => async (req, res, next) => {
+    if (req.rateLimit) return next();
+
+    const { RATE_LIMIT_ENABLED, RATE_LIMITS } = createLimiterConfig();
+    const name = typeof budget === "function" ? budget(req) : budget;
+    const limits = RATE_LIMITS[name];
+    if (!RATE_LIMIT_ENABLED || !limits) return next();
+
+    let result;
+    try {
+        result = await getLimiterStore().take(
+            `rate:${name}:${getClientKey(req)}`,
+            limits
+        );
+    } catch (error) {
+        console.error("Rate limiter unavailable:", error.message);
+        return next();
+    }
+
+    const { allowed, remaining, retryAfterMs, resetMs } = result;
+    req.rateLimit = { budget: name, limit: limits.limit, remaining };
+
+    res.set({
+        "RateLimit-Limit": String(limits.limit),
+        "RateLimit-Remaining": String(remaining),
+        "RateLimit-Reset": String(Math.ceil(resetMs / 1000)),
+        "RateLimit-Policy": `${limits.limit};w=${Math.ceil(
+            limits.windowMs / 1000
+        )}`,
+    });
+
+    if (allowed) return next();
+
+    const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    res.set("Retry-After", String(retryAfter));
+    return res.status(429).json({
+        message: `Too many requests. Try again in ${retryAfter} second${
+            retryAfter === 1 ? "" : "s"
+        }.`,
+        retryAfter,
+    });
+};
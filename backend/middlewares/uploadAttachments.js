@@ -0,0 +1,69 @@
+/**
+ * uploadAttachments Middleware
+ * ----------------------------
+ * Parses `multipart/form-data` message uploads with multer and enforces the attachment limits.
+ *
+ * Exports:
+ *   - uploadAttachments: Express middleware accepting up to `MAX_FILES` files in the `attachments` field.
+ *
+ * Behavior:
+ *   - JSON requests pass through untouched, so text-only clients keep working.
+ *   - Files are kept in memory (bounded by the size limit) and handed to the storage driver by the controller.
+ *   - Text fields (e.g. `message`) are available on `req.body` as usual.
+ *
+ * Responses:
+ *   - 413: A file exceeds `ATTACHMENT_MAX_SIZE_MB`.
+ *   - 400: Too many files, an unexpected field, or a MIME type outside `ALLOWED_MIME_TYPES`.
+ *
+ * Dependencies:
+ *   - multer: Multipart parsing.
+ *   - `createAttachmentConfig`: Size, count and MIME-type limits.
+ *
+ * Usage:
+ *   router.post("/send/:receiverId", protectRoute, uploadAttachments, sendMessage);
+ */
+
+import multer from "multer";
+import { createAttachmentConfig } from "../config/attachment/attachment.config.js";
+
+const ATTACHMENT_FIELD = "attachments";
+
+export const uploadAttachments = (req, res, next) => {
+    if (!req.is("multipart/form-data")) return next();
+
+    const { MAX_FILE_SIZE_BYTES, MAX_FILES, ALLOWED_MIME_TYPES } =
+        createAttachmentConfig();
+
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: MAX_FILE_SIZE_BYTES, files: MAX_FILES },
+        fileFilter: (req, file, cb) => {
+            if (ALLOWED_MIME_TYPES.includes(file.mimetype))
+                return cb(null, true);
+            const error = new multer.MulterError("LIMIT_UNEXPECTED_FILE");
+            error.message = `File type not allowed: ${file.mimetype}`;
+            cb(error);
+        },
+    }).array(ATTACHMENT_FIELD, MAX_FILES);
+
+    upload(req, res, (error) => {
+        if (!error) return next();
+
+        if (error.code === "LIMIT_FILE_SIZE") {
+            return res.status(413).json({
+                message: `Files must be smaller than ${Math.round(MAX_FILE_SIZE_BYTES / (1024 * 1024))} MB`,
+            });
+        }
+        if (error instanceof multer.MulterError) {
+            return res.status(400).json({
+                message:
+                    error.code === "LIMIT_FILE_COUNT"
+                        ? `You can attach up to ${MAX_FILES} files`
+                        : error.message,
+            });
+        }
+
+        console.error("Error in uploadAttachments middleware:", error.message);
+        res.status(400).json({ message: "Invalid upload" });
+    });
+};
@@ -0,0 +1,65 @@
+/**
+ * uploadAvatar Middleware
+ * -----------------------
+ * Parses a `multipart/form-data` avatar upload with multer and enforces the avatar limits.
+ *
+ * Exports:
+ *   - uploadAvatar: Express middleware accepting a single image in the `avatar` field.
+ *
+ * Behavior:
+ *   - The file is kept in memory (bounded by the size limit); the controller resizes it before storing.
+ *   - A request without a file reaches the controller, which answers 400.
+ *
+ * Responses:
+ *   - 413: The image exceeds `AVATAR_MAX_SIZE_MB`.
+ *   - 400: More than one file, an unexpected field, or a MIME type outside `AVATAR_MIME_TYPES`.
+ *
+ * Dependencies:
+ *   - multer: Multipart parsing.
+ *   - `createProfileConfig`: Size and MIME-type limits.
+ *
+ * Usage:
+ *   router.put("/me/avatar", protectRoute, uploadAvatar, updateAvatar);
+ */
+
+import multer from "multer";
+import { createProfileConfig } from "../config/profile/profile.config.js";
+
+const AVATAR_FIELD = "avatar";
+
+export const uploadAvatar = (req, res, next) => {
+    const { AVATAR_MAX_SIZE_BYTES, AVATAR_MIME_TYPES } = createProfileConfig();
+
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: AVATAR_MAX_SIZE_BYTES, files: 1 },
+        fileFilter: (req, file, cb) => {
+            if (AVATAR_MIME_TYPES.includes(file.mimetype))
+                return cb(null, true);
+            const error = new multer.MulterError("LIMIT_UNEXPECTED_FILE");
+            error.message = "Avatar must be a JPEG, PNG, GIF or WebP image";
+            cb(error);
+        },
+    }).single(AVATAR_FIELD);
+
+    upload(req, res, (error) => {
+        if (!error) return next();
+
+        if (error.code === "LIMIT_FILE_SIZE") {
+            return res.status(413).json({
+                message: `Avatar must be smaller than ${Math.round(AVATAR_MAX_SIZE_BYTES / (1024 * 1024))} MB`,
+            });
+        }
+        if (error instanceof multer.MulterError) {
+            return res.status(400).json({
+                message:
+                    error.code === "LIMIT_FILE_COUNT"
+                        ? "Upload a single image"
+                        : error.message,
+            });
+        }
+
+        console.error("Error in uploadAvatar middleware:", error.message);
+        res.status(400).json({ message: "Invalid upload" });
+    });
+};
@@ -9,10 +9,40 @@
  *       - Required: Yes.
  *       - Description: Contains the IDs of users participating in the conversation.
  *
- *   - messages (array):
- *       - Type: Array of ObjectIds referencing the `Message` model.
+ *   - isGroup (boolean):
+ *       - Type: Boolean.
+ *       - Default: false.
+ *       - Description: Distinguishes named group rooms from two-person (direct) conversations.
+ *
+ *   - name (string):
+ *       - Type: String.
+ *       - Required: Yes, for group conversations.
+ *       - Trimmed: Yes.
+ *       - Maximum Length: 60 characters.
+ *       - Description: The display name of a group conversation.
+ *
+ *   - admins (array):
+ *       - Type: Array of ObjectIds referencing the `User` model.
  *       - Default: Empty array.
- *       - Description: Stores the IDs of messages exchanged in the conversation.
+ *       - Description: Members allowed to rename the group and manage its membership (groups only).
+ *
+ *   - createdBy:
+ *       - Type: ObjectId referencing the `User` model.
+ *       - Default: null.
+ *       - Description: The user who created the group (groups only).
+ *
+ *   - lastMessage (object | null):
+ *       - Type: Embedded snapshot of the most recent message.
+ *       - Default: null.
+ *       - Description: Denormalized copy of the latest message so conversation lists never have to
+ *         query the `messages` collection. Updated whenever a message is sent.
+ *       - Fields:
+ *           - messageId: ObjectId referencing the `Message` model.
+ *           - content: The message text.
+ *           - senderId: ObjectId referencing the `User` model.
+ *           - createdAt: When the message was created.
+ *           - isDeleted: Whether the message was deleted for everyone (preview shows a tombstone).
+ *       - Messages themselves reference the conversation via `Message.conversationId`.
  *
  *   - reads (array):
  *       - Type: Array of objects.
@@ -26,10 +56,20 @@
  *               - Type: Date.
  *               - Default: null.
  *               - Description: The timestamp of the last message read by the user.
+ *           - lastDeliveredAt:
+ *               - Type: Date.
+ *               - Default: null.
+ *               - Description: Up to when messages reached at least one of the user's sockets.
+ *                 Together with `lastReadAt` it drives per-message delivery/read receipts.
  *           - unreadCount:
  *               - Type: Number.
  *               - Default: 0.
  *               - Description: The number of unread messages for the user.
+ *           - mutedUntil:
+ *               - Type: Date.
+ *               - Default: null.
+ *               - Description: Until when the user muted the conversation (no notification sound, dimmed
+ *                 unread badge). Messages still arrive. "Until unmuted" is stored as a far-future date.
  *
  * Schema Options:
  *   - timestamps:
@@ -38,10 +78,12 @@
  * Indexes:
  *   - { "reads.userId": 1 }:
  *       - Optimizes queries involving the `reads.userId` field.
+ *   - { participants: 1, isGroup: 1 }:
+ *       - Optimizes direct-conversation lookups and membership queries.
  *
  * Model:
  *   - Name: `Conversation`.
- *   - Description: Represents a conversation between users, including participants, messages, and read statuses.
+ *   - Description: Represents a direct or group conversation between users, including participants, the last message, and read statuses.
  *
  * Usage:
  *   - Import the model to interact with the `conversations` collection in MongoDB.
@@ -59,13 +101,50 @@ const conversationSchema = new mongoose.Schema(
                 required: true,
             },
         ],
-        messages: [
+        isGroup: {
+            type: Boolean,
+            default: false,
+        },
+        name: {
+            type: String,
+            trim: true,
+            maxLength: 60,
+            required: function () {
+                return this.isGroup; // Only group conversations carry a name
+            },
+        },
+        admins: [
             {
-                type: mongoose.Schema.Types.ObjectId, // Reference to Message model
-                ref: "Message",
-                default: [], // Default to an empty array if no messages are present
+                type: mongoose.Schema.Types.ObjectId, // Reference to User model
+                ref: "User",
             },
         ],
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+        },
+        lastMessage: {
+            type: new mongoose.Schema(
+                {
+                    messageId: {
+                        type: mongoose.Schema.Types.ObjectId, // Reference to Message model
+                        ref: "Message",
+                        required: true,
+                    },
+                    content: { type: String, default: "" },
+                    senderId: {
+                        type: mongoose.Schema.Types.ObjectId,
+                        ref: "User",
+                        required: true,
+                    },
+                    createdAt: { type: Date, required: true },
+                    isDeleted: { type: Boolean, default: false },
+                },
+                { _id: false }
+            ),
+            default: null, // No messages yet
+        },
         reads: [
             {
                 userId: {
@@ -74,7 +153,9 @@ const conversationSchema = new mongoose.Schema(
                     required: true,
                 },
                 lastReadAt: { type: Date, default: null },
+                lastDeliveredAt: { type: Date, default: null },
                 unreadCount: { type: Number, default: 0 },
+                mutedUntil: { type: Date, default: null },
             },
         ],
     },
@@ -84,6 +165,7 @@ const conversationSchema = new mongoose.Schema(
 );
 
 conversationSchema.index({ "reads.userId": 1 });
+conversationSchema.index({ participants: 1, isGroup: 1 });
 
 const Conversation = mongoose.model("Conversation", conversationSchema);
 
@@ -0,0 +1,87 @@
+/**
+ * LimiterEntry Model
+ * ------------------
+ * A counter or token bucket of the "mongo" limiter store (`limiter/mongo.store.js`), shared by every
+ * server instance.
+ *
+ * Schema Fields:
+ *   - key:
+ *       - Type: String.
+ *       - Required: Yes.
+ *       - Unique: Yes.
+ *       - Description: What is being counted, e.g. `login:user:<username>` or `login:ip:<address>`,
+ *         or `rate:<budget>:<client>` for a rate-limit bucket.
+ *
+ *   - count:
+ *       - Type: Number.
+ *       - Default: 0.
+ *       - Description: Hits since the entry was (re)started.
+ *
+ *   - lastHitAt:
+ *       - Type: Date.
+ *       - Description: When the latest hit was counted.
+ *
+ *   - tokens:
+ *       - Type: Number.
+ *       - Description: Tokens left in a rate-limit bucket (fractional while refilling).
+ *
+ *   - refilledAt:
+ *       - Type: Date.
+ *       - Description: When `tokens` was last brought up to date.
+ *
+ *   - allowed:
+ *       - Type: Boolean.
+ *       - Description: Whether the latest `take` got a token.
+ *
+ *   - expiresAt:
+ *       - Type: Date.
+ *       - Required: Yes.
+ *       - Description: When the entry lapses (its window after the last hit, or when a bucket is full again).
+ *
+ * Indexes:
+ *   - { key: 1 } (unique): Lookups and upserts by key.
+ *   - { expiresAt: 1 } with `expireAfterSeconds: 0`:
+ *       - TTL index: MongoDB deletes lapsed entries. Deletion can lag, so the store also checks `expiresAt`.
+ *
+ * Model:
+ *   - Name: `LimiterEntry`.
+ *
+ * Usage:
+ *   import LimiterEntry from "../models/limiterEntry.model.js";
+ */
+
+import mongoose from "mongoose";
+
+const limiterEntrySchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    count: {
+        type: Number,
+        default: 0,
+    },
+    lastHitAt: {
+        type: Date,
+    },
+    tokens: {
+        type: Number,
+    },
+    refilledAt: {
+        type: Date,
+    },
+    allowed: {
+        type: Boolean,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+});
+
+limiterEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LimiterEntry = mongoose.model("LimiterEntry", limiterEntrySchema);
+
+export default LimiterEntry;
@@ -1,9 +1,15 @@
 /**
  * Message Model
  * -------------
- * Represents a message exchanged between two users in the chat application.
+ * Represents a message exchanged in a direct or group conversation of the chat application.
  *
  * Schema Fields:
+ *   - conversationId:
+ *       - Type: ObjectId referencing the `Conversation` model.
+ *       - Required: Yes.
+ *       - Description: The conversation the message belongs to. Messages are looked up by this field
+ *         instead of through an array embedded in the conversation document.
+ *
  *   - senderId:
  *       - Type: ObjectId referencing the `User` model.
  *       - Required: Yes.
@@ -11,19 +17,89 @@
  *
  *   - receiverId:
  *       - Type: ObjectId referencing the `User` model.
- *       - Required: Yes.
- *       - Description: The ID of the user who received the message.
+ *       - Default: null.
+ *       - Description: The ID of the user who received the message. `null` for group messages,
+ *         which are addressed to every member of the conversation instead.
+ *
+ *   - clientMessageId:
+ *       - Type: String.
+ *       - Default: none (the field is absent).
+ *       - Description: ID the sending client generated for the message. A send retried with the same
+ *         ID returns this message instead of creating a duplicate.
  *
  *   - message:
  *       - Type: String.
- *       - Required: Yes.
- *       - Description: The content of the message.
+ *       - Required: Yes, unless the message was deleted for everyone or carries attachments.
+ *       - Description: The content of the message. Emptied when the message becomes a tombstone.
  *       - Additional: Automatically trims whitespace from the message content.
  *
+ *   - replyTo:
+ *       - Type: ObjectId referencing the `Message` model.
+ *       - Default: null.
+ *       - Description: The earlier message this one replies to. Always a message of the same
+ *         conversation (validated by the message controller when sending).
+ *
+ *   - attachments (array):
+ *       - Type: Array of objects.
+ *       - Default: Empty array.
+ *       - Description: Files uploaded with the message. The bytes live in a storage driver
+ *         (see `backend/storage`); only the metadata is stored here. Each entry's `_id` identifies
+ *         it in download URLs.
+ *       - Fields:
+ *           - driver: Name of the storage driver that holds the file (e.g. "local").
+ *           - storageKey: The driver's opaque key for the file. Never sent to clients.
+ *           - originalName: The file name as uploaded.
+ *           - mimeType: The validated MIME type.
+ *           - size: Size in bytes.
+ *
+ *   - edits (array):
+ *       - Type: Array of objects.
+ *       - Default: Empty array.
+ *       - Description: Prior versions of the message, oldest first. The current text lives in `message`.
+ *       - Fields:
+ *           - message: The text of that version.
+ *           - createdAt: When that version was written (the send time for the original).
+ *
+ *   - editedAt:
+ *       - Type: Date.
+ *       - Default: null.
+ *       - Description: When the message was last edited; `null` if it was never edited.
+ *
+ *   - reactions (array):
+ *       - Type: Array of objects, one per distinct emoji.
+ *       - Default: Empty array.
+ *       - Description: Emoji reactions grouped by emoji, in the order they were first used.
+ *         An entry is removed once its last user takes the reaction back.
+ *       - Fields:
+ *           - emoji: The emoji (a single grapheme, possibly with modifiers).
+ *           - users: ObjectIds of the users who reacted with it.
+ *
+ *   - deletedFor (array):
+ *       - Type: Array of ObjectIds referencing the `User` model.
+ *       - Default: Empty array.
+ *       - Description: Users who deleted the message "for me"; it is hidden from them only.
+ *
+ *   - deletedAt:
+ *       - Type: Date.
+ *       - Default: null.
+ *       - Description: Set when the sender deleted the message "for everyone". The message stays
+ *         as a tombstone (content, attachments, reactions and edit history cleared) so the history keeps its shape.
+ *
  * Schema Options:
  *   - timestamps:
  *       - Automatically manages `createdAt` and `updatedAt` fields.
  *
+ * Indexes:
+ *   - { conversationId: 1, _id: -1 }:
+ *       - Serves paginated history queries (newest first, `_id` used as the `before` cursor).
+ *   - { conversationId: 1, createdAt: -1 }:
+ *       - Serves time-based lookups within a conversation (e.g. the latest message, unread ranges).
+ *   - { senderId: 1, clientMessageId: 1 } (unique, only where `clientMessageId` is a string):
+ *       - Makes sends idempotent per sender; messages sent without a client ID are not indexed.
+ *   - { message: "text" } (named `message_text`, `default_language: "none"`):
+ *       - Serves full-text message search. Without stemming or stop words, queries in any language
+ *         match whole words, and the matched words can be highlighted exactly.
+ *
  * Model:
  *   - Name: `Message`.
  *   - Description: Represents a single message exchanged between users, including sender, receiver, and content.
@@ -37,6 +113,11 @@ import mongoose from "mongoose";
 
 const messageSchema = new mongoose.Schema(
     {
+        conversationId: {
+            type: mongoose.Schema.Types.ObjectId, // Reference to the conversation the message belongs to
+            ref: "Conversation", // Reference to the Conversation model
+            required: true,
+        },
         senderId: {
             type: mongoose.Schema.Types.ObjectId, // Reference to the user who sent the message
             ref: "User", // Reference to the User model
@@ -45,19 +126,86 @@ const messageSchema = new mongoose.Schema(
         receiverId: {
             type: mongoose.Schema.Types.ObjectId, // Reference to the user who received the message
             ref: "User", // Reference to the User model
-            required: true,
+            default: null, // Group messages have no single receiver
+        },
+        clientMessageId: {
+            type: String, // Sender-generated ID that makes retried sends idempotent
         },
         message: {
             type: String, // The content of the message
-            required: true,
+            required: function () {
+                // Tombstones carry no content; attachment-only messages may omit text
+                return !this.deletedAt && !this.attachments?.length;
+            },
             trim: true,
         },
+        attachments: [
+            {
+                driver: { type: String, required: true },
+                storageKey: { type: String, required: true },
+                originalName: { type: String, required: true, trim: true },
+                mimeType: { type: String, required: true },
+                size: { type: Number, required: true },
+            },
+        ],
+        edits: [
+            {
+                message: { type: String, default: "" }, // Empty for a captionless attachment
+                createdAt: { type: Date, required: true },
+                _id: false,
+            },
+        ],
+        replyTo: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Message",
+            default: null, // Set when replying to an earlier message
+        },
+        editedAt: {
+            type: Date,
+            default: null, // Set on every edit
+        },
+        reactions: [
+            {
+                emoji: { type: String, required: true },
+                users: [
+                    {
+                        type: mongoose.Schema.Types.ObjectId, // Users who reacted with this emoji
+                        ref: "User",
+                    },
+                ],
+                _id: false,
+            },
+        ],
+        deletedFor: [
+            {
+                type: mongoose.Schema.Types.ObjectId, // Users who hid this message for themselves
+                ref: "User",
+            },
+        ],
+        deletedAt: {
+            type: Date,
+            default: null, // Set when deleted for everyone
+        },
     },
     {
         timestamps: true, // Automatically manage createdAt and updatedAt fields
     }
 );
 
+messageSchema.index({ conversationId: 1, _id: -1 });
+messageSchema.index({ conversationId: 1, createdAt: -1 });
+messageSchema.index(
+    { senderId: 1, clientMessageId: 1 },
+    {
+        unique: true,
+        partialFilterExpression: { clientMessageId: { $type: "string" } },
+    }
+);
+messageSchema.index(
+    { message: "text" },
+    { default_language: "none", name: "message_text" }
+);
+
 const Message = mongoose.model("Message", messageSchema);
 
 export default Message;
@@ -0,0 +1,82 @@
+/**
+ * PasswordResetToken Model
+ * ------------------------
+ * A single-use, time-limited password reset token issued by `POST /api/auth/forgot-password`.
+ *
+ * Schema Fields:
+ *   - userId:
+ *       - Type: ObjectId referencing the `User` model.
+ *       - Required: Yes.
+ *       - Description: The account whose password the token may reset.
+ *
+ *   - tokenHash:
+ *       - Type: String.
+ *       - Required: Yes.
+ *       - Unique: Yes.
+ *       - Description: SHA-256 hex digest of the token. The token itself only exists in the emailed
+ *         link, so a database leak does not expose usable links.
+ *
+ *   - expiresAt:
+ *       - Type: Date.
+ *       - Required: Yes.
+ *       - Description: When the token stops being accepted.
+ *
+ *   - usedAt:
+ *       - Type: Date.
+ *       - Default: null.
+ *       - Description: Set when the token is redeemed; a used token is never accepted again.
+ *
+ * Schema Options:
+ *   - timestamps:
+ *       - Automatically manages `createdAt` and `updatedAt` fields.
+ *
+ * Indexes:
+ *   - { userId: 1 }:
+ *       - Serves removing a user's outstanding tokens (new request, password change or reset).
+ *   - { expiresAt: 1 } with `expireAfterSeconds: 0`:
+ *       - TTL index: MongoDB deletes tokens once they expire.
+ *
+ * Model:
+ *   - Name: `PasswordResetToken`.
+ *
+ * Usage:
+ *   import PasswordResetToken from "../models/passwordResetToken.model.js";
+ */
+
+import mongoose from "mongoose";
+
+const passwordResetTokenSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId, // The account the token belongs to
+            ref: "User",
+            required: true,
+        },
+        tokenHash: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+        usedAt: {
+            type: Date,
+            default: null, // Set once redeemed
+        },
+    },
+    {
+        timestamps: true, // Automatically manage createdAt and updatedAt fields
+    }
+);
+
+passwordResetTokenSchema.index({ userId: 1 });
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const PasswordResetToken = mongoose.model(
+    "PasswordResetToken",
+    passwordResetTokenSchema
+);
+
+export default PasswordResetToken;
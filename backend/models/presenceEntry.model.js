@@ -0,0 +1,90 @@
+/**
+ * PresenceEntry Model
+ * -------------------
+ * An open socket tracked by the "mongo" presence store (`presence/mongo.store.js`), shared by every
+ * server instance.
+ *
+ * Schema Fields:
+ *   - socketId:
+ *       - Type: String.
+ *       - Required: Yes.
+ *       - Unique: Yes.
+ *       - Description: The Socket.IO socket ID (unique across instances).
+ *
+ *   - userId:
+ *       - Type: ObjectId (reference to `User`).
+ *       - Required: Yes.
+ *       - Description: The user the socket is authenticated as.
+ *
+ *   - connected:
+ *       - Type: Boolean.
+ *       - Default: true.
+ *       - Description: `false` once the socket closed; the entry stays for the presence grace period.
+ *
+ *   - mode:
+ *       - Type: String.
+ *       - Enum: "online", "dnd", "invisible".
+ *       - Default: "online".
+ *       - Description: The user's chosen `presenceStatus`, copied onto each of their sockets.
+ *
+ *   - away:
+ *       - Type: Boolean.
+ *       - Default: false.
+ *       - Description: The client reported its user idle on this socket.
+ *
+ *   - expiresAt:
+ *       - Type: Date.
+ *       - Required: Yes.
+ *       - Description: When the entry lapses unless its instance's heartbeat extends it.
+ *
+ * Indexes:
+ *   - { socketId: 1 } (unique): Updates by socket.
+ *   - { userId: 1 }: Presence lookups by user.
+ *   - { expiresAt: 1 } with `expireAfterSeconds: 0`:
+ *       - TTL index: MongoDB deletes lapsed entries. Deletion can lag, so the store also checks `expiresAt`.
+ *
+ * Model:
+ *   - Name: `PresenceEntry`.
+ *
+ * Usage:
+ *   import PresenceEntry from "../models/presenceEntry.model.js";
+ */
+
+import mongoose from "mongoose";
+
+const presenceEntrySchema = new mongoose.Schema({
+    socketId: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true,
+    },
+    connected: {
+        type: Boolean,
+        default: true,
+    },
+    mode: {
+        type: String,
+        enum: ["online", "dnd", "invisible"],
+        default: "online",
+    },
+    away: {
+        type: Boolean,
+        default: false,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+});
+
+presenceEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const PresenceEntry = mongoose.model("PresenceEntry", presenceEntrySchema);
+
+export default PresenceEntry;
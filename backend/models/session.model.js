@@ -0,0 +1,116 @@
+/**
+ * Session Model
+ * -------------
+ * A login session (one browser or device). Every access token carries the ID of its session in the
+ * `sid` claim, and is only accepted while that session exists, so sessions can be revoked server-side.
+ * The session is also the family of its rotating refresh tokens (see `utils/sessions.js`).
+ *
+ * Schema Fields:
+ *   - userId:
+ *       - Type: ObjectId referencing the `User` model.
+ *       - Required: Yes.
+ *       - Description: The account that logged in.
+ *
+ *   - userAgent:
+ *       - Type: String.
+ *       - Default: "".
+ *       - Description: The `User-Agent` header at login (truncated), shown in the device list.
+ *
+ *   - ip:
+ *       - Type: String.
+ *       - Default: "".
+ *       - Description: The client IP of the most recent activity.
+ *
+ *   - lastActiveAt:
+ *       - Type: Date.
+ *       - Default: Date.now.
+ *       - Description: Last authenticated request or socket connection (updated at most once a minute).
+ *
+ *   - expiresAt:
+ *       - Type: Date.
+ *       - Required: Yes.
+ *       - Description: When the refresh cookie expires; the session is not accepted afterwards.
+ *         Every refresh pushes it back by `SESSION_TTL_DAYS`.
+ *
+ *   - refreshTokenHash:
+ *       - Type: String.
+ *       - Default: null.
+ *       - Description: SHA-256 hex digest of the current refresh token's secret.
+ *
+ *   - previousRefreshTokenHash:
+ *       - Type: String.
+ *       - Default: null.
+ *       - Description: Digest of the refresh token rotated out last. Presenting it shortly after the
+ *         rotation is a benign race between tabs; presenting it later (or any other token) is reuse.
+ *
+ *   - refreshRotatedAt:
+ *       - Type: Date.
+ *       - Default: null.
+ *       - Description: When the refresh token was last rotated.
+ *
+ * Schema Options:
+ *   - timestamps:
+ *       - Automatically manages `createdAt` (login time) and `updatedAt` fields.
+ *
+ * Indexes:
+ *   - { userId: 1, lastActiveAt: -1 }:
+ *       - Serves listing a user's sessions, most recently active first.
+ *   - { expiresAt: 1 } with `expireAfterSeconds: 0`:
+ *       - TTL index: MongoDB deletes sessions once they expire.
+ *
+ * Model:
+ *   - Name: `Session`.
+ *
+ * Usage:
+ *   import Session from "../models/session.model.js";
+ */
+
+import mongoose from "mongoose";
+
+const sessionSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId, // The account that logged in
+            ref: "User",
+            required: true,
+        },
+        userAgent: {
+            type: String,
+            default: "",
+        },
+        ip: {
+            type: String,
+            default: "",
+        },
+        lastActiveAt: {
+            type: Date,
+            default: Date.now,
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+        refreshTokenHash: {
+            type: String,
+            default: null,
+        },
+        previousRefreshTokenHash: {
+            type: String,
+            default: null,
+        },
+        refreshRotatedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true, // Automatically manage createdAt and updatedAt fields
+    }
+);
+
+sessionSchema.index({ userId: 1, lastActiveAt: -1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model("Session", sessionSchema);
+
+export default Session;
@@ -0,0 +1,81 @@
+/**
+ * SyncEvent Model
+ * ---------------
+ * One real-time event sent to a user, recorded so a client that was disconnected can catch up
+ * (see `utils/syncLog.js` and `GET /api/sync`).
+ *
+ * Only what changed is recorded, not the payload: the sync endpoint reads the current state of the
+ * conversation and message back, so several changes to the same message collapse into one.
+ *
+ * Schema Fields:
+ *   - userId:
+ *       - Type: ObjectId (reference to `User`).
+ *       - Required: Yes.
+ *       - Description: The user the event was sent to.
+ *
+ *   - seq:
+ *       - Type: Number.
+ *       - Required: Yes.
+ *       - Description: The user's sequence number of the event (`User.syncSeq` after incrementing it).
+ *
+ *   - conversationId:
+ *       - Type: ObjectId (reference to `Conversation`).
+ *       - Required: Yes.
+ *       - Description: The conversation that changed (or the user was removed from).
+ *
+ *   - messageId:
+ *       - Type: ObjectId (reference to `Message`).
+ *       - Default: null.
+ *       - Description: The message that was sent, edited, deleted or reacted to, if any.
+ *
+ *   - expiresAt:
+ *       - Type: Date.
+ *       - Required: Yes.
+ *       - Description: When the event is dropped (`SYNC_RETENTION_DAYS` after it was recorded).
+ *
+ * Indexes:
+ *   - { userId: 1, seq: 1 } (unique): Reading a user's events after a sequence number.
+ *   - { expiresAt: 1 } with `expireAfterSeconds: 0`:
+ *       - TTL index: MongoDB deletes expired events. A client asking for a dropped range gets a reset.
+ *
+ * Model:
+ *   - Name: `SyncEvent`.
+ *
+ * Usage:
+ *   import SyncEvent from "../models/syncEvent.model.js";
+ */
+
+import mongoose from "mongoose";
+
+const syncEventSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    seq: {
+        type: Number,
+        required: true,
+    },
+    conversationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Conversation",
+        required: true,
+    },
+    messageId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Message",
+        default: null,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+});
+
+syncEventSchema.index({ userId: 1, seq: 1 }, { unique: true });
+syncEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const SyncEvent = mongoose.model("SyncEvent", syncEventSchema);
+
+export default SyncEvent;
@@ -26,10 +26,82 @@
  *       - Minimum Length: 6 characters.
  *       - Description: The hashed password of the user.
  *
+ *   - tokenVersion:
+ *       - Type: Number.
+ *       - Default: 0.
+ *       - Description: Embedded in every issued JWT (`tv`); `protectRoute` and the socket handshake
+ *         reject tokens with another value. Incremented on password change and reset, which logs out
+ *         every other session.
+ *
+ *   - email:
+ *       - Type: String.
+ *       - Optional; unique among users who set one (sparse index).
+ *       - Trimmed and lowercased.
+ *       - Description: Private recovery address used for password reset emails. Never sent to other users.
+ *
+ *   - blockedUsers:
+ *       - Type: Array of ObjectIds (references to `User`).
+ *       - Default: [].
+ *       - Description: Users this user blocked. Direct messages are refused in both directions, blocked
+ *         users are left out of the sidebar user list and their presence is hidden. Never sent to other users.
+ *
+ *   - twoFactor:
+ *       - Type: Object.
+ *       - Optional; not selected by default (`select("+twoFactor")`). Never sent to clients.
+ *       - Description: TOTP two-factor authentication (see `utils/totp.js`).
+ *       - Fields:
+ *           - enabled: Whether logins must be confirmed with a code.
+ *           - secret: The base32 TOTP secret shared with the authenticator app (set once enrolled).
+ *           - pendingSecret: A secret handed out by `/api/auth/2fa/setup`, confirmed by `/enable`.
+ *           - recoveryCodes: SHA-256 digests of the unused one-time recovery codes.
+ *           - lastUsedStep: The time step of the last accepted code, so a code cannot be replayed.
+ *
  *   - profilePicture:
  *       - Type: String.
  *       - Default: "" (empty string).
- *       - Description: The URL of the user's profile picture.
+ *       - Description: The URL of the user's profile picture. A RoboHash URL until the user uploads
+ *         an avatar, then `/api/users/<id>/avatar?v=<upload time>` (the query busts caches on change).
+ *
+ *   - avatar:
+ *       - Type: Object.
+ *       - Default: null.
+ *       - Description: Where the uploaded avatar is stored; `null` while the user has none. Never sent to clients.
+ *       - Fields:
+ *           - driver: Name of the storage driver that holds the file (e.g. "local").
+ *           - storageKey: The driver's opaque key for the file.
+ *
+ *   - bio:
+ *       - Type: String.
+ *       - Default: "" (empty string).
+ *       - Trimmed: Yes.
+ *       - Maximum Length: 160 characters.
+ *       - Description: A short text about the user, shown on their profile.
+ *
+ *   - statusText:
+ *       - Type: String.
+ *       - Default: "" (empty string).
+ *       - Trimmed: Yes.
+ *       - Maximum Length: 80 characters.
+ *       - Description: A custom status line (e.g. "In a meeting"), shown under the user's name.
+ *
+ *   - syncSeq:
+ *       - Type: Number.
+ *       - Default: 0.
+ *       - Description: The sequence number of the latest real-time event sent to the user. Incremented
+ *         for every recorded event (see `utils/syncLog.js`); clients catch up from it with `/api/sync`.
+ *
+ *   - presenceStatus:
+ *       - Type: String.
+ *       - Enum: "online", "dnd" (do not disturb), "invisible".
+ *       - Default: "online".
+ *       - Description: The presence the user chose. "away" is not stored: it is set per socket while the
+ *         client is idle. Invisible users appear offline to everyone else. Never sent to other users.
+ *
+ *   - lastSeenAt:
+ *       - Type: Date.
+ *       - Default: null.
+ *       - Description: When the user was last visibly online: written when their last socket closes, or
+ *         when they turn invisible. Shown as "last seen 5 minutes ago".
  *
  * Schema Options:
  *   - timestamps:
@@ -67,10 +139,72 @@ const userSchema = new mongoose.Schema(
             required: true,
             minLength: 6,
         },
+        tokenVersion: {
+            type: Number,
+            default: 0, // Bumped to invalidate every issued token
+        },
+        email: {
+            type: String,
+            trim: true,
+            lowercase: true,
+            maxLength: 254,
+            unique: true,
+            sparse: true, // Most accounts have no recovery email
+        },
+        blockedUsers: [
+            {
+                type: mongoose.Schema.Types.ObjectId, // Reference to User model
+                ref: "User",
+            },
+        ],
+        twoFactor: {
+            type: {
+                enabled: { type: Boolean, default: false },
+                secret: { type: String, default: null },
+                pendingSecret: { type: String, default: null },
+                recoveryCodes: { type: [String], default: [] },
+                lastUsedStep: { type: Number, default: -1 },
+                _id: false,
+            },
+            select: false, // Secrets stay out of every query unless asked for
+        },
         profilePicture: {
             type: String,
             default: "",
         },
+        avatar: {
+            type: {
+                driver: { type: String, required: true },
+                storageKey: { type: String, required: true },
+                _id: false,
+            },
+            default: null, // Set once the user uploads an avatar
+        },
+        bio: {
+            type: String,
+            default: "",
+            trim: true,
+            maxLength: 160,
+        },
+        statusText: {
+            type: String,
+            default: "",
+            trim: true,
+            maxLength: 80,
+        },
+        syncSeq: {
+            type: Number,
+            default: 0, // Incremented by recordSyncEvent
+        },
+        presenceStatus: {
+            type: String,
+            enum: ["online", "dnd", "invisible"],
+            default: "online",
+        },
+        lastSeenAt: {
+            type: Date,
+            default: null,
+        },
     },
     {
         timestamps: true, // Automatically manage createdAt and updatedAt fields
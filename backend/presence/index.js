@@ -0,0 +1,46 @@
+/**
+ * Presence Stores
+ * ---------------
+ * Resolves the store that tracks which users have sockets open (online presence, delivery receipts).
+ *
+ * Exports:
+ *   - getPresenceStore(name?): Returns the named store, or the one selected by `PRESENCE_STORE`.
+ *     Stores are created once and reused.
+ *
+ * Stores:
+ *   - "memory": `createMemoryPresenceStore` (per process; the default).
+ *   - "mongo": `createMongoPresenceStore` (shared by every instance; use with several servers).
+ *
+ * Adding a store:
+ *   - Implement `{ name, add, refresh, markDisconnected, remove, setAway, setMode, getOnlineUsers,
+ *     isOnline, getConnectedUserIds }` (see `memory.store.js`) and register its factory in `STORES`.
+ *
+ * Usage:
+ *   import { getPresenceStore } from "../presence/index.js";
+ *   const online = await getPresenceStore().getOnlineUsers();
+ */
+
+import { createClusterConfig } from "../config/cluster/cluster.config.js";
+import { createMemoryPresenceStore } from "./memory.store.js";
+import { createMongoPresenceStore } from "./mongo.store.js";
+
+const STORES = {
+    memory: () => createMemoryPresenceStore(),
+    mongo: () => createMongoPresenceStore(),
+};
+
+const instances = new Map();
+
+export const getPresenceStore = (name) => {
+    const storeName = name || createClusterConfig().PRESENCE_STORE;
+
+    const factory = STORES[storeName];
+    if (!factory) {
+        throw new Error(`Unknown presence store: ${storeName}`);
+    }
+
+    if (!instances.has(storeName)) {
+        instances.set(storeName, factory());
+    }
+    return instances.get(storeName);
+};
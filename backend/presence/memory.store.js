@@ -0,0 +1,132 @@
+/**
+ * Memory Presence Store
+ * ---------------------
+ * Tracks online sockets in this process. Fine for a single server; with several instances each one
+ * only sees its own sockets, so use the "mongo" store there.
+ *
+ * Exports:
+ *   - createMemoryPresenceStore(): Creates a store backed by a `Map`.
+ *
+ * Store Interface (shared by every presence store, see `presence/index.js`):
+ *   - name (string): "memory".
+ *   - add(socketId, userId, { ttlMs, mode }) => Promise<void>:
+ *       - Records a connected socket (not away) with the user's chosen `mode` ("online", "dnd" or
+ *         "invisible"). It counts as online for `ttlMs` unless refreshed.
+ *   - refresh(socketIds, { ttlMs }) => Promise<void>:
+ *       - Heartbeat: extends the connected sockets among `socketIds` by another `ttlMs`.
+ *   - markDisconnected(socketId) => Promise<void>:
+ *       - The socket closed. Its user still counts as online (presence grace period) until `remove`,
+ *         but no longer as connected.
+ *   - remove(socketId) => Promise<void>:
+ *       - Forgets the socket.
+ *   - setAway(socketId, away) => Promise<void>:
+ *       - Whether the client is idle on this socket.
+ *   - setMode(userId, mode) => Promise<void>:
+ *       - The user chose another presence mode; applies to all their sockets.
+ *   - getOnlineUsers() => Promise<Array<{ userId, mode, away }>>:
+ *       - Users with at least one live socket (connected, or closed but not removed yet). `away` is
+ *         true when every one of their sockets is away.
+ *   - isOnline(userId) => Promise<boolean>:
+ *       - Whether the user is in `getOnlineUsers()`.
+ *   - getConnectedUserIds(userIds) => Promise<string[]>:
+ *       - Those of `userIds` with a connected socket right now (used for delivery receipts).
+ *
+ * Notes:
+ *   - Expired sockets are swept once a minute (the timer does not keep the process alive).
+ *
+ * Example:
+ *   const store = createMemoryPresenceStore();
+ *   await store.add(socket.id, userId, { ttlMs: 60 * 1000 });
+ */
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+export const createMemoryPresenceStore = () => {
+    // socketId -> { userId, connected, expiresAt: number }
+    const sockets = new Map();
+
+    const liveEntries = (now = Date.now()) =>
+        Array.from(sockets.values()).filter((entry) => entry.expiresAt > now);
+
+    setInterval(() => {
+        const now = Date.now();
+        sockets.forEach((entry, socketId) => {
+            if (entry.expiresAt <= now) sockets.delete(socketId);
+        });
+    }, SWEEP_INTERVAL_MS).unref();
+
+    const add = async (socketId, userId, { ttlMs, mode = "online" }) => {
+        sockets.set(socketId, {
+            userId: userId.toString(),
+            connected: true,
+            mode,
+            away: false,
+            expiresAt: Date.now() + ttlMs,
+        });
+    };
+
+    const refresh = async (socketIds, { ttlMs }) => {
+        const expiresAt = Date.now() + ttlMs;
+        socketIds.forEach((socketId) => {
+            const entry = sockets.get(socketId);
+            if (entry?.connected) entry.expiresAt = expiresAt;
+        });
+    };
+
+    const markDisconnected = async (socketId) => {
+        const entry = sockets.get(socketId);
+        if (entry) entry.connected = false;
+    };
+
+    const remove = async (socketId) => {
+        sockets.delete(socketId);
+    };
+
+    const setAway = async (socketId, away) => {
+        const entry = sockets.get(socketId);
+        if (entry) entry.away = away;
+    };
+
+    const setMode = async (userId, mode) => {
+        sockets.forEach((entry) => {
+            if (entry.userId === userId.toString()) entry.mode = mode;
+        });
+    };
+
+    const getOnlineUsers = async () => {
+        const users = new Map();
+        liveEntries().forEach(({ userId, mode, away }) => {
+            const user = users.get(userId);
+            if (user) user.away = user.away && away;
+            else users.set(userId, { userId, mode, away });
+        });
+        return Array.from(users.values());
+    };
+
+    const isOnline = async (userId) =>
+        liveEntries().some((entry) => entry.userId === userId.toString());
+
+    const getConnectedUserIds = async (userIds) => {
+        const connected = new Set(
+            liveEntries()
+                .filter((entry) => entry.connected)
+                .map((entry) => entry.userId)
+        );
+        return userIds
+            .map((id) => id.toString())
+            .filter((id) => connected.has(id));
+    };
+
+    return {
+        name: "memory",
+        add,
+        refresh,
+        markDisconnected,
+        remove,
+        setAway,
+        setMode,
+        getOnlineUsers,
+        isOnline,
+        getConnectedUserIds,
+    };
+};
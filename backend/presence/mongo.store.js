@@ -0,0 +1,114 @@
+/**
+ * Mongo Presence Store
+ * --------------------
+ * Tracks online sockets in MongoDB (`PresenceEntry`), so every server instance sees who is online,
+ * whichever instance their sockets are connected to.
+ *
+ * Exports:
+ *   - createMongoPresenceStore(): Creates a store backed by the `presenceentries` collection.
+ *
+ * Store Interface:
+ *   - Same as the memory store (`memory.store.js`); `name` is "mongo".
+ *
+ * How it works:
+ *   - One entry per socket. Each instance refreshes its connected sockets on a heartbeat, so the entries
+ *     of an instance that crashed expire on their own (`PRESENCE_TTL_MS`) and its users go offline.
+ *   - A TTL index removes expired entries; reads ignore entries past `expiresAt` in the meantime.
+ *
+ * Example:
+ *   const store = createMongoPresenceStore();
+ *   const online = await store.getOnlineUsers();
+ */
+
+import PresenceEntry from "../models/presenceEntry.model.js";
+
+export const createMongoPresenceStore = () => {
+    const live = () => ({ expiresAt: { $gt: new Date() } });
+
+    const add = async (socketId, userId, { ttlMs, mode = "online" }) => {
+        await PresenceEntry.updateOne(
+            { socketId },
+            {
+                $set: {
+                    userId,
+                    connected: true,
+                    mode,
+                    away: false,
+                    expiresAt: new Date(Date.now() + ttlMs),
+                },
+            },
+            { upsert: true }
+        );
+    };
+
+    const refresh = async (socketIds, { ttlMs }) => {
+        if (socketIds.length === 0) return;
+        await PresenceEntry.updateMany(
+            { socketId: { $in: socketIds }, connected: true },
+            { $set: { expiresAt: new Date(Date.now() + ttlMs) } }
+        );
+    };
+
+    const markDisconnected = async (socketId) => {
+        await PresenceEntry.updateOne(
+            { socketId },
+            { $set: { connected: false } }
+        );
+    };
+
+    const remove = async (socketId) => {
+        await PresenceEntry.deleteOne({ socketId });
+    };
+
+    const setAway = async (socketId, away) => {
+        await PresenceEntry.updateOne({ socketId }, { $set: { away } });
+    };
+
+    const setMode = async (userId, mode) => {
+        await PresenceEntry.updateMany({ userId }, { $set: { mode } });
+    };
+
+    const getOnlineUsers = async () => {
+        // `$min` of the away flags: away only when every socket is
+        const users = await PresenceEntry.aggregate([
+            { $match: live() },
+            {
+                $group: {
+                    _id: "$userId",
+                    mode: { $first: "$mode" },
+                    away: { $min: "$away" },
+                },
+            },
+        ]);
+        return users.map(({ _id, mode, away }) => ({
+            userId: _id.toString(),
+            mode,
+            away,
+        }));
+    };
+
+    const isOnline = async (userId) =>
+        Boolean(await PresenceEntry.exists({ userId, ...live() }));
+
+    const getConnectedUserIds = async (userIds) => {
+        const connected = await PresenceEntry.distinct("userId", {
+            userId: { $in: userIds },
+            connected: true,
+            ...live(),
+        });
+        return connected.map((id) => id.toString());
+    };
+
+    return {
+        name: "mongo",
+        add,
+        refresh,
+        markDisconnected,
+        remove,
+        setAway,
+        setMode,
+        getOnlineUsers,
+        isOnline,
+        getConnectedUserIds,
+    };
+};
@@ -9,13 +9,83 @@
  *       - Controller: signup
  *
  *   - POST /api/auth/login:
- *       - Description: Authenticates a user and issues a JWT token.
+ *       - Description: Authenticates a user and issues an access and a refresh token. With 2FA enabled it
+ *         responds with a challenge token instead, to be completed with `POST /api/auth/login/2fa`.
  *       - Controller: login
  *
+ *   - POST /api/auth/login/2fa:
+ *       - Description: Completes a login challenged for a two-factor code and issues the tokens.
+ *       - Body: { challengeToken, code } or { challengeToken, recoveryCode }
+ *       - Controller: verifyLoginTwoFactor
+ *
+ *   - POST /api/auth/refresh:
+ *       - Description: Exchanges the `refresh` cookie for a new access token and a rotated refresh token.
+ *         Reusing a rotated-out refresh token revokes the session.
+ *       - Controller: refresh
+ *
  *   - POST /api/auth/logout:
- *       - Description: Logs out the user by clearing the authentication cookie.
+ *       - Description: Ends the current session and clears the authentication cookies.
  *       - Controller: logout
  *
+ *   - POST /api/auth/change-password:
+ *       - Description: Changes the logged-in user's password and logs out their other sessions.
+ *       - Body: { currentPassword, newPassword, confirmPassword }
+ *       - Middleware: protectRoute
+ *       - Controller: changePassword
+ *
+ *   - POST /api/auth/forgot-password:
+ *       - Description: Emails a single-use reset link to the account's recovery address (if any).
+ *       - Body: { identifier } (username or email)
+ *       - Controller: requestPasswordReset
+ *
+ *   - POST /api/auth/reset-password:
+ *       - Description: Sets a new password with the token from a reset link.
+ *       - Body: { token, password, confirmPassword }
+ *       - Controller: resetPassword
+ *
+ *   - GET /api/auth/sessions:
+ *       - Description: Lists the user's active sessions (device, IP, last activity; the caller's is `current`).
+ *       - Middleware: protectRoute
+ *       - Controller: getSessions
+ *
+ *   - DELETE /api/auth/sessions/:id:
+ *       - Description: Logs one session out and disconnects its sockets.
+ *       - Middleware: protectRoute
+ *       - Controller: revokeSession
+ *
+ *   - DELETE /api/auth/sessions:
+ *       - Description: Logs out every session except the caller's ("log out other devices").
+ *       - Middleware: protectRoute
+ *       - Controller: revokeOtherSessions
+ *
+ *   - GET /api/auth/2fa:
+ *       - Description: Whether 2FA is enabled and how many recovery codes are left.
+ *       - Middleware: protectRoute
+ *       - Controller: getTwoFactorStatus
+ *
+ *   - POST /api/auth/2fa/setup:
+ *       - Description: Starts 2FA enrollment: a new pending secret, its provisioning URI and a QR code.
+ *       - Middleware: protectRoute
+ *       - Controller: setupTwoFactor
+ *
+ *   - POST /api/auth/2fa/enable:
+ *       - Description: Completes enrollment with a code from the authenticator app; returns the recovery codes.
+ *       - Body: { code }
+ *       - Middleware: protectRoute
+ *       - Controller: enableTwoFactor
+ *
+ *   - POST /api/auth/2fa/recovery-codes:
+ *       - Description: Replaces the recovery codes with ten new ones.
+ *       - Body: { code }
+ *       - Middleware: protectRoute
+ *       - Controller: regenerateRecoveryCodes
+ *
+ *   - POST /api/auth/2fa/disable:
+ *       - Description: Turns 2FA off.
+ *       - Body: { password, code } or { password, recoveryCode }
+ *       - Middleware: protectRoute
+ *       - Controller: disableTwoFactor
+ *
  * Usage:
  *   - Import this router into the main application and mount it under the `/api/auth` path.
  *       Example:
@@ -24,12 +94,47 @@
  */
 
 import express from "express";
-import { signup, login, logout } from "../controllers/auth.controller.js";
+import {
+    signup,
+    login,
+    verifyLoginTwoFactor,
+    refresh,
+    logout,
+    changePassword,
+    requestPasswordReset,
+    resetPassword,
+} from "../controllers/auth.controller.js";
+import {
+    getSessions,
+    revokeSession,
+    revokeOtherSessions,
+} from "../controllers/session.controller.js";
+import {
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    regenerateRecoveryCodes,
+    disableTwoFactor,
+} from "../controllers/twoFactor.controller.js";
+import { protectRoute } from "../middlewares/protectRoute.js";
 
 const router = express.Router();
 
 router.post("/signup", signup);
 router.post("/login", login);
+router.post("/login/2fa", verifyLoginTwoFactor);
+router.post("/refresh", refresh);
 router.post("/logout", logout);
+router.post("/change-password", protectRoute, changePassword);
+router.post("/forgot-password", requestPasswordReset);
+router.post("/reset-password", resetPassword);
+router.get("/sessions", protectRoute, getSessions);
+router.delete("/sessions", protectRoute, revokeOtherSessions);
+router.delete("/sessions/:id", protectRoute, revokeSession);
+router.get("/2fa", protectRoute, getTwoFactorStatus);
+router.post("/2fa/setup", protectRoute, setupTwoFactor);
+router.post("/2fa/enable", protectRoute, enableTwoFactor);
+router.post("/2fa/recovery-codes", protectRoute, regenerateRecoveryCodes);
+router.post("/2fa/disable", protectRoute, disableTwoFactor);
 
 export default router;
@@ -17,6 +17,46 @@
  *       - Middleware: protectRoute
  *       - Controller: markConversationRead
  *
+ *   - POST /api/conversations/:id/mute:
+ *       - Description: Mutes a conversation for the logged-in user, for `hours` or until unmuted.
+ *       - Middleware: protectRoute
+ *       - Controller: muteConversation
+ *
+ *   - DELETE /api/conversations/:id/mute:
+ *       - Description: Unmutes a conversation for the logged-in user.
+ *       - Middleware: protectRoute
+ *       - Controller: unmuteConversation
+ *
+ *   - POST /api/conversations/group:
+ *       - Description: Creates a named group conversation with the logged-in user as admin.
+ *       - Middleware: protectRoute
+ *       - Controller: createGroupConversation
+ *
+ *   - PATCH /api/conversations/:id:
+ *       - Description: Renames a group (admins only).
+ *       - Middleware: protectRoute
+ *       - Controller: renameGroup
+ *
+ *   - POST /api/conversations/:id/members:
+ *       - Description: Adds users to a group (admins only).
+ *       - Middleware: protectRoute
+ *       - Controller: addGroupMembers
+ *
+ *   - DELETE /api/conversations/:id/members/:userId:
+ *       - Description: Removes a member from a group (admins only).
+ *       - Middleware: protectRoute
+ *       - Controller: removeGroupMember
+ *
+ *   - POST /api/conversations/:id/admins:
+ *       - Description: Promotes a group member to admin (admins only).
+ *       - Middleware: protectRoute
+ *       - Controller: promoteGroupAdmin
+ *
+ *   - POST /api/conversations/:id/leave:
+ *       - Description: Removes the logged-in user from a group.
+ *       - Middleware: protectRoute
+ *       - Controller: leaveGroup
+ *
  * Usage:
  *   - Import this router into the main application and mount it under the `/api/conversations` path.
  *       Example:
@@ -29,11 +69,31 @@ import { protectRoute } from "../middlewares/protectRoute.js";
 import {
     getConversationsWithLastMessage,
     markConversationRead,
+    muteConversation,
+    unmuteConversation,
 } from "../controllers/conversation.controller.js";
+import {
+    createGroupConversation,
+    renameGroup,
+    addGroupMembers,
+    removeGroupMember,
+    promoteGroupAdmin,
+    leaveGroup,
+} from "../controllers/group.controller.js";
 
 const router = express.Router();
 
 router.get("/", protectRoute, getConversationsWithLastMessage);
 router.post("/:id/read", protectRoute, markConversationRead);
+router.post("/:id/mute", protectRoute, muteConversation);
+router.delete("/:id/mute", protectRoute, unmuteConversation);
+
+// Group conversations
+router.post("/group", protectRoute, createGroupConversation);
+router.patch("/:id", protectRoute, renameGroup);
+router.post("/:id/members", protectRoute, addGroupMembers);
+router.delete("/:id/members/:userId", protectRoute, removeGroupMember);
+router.post("/:id/admins", protectRoute, promoteGroupAdmin);
+router.post("/:id/leave", protectRoute, leaveGroup);
 
 export default router;
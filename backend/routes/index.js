@@ -2,8 +2,10 @@ import authRoutes from "./auth.routes.js";
 import messageRoutes from "./message.routes.js";
 import userRoutes from "./user.routes.js";
 import conversationRoutes from "./conversation.routes.js";
+import syncRoutes from "./sync.routes.js";
 
 import { getDBHealth } from "../config/db/db.config.js";
+import { rateLimit } from "../middlewares/rateLimit.js";
 
 export const setupRoutes = async (app) => {
     // Health check route (before API routes)
@@ -12,21 +14,85 @@ export const setupRoutes = async (app) => {
         res.json(dbHealth);
     });
 
+    // Rate limits (each request is charged to the first budget it matches)
+    app.use("/api/auth", rateLimit("auth"));
+    app.post(
+        [
+            "/api/messages/send/:receiverId",
+            "/api/messages/group/:conversationId/send",
+        ],
+        rateLimit("send")
+    );
+    app.use(
+        "/api",
+        rateLimit((req) => (req.method === "GET" ? "read" : "write"))
+    );
+
     // API routes
     app.use("/api/auth", authRoutes);
     app.use("/api/messages", messageRoutes);
     app.use("/api/users", userRoutes);
     app.use("/api/conversations", conversationRoutes);
+    app.use("/api/sync", syncRoutes);
 
     console.log("📋 API routes configured");
+    console.log(
+        "🚦 Rate limits: auth, send, read (GET) and write budgets per client"
+    );
     console.log("Available routes:");
     console.log("   📍 GET     /health");
     console.log("   📍 POST    /api/auth/signup");
     console.log("   📍 POST    /api/auth/login");
+    console.log("   📍 POST    /api/auth/login/2fa");
+    console.log("   📍 POST    /api/auth/refresh");
     console.log("   📍 POST    /api/auth/logout");
+    console.log("   📍 POST    /api/auth/change-password (protected)");
+    console.log("   📍 POST    /api/auth/forgot-password");
+    console.log("   📍 POST    /api/auth/reset-password");
+    console.log("   📍 GET     /api/auth/sessions (protected)");
+    console.log("   📍 DELETE  /api/auth/sessions (protected)");
+    console.log("   📍 DELETE  /api/auth/sessions/:id (protected)");
+    console.log("   📍 GET     /api/auth/2fa (protected)");
+    console.log("   📍 POST    /api/auth/2fa/setup (protected)");
+    console.log("   📍 POST    /api/auth/2fa/enable (protected)");
+    console.log("   📍 POST    /api/auth/2fa/recovery-codes (protected)");
+    console.log("   📍 POST    /api/auth/2fa/disable (protected)");
+    console.log("   📍 GET     /api/messages/search?q= (protected)");
     console.log("   📍 GET     /api/messages/:receiverId (protected)");
     console.log("   📍 POST    /api/messages/send/:receiverId (protected)");
     console.log("   📍 GET     /api/users (protected)");
     console.log("   📍 GET     /api/users/:userId (protected)");
+    console.log("   📍 PATCH   /api/users/me (protected)");
+    console.log("   📍 PUT     /api/users/me/presence (protected)");
+    console.log("   📍 PUT     /api/users/me/avatar (protected)");
+    console.log("   📍 DELETE  /api/users/me/avatar (protected)");
+    console.log("   📍 GET     /api/users/:id/avatar (protected)");
+    console.log("   📍 GET     /api/users/me/blocked (protected)");
+    console.log("   📍 POST    /api/users/:id/block (protected)");
+    console.log("   📍 DELETE  /api/users/:id/block (protected)");
+    console.log(
+        "   📍 GET     /api/messages/group/:conversationId (protected)"
+    );
+    console.log(
+        "   📍 POST    /api/messages/group/:conversationId/send (protected)"
+    );
+    console.log("   📍 PATCH   /api/messages/:id (protected)");
+    console.log("   📍 DELETE  /api/messages/:id (protected)");
+    console.log("   📍 POST    /api/messages/:id/reactions (protected)");
+    console.log(
+        "   📍 GET     /api/messages/attachments/:messageId/:attachmentId (protected)"
+    );
     console.log("   📍 GET     /api/conversations (protected)");
+    console.log("   📍 POST    /api/conversations/:id/read (protected)");
+    console.log("   📍 POST    /api/conversations/:id/mute (protected)");
+    console.log("   📍 DELETE  /api/conversations/:id/mute (protected)");
+    console.log("   📍 POST    /api/conversations/group (protected)");
+    console.log("   📍 PATCH   /api/conversations/:id (protected)");
+    console.log("   📍 POST    /api/conversations/:id/members (protected)");
+    console.log(
+        "   📍 DELETE  /api/conversations/:id/members/:userId (protected)"
+    );
+    console.log("   📍 POST    /api/conversations/:id/admins (protected)");
+    console.log("   📍 POST    /api/conversations/:id/leave (protected)");
+    console.log("   📍 GET     /api/sync?since= (protected)");
 };
@@ -5,18 +5,64 @@
  *
  * Middleware:
  *   - protectRoute: Ensures that only authenticated users can access these routes.
+ *   - uploadAttachments: Parses multipart uploads (field `attachments`) and enforces the size and MIME-type limits.
  *
  * Routes:
+ *   - GET /api/messages/search?q=:
+ *       - Description: Full-text search over the messages of every conversation the logged-in user belongs to.
+ *       - Query: `q` (2–200 characters), `conversationId` (optional, search one conversation),
+ *         `before`, `limit` (same paging as below).
+ *       - Middleware: protectRoute
+ *       - Controller: searchMessages
+ *
  *   - GET /api/messages/:receiverId:
- *       - Description: Retrieves all messages in a conversation between the logged-in user and the specified receiver.
+ *       - Description: Retrieves a page of messages in a conversation between the logged-in user and the specified receiver.
+ *       - Query: `before` (message ID cursor, optional), `limit` (page size, optional, default 30, max 100).
  *       - Middleware: protectRoute
  *       - Controller: getMessages
  *
  *   - POST /api/messages/send/:receiverId:
  *       - Description: Sends a message from the logged-in user to the specified receiver.
- *       - Middleware: protectRoute
+ *       - Body: JSON `{ message }`, or `multipart/form-data` with `message` and up to 5 `attachments` files.
+ *         Optional `replyTo` and `clientMessageId` (retrying with the same ID returns the original message).
+ *       - Middleware: protectRoute, uploadAttachments
  *       - Controller: sendMessage
  *
+ *   - GET /api/messages/group/:conversationId:
+ *       - Description: Retrieves a page of messages of a group conversation the logged-in user belongs to.
+ *       - Query: `before`, `limit` (same as above).
+ *       - Middleware: protectRoute
+ *       - Controller: getGroupMessages
+ *
+ *   - POST /api/messages/group/:conversationId/send:
+ *       - Description: Sends a message from the logged-in user to every member of a group.
+ *       - Body: Same as `/send/:receiverId`.
+ *       - Middleware: protectRoute, uploadAttachments
+ *       - Controller: sendGroupMessage
+ *
+ *   - PATCH /api/messages/:id:
+ *       - Description: Edits a message the logged-in user sent, within `MESSAGE_EDIT_WINDOW_MINUTES` (default 15).
+ *       - Body: { message: string }
+ *       - Middleware: protectRoute
+ *       - Controller: editMessage
+ *
+ *   - DELETE /api/messages/:id?mode=me|everyone:
+ *       - Description: Hides a message for the logged-in user (`me`, default), or deletes it for every
+ *         participant (`everyone`, sender only).
+ *       - Middleware: protectRoute
+ *       - Controller: deleteMessage
+ *
+ *   - POST /api/messages/:id/reactions:
+ *       - Description: Toggles the logged-in user's emoji reaction on a message.
+ *       - Body: { emoji: string }
+ *       - Middleware: protectRoute
+ *       - Controller: toggleReaction
+ *
+ *   - GET /api/messages/attachments/:messageId/:attachmentId:
+ *       - Description: Downloads an attachment; only participants of the message's conversation may fetch it.
+ *       - Middleware: protectRoute
+ *       - Controller: downloadAttachment
+ *
  * Usage:
  *   - Import this router into the main application and mount it under the `/api/messages` path.
  *       Example:
@@ -25,12 +71,39 @@
  */
 
 import express from "express";
-import { sendMessage, getMessages } from "../controllers/message.controller.js";
+import {
+    sendMessage,
+    getMessages,
+    sendGroupMessage,
+    getGroupMessages,
+    editMessage,
+    deleteMessage,
+    downloadAttachment,
+    toggleReaction,
+    searchMessages,
+} from "../controllers/message.controller.js";
 import { protectRoute } from "../middlewares/protectRoute.js";
+import { uploadAttachments } from "../middlewares/uploadAttachments.js";
 
 const router = express.Router();
 
+router.get("/search", protectRoute, searchMessages); // Search my messages (before /:receiverId)
+router.get(
+    "/attachments/:messageId/:attachmentId",
+    protectRoute,
+    downloadAttachment
+); // Download an attachment (participants only)
 router.get("/:receiverId", protectRoute, getMessages); // Get messages for a specific receiver
-router.post("/send/:receiverId", protectRoute, sendMessage); // Send message to a specific receiver
+router.post("/send/:receiverId", protectRoute, uploadAttachments, sendMessage); // Send message (with optional files) to a specific receiver
+router.get("/group/:conversationId", protectRoute, getGroupMessages); // Get messages of a group
+router.post(
+    "/group/:conversationId/send",
+    protectRoute,
+    uploadAttachments,
+    sendGroupMessage
+); // Send message (with optional files) to a group
+router.patch("/:id", protectRoute, editMessage); // Edit own message (within the edit window)
+router.delete("/:id", protectRoute, deleteMessage); // Delete a message for me or for everyone
+router.post("/:id/reactions", protectRoute, toggleReaction); // Toggle an emoji reaction
 
 export default router;
@@ -0,0 +1,31 @@
+/**
+ * Sync Routes
+ * -----------
+ * Defines the API route clients use to catch up on real-time events after a reconnect.
+ *
+ * Middleware:
+ *   - protectRoute: Ensures that only authenticated users can access these routes.
+ *
+ * Routes:
+ *   - GET /api/sync?since=<seq>:
+ *       - Description: Returns the conversations and messages that changed for the logged-in user since
+ *         the event with sequence number `since` (or tells the client to reload everything).
+ *       - Middleware: protectRoute
+ *       - Controller: getSync
+ *
+ * Usage:
+ *   - Import this router into the main application and mount it under the `/api/sync` path.
+ *       Example:
+ *           import syncRoutes from "./routes/sync.routes.js";
+ *           app.use("/api/sync", syncRoutes);
+ */
+
+import express from "express";
+import { protectRoute } from "../middlewares/protectRoute.js";
+import { getSync } from "../controllers/sync.controller.js";
+
+const router = express.Router();
+
+router.get("/", protectRoute, getSync);
+
+export default router;
@@ -5,6 +5,7 @@
  *
  * Middleware:
  *   - protectRoute: Ensures that only authenticated users can access these routes.
+ *   - uploadAvatar: Parses the multipart avatar upload (field `avatar`) and enforces the size and type limits.
  *
  * Routes:
  *   - GET /api/users:
@@ -17,6 +18,49 @@
  *       - Middleware: protectRoute
  *       - Controller: getCurrentUser
  *
+ *   - PATCH /api/users/me:
+ *       - Description: Updates the logged-in user's full name, bio and/or status text.
+ *       - Body: { fullName?, bio?, statusText? }
+ *       - Middleware: protectRoute
+ *       - Controller: updateProfile
+ *
+ *   - PUT /api/users/me/presence:
+ *       - Description: Sets the logged-in user's presence ("online", "dnd" or "invisible").
+ *       - Body: { status }
+ *       - Middleware: protectRoute
+ *       - Controller: updatePresence
+ *
+ *   - PUT /api/users/me/avatar:
+ *       - Description: Uploads a new avatar (resized server-side to a square WebP image).
+ *       - Body: `multipart/form-data` with one image in the `avatar` field.
+ *       - Middleware: protectRoute, uploadAvatar
+ *       - Controller: updateAvatar
+ *
+ *   - DELETE /api/users/me/avatar:
+ *       - Description: Removes the uploaded avatar and restores the default one.
+ *       - Middleware: protectRoute
+ *       - Controller: deleteAvatar
+ *
+ *   - GET /api/users/:id/avatar:
+ *       - Description: Serves a user's uploaded avatar image.
+ *       - Middleware: protectRoute
+ *       - Controller: getAvatar
+ *
+ *   - GET /api/users/me/blocked:
+ *       - Description: Lists the users the logged-in user blocked.
+ *       - Middleware: protectRoute
+ *       - Controller: getBlockedUsers
+ *
+ *   - POST /api/users/:id/block:
+ *       - Description: Blocks a user: no direct messages either way, hidden from the user list and presence.
+ *       - Middleware: protectRoute
+ *       - Controller: blockUser
+ *
+ *   - DELETE /api/users/:id/block:
+ *       - Description: Unblocks a user.
+ *       - Middleware: protectRoute
+ *       - Controller: unblockUser
+ *
  * Usage:
  *   - Import this router into the main application and mount it under the `/api/users` path.
  *       Example:
@@ -28,12 +72,29 @@ import express from "express";
 import {
     getUsersForSidebar,
     getCurrentUser,
+    updateProfile,
+    updatePresence,
+    updateAvatar,
+    deleteAvatar,
+    getAvatar,
+    getBlockedUsers,
+    blockUser,
+    unblockUser,
 } from "../controllers/user.controller.js";
 import { protectRoute } from "../middlewares/protectRoute.js";
+import { uploadAvatar } from "../middlewares/uploadAvatar.js";
 
 const router = express.Router();
 
 router.get("/", protectRoute, getUsersForSidebar); // Only authenticated users can access this route
 router.get("/me", protectRoute, getCurrentUser);
+router.patch("/me", protectRoute, updateProfile); // Edit name, bio and status
+router.put("/me/presence", protectRoute, updatePresence); // Online, do not disturb or invisible
+router.put("/me/avatar", protectRoute, uploadAvatar, updateAvatar); // Upload a new avatar
+router.delete("/me/avatar", protectRoute, deleteAvatar); // Back to the default avatar
+router.get("/me/blocked", protectRoute, getBlockedUsers); // Users I blocked
+router.get("/:id/avatar", protectRoute, getAvatar); // Serve an uploaded avatar
+router.post("/:id/block", protectRoute, blockUser);
+router.delete("/:id/block", protectRoute, unblockUser);
 
 export default router;
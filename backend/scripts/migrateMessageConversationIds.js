@@ -0,0 +1,144 @@
+/**
+ * migrateMessageConversationIds.js
+ * --------------------------------
+ * One-shot migration that moves message ownership from the embedded `Conversation.messages`
+ * array onto the messages themselves.
+ *
+ * What it does (per conversation that still has a `messages` array):
+ *   1. Sets `conversationId` on every message listed in the array (in chunks of 1000 IDs).
+ *      Messages that already carry a `conversationId` are left untouched.
+ *   2. Stores a `lastMessage` snapshot ({ messageId, content, senderId, createdAt })
+ *      taken from the newest message of the conversation.
+ *   3. Removes the `messages` array from the conversation document.
+ *   4. Finally builds the `Message` indexes declared in the schema
+ *      ({ conversationId: 1, _id: -1 } and { conversationId: 1, createdAt: -1 }).
+ *
+ * Safety:
+ *   - Idempotent: conversations are only processed while they still have a `messages` field,
+ *     and the array is removed only after its messages were updated. Re-running after a crash
+ *     resumes where it stopped.
+ *   - Uses the raw collections so documents are not re-validated or re-shaped by the schema
+ *     (the `messages` path no longer exists on the model).
+ *   - `--dry-run` reports what would change without writing anything.
+ *   - Messages that are not referenced by any conversation cannot be assigned and are only reported.
+ *
+ * Usage:
+ *   - npm run migrate:messages
+ *   - npm run migrate:messages -- --dry-run
+ *
+ * Environment:
+ *   - MONGODB_URI: The database to migrate (read from the project root `.env`).
+ */
+
+import dotenv from "dotenv";
+import { connectDB, disconnectDB } from "../config/db/db.config.js";
+import Conversation from "../models/conversation.model.js";
+import Message from "../models/message.model.js";
+
+dotenv.config();
+
+const CHUNK_SIZE = 1000;
+const isDryRun = process.argv.includes("--dry-run");
+
+const chunk = (items, size) => {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+};
+
+const migrateConversation = async (conversation) => {
+    const messageIds = conversation.messages || [];
+    let updated = 0;
+
+    if (!isDryRun) {
+        for (const ids of chunk(messageIds, CHUNK_SIZE)) {
+            const result = await Message.collection.updateMany(
+                { _id: { $in: ids }, conversationId: { $exists: false } },
+                { $set: { conversationId: conversation._id } }
+            );
+            updated += result.modifiedCount;
+        }
+    }
+
+    const latest = await Message.collection.findOne(
+        isDryRun
+            ? { _id: { $in: messageIds } }
+            : { conversationId: conversation._id },
+        { sort: { _id: -1 } }
+    );
+
+    const lastMessage = latest
+        ? {
+              messageId: latest._id,
+              content: latest.message || "",
+              senderId: latest.senderId,
+              createdAt: latest.createdAt,
+          }
+        : null;
+
+    if (!isDryRun) {
+        await Conversation.collection.updateOne(
+            { _id: conversation._id },
+            { $set: { lastMessage }, $unset: { messages: "" } }
+        );
+    }
+
+    return { referenced: messageIds.length, updated };
+};
+
+const run = async () => {
+    await connectDB();
+    console.log(
+        `🚚 Migrating messages to conversationId${isDryRun ? " (dry run)" : ""}`
+    );
+
+    const cursor = Conversation.collection.find(
+        { messages: { $exists: true } },
+        { projection: { messages: 1 } }
+    );
+
+    let conversations = 0;
+    let referenced = 0;
+    let updated = 0;
+
+    for await (const conversation of cursor) {
+        const stats = await migrateConversation(conversation);
+        conversations += 1;
+        referenced += stats.referenced;
+        updated += stats.updated;
+
+        if (conversations % 100 === 0) {
+            console.log(`   … ${conversations} conversations processed`);
+        }
+    }
+
+    const orphaned = await Message.collection.countDocuments({
+        conversationId: { $exists: false },
+    });
+
+    if (!isDryRun) {
+        await Message.createIndexes();
+    }
+
+    console.log(`✅ Conversations processed: ${conversations}`);
+    console.log(`   Messages referenced:     ${referenced}`);
+    if (!isDryRun) console.log(`   Messages updated:        ${updated}`);
+    if (orphaned > 0) {
+        console.warn(
+            `⚠️  ${orphaned} messages have no conversationId${
+                isDryRun ? " yet" : " (not referenced by any conversation)"
+            }`
+        );
+    }
+};
+
+try {
+    await run();
+} catch (error) {
+    console.error("❌ Migration failed:", error.message);
+    process.exitCode = 1;
+} finally {
+    await disconnectDB();
+}
@@ -0,0 +1,158 @@
+/**
+ * Mongo Socket.IO Adapter
+ * -----------------------
+ * Relays Socket.IO traffic between server instances through a capped MongoDB collection, so an emit on
+ * one instance reaches sockets connected to any other (rooms, `disconnectSockets`, `fetchSockets`,
+ * `serverSideEmit`).
+ *
+ * Exports:
+ *   - createMongoAdapter(collection, opts?): Returns the adapter factory for `io.adapter(...)`.
+ *     `collection` is a native driver collection, created capped (see `ensureCappedCollection`).
+ *   - ensureCappedCollection(db, name, sizeBytes): Creates the capped collection unless it exists.
+ *
+ * How it works:
+ *   - Builds on `ClusterAdapterWithHeartbeat` from `socket.io-adapter`, which implements the cluster
+ *     protocol (heartbeats, requests and responses); this module only moves its messages.
+ *   - Every message and response is inserted as a document. Each instance follows the collection with a
+ *     tailable cursor and hands new documents to its adapter; its own messages are ignored.
+ *   - Tailable cursors work on a standalone `mongod`: no replica set (change streams) is needed.
+ *   - The capped collection recycles its oldest documents, so nothing has to be cleaned up.
+ *   - The cursor reads in natural (insertion) order, which a capped collection preserves. Document IDs are
+ *     not used for ordering: each instance generates them from its own clock, so they do not sort in
+ *     insertion order across instances.
+ *   - If the cursor fails (e.g. MongoDB restarted) it is reopened after a second and skips ahead to the
+ *     last document seen (or to the current end, if that one was recycled). Messages published while
+ *     MongoDB was unreachable are lost, like with any pub/sub.
+ *
+ * Example:
+ *   const collection = await ensureCappedCollection(mongoose.connection.db, "socket.io-adapter-events", 16e6);
+ *   io.adapter(createMongoAdapter(collection));
+ */
+
+import { ClusterAdapterWithHeartbeat } from "socket.io-adapter";
+
+const RETRY_DELAY_MS = 1000;
+
+export const ensureCappedCollection = async (db, name, sizeBytes) => {
+    const [existing] = await db.listCollections({ name }).toArray();
+    if (!existing) {
+        try {
+            await db.createCollection(name, { capped: true, size: sizeBytes });
+        } catch (error) {
+            // Another instance created it first
+            if (error.codeName !== "NamespaceExists") throw error;
+        }
+    }
+    const collection = db.collection(name);
+
+    // A tailable cursor on an empty collection closes right away
+    if ((await collection.estimatedDocumentCount()) === 0) {
+        await collection.insertOne({ createdAt: new Date() });
+    }
+    return collection;
+};
+
+class MongoAdapter extends ClusterAdapterWithHeartbeat {
+    constructor(nsp, collection, opts) {
+        super(nsp, opts);
+        this.collection = collection;
+    }
+
+    async doPublish(message) {
+        const { insertedId } = await this.collection.insertOne(
+            { message, createdAt: new Date() },
+            { ignoreUndefined: true }
+        );
+        return insertedId.toString();
+    }
+
+    async doPublishResponse(requesterUid, response) {
+        await this.collection.insertOne(
+            { requesterUid, response, createdAt: new Date() },
+            { ignoreUndefined: true }
+        );
+    }
+}
+
+export const createMongoAdapter = (collection, opts = {}) => {
+    // namespace name -> adapter of this instance
+    const adapters = new Map();
+    let tailing = false;
+
+    const dispatch = (doc) => {
+        if (doc.message) {
+            adapters
+                .get(doc.message.nsp)
+                ?.onMessage(doc.message, doc._id.toString());
+        } else if (doc.response) {
+            adapters.forEach((adapter) => {
+                if (adapter.uid === doc.requesterUid) {
+                    adapter.onResponse(doc.response);
+                }
+            });
+        }
+    };
+
+    // Move the cursor past what was handled already: up to `lastId`, or to the current end when
+    // there is none yet (start) or it was recycled. Returns the ID of the last document skipped.
+    const skipHandled = async (cursor, lastId) => {
+        let skippedId = lastId;
+        let doc = await cursor.tryNext();
+        while (doc) {
+            skippedId = doc._id;
+            if (lastId && doc._id.equals(lastId)) break;
+            doc = await cursor.tryNext();
+        }
+        return skippedId;
+    };
+
+    const tail = async () => {
+        // The last document handled
+        let lastId = null;
+
+        while (adapters.size > 0) {
+            const cursor = collection.find(
+                {},
+                { tailable: true, awaitData: true }
+            );
+            try {
+                lastId = await skipHandled(cursor, lastId);
+                for await (const doc of cursor) {
+                    lastId = doc._id;
+                    dispatch(doc);
+                    if (adapters.size === 0) break;
+                }
+            } catch (error) {
+                console.error("Socket adapter cursor failed:", error.message);
+            } finally {
+                await cursor.close().catch(() => {});
+            }
+            await new Promise((resolve) => setTimeout(resolve, RETRY_DELAY_MS));
+        }
+        tailing = false;
+    };
+
+    // A regular function: Socket.IO calls it with `new`
+    return function (nsp) {
+        const adapter = new MongoAdapter(nsp, collection, opts);
+        adapters.set(nsp.name, adapter);
+
+        const close = adapter.close.bind(adapter);
+        adapter.close = () => {
+            adapters.delete(nsp.name);
+            close();
+        };
+
+        // Announces this instance and starts its heartbeats (Socket.IO does not call it)
+        adapter.init();
+
+        if (!tailing) {
+            tailing = true;
+            tail().catch((error) => {
+                tailing = false;
+                console.error("Socket adapter stopped:", error.message);
+            });
+        }
+        return adapter;
+    };
+};
@@ -2,41 +2,141 @@
  * Socket.IO JWT-Authenticated Gateway
  * -----------------------------------
  * Initializes a Socket.IO server, authenticates clients via JWT from httpOnly cookies,
- * tracks online users across multiple sockets/tabs, and broadcasts online presence.
+ * tracks online users across multiple sockets/tabs, and broadcasts online presence. Runs on one instance
+ * or on several behind a load balancer (see "Multiple Instances").
  *
  * Exports:
  *   - `app`: The Express application instance.
  *   - `io`: The Socket.IO server instance.
  *   - `server`: The HTTP server instance.
- *   - `getReceiverSocketIds`: Utility function to retrieve active socket IDs for a specific user.
+ *   - `getConnectedUserIds`: Utility function to tell which of some users have a socket open (on any instance).
+ *   - `emitToUsers`: Utility function to fan out an event to every socket of several users.
+ *   - `emitSyncedToUsers`: Like `emitToUsers`, for events clients must not miss (numbered and recorded).
+ *   - `disconnectSessionSockets`: Utility function to end the sockets of revoked login sessions.
+ *   - `setBlockedUsers`: Utility function to refresh an online user's block list (and their `presence:statuses`).
+ *   - `setPresenceMode`: Utility function to apply a user's chosen presence mode to their sockets.
+ *   - `setupSocketAdapter`: Connects this instance to the others (`SOCKET_ADAPTER=mongo`) once MongoDB is up.
  *
  * Key Structures:
- *   - `userSockets`: A `Map` that tracks active socket IDs for each user (`userId -> Set<socketId>`).
+ *   - Rooms: every socket joins `user:<userId>` and `session:<sessionId>`; emits address these rooms.
+ *   - Presence store: which sockets are open for which user, on every instance (`presence/`).
+ *   - `typingState`: A `Map` of active typing indicators (`"conversationId:userId" -> { recipients, timer }`).
+ *   - `userBlocks`: A `Map` of the users each user with a socket on this instance blocked (`userId -> Set<userId>`).
+ *   - `syncQueues`: A `Map` of each user's pending synced emits (`userId -> Promise`), keeping them in order.
  *
  * Features:
  *   - JWT Authentication:
  *       - Parses cookies from the WebSocket handshake request.
  *       - Verifies the `jwt` cookie using `process.env.JWT_SECRET`.
- *       - Attaches the `userId` to the socket instance upon successful authentication.
+ *       - Rejects tokens whose `tv` claim no longer matches the user's `tokenVersion` (issued before
+ *         a password change or reset), or whose `sid` session was revoked or expired, like `protectRoute`.
+ *       - Attaches the `userId` and `sessionId` to the socket instance upon successful authentication,
+ *         and records the connection as session activity.
+ *       - An expired access token is refused with `TokenExpired` (instead of `Unauthorized`), so the
+ *         client knows to refresh it and connect again.
+ *   - Re-Authentication:
+ *       - The socket's authentication lasts as long as the access token it connected with. When it runs
+ *         out the server emits `auth:expired`; the client refreshes its tokens over HTTP and emits
+ *         `auth:renew`. The renewal succeeds when the session is still valid and its refresh token was
+ *         rotated since the socket (last) authenticated, and extends the socket by `ACCESS_TOKEN_TTL_MINUTES`.
+ *       - A socket that does not renew within `AUTH_RENEW_GRACE_MS` (30s) is disconnected.
+ *       - The connection stays open throughout, so presence is unaffected.
  *   - Multi-Tab/Device Support:
- *       - Tracks multiple active sockets for each user.
+ *       - Tracks multiple active sockets for each user; they all share the user's room.
  *   - Online Presence:
- *       - Emits the `onlineUsers` event with the list of currently online user IDs.
+ *       - Emits the `presence:statuses` event with the status of every online user: "online", "away"
+ *         (all of the user's clients are idle, reported with `presence:away`) or "dnd" (do not disturb).
+ *         Each user gets their own map: users they blocked and invisible users are left out, while
+ *         their own entry shows their real status (including "invisible").
+ *       - "dnd" and "invisible" are chosen by the user (`presenceStatus`, see `setPresenceMode`) and
+ *         copied onto each socket's presence entry; "away" is per socket.
+ *       - When a user's last socket is gone for good, their `lastSeenAt` is saved (unless invisible).
+ *       - A user whose last socket closes stays online for `PRESENCE_GRACE_MS` (5s), so reconnects
+ *         (page reloads, re-authentication, network blips) do not flicker their presence.
+ *       - Every socket has an entry in the presence store (`PRESENCE_STORE`). Each instance refreshes its
+ *         own entries every `PRESENCE_HEARTBEAT_MS` (20s); entries not refreshed for `PRESENCE_TTL_MS` (60s)
+ *         expire, so the users of a crashed instance go offline on their own.
+ *   - Multiple Instances:
+ *       - With `SOCKET_ADAPTER=mongo` emits are relayed to the other instances through a capped MongoDB
+ *         collection (`socket/mongo.adapter.js`), so a user's room reaches their sockets wherever they are
+ *         connected. Use it with `PRESENCE_STORE=mongo`, so all instances see the same online users.
+ *       - Presence changes and block list changes are passed on with `serverSideEmit`; every instance
+ *         then re-sends `presence:statuses` to its own sockets.
+ *   - Delivery Receipts:
+ *       - When a user connects, everything sent to them while offline counts as delivered: their
+ *         `lastDeliveredAt` is advanced on every conversation with pending messages, and the other
+ *         participants receive `message:status`.
+ *   - Flood Control:
+ *       - Incoming events are metered by a token bucket per socket (`RATE_LIMIT_SOCKET`, default 30
+ *         events per 10s, see `config/limiter/limiter.config.js`). Events over budget are dropped and the
+ *         client is told once per streak with `rate:limited`; a socket that keeps flooding is disconnected.
+ *   - Typing Indicators:
+ *       - Clients emit `typing:start` / `typing:stop` with `{ conversationId }`.
+ *       - The sender must be a participant (checked once per typing burst); the event is relayed only
+ *         to the other participants' sockets, with the sender's `userId` added.
+ *       - Typing state expires after `TYPING_TTL_MS` (6s) unless refreshed by another `typing:start`,
+ *         and is cleared when the socket disconnects, so a closed tab never leaves "typing…" behind.
+ *   - Event Sync:
+ *       - Message and conversation events (`message:new`, `message:edited`, `message:deleted`,
+ *         `message:reaction`, `conversation:created`, `conversation:updated`, `conversation:removed`)
+ *         are sent with `emitSyncedToUsers`: each recipient's copy carries the next number of their event
+ *         sequence as `seq`, and the change is recorded (see `utils/syncLog.js`), also for users who are
+ *         offline. A client that reconnects asks `GET /api/sync?since=<last seq>` for what it missed.
+ *       - Presence, typing and `message:status` are not synced; they are re-sent or recomputed on connect.
  *   - Cleanup on Disconnect:
- *       - Removes the socket ID from the user's set.
- *       - If no sockets remain for a user, removes the user from `userSockets`.
- *       - Re-emits the updated `onlineUsers` list.
+ *       - Marks the socket's presence entry disconnected and removes it once the grace period passes.
+ *       - If no sockets remain for the user by then, the updated `presence:statuses` are sent and the
+ *         user's `lastSeenAt` is saved.
  *
  * Functions:
  *   - `parseCookies(cookieHeader: string) => Record<string, string>`:
  *       - Safely parses the `Cookie` header into a key-value map.
- *   - `getReceiverSocketIds(userId: string) => string[]`:
- *       - Retrieves an array of active socket IDs for a specific user.
+ *   - `getConnectedUserIds(userIds: Array<string|ObjectId>) => Promise<string[]>`:
+ *       - The users among `userIds` with at least one open socket (not counting the grace period).
+ *   - `markConversationsDelivered(userId: string) => Promise<void>` (module-private):
+ *       - Advances the user's `lastDeliveredAt` where newer messages from others exist and emits `message:status`.
+ *   - `startTyping(conversationId, userId) => Promise<boolean>` / `stopTyping(conversationId, userId)` (module-private):
+ *       - Start (or refresh) and clear a typing indicator, relaying the change to the other participants.
+ *   - `emitToUsers(userIds: Array<string|ObjectId>, event: string, payload: object | (userId) => object)`:
+ *       - Emits `event` to each user's room, reaching all their sockets (duplicates are ignored).
+ *       - When `payload` is a function it is called per user, so each member can receive
+ *         a user-specific payload (e.g., their own `unreadCount`).
+ *   - `emitSyncedToUsers(userIds, event, payload, change: { conversationId, messageId? })`:
+ *       - Same fan-out as `emitToUsers` (the payload is still computed right away), but each user's
+ *         copy is emitted once `change` is recorded, with their sequence number added as `seq`.
+ *       - A user's synced events are emitted in the order they were issued. If recording fails the event
+ *         is still emitted, without `seq`.
+ *   - `disconnectSessionSockets(sessionIds: string[])`:
+ *       - Emits `session:revoked` to every socket opened by one of the sessions, then disconnects it,
+ *         on every instance.
+ *   - `setBlockedUsers(userId, blockedIds: Array<string|ObjectId>)`:
+ *       - Replaces the cached block list of an online user and re-sends their `presence:statuses`.
+ *         Called after `blockUser` / `unblockUser`; offline users are loaded on connect instead.
+ *   - `setPresenceMode(userId, mode: "online" | "dnd" | "invisible") => Promise<void>`:
+ *       - Updates the mode on the user's presence entries and re-sends everyone's statuses. Called by
+ *         `updatePresence` after saving `presenceStatus`.
+ *   - `setupSocketAdapter() => Promise<"memory" | "mongo">`:
+ *       - Installs the MongoDB adapter when `SOCKET_ADAPTER=mongo`; called by `startServer` after `connectDB`.
+ *   - `broadcastPresence()` (module-private):
+ *       - Sends every user connected to this instance their `presence:statuses`.
+ *   - `limitSocketEvents(socket)` (module-private):
+ *       - Installs the flood-control middleware on a connected socket.
  *
  * Events:
  *   - Server Emits:
- *       - `onlineUsers`: An array of user IDs currently online (have ≥ 1 active socket).
+ *       - `presence:statuses`: { [userId]: "online" | "away" | "dnd" } for the users currently online
+ *         (≥ 1 active socket), minus the users the recipient blocked and invisible users. The recipient's
+ *         own entry can also be "invisible". Users missing from the map are offline.
+ *       - `message:status`: { conversationId, deliveredUpTo, readUpTo } delivery/read watermarks for the
+ *         recipient's own messages (see `utils/messageStatus.js`).
+ *       - `typing:start` / `typing:stop`: { conversationId, userId } relayed to the other participants.
+ *       - `session:revoked`: Sent right before the server disconnects a socket whose session was revoked.
+ *       - `auth:expired`: The socket's access token expired; renew it with `auth:renew`.
+ *       - `rate:limited`: { event, retryAfter } the client is sending events too fast; `event` was dropped.
  *   - Client Emits:
+ *       - `auth:renew` (ack `{ ok }`): Re-authenticates the socket after refreshing the tokens.
+ *       - `typing:start` / `typing:stop`: { conversationId } while the user is (no longer) typing.
+ *       - `presence:away`: { away } when the client goes idle (`true`) or is used again (`false`).
  *       - `disconnect`: Triggered when a client disconnects.
  *
  * Security:
@@ -46,20 +146,33 @@
  * Usage:
  *   - Frontend:
  *       const socket = io("http://localhost:5000", { withCredentials: true });
- *       socket.on("onlineUsers", (ids) => setOnlineUsers(ids));
+ *       socket.on("presence:statuses", (statuses) => setPresence(statuses));
  *
  * Example Workflow:
  *   1. Client connects with a valid JWT cookie.
  *   2. Server verifies the JWT and attaches the `userId` to the socket.
- *   3. The socket is added to the `userSockets` map.
- *   4. The server emits the updated `onlineUsers` list to all clients.
- *   5. On disconnect, the socket is removed, and the `onlineUsers` list is updated.
+ *   3. The socket joins its user and session rooms and is added to the presence store.
+ *   4. Every instance emits the updated `presence:statuses` to its clients.
+ *   5. On disconnect, the socket leaves the presence store after the grace period, the
+ *      `presence:statuses` are updated and the user's `lastSeenAt` is saved.
  */
 
 import { Server } from "socket.io";
 import http from "http";
 import express from "express";
 import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import Conversation from "../models/conversation.model.js";
+import User from "../models/user.model.js";
+import Session from "../models/session.model.js";
+import { statusPayloadFor } from "../utils/messageStatus.js";
+import { recordSyncEvent } from "../utils/syncLog.js";
+import { createAuthConfig } from "../config/auth/auth.config.js";
+import { createLimiterConfig } from "../config/limiter/limiter.config.js";
+import { takeToken } from "../limiter/tokenBucket.js";
+import { getPresenceStore } from "../presence/index.js";
+import { createClusterConfig } from "../config/cluster/cluster.config.js";
+import { createMongoAdapter, ensureCappedCollection } from "./mongo.adapter.js";
 
 const app = express();
 const server = http.createServer(app);
@@ -88,15 +201,318 @@ const parseCookies = (cookieHeader = "") =>
             .filter(Boolean)
     );
 
-export const getReceiverSocketIds = (userId) => {
-    return Array.from(userSockets.get(userId) || []);
+// Every socket joins the room of its user and of its login session
+const userRoom = (userId) => `user:${userId}`;
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+// Whether emits are relayed to other instances (see setupSocketAdapter)
+let isClustered = false;
+
+export const getConnectedUserIds = (userIds) =>
+    getPresenceStore().getConnectedUserIds(
+        (userIds || []).map((id) => id.toString())
+    );
+
+// userId -> Set<userId> of the users they blocked (users with sockets on this instance only)
+const userBlocks = new Map();
+
+const hasLocalSockets = (userId) =>
+    (io.of("/").adapter.rooms.get(userRoom(userId))?.size || 0) > 0;
+
+// "dnd" and "invisible" win over idle; an idle "online" user is "away"
+const statusOf = ({ mode, away }) =>
+    mode === "online" ? (away ? "away" : "online") : mode;
+
+// What `userId` gets to see: others without the invisible and the blocked, themselves as they are
+const presenceFor = (online, userId) => {
+    const blocked = userBlocks.get(userId);
+    const statuses = {};
+    online.forEach((user) => {
+        const isSelf = user.userId === userId;
+        if (
+            !isSelf &&
+            (user.mode === "invisible" || blocked?.has(user.userId))
+        ) {
+            return;
+        }
+        statuses[user.userId] = statusOf(user);
+    });
+    return statuses;
+};
+
+const presenceKey = (online) =>
+    online
+        .map((user) => `${user.userId}:${statusOf(user)}`)
+        .sort()
+        .join(",");
+
+// The presence each instance last sent, to notice changes on the heartbeat
+let lastPresenceKey = "";
+
+// Users on this instance get the statuses, without the users they blocked
+const broadcastPresence = async () => {
+    const online = await getPresenceStore().getOnlineUsers();
+    lastPresenceKey = presenceKey(online);
+    userBlocks.forEach((blocked, userId) => {
+        io.local
+            .to(userRoom(userId))
+            .emit("presence:statuses", presenceFor(online, userId));
+    });
+};
+
+// Presence changed: refresh the statuses on this instance and ask the others to do the same
+const announcePresenceChange = () => {
+    if (isClustered) io.serverSideEmit("presence:changed");
+    broadcastPresence().catch((err) =>
+        console.error("Failed to broadcast presence:", err.message)
+    );
+};
+
+// The user chose another presence mode ("online", "dnd" or "invisible")
+export const setPresenceMode = async (userId, mode) => {
+    await getPresenceStore().setMode(userId.toString(), mode);
+    announcePresenceChange();
+};
+
+const applyBlockedUsers = async (userId, blockedIds) => {
+    if (!userBlocks.has(userId)) return;
+
+    userBlocks.set(userId, new Set(blockedIds));
+    const online = await getPresenceStore().getOnlineUsers();
+    io.local
+        .to(userRoom(userId))
+        .emit("presence:statuses", presenceFor(online, userId));
+};
+
+export const setBlockedUsers = (userId, blockedIds) => {
+    const uid = userId.toString();
+    const ids = blockedIds.map((id) => id.toString());
+
+    // The user's sockets may be connected to other instances
+    if (isClustered) io.serverSideEmit("blocks:changed", uid, ids);
+    applyBlockedUsers(uid, ids).catch((err) =>
+        console.error("Failed to update blocked users:", err.message)
+    );
+};
+
+// Fan out an event to every socket of every listed user (e.g., all group members)
+export const emitToUsers = (userIds, event, payload) => {
+    const uniqueIds = new Set((userIds || []).map((id) => id.toString()));
+    uniqueIds.forEach((uid) => {
+        const data = typeof payload === "function" ? payload(uid) : payload;
+        io.to(userRoom(uid)).emit(event, data);
+    });
+};
+
+// userId -> the user's last pending synced emit
+const syncQueues = new Map();
+
+// Like emitToUsers, but numbered and recorded per user so reconnecting clients can catch up
+export const emitSyncedToUsers = (userIds, event, payload, change) => {
+    const uniqueIds = new Set((userIds || []).map((id) => id.toString()));
+    uniqueIds.forEach((uid) => {
+        const data = typeof payload === "function" ? payload(uid) : payload;
+        const emit = async () => {
+            let seq = null;
+            try {
+                seq = await recordSyncEvent(uid, change);
+            } catch (err) {
+                console.error("Failed to record sync event:", err.message);
+            }
+            io.to(userRoom(uid)).emit(
+                event,
+                seq === null ? data : { ...data, seq }
+            );
+        };
+
+        const queued = (syncQueues.get(uid) || Promise.resolve()).then(emit);
+        syncQueues.set(uid, queued);
+        queued.then(() => {
+            if (syncQueues.get(uid) === queued) syncQueues.delete(uid);
+        });
+    });
+};
+
+// Everything others sent while the user was offline has now reached one of their sockets
+const markConversationsDelivered = async (userId) => {
+    const now = new Date();
+    const conversations = await Conversation.find({
+        participants: userId,
+        lastMessage: { $ne: null },
+        "lastMessage.senderId": { $ne: userId },
+    }).lean();
+
+    for (const conversation of conversations) {
+        const entry = (conversation.reads || []).find(
+            (r) => r.userId.toString() === userId
+        );
+        if (!entry) continue;
+        if (
+            entry.lastDeliveredAt &&
+            entry.lastDeliveredAt >= conversation.lastMessage.createdAt
+        ) {
+            continue;
+        }
+
+        await Conversation.updateOne(
+            { _id: conversation._id, "reads.userId": userId },
+            { $set: { "reads.$.lastDeliveredAt": now } }
+        );
+        entry.lastDeliveredAt = now;
+
+        emitToUsers(
+            conversation.participants.filter((p) => p.toString() !== userId),
+            "message:status",
+            statusPayloadFor(conversation)
+        );
+    }
 };
 
-// userId -> Set<socketId>
-const userSockets = new Map();
+const TYPING_TTL_MS = 6000;
+
+// "conversationId:userId" -> { recipients: string[], timer }
+const typingState = new Map();
+
+const stopTyping = (conversationId, userId) => {
+    const key = `${conversationId}:${userId}`;
+    const entry = typingState.get(key);
+    if (!entry) return;
+
+    clearTimeout(entry.timer);
+    typingState.delete(key);
+    emitToUsers(entry.recipients, "typing:stop", { conversationId, userId });
+};
+
+const startTyping = async (conversationId, userId) => {
+    const key = `${conversationId}:${userId}`;
+    const existing = typingState.get(key);
+
+    // Refresh an active indicator without hitting the database again
+    if (existing) {
+        clearTimeout(existing.timer);
+        existing.timer = setTimeout(
+            () => stopTyping(conversationId, userId),
+            TYPING_TTL_MS
+        );
+        return true;
+    }
+
+    if (!mongoose.isValidObjectId(conversationId)) return false;
+    const conversation = await Conversation.findOne({
+        _id: conversationId,
+        participants: userId,
+    })
+        .select("participants")
+        .lean();
+    if (!conversation) return false;
+
+    const recipients = conversation.participants
+        .map((p) => p.toString())
+        .filter((uid) => uid !== userId);
+
+    typingState.set(key, {
+        recipients,
+        timer: setTimeout(
+            () => stopTyping(conversationId, userId),
+            TYPING_TTL_MS
+        ),
+    });
+    emitToUsers(recipients, "typing:start", { conversationId, userId });
+    return true;
+};
+
+// End the sockets of revoked sessions (on every instance); the client logs out instead of reconnecting
+export const disconnectSessionSockets = (sessionIds) => {
+    const rooms = sessionIds.map((id) => sessionRoom(id.toString()));
+    if (rooms.length === 0) return;
+    io.to(rooms).emit("session:revoked");
+    io.in(rooms).disconnectSockets(true);
+};
+
+// Flood control: every incoming event takes a token from the socket's bucket (`RATE_LIMIT_SOCKET`).
+// Events over budget are dropped; a client that keeps sending a full budget's worth of dropped
+// events in a row is disconnected.
+const limitSocketEvents = (socket) => {
+    socket.use(([event], next) => {
+        const { RATE_LIMIT_ENABLED, RATE_LIMITS } = createLimiterConfig();
+        if (!RATE_LIMIT_ENABLED) return next();
+
+        const { bucket, allowed, retryAfterMs } = takeToken(
+            socket.eventBucket,
+            RATE_LIMITS.socket
+        );
+        socket.eventBucket = bucket;
+        if (allowed) {
+            socket.droppedEvents = 0;
+            return next();
+        }
+
+        socket.droppedEvents = (socket.droppedEvents || 0) + 1;
+        if (socket.droppedEvents === 1) {
+            socket.emit("rate:limited", {
+                event,
+                retryAfter: Math.ceil(retryAfterMs / 1000),
+            });
+        } else if (socket.droppedEvents >= RATE_LIMITS.socket.limit) {
+            console.warn(
+                "socket flooding, disconnecting:",
+                socket.id,
+                "user:",
+                socket.userId
+            );
+            socket.disconnect(true);
+        }
+    });
+};
+
+const AUTH_RENEW_GRACE_MS = 30 * 1000;
+const PRESENCE_GRACE_MS = 5000;
+
+// When the socket's access token runs out, ask the client to renew; drop the socket if it does not
+const scheduleAuthExpiry = (socket) => {
+    clearTimeout(socket.authTimer);
+    socket.authTimer = setTimeout(
+        () => {
+            socket.emit("auth:expired");
+            socket.authTimer = setTimeout(
+                () => socket.disconnect(true),
+                AUTH_RENEW_GRACE_MS
+            );
+        },
+        Math.max(socket.authExpiresAt - Date.now(), 0)
+    );
+};
+
+// A socket may renew once its session has refreshed (rotated) since the socket last authenticated
+const renewSocketAuth = async (socket) => {
+    const [user, session] = await Promise.all([
+        User.findById(socket.userId).select("tokenVersion").lean(),
+        Session.findOne({
+            _id: socket.sessionId,
+            userId: socket.userId,
+            expiresAt: { $gt: new Date() },
+        })
+            .select("refreshRotatedAt")
+            .lean(),
+    ]);
+    const rotatedAt = session?.refreshRotatedAt?.getTime() || 0;
+    if (
+        !user ||
+        (user.tokenVersion || 0) !== socket.tokenVersion ||
+        rotatedAt <= socket.refreshRotatedAt
+    ) {
+        return false;
+    }
+
+    const { ACCESS_TOKEN_TTL_MS } = createAuthConfig();
+    socket.refreshRotatedAt = rotatedAt;
+    socket.authExpiresAt = Date.now() + ACCESS_TOKEN_TTL_MS;
+    scheduleAuthExpiry(socket);
+    return true;
+};
 
 // Auth middleware: verify JWT from cookie and attach userId to socket
-io.use((socket, next) => {
+io.use(async (socket, next) => {
     try {
         const cookies = parseCookies(socket.request.headers?.cookie || "");
         const token = cookies.jwt;
@@ -104,9 +520,50 @@ io.use((socket, next) => {
         const payload = jwt.verify(token, process.env.JWT_SECRET);
         socket.userId = payload.id?.toString();
         if (!socket.userId) return next(new Error("Unauthorized"));
+
+        // Same check as protectRoute: tokens from before a password change are rejected
+        const user = await User.findById(socket.userId)
+            .select("tokenVersion blockedUsers presenceStatus")
+            .lean();
+        if (!user || (payload.tv || 0) !== (user.tokenVersion || 0)) {
+            return next(new Error("Unauthorized"));
+        }
+
+        // ...and so are tokens of revoked or expired sessions
+        if (!mongoose.isValidObjectId(payload.sid)) {
+            return next(new Error("Unauthorized"));
+        }
+        const session = await Session.findOneAndUpdate(
+            {
+                _id: payload.sid,
+                userId: socket.userId,
+                expiresAt: { $gt: new Date() },
+            },
+            {
+                $set: {
+                    lastActiveAt: new Date(),
+                    ip: socket.handshake.address || "",
+                },
+            }
+        );
+        if (!session) return next(new Error("Unauthorized"));
+        socket.sessionId = payload.sid;
+        socket.blockedUsers = (user.blockedUsers || []).map((id) =>
+            id.toString()
+        );
+        socket.presenceStatus = user.presenceStatus || "online";
+        socket.tokenVersion = payload.tv || 0;
+        socket.refreshRotatedAt = session.refreshRotatedAt?.getTime() || 0;
+        socket.authExpiresAt = payload.exp * 1000;
         next();
     } catch (err) {
-        next(new Error("Unauthorized"));
+        next(
+            new Error(
+                err instanceof jwt.TokenExpiredError
+                    ? "TokenExpired"
+                    : "Unauthorized"
+            )
+        );
     }
 });
 
@@ -114,23 +571,153 @@ io.on("connection", (socket) => {
     const userId = socket.userId; // from verified JWT
     console.log("socket connected:", socket.id, "user:", userId);
 
-    // Track this socket for the user
-    if (!userSockets.has(userId)) userSockets.set(userId, new Set());
-    userSockets.get(userId).add(socket.id);
+    // Rooms address the user's and the session's sockets on any instance
+    socket.join([userRoom(userId), sessionRoom(socket.sessionId)]);
+    userBlocks.set(userId, new Set(socket.blockedUsers));
+
+    scheduleAuthExpiry(socket);
+    limitSocketEvents(socket);
 
-    // Broadcast online users
-    io.emit("onlineUsers", Array.from(userSockets.keys()));
+    // Record the socket and broadcast presence
+    getPresenceStore()
+        .add(socket.id, userId, {
+            ttlMs: createClusterConfig().PRESENCE_TTL_MS,
+            mode: socket.presenceStatus,
+        })
+        .then(announcePresenceChange)
+        .catch((err) =>
+            console.error("Failed to record presence:", err.message)
+        );
+
+    markConversationsDelivered(userId).catch((err) =>
+        console.error("Failed to mark conversations delivered:", err.message)
+    );
+
+    // Typing indicators (conversations this socket is typing in)
+    const typingIn = new Set();
+
+    socket.on("typing:start", ({ conversationId } = {}) => {
+        if (!conversationId) return;
+        const id = conversationId.toString();
+        startTyping(id, userId)
+            .then((ok) => ok && typingIn.add(id))
+            .catch((err) =>
+                console.error("Failed to start typing:", err.message)
+            );
+    });
+
+    socket.on("typing:stop", ({ conversationId } = {}) => {
+        if (!conversationId) return;
+        const id = conversationId.toString();
+        typingIn.delete(id);
+        stopTyping(id, userId);
+    });
+
+    // The client went idle or came back (automatic "away")
+    socket.on("presence:away", ({ away } = {}) => {
+        getPresenceStore()
+            .setAway(socket.id, Boolean(away))
+            .then(announcePresenceChange)
+            .catch((err) =>
+                console.error("Failed to update presence:", err.message)
+            );
+    });
+
+    socket.on("auth:renew", (ack) => {
+        const reply = typeof ack === "function" ? ack : () => {};
+        renewSocketAuth(socket)
+            .then((ok) => {
+                reply({ ok });
+                if (!ok) socket.disconnect(true);
+            })
+            .catch((err) => {
+                console.error("Failed to renew socket auth:", err.message);
+                reply({ ok: false });
+            });
+    });
 
     // Cleanup on disconnect
     socket.on("disconnect", () => {
         console.log("socket disconnected:", socket.id, "user:", userId);
-        const set = userSockets.get(userId);
-        if (set) {
-            set.delete(socket.id);
-            if (set.size === 0) userSockets.delete(userId);
-        }
-        io.emit("onlineUsers", Array.from(userSockets.keys()));
+        clearTimeout(socket.authTimer);
+        typingIn.forEach((id) => stopTyping(id, userId));
+        if (!hasLocalSockets(userId)) userBlocks.delete(userId);
+
+        // The user still counts as online for a moment, so a quick reconnect is not announced
+        const presence = getPresenceStore();
+        presence
+            .markDisconnected(socket.id)
+            .catch((err) =>
+                console.error("Failed to update presence:", err.message)
+            );
+        setTimeout(async () => {
+            try {
+                await presence.remove(socket.id);
+                if (await presence.isOnline(userId)) return;
+
+                announcePresenceChange();
+                // Invisible users keep the time they turned invisible
+                await User.updateOne(
+                    { _id: userId, presenceStatus: { $ne: "invisible" } },
+                    { $set: { lastSeenAt: new Date() } }
+                );
+            } catch (err) {
+                console.error("Failed to update presence:", err.message);
+            }
+        }, PRESENCE_GRACE_MS);
     });
 });
 
+// Another instance saw a user come or go
+io.on("presence:changed", () => {
+    broadcastPresence().catch((err) =>
+        console.error("Failed to broadcast presence:", err.message)
+    );
+});
+
+// A user blocked or unblocked someone while connected to another instance
+io.on("blocks:changed", (userId, blockedIds) => {
+    applyBlockedUsers(userId, blockedIds).catch((err) =>
+        console.error("Failed to update blocked users:", err.message)
+    );
+});
+
+// Keep this instance's sockets alive in the presence store; entries of a crashed instance expire,
+// which the next tick notices and broadcasts
+const presenceHeartbeat = setInterval(async () => {
+    const { PRESENCE_TTL_MS } = createClusterConfig();
+    try {
+        const store = getPresenceStore();
+        await store.refresh([...io.of("/").sockets.keys()], {
+            ttlMs: PRESENCE_TTL_MS,
+        });
+        const online = await store.getOnlineUsers();
+        if (presenceKey(online) !== lastPresenceKey) {
+            await broadcastPresence();
+        }
+    } catch (err) {
+        console.error("Failed to refresh presence:", err.message);
+    }
+}, createClusterConfig().PRESENCE_HEARTBEAT_MS);
+presenceHeartbeat.unref();
+
+/**
+ * Relay emits between instances when `SOCKET_ADAPTER=mongo`; call once MongoDB is connected.
+ * Returns the adapter name in use.
+ */
+export const setupSocketAdapter = async () => {
+    const { SOCKET_ADAPTER, ADAPTER_COLLECTION, ADAPTER_COLLECTION_BYTES } =
+        createClusterConfig();
+    if (SOCKET_ADAPTER !== "mongo") return "memory";
+
+    const collection = await ensureCappedCollection(
+        mongoose.connection.db,
+        ADAPTER_COLLECTION,
+        ADAPTER_COLLECTION_BYTES
+    );
+    io.adapter(createMongoAdapter(collection));
+    isClustered = true;
+    return "mongo";
+};
+
 export { app, io, server };
@@ -0,0 +1,63 @@
+/**
+ * Attachment Storage
+ * ------------------
+ * Resolves the storage driver used for message attachments.
+ *
+ * Exports:
+ *   - getStorageDriver(name?): Returns the named driver, or the one selected by `ATTACHMENT_STORAGE_DRIVER`.
+ *     Drivers are created once and reused.
+ *   - removeAttachmentFiles(attachments): Deletes the stored files of attachment metadata entries
+ *     (each through the driver that stored it). Failures are logged, never thrown.
+ *
+ * Drivers:
+ *   - "local": `createLocalDiskStorage` (files under `ATTACHMENT_UPLOAD_DIR`).
+ *
+ * Adding a driver:
+ *   - Implement `{ name, save, createReadStream, remove }` (see `localDisk.storage.js`) and register
+ *     its factory in `DRIVERS`. Each attachment records the driver name next to its key, so files
+ *     written by a previous driver are still found after switching.
+ *
+ * Usage:
+ *   import { getStorageDriver } from "../storage/index.js";
+ *   const storage = getStorageDriver();
+ *   const { key } = await storage.save({ buffer, originalName });
+ */
+
+import { createAttachmentConfig } from "../config/attachment/attachment.config.js";
+import { createLocalDiskStorage } from "./localDisk.storage.js";
+
+const DRIVERS = {
+    local: ({ UPLOAD_DIR }) => createLocalDiskStorage({ rootDir: UPLOAD_DIR }),
+};
+
+const instances = new Map();
+
+export const getStorageDriver = (name) => {
+    const config = createAttachmentConfig();
+    const driverName = name || config.STORAGE_DRIVER;
+
+    const factory = DRIVERS[driverName];
+    if (!factory) {
+        throw new Error(`Unknown attachment storage driver: ${driverName}`);
+    }
+
+    if (!instances.has(driverName)) {
+        instances.set(driverName, factory(config));
+    }
+    return instances.get(driverName);
+};
+
+export const removeAttachmentFiles = async (attachments = []) => {
+    await Promise.all(
+        attachments.map(async ({ driver, storageKey }) => {
+            try {
+                await getStorageDriver(driver).remove(storageKey);
+            } catch (error) {
+                console.error(
+                    `Failed to remove attachment ${storageKey}:`,
+                    error.message
+                );
+            }
+        })
+    );
+};
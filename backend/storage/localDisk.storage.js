@@ -0,0 +1,80 @@
+/**
+ * Local Disk Storage Driver
+ * -------------------------
+ * Stores attachment files on the local filesystem under a root directory.
+ *
+ * Exports:
+ *   - createLocalDiskStorage({ rootDir }): Creates a storage driver bound to `rootDir`.
+ *
+ * Driver Interface (shared by every storage driver, see `storage/index.js`):
+ *   - name (string): "local".
+ *   - save({ buffer, originalName }) => Promise<{ key }>:
+ *       - Writes the file and returns the opaque storage key (`YYYY/MM/<random><ext>`).
+ *   - createReadStream(key) => Promise<Readable>:
+ *       - Opens the stored file for streaming; rejects with `code: "ENOENT"` when it is missing.
+ *   - remove(key) => Promise<void>:
+ *       - Deletes the stored file; missing files are ignored.
+ *
+ * Security:
+ *   - Keys are generated server-side from random bytes; the client-supplied name only contributes
+ *     a sanitized extension.
+ *   - Every key is resolved against `rootDir` and rejected if it would escape it.
+ *
+ * Example:
+ *   const storage = createLocalDiskStorage({ rootDir: "/srv/chat/uploads" });
+ *   const { key } = await storage.save({ buffer, originalName: "photo.png" });
+ *   (await storage.createReadStream(key)).pipe(res);
+ */
+
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+export const createLocalDiskStorage = ({ rootDir }) => {
+    const root = path.resolve(rootDir);
+
+    const resolveKey = (key) => {
+        const fullPath = path.resolve(root, key);
+        if (!fullPath.startsWith(root + path.sep)) {
+            throw new Error("Invalid storage key");
+        }
+        return fullPath;
+    };
+
+    const save = async ({ buffer, originalName = "" }) => {
+        const now = new Date();
+        const ext = path
+            .extname(originalName)
+            .toLowerCase()
+            .replace(/[^a-z0-9.]/g, "")
+            .slice(0, 10);
+        const key = [
+            String(now.getUTCFullYear()),
+            String(now.getUTCMonth() + 1).padStart(2, "0"),
+            `${crypto.randomBytes(16).toString("hex")}${ext}`,
+        ].join("/");
+
+        const fullPath = resolveKey(key);
+        await fsp.mkdir(path.dirname(fullPath), { recursive: true });
+        await fsp.writeFile(fullPath, buffer, { flag: "wx" });
+
+        return { key };
+    };
+
+    const createReadStream = async (key) => {
+        const fullPath = resolveKey(key);
+        await fsp.access(fullPath, fs.constants.R_OK);
+        return fs.createReadStream(fullPath);
+    };
+
+    const remove = async (key) => {
+        try {
+            await fsp.unlink(resolveKey(key));
+        } catch (error) {
+            if (error.code !== "ENOENT") throw error;
+        }
+    };
+
+    return { name: "local", save, createReadStream, remove };
+};
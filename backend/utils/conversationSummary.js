@@ -0,0 +1,83 @@
+/**
+ * conversationSummary Utilities
+ * -----------------------------
+ * Builds the per-user view of conversations returned by `GET /api/conversations` and `GET /api/sync`.
+ *
+ * Exports:
+ *   - PARTICIPANT_FIELDS: User fields to populate `participants` with.
+ *   - summarizeConversations(conversations, userId): Formats lean conversations (with populated
+ *     `participants`) for the user: `{ _id, isGroup, participants, lastMessage, unreadCount, mutedUntil }`,
+ *     plus `name`, `admins` and `createdBy` for groups.
+ *
+ * Notes:
+ *   - `lastMessage` is the denormalized snapshot. Only when the user deleted that message for themselves
+ *     is the newest message they can still see looked up instead.
+ *   - `mutedUntil` is `null` when the user did not mute the conversation or the mute has expired.
+ *
+ * Usage:
+ *   import { PARTICIPANT_FIELDS, summarizeConversations } from "../utils/conversationSummary.js";
+ *   const conversations = await Conversation.find({ participants: userId })
+ *       .populate({ path: "participants", select: PARTICIPANT_FIELDS })
+ *       .lean();
+ *   res.json(await summarizeConversations(conversations, userId));
+ */
+
+import Message from "../models/message.model.js";
+import {
+    toLastMessageSnapshot,
+    formatLastMessage,
+    findLatestVisibleMessage,
+} from "./lastMessage.js";
+
+export const PARTICIPANT_FIELDS =
+    "fullName username profilePicture statusText lastSeenAt";
+
+export const summarizeConversations = async (conversations, userId) => {
+    // Last messages this user deleted "for me" must not show up in their previews
+    const lastMessageIds = conversations
+        .map((c) => c.lastMessage?.messageId)
+        .filter(Boolean);
+    const hiddenMessages = await Message.find({
+        _id: { $in: lastMessageIds },
+        deletedFor: userId,
+    }).select("_id");
+    const hiddenIds = new Set(hiddenMessages.map((m) => m._id.toString()));
+    const replacements = new Map(
+        await Promise.all(
+            conversations
+                .filter((c) =>
+                    hiddenIds.has(c.lastMessage?.messageId?.toString())
+                )
+                .map(async (c) => [
+                    c._id.toString(),
+                    toLastMessageSnapshot(
+                        await findLatestVisibleMessage(c._id, userId)
+                    ),
+                ])
+        )
+    );
+
+    return conversations.map((conversation) => {
+        const key = conversation._id.toString();
+        const lastMessage = replacements.has(key)
+            ? replacements.get(key)
+            : conversation.lastMessage || null;
+        const myReads = (conversation.reads || []).find(
+            (r) => r.userId?.toString() === userId.toString()
+        );
+        return {
+            _id: conversation._id,
+            isGroup: Boolean(conversation.isGroup),
+            ...(conversation.isGroup && {
+                name: conversation.name,
+                admins: conversation.admins,
+                createdBy: conversation.createdBy,
+            }),
+            participants: conversation.participants,
+            lastMessage: formatLastMessage(lastMessage),
+            unreadCount: myReads?.unreadCount || 0,
+            mutedUntil:
+                myReads?.mutedUntil > new Date() ? myReads.mutedUntil : null,
+        };
+    });
+};
@@ -1,36 +1,46 @@
 /**
  * generateTokenAndSetCookie Utility
  * ---------------------------------
- * Generates a JWT token for the given user and sets it as an HTTP-only cookie in the response.
+ * Generates a short-lived JWT access token for the given user and login session and sets it as an
+ * HTTP-only cookie in the response. Clients renew it with the session's refresh token (`POST /api/auth/refresh`).
  *
  * Purpose:
  *   - Issues a secure JWT token for user authentication.
  *   - Sets the token as a cookie with appropriate security options.
  *
  * Parameters:
- *   @param {Object} user - The user object (must have `_id` and `username` properties).
- *   @param {Object} res  - The Express response object.
+ *   @param {Object} user      - The user object (must have `_id` and `username` properties).
+ *   @param {Object} res       - The Express response object.
+ *   @param {string} sessionId - The ID of the `Session` the token belongs to (see `utils/sessions.js`).
  *
  * How it works:
- *   1. Generates a JWT token containing the user's ID and username.
+ *   1. Generates a JWT token containing the user's ID, username, `tokenVersion` (`tv`) and session ID
+ *      (`sid`); bumping the user's `tokenVersion` invalidates every token issued before, and deleting
+ *      the session invalidates the tokens of that session.
  *   2. Sets the token as a cookie named `jwt` with the following options:
  *      - `httpOnly`: Prevents JavaScript access to the cookie (mitigates XSS attacks).
  *      - `sameSite: "strict"`: Prevents CSRF attacks by restricting cross-site cookie usage.
- *      - `maxAge`: Sets the cookie expiration to 14 days.
+ *      - `maxAge`: Sets the cookie expiration to `ACCESS_TOKEN_TTL_MINUTES` (15 minutes by default),
+ *        the same as the token itself.
  *      - `secure`: Ensures the cookie is sent only over HTTPS in production or based on the `COOKIE_SECURE` environment variable.
  *   3. Returns the generated token.
  *
  * Environment Variables:
  *   - `JWT_SECRET`: The secret key used to sign the JWT.
  *   - `COOKIE_SECURE`: Overrides the `secure` flag for the cookie. If set to `"true"`, the cookie is sent only over HTTPS.
+ *   - `ACCESS_TOKEN_TTL_MINUTES`: Lifetime of the token and cookie (see `config/auth/auth.config.js`).
  *   - `NODE_ENV`: Determines the environment (`production` or `development`). Defaults to `production` for the `secure` flag if `COOKIE_SECURE` is not set.
  *
  * Returns:
  *   - {string} The generated JWT token.
  *
+ * Also exports:
+ *   - `getAuthCookieOptions()`: The `httpOnly` / `sameSite` / `secure` options shared by the auth cookies
+ *     (also needed to clear them).
+ *
  * Example Usage:
- *   - In a signup or login controller:
- *       const token = generateTokenAndSetCookie(user, res);
+ *   - Through `startSession` / `renewSession` in `utils/sessions.js`, which manage the session record:
+ *       const token = generateTokenAndSetCookie(user, res, session._id);
  *
  * Dependencies:
  *   - `jsonwebtoken`: Used to generate the JWT token.
@@ -41,26 +51,39 @@
  */
 
 import jwt from "jsonwebtoken";
+import { createAuthConfig } from "../config/auth/auth.config.js";
 
-const generateTokenAndSetCookie = (user, res) => {
-    // Generate JWT token
-    const token = jwt.sign(
-        { id: user._id, username: user.username },
-        process.env.JWT_SECRET,
-        { expiresIn: "14d" }
-    );
-
+export const getAuthCookieOptions = () => {
     const secureFlag = process.env.COOKIE_SECURE
         ? process.env.COOKIE_SECURE === "true"
         : process.env.NODE_ENV === "production";
 
-    // Set cookie with token
-    res.cookie("jwt", token, {
+    return {
         httpOnly: true, // Prevent XSS attacks (Cross-Site Scripting)
         sameSite: "strict", // Prevent CSRF attacks (Cross-Site Request Forgery)
-        maxAge: 14 * 24 * 60 * 60 * 1000, // 14 days in milliseconds
         secure: secureFlag,
-        // secure: process.env.NODE_ENV === "production", // Use secure cookies in production
+    };
+};
+
+const generateTokenAndSetCookie = (user, res, sessionId) => {
+    const { ACCESS_TOKEN_TTL_MS } = createAuthConfig();
+
+    // Generate JWT token
+    const token = jwt.sign(
+        {
+            id: user._id,
+            username: user.username,
+            tv: user.tokenVersion || 0,
+            sid: sessionId.toString(),
+        },
+        process.env.JWT_SECRET,
+        { expiresIn: Math.floor(ACCESS_TOKEN_TTL_MS / 1000) }
+    );
+
+    // Set cookie with token
+    res.cookie("jwt", token, {
+        ...getAuthCookieOptions(),
+        maxAge: ACCESS_TOKEN_TTL_MS, // 15 minutes in milliseconds by default
     });
 
     return token;
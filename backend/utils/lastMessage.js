@@ -0,0 +1,69 @@
+/**
+ * lastMessage Utilities
+ * ---------------------
+ * Helpers for the denormalized `Conversation.lastMessage` snapshot and its API representation.
+ *
+ * Exports:
+ *   - previewContent(message): Short text for a message: its content, or an attachment label when it has no text.
+ *   - toLastMessageSnapshot(message): Builds the snapshot stored on the conversation from a message document.
+ *   - formatLastMessage(snapshot): Shapes a stored snapshot for API responses and socket payloads.
+ *   - findLatestVisibleMessage(conversationId, userId): Finds the newest message of a conversation
+ *     that the user has not deleted "for me".
+ *
+ * Snapshot shape (stored):
+ *   { messageId, content, senderId, createdAt, isDeleted }
+ *
+ * API shape (returned):
+ *   { content, sender, createdAt, isDeleted }
+ *
+ * Notes:
+ *   - Tombstones (messages deleted for everyone) keep their place as the last message but carry
+ *     no content; clients render them as "Message deleted".
+ *   - Attachment-only messages get a short text preview ("📷 Photo" or "📎 report.pdf").
+ *   - The stored snapshot is shared by all participants. When a user hid the last message for
+ *     themselves, use `findLatestVisibleMessage` to build that user's preview.
+ *
+ * Usage:
+ *   import { toLastMessageSnapshot, formatLastMessage } from "../utils/lastMessage.js";
+ *   conversation.lastMessage = toLastMessageSnapshot(newMessage);
+ *   res.json({ lastMessage: formatLastMessage(conversation.lastMessage) });
+ */
+
+import Message from "../models/message.model.js";
+
+export const previewContent = (message) => {
+    if (message.deletedAt) return "";
+    if (message.message) return message.message;
+
+    const [first] = message.attachments || [];
+    if (!first) return "";
+    return first.mimeType?.startsWith("image/")
+        ? "📷 Photo"
+        : `📎 ${first.originalName}`;
+};
+
+export const toLastMessageSnapshot = (message) =>
+    message
+        ? {
+              messageId: message._id,
+              content: previewContent(message),
+              senderId: message.senderId,
+              createdAt: message.createdAt,
+              isDeleted: Boolean(message.deletedAt),
+          }
+        : null;
+
+export const formatLastMessage = (snapshot) =>
+    snapshot
+        ? {
+              content: snapshot.content,
+              sender: snapshot.senderId,
+              createdAt: snapshot.createdAt,
+              isDeleted: Boolean(snapshot.isDeleted),
+          }
+        : null;
+
+export const findLatestVisibleMessage = (conversationId, userId) =>
+    Message.findOne({ conversationId, deletedFor: { $ne: userId } }).sort({
+        _id: -1,
+    });
@@ -0,0 +1,87 @@
+/**
+ * loginThrottle Utilities
+ * -----------------------
+ * Failed-login tracking with exponential backoff, per username and per client IP.
+ *
+ * Exports:
+ *   - getLoginRetryAfter({ username, ip }): Milliseconds the caller must wait before trying again (0 = allowed).
+ *   - recordLoginFailure({ username, ip }): Counts a failed attempt; resolves to the wait it triggers (0 = none).
+ *   - clearLoginFailures({ username }): Forgets the username's failures after a successful login.
+ *
+ * Policy (see `config/limiter/limiter.config.js`):
+ *   - Each username gets `LOGIN_MAX_ATTEMPTS` failures and each IP `LOGIN_IP_MAX_ATTEMPTS` before
+ *     backoff starts. The next wait is 30s, doubling with every further failure up to
+ *     `LOGIN_LOCKOUT_MINUTES` — at that point the username (or IP) is locked out for the full period.
+ *   - Waits are measured from the latest failure; failures are forgotten an hour after the last one.
+ *   - Attempts made while waiting are rejected without checking the password and are not counted.
+ *   - Success clears the username's counter only: logging into one's own account must not reset the
+ *     IP counter an attacker is running up against other accounts.
+ *   - Unknown usernames are tracked like real ones, so responses do not reveal which accounts exist.
+ *
+ * Storage:
+ *   - Counters live in the configured limiter store (`LIMITER_STORE`, see `backend/limiter`).
+ *
+ * Usage:
+ *   const waitMs = await getLoginRetryAfter({ username, ip });
+ *   if (waitMs > 0) return res.status(429)...;
+ *   if (!valid) await recordLoginFailure({ username, ip });
+ *   else await clearLoginFailures({ username });
+ */
+
+import { getLimiterStore } from "../limiter/index.js";
+import { createLimiterConfig } from "../config/limiter/limiter.config.js";
+
+const userKey = (username) => `login:user:${username}`;
+const ipKey = (ip) => `login:ip:${ip}`;
+
+// Wait after `count` failures, given the number of free attempts
+const backoffMs = (count, allowance, config) =>
+    count < allowance
+        ? 0
+        : Math.min(
+              config.LOGIN_BASE_DELAY_MS * 2 ** (count - allowance),
+              config.LOGIN_LOCKOUT_MS
+          );
+
+const remainingMs = (entry, allowance, config, now) => {
+    if (!entry) return 0;
+    const waitUntil =
+        new Date(entry.lastHitAt).getTime() +
+        backoffMs(entry.count, allowance, config);
+    return Math.max(waitUntil - now, 0);
+};
+
+export const getLoginRetryAfter = async ({ username, ip }) => {
+    const config = createLimiterConfig();
+    const store = getLimiterStore();
+    const [userEntry, ipEntry] = await Promise.all([
+        store.get(userKey(username)),
+        store.get(ipKey(ip)),
+    ]);
+
+    const now = Date.now();
+    return Math.max(
+        remainingMs(userEntry, config.LOGIN_MAX_ATTEMPTS, config, now),
+        remainingMs(ipEntry, config.LOGIN_IP_MAX_ATTEMPTS, config, now)
+    );
+};
+
+export const recordLoginFailure = async ({ username, ip }) => {
+    const config = createLimiterConfig();
+    const store = getLimiterStore();
+    const windowMs = config.LOGIN_ATTEMPT_WINDOW_MS;
+    const [userEntry, ipEntry] = await Promise.all([
+        store.hit(userKey(username), { windowMs }),
+        store.hit(ipKey(ip), { windowMs }),
+    ]);
+
+    const now = Date.now();
+    return Math.max(
+        remainingMs(userEntry, config.LOGIN_MAX_ATTEMPTS, config, now),
+        remainingMs(ipEntry, config.LOGIN_IP_MAX_ATTEMPTS, config, now)
+    );
+};
+
+export const clearLoginFailures = async ({ username }) => {
+    await getLimiterStore().reset(userKey(username));
+};
@@ -0,0 +1,86 @@
+/**
+ * messageSerializer Utilities
+ * ---------------------------
+ * Shapes message documents for API responses (see "Message payloads" in `message.controller.js`).
+ *
+ * Exports:
+ *   - REPLY_FIELDS: Fields to populate `replyTo` with, so the quote can be built.
+ *   - serializeMessage(message, watermarks): Plain message object with `editableUntil`, public attachment
+ *     metadata and the `replyTo` quote. With the sender's watermarks (see `utils/messageStatus.js`) it
+ *     also carries the delivery/read `status`.
+ *
+ * Notes:
+ *   - `deletedFor` is never included, and tombstones (deleted for everyone) lose their content,
+ *     attachments, reactions, quote and edit history.
+ *   - Attachment storage keys stay on the server; clients get a download `url` instead.
+ *
+ * Usage:
+ *   import { REPLY_FIELDS, serializeMessage } from "../utils/messageSerializer.js";
+ *   const message = await Message.findById(id).populate("replyTo", REPLY_FIELDS);
+ *   res.json({ data: serializeMessage(message, getStatusWatermarks(conversation, userId)) });
+ */
+
+import { createMessageConfig } from "../config/message/message.config.js";
+import { previewContent } from "./lastMessage.js";
+import { getMessageStatus } from "./messageStatus.js";
+
+// Public attachment metadata: the storage key stays on the server
+const serializeAttachment = (messageId, attachment) => ({
+    _id: attachment._id,
+    name: attachment.originalName,
+    mimeType: attachment.mimeType,
+    size: attachment.size,
+    url: `/api/messages/attachments/${messageId}/${attachment._id}`,
+});
+
+// Fields of a replied-to message needed to quote it
+export const REPLY_FIELDS = "senderId message attachments deletedAt";
+const QUOTE_MAX_LENGTH = 120;
+
+// Compact quote of the message being replied to (expects `replyTo` to be populated)
+const serializeReply = (reply) => {
+    if (!reply) return null;
+    const content = previewContent(reply);
+    return {
+        _id: reply._id,
+        senderId: reply.senderId,
+        content:
+            content.length > QUOTE_MAX_LENGTH
+                ? `${content.slice(0, QUOTE_MAX_LENGTH - 1)}…`
+                : content,
+        isDeleted: Boolean(reply.deletedAt),
+    };
+};
+
+// Plain message object for responses, including when edits stop being accepted.
+// Pass the sender's watermarks to include the delivery/read status.
+export const serializeMessage = (message, watermarks = null) => {
+    const { EDIT_WINDOW_MS } = createMessageConfig();
+    const plain =
+        typeof message.toObject === "function" ? message.toObject() : message;
+    // Never leak who hid a message, and strip everything from tombstones
+    const { deletedFor, ...rest } = plain;
+    if (plain.deletedAt) {
+        return {
+            ...rest,
+            message: "",
+            attachments: [],
+            reactions: [],
+            replyTo: null,
+            edits: [],
+            isDeleted: true,
+            editableUntil: null,
+        };
+    }
+    return {
+        ...rest,
+        attachments: (plain.attachments || []).map((attachment) =>
+            serializeAttachment(plain._id, attachment)
+        ),
+        replyTo: serializeReply(plain.replyTo),
+        editableUntil: new Date(
+            new Date(plain.createdAt).getTime() + EDIT_WINDOW_MS
+        ),
+        ...(watermarks && { status: getMessageStatus(plain, watermarks) }),
+    };
+};
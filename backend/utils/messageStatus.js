@@ -0,0 +1,61 @@
+/**
+ * messageStatus Utilities
+ * -----------------------
+ * Derives per-message delivery/read states ("sent", "delivered", "read") from the per-user
+ * watermarks stored in `Conversation.reads`, so no per-message receipts have to be written.
+ *
+ * Exports:
+ *   - getStatusWatermarks(conversation, senderId): Computes `{ deliveredUpTo, readUpTo }` for messages sent by `senderId`.
+ *   - getMessageStatus(message, watermarks): Returns the status of a single message given those watermarks.
+ *   - statusPayloadFor(conversation): Builds a per-user `message:status` payload factory for `emitToUsers`.
+ *
+ * How it works:
+ *   - Every read entry carries `lastDeliveredAt` (set when the message reached at least one of the user's
+ *     sockets, or when the user connects) and `lastReadAt` (set by `markConversationRead`).
+ *   - A message counts as delivered/read once *every other* participant's watermark has passed its `createdAt`
+ *     (for direct chats that is simply the receiver). Reading implies delivery.
+ *   - The watermarks only move forward, so clients can apply `message:status` updates to every
+ *     earlier message in one go.
+ *
+ * Event payload (`message:status`):
+ *   { conversationId, deliveredUpTo: Date | null, readUpTo: Date | null }
+ *
+ * Usage:
+ *   import { getStatusWatermarks, getMessageStatus } from "../utils/messageStatus.js";
+ *   const watermarks = getStatusWatermarks(conversation, userId);
+ *   const status = getMessageStatus(message, watermarks); // "sent" | "delivered" | "read"
+ */
+
+const latest = (...dates) =>
+    dates.filter(Boolean).reduce((a, b) => (a > b ? a : b), null);
+
+// The oldest watermark wins; a participant without one holds everyone back
+const earliest = (dates) =>
+    dates.length === 0 || dates.some((d) => !d)
+        ? null
+        : dates.reduce((a, b) => (a < b ? a : b));
+
+export const getStatusWatermarks = (conversation, senderId) => {
+    const others = (conversation.reads || []).filter(
+        (r) => r.userId?.toString() !== senderId.toString()
+    );
+
+    return {
+        deliveredUpTo: earliest(
+            others.map((r) => latest(r.lastDeliveredAt, r.lastReadAt))
+        ),
+        readUpTo: earliest(others.map((r) => r.lastReadAt || null)),
+    };
+};
+
+export const getMessageStatus = (message, { deliveredUpTo, readUpTo }) => {
+    const createdAt = new Date(message.createdAt);
+    if (readUpTo && readUpTo >= createdAt) return "read";
+    if (deliveredUpTo && deliveredUpTo >= createdAt) return "delivered";
+    return "sent";
+};
+
+export const statusPayloadFor = (conversation) => (uid) => ({
+    conversationId: conversation._id,
+    ...getStatusWatermarks(conversation, uid),
+});
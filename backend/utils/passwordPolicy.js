@@ -0,0 +1,49 @@
+/**
+ * Password Policy
+ * ---------------
+ * Server-side check of new passwords. Mirrors the rules of the frontend's `validationSchemas.js`
+ * (which are only advisory, since any client can call the API).
+ *
+ * Exports:
+ *   - validateNewPassword(password, confirmPassword) => { error? }:
+ *       - Returns `{ error }` with a user-facing message when the password is missing, too short or
+ *         long, lacks an uppercase letter, lowercase letter, digit or special character, or does not
+ *         match `confirmPassword`. Returns `{}` when it is acceptable.
+ *
+ * Example:
+ *   const { error } = validateNewPassword(req.body.newPassword, req.body.confirmPassword);
+ *   if (error) return res.status(400).json({ message: error });
+ */
+
+const MIN_LENGTH = 6;
+const MAX_LENGTH = 100;
+
+const RULES = [
+    [/[A-Z]/, "Password must contain at least one uppercase letter"],
+    [/[a-z]/, "Password must contain at least one lowercase letter"],
+    [/[0-9]/, "Password must contain at least one number"],
+    [
+        /[@$!%*?&#]/,
+        "Password must include a special character (@, $, !, %, *, ?, &, #)",
+    ],
+];
+
+export const validateNewPassword = (password, confirmPassword) => {
+    if (typeof password !== "string" || !password) {
+        return { error: "Password is required" };
+    }
+    if (password.length < MIN_LENGTH) {
+        return { error: `Password must be at least ${MIN_LENGTH} characters` };
+    }
+    if (password.length > MAX_LENGTH) {
+        return { error: `Password must not exceed ${MAX_LENGTH} characters` };
+    }
+
+    const failed = RULES.find(([pattern]) => !pattern.test(password));
+    if (failed) return { error: failed[1] };
+
+    if (password !== confirmPassword) {
+        return { error: "Passwords do not match" };
+    }
+    return {};
+};
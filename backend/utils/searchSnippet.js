@@ -0,0 +1,89 @@
+/**
+ * searchSnippet Utilities
+ * -----------------------
+ * Helpers for presenting full-text message search results.
+ *
+ * Exports:
+ *   - parseSearchTerms(query): Extracts the words of a MongoDB `$text` query that should be highlighted
+ *     (lowercased, without negated `-terms`; quoted phrases contribute their words).
+ *   - buildSnippet(text, terms, options): Cuts a window of `text` around the first match and returns it
+ *     with the character ranges of every match inside it.
+ *
+ * Snippet shape:
+ *   { text, highlights: [[start, end], ...] }
+ *   - `text` is plain text (possibly with leading/trailing "…"); clients must render it as text, never as HTML.
+ *   - `highlights` are sorted, non-overlapping [start, end) offsets into `text`.
+ *
+ * Notes:
+ *   - The message text index uses `default_language: "none"` (no stemming), so `$text` matches whole
+ *     words and the same words can be highlighted exactly. Case is ignored; diacritics are matched by
+ *     MongoDB but not highlighted.
+ *
+ * Usage:
+ *   import { parseSearchTerms, buildSnippet } from "../utils/searchSnippet.js";
+ *   const terms = parseSearchTerms(q);
+ *   const snippet = buildSnippet(message.message, terms);
+ */
+
+const WORD = /[\p{L}\p{N}_]+/gu;
+const DEFAULT_MAX_LENGTH = 160;
+const DEFAULT_CONTEXT = 40;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+export const parseSearchTerms = (query = "") => {
+    // Negated terms exclude messages; they never appear in results
+    const positive = query.replace(/(^|\s)-("[^"]*"|\S+)/g, " ");
+    const words = positive.toLowerCase().match(WORD) || [];
+    return [...new Set(words)];
+};
+
+// Sorted, merged [start, end) ranges of whole-word matches of any term
+const findMatches = (text, terms) => {
+    const ranges = [];
+    terms.forEach((term) => {
+        const pattern = new RegExp(
+            `(?<![\\p{L}\\p{N}_])${escapeRegExp(term)}(?![\\p{L}\\p{N}_])`,
+            "giu"
+        );
+        for (const match of text.matchAll(pattern)) {
+            ranges.push([match.index, match.index + match[0].length]);
+        }
+    });
+
+    ranges.sort((a, b) => a[0] - b[0]);
+    return ranges.reduce((merged, range) => {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+        else merged.push([...range]);
+        return merged;
+    }, []);
+};
+
+export const buildSnippet = (
+    text = "",
+    terms = [],
+    { maxLength = DEFAULT_MAX_LENGTH, context = DEFAULT_CONTEXT } = {}
+) => {
+    const matches = findMatches(text, terms);
+
+    // Start a little before the first match, on a word boundary when possible
+    let start = 0;
+    if (matches.length && matches[0][0] > context) {
+        start = matches[0][0] - context;
+        const space = text.indexOf(" ", start);
+        if (space !== -1 && space < matches[0][0]) start = space + 1;
+    }
+    const end = Math.min(text.length, start + maxLength);
+
+    const prefix = start > 0 ? "…" : "";
+    const suffix = end < text.length ? "…" : "";
+    const offset = prefix.length - start;
+
+    return {
+        text: `${prefix}${text.slice(start, end)}${suffix}`,
+        highlights: matches
+            .filter(([from, to]) => from >= start && to <= end)
+            .map(([from, to]) => [from + offset, to + offset]),
+    };
+};
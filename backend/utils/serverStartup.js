@@ -1,4 +1,5 @@
 import { connectDB } from "../config/db/db.config.js";
+import { setupSocketAdapter } from "../socket/socket.js";
 
 export const startServer = async (app, PORT, NODE_ENV) => {
     try {
@@ -6,6 +7,10 @@ export const startServer = async (app, PORT, NODE_ENV) => {
         console.log("🔌 Connecting to database...");
         await connectDB();
 
+        // Relay socket events between instances (needs the database)
+        const adapter = await setupSocketAdapter();
+        console.log(`📡 Socket adapter: ${adapter}`);
+
         // Start the server
         const server = app.listen(PORT, () => {
             logServerStartup(PORT, NODE_ENV);
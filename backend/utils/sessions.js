@@ -0,0 +1,239 @@
+/**
+ * Session Utilities
+ * -----------------
+ * Helpers for the server-side session registry (`models/session.model.js`). A session is created at
+ * login, its ID travels in the access token's `sid` claim, and `protectRoute` / the socket handshake only
+ * accept tokens whose session still exists, so deleting a session logs that device out.
+ *
+ * Tokens:
+ *   - Access token: a short-lived JWT in the `jwt` cookie (`ACCESS_TOKEN_TTL_MINUTES`, see `generateToken.js`).
+ *   - Refresh token: `<sessionId>.<secret>` in the `refresh` cookie, scoped to `/api/auth` and valid for
+ *     `SESSION_TTL_DAYS`. Only the SHA-256 digest of the secret is stored.
+ *   - Every refresh rotates the refresh token and pushes the session's expiry back. The tokens of a
+ *     session form one family: presenting a rotated-out token is treated as theft and revokes the session.
+ *     The token rotated out last is still accepted for `REFRESH_REUSE_GRACE_MS` (without rotating again),
+ *     so two tabs refreshing at the same moment do not log each other out.
+ *
+ * Exports:
+ *   - REFRESH_COOKIE: Name of the refresh token cookie.
+ *   - startSession(user, req, res): Creates a session for the request's device and sets both cookies.
+ *   - renewSession(user, sessionId, res): Rotates an existing session's tokens
+ *     (e.g. after a password change, whose `tokenVersion` bump invalidates the old access token).
+ *   - refreshSession(refreshToken, req, res): Redeems a refresh token and sets fresh cookies.
+ *     Resolves to `{ user }`, or `{ error }` when the token is invalid, expired or reused.
+ *   - parseRefreshToken(refreshToken): Splits a refresh token into `{ sessionId, secret }`, or `null`.
+ *   - findActiveSession(sessionId, userId): Returns the user's unexpired session, or `null`.
+ *   - touchSession(session, ip): Records activity on a session, at most once per `ACTIVITY_RESOLUTION_MS`.
+ *   - revokeSessions(userId, { sessionIds, exceptSessionId }): Deletes sessions of a user and disconnects
+ *     their live sockets. Resolves to the number of revoked sessions.
+ *   - endSession(sessionId): Revokes a single session by ID (logout).
+ *   - clearAuthCookies(res): Clears the access and refresh cookies.
+ *   - getClientIp(req): The client IP of a request.
+ *
+ * Notes:
+ *   - Revoked sockets receive `session:revoked` before being disconnected, so the client can drop its
+ *     local login state instead of trying to reconnect.
+ *   - Behind a reverse proxy, `req.ip` is the proxy's address unless Express's `trust proxy` is set
+ *     (`TRUST_PROXY`, see `app.js`).
+ *
+ * Usage:
+ *   import { startSession, revokeSessions } from "../utils/sessions.js";
+ *   await startSession(user, req, res);
+ *   await revokeSessions(user._id, { exceptSessionId: req.sessionId }); // log out other devices
+ */
+
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Session from "../models/session.model.js";
+import User from "../models/user.model.js";
+import generateTokenAndSetCookie, {
+    getAuthCookieOptions,
+} from "./generateToken.js";
+import { createAuthConfig } from "../config/auth/auth.config.js";
+import { disconnectSessionSockets } from "../socket/socket.js";
+
+export const REFRESH_COOKIE = "refresh";
+const REFRESH_COOKIE_PATH = "/api/auth";
+const REFRESH_REUSE_GRACE_MS = 30 * 1000;
+const ACTIVITY_RESOLUTION_MS = 60 * 1000;
+const USER_AGENT_MAX_LENGTH = 512;
+
+const hashSecret = (secret) =>
+    crypto.createHash("sha256").update(secret).digest("hex");
+
+const setRefreshCookie = (res, sessionId, secret, maxAge) => {
+    res.cookie(REFRESH_COOKIE, `${sessionId}.${secret}`, {
+        ...getAuthCookieOptions(),
+        path: REFRESH_COOKIE_PATH,
+        maxAge,
+    });
+};
+
+export const clearAuthCookies = (res) => {
+    const options = getAuthCookieOptions();
+    res.clearCookie("jwt", options);
+    res.clearCookie(REFRESH_COOKIE, { ...options, path: REFRESH_COOKIE_PATH });
+};
+
+export const getClientIp = (req) => req.ip || req.socket?.remoteAddress || "";
+
+export const parseRefreshToken = (refreshToken) => {
+    if (typeof refreshToken !== "string") return null;
+    const [sessionId, secret] = refreshToken.split(".");
+    if (!mongoose.isValidObjectId(sessionId) || !secret) return null;
+    return { sessionId, secret };
+};
+
+// Issue a new refresh secret for the session and push its expiry back
+const rotateRefreshToken = async (filter, res, extra = {}) => {
+    const { SESSION_TTL_MS } = createAuthConfig();
+    const secret = crypto.randomBytes(32).toString("hex");
+    const now = new Date();
+
+    const session = await Session.findOneAndUpdate(
+        filter,
+        {
+            $set: {
+                refreshTokenHash: hashSecret(secret),
+                refreshRotatedAt: now,
+                expiresAt: new Date(now.getTime() + SESSION_TTL_MS),
+                ...extra,
+            },
+        },
+        { new: true }
+    );
+    if (session) setRefreshCookie(res, session._id, secret, SESSION_TTL_MS);
+    return session;
+};
+
+export const startSession = async (user, req, res) => {
+    const { SESSION_TTL_MS } = createAuthConfig();
+    const secret = crypto.randomBytes(32).toString("hex");
+    const session = await Session.create({
+        userId: user._id,
+        userAgent: (req.get("user-agent") || "").slice(
+            0,
+            USER_AGENT_MAX_LENGTH
+        ),
+        ip: getClientIp(req),
+        expiresAt: new Date(Date.now() + SESSION_TTL_MS),
+        refreshTokenHash: hashSecret(secret),
+        refreshRotatedAt: new Date(),
+    });
+
+    setRefreshCookie(res, session._id, secret, SESSION_TTL_MS);
+    generateTokenAndSetCookie(user, res, session._id);
+    return session;
+};
+
+export const renewSession = async (user, sessionId, res) => {
+    // The old refresh token is simply replaced: a password change is not a reuse
+    await rotateRefreshToken({ _id: sessionId, userId: user._id }, res, {
+        previousRefreshTokenHash: null,
+    });
+    generateTokenAndSetCookie(user, res, sessionId);
+};
+
+export const refreshSession = async (refreshToken, req, res) => {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) return { error: "Unauthorized - No refresh token" };
+
+    const { sessionId, secret } = parsed;
+    const hash = hashSecret(secret);
+    const now = new Date();
+
+    // Current token: rotate it (atomically, so only one request wins)
+    let session = await rotateRefreshToken(
+        { _id: sessionId, refreshTokenHash: hash, expiresAt: { $gt: now } },
+        res,
+        {
+            previousRefreshTokenHash: hash,
+            lastActiveAt: now,
+            ip: getClientIp(req),
+        }
+    );
+
+    if (!session) {
+        session = await Session.findOne({
+            _id: sessionId,
+            expiresAt: { $gt: now },
+        }).lean();
+        if (!session) return { error: "Unauthorized - Session expired" };
+
+        const isRecentlyRotated =
+            hash === session.previousRefreshTokenHash &&
+            now - session.refreshRotatedAt < REFRESH_REUSE_GRACE_MS;
+
+        // Anything else is a stolen (or replayed) token: end the whole family
+        if (!isRecentlyRotated) {
+            console.warn(
+                `Refresh token reuse detected for session ${sessionId}; revoking it`
+            );
+            await revokeSessions(session.userId, { sessionIds: [sessionId] });
+            return { error: "Unauthorized - Session revoked" };
+        }
+    }
+
+    const user = await User.findById(session.userId).select(
+        "username tokenVersion"
+    );
+    if (!user) return { error: "Unauthorized - Session expired" };
+
+    generateTokenAndSetCookie(user, res, session._id);
+    return { user };
+};
+
+export const findActiveSession = async (sessionId, userId) => {
+    if (!mongoose.isValidObjectId(sessionId)) return null;
+
+    return Session.findOne({
+        _id: sessionId,
+        userId,
+        expiresAt: { $gt: new Date() },
+    });
+};
+
+export const touchSession = async (session, ip) => {
+    const now = Date.now();
+    if (
+        session.lastActiveAt &&
+        now - session.lastActiveAt.getTime() < ACTIVITY_RESOLUTION_MS &&
+        (!ip || ip === session.ip)
+    ) {
+        return;
+    }
+
+    await Session.updateOne(
+        { _id: session._id },
+        { $set: { lastActiveAt: new Date(now), ...(ip ? { ip } : {}) } }
+    );
+};
+
+export const revokeSessions = async (
+    userId,
+    { sessionIds, exceptSessionId } = {}
+) => {
+    const filter = { userId };
+    if (sessionIds) filter._id = { $in: sessionIds };
+    if (exceptSessionId) {
+        filter._id = { ...filter._id, $ne: exceptSessionId };
+    }
+
+    const sessions = await Session.find(filter).select("_id").lean();
+    if (sessions.length === 0) return 0;
+
+    const ids = sessions.map((s) => s._id.toString());
+    await Session.deleteMany({ _id: { $in: ids } });
+    disconnectSessionSockets(ids);
+
+    return ids.length;
+};
+
+export const endSession = async (sessionId) => {
+    if (!mongoose.isValidObjectId(sessionId)) return;
+
+    const session = await Session.findById(sessionId).select("userId").lean();
+    if (session) {
+        await revokeSessions(session.userId, { sessionIds: [sessionId] });
+    }
+};
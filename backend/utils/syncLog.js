@@ -0,0 +1,47 @@
+/**
+ * syncLog Utilities
+ * -----------------
+ * The per-user event log behind reconnect catch-up: every synced real-time event gets the next number
+ * of the recipient's sequence, and what it changed is recorded under that number.
+ *
+ * Exports:
+ *   - recordSyncEvent(userId, { conversationId, messageId }): Increments the user's `syncSeq`, records
+ *     the change as a `SyncEvent` and resolves to the new sequence number.
+ *
+ * How it works:
+ *   - `User.syncSeq` is incremented atomically (`$inc`), so numbers are unique per user and only grow,
+ *     even with several server instances.
+ *   - The socket gateway (`emitSyncedToUsers`) adds the number to the payload as `seq`; clients remember
+ *     the last one they saw and ask `/api/sync?since=<seq>` for what they missed.
+ *   - Events expire after `SYNC_RETENTION_DAYS` (see `config/sync/sync.config.js`).
+ *
+ * Usage:
+ *   import { recordSyncEvent } from "../utils/syncLog.js";
+ *   const seq = await recordSyncEvent(userId, { conversationId, messageId });
+ */
+
+import User from "../models/user.model.js";
+import SyncEvent from "../models/syncEvent.model.js";
+import { createSyncConfig } from "../config/sync/sync.config.js";
+
+export const recordSyncEvent = async (
+    userId,
+    { conversationId, messageId = null }
+) => {
+    const user = await User.findByIdAndUpdate(
+        userId,
+        { $inc: { syncSeq: 1 } },
+        { new: true, projection: { syncSeq: 1 } }
+    ).lean();
+    if (!user) return null;
+
+    const { RETENTION_MS } = createSyncConfig();
+    await SyncEvent.create({
+        userId,
+        seq: user.syncSeq,
+        conversationId,
+        messageId,
+        expiresAt: new Date(Date.now() + RETENTION_MS),
+    });
+    return user.syncSeq;
+};
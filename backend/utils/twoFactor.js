@@ -0,0 +1,92 @@
+/**
+ * Two-Factor Utilities
+ * --------------------
+ * The second login step for accounts with TOTP two-factor authentication enabled
+ * (`user.twoFactor`, see `models/user.model.js` and `utils/totp.js`).
+ *
+ * Exports:
+ *   - createLoginChallenge(user): Signs the short-lived challenge token that `login` returns instead of
+ *     starting a session. It proves the password was right and is redeemed at `POST /api/auth/login/2fa`.
+ *   - readLoginChallenge(token): Verifies a challenge token. Returns `{ userId, tokenVersion }`, or
+ *     `{ error }` when it is invalid or has expired.
+ *   - verifySecondFactor(user, { code, recoveryCode }): Checks an authenticator code or a recovery code
+ *     against a user selected with `+twoFactor`. Resolves to `{ method: "totp" | "recovery" }`, or `{ error }`.
+ *
+ * Notes:
+ *   - Codes are consumed atomically: an accepted TOTP step is recorded in `lastUsedStep` (a code
+ *     cannot be used twice, even by concurrent requests) and a recovery code is pulled from the list.
+ *   - Challenge tokens carry `purpose: "2fa"` and no session ID, so they are useless as access tokens.
+ *   - A password change or reset (`tokenVersion` bump) invalidates pending challenges.
+ *
+ * Usage:
+ *   import { createLoginChallenge, verifySecondFactor } from "../utils/twoFactor.js";
+ *   const { error } = await verifySecondFactor(user, req.body);
+ */
+
+import jwt from "jsonwebtoken";
+import User from "../models/user.model.js";
+import { verifyTotp, hashRecoveryCode } from "./totp.js";
+import { createAuthConfig } from "../config/auth/auth.config.js";
+
+const CHALLENGE_PURPOSE = "2fa";
+
+export const createLoginChallenge = (user) => {
+    const { TWO_FACTOR_CHALLENGE_TTL_MS } = createAuthConfig();
+    return jwt.sign(
+        {
+            id: user._id,
+            tv: user.tokenVersion || 0,
+            purpose: CHALLENGE_PURPOSE,
+        },
+        process.env.JWT_SECRET,
+        { expiresIn: Math.floor(TWO_FACTOR_CHALLENGE_TTL_MS / 1000) }
+    );
+};
+
+export const readLoginChallenge = (token) => {
+    try {
+        const payload = jwt.verify(String(token ?? ""), process.env.JWT_SECRET);
+        if (payload.purpose !== CHALLENGE_PURPOSE || !payload.id) {
+            return { error: "Invalid login challenge" };
+        }
+        return { userId: payload.id, tokenVersion: payload.tv || 0 };
+    } catch (error) {
+        return {
+            error:
+                error instanceof jwt.TokenExpiredError
+                    ? "Login challenge expired, please log in again"
+                    : "Invalid login challenge",
+        };
+    }
+};
+
+export const verifySecondFactor = async (user, { code, recoveryCode } = {}) => {
+    const twoFactor = user.twoFactor;
+    if (!twoFactor?.enabled) {
+        return { error: "Two-factor authentication is not enabled" };
+    }
+
+    if (recoveryCode) {
+        const hash = hashRecoveryCode(recoveryCode);
+        const { modifiedCount } = await User.updateOne(
+            { _id: user._id, "twoFactor.recoveryCodes": hash },
+            { $pull: { "twoFactor.recoveryCodes": hash } }
+        );
+        return modifiedCount === 1
+            ? { method: "recovery" }
+            : { error: "Invalid recovery code" };
+    }
+
+    const step = verifyTotp(twoFactor.secret, code, {
+        afterStep: twoFactor.lastUsedStep,
+    });
+    if (step === null) return { error: "Invalid authentication code" };
+
+    const { modifiedCount } = await User.updateOne(
+        { _id: user._id, "twoFactor.lastUsedStep": { $lt: step } },
+        { $set: { "twoFactor.lastUsedStep": step } }
+    );
+    return modifiedCount === 1
+        ? { method: "totp" }
+        : { error: "Invalid authentication code" };
+};
@@ -15,6 +15,7 @@
  *   - Uses `AnimatePresence` from Framer Motion to enable smooth page transitions.
  *   - Renders the `Home` component as the default page.
  *   - Includes `Login` and `SignUp` components for authentication routes.
+ *   - Includes `ForgotPassword`, `ResetPassword` and `ChangePassword` for the password flows.
  *   - Includes `NotFound` component for handling undefined routes.
  *   - Displays toast notifications using the `Toaster` component from `react-hot-toast`.
  *
@@ -26,6 +27,9 @@
  *   - `Home`: The main chat interface.
  *   - `Login`: The login page for user authentication.
  *   - `SignUp`: The signup page for new user registration.
+ *   - `ForgotPassword`: Requests a password reset link (public).
+ *   - `ResetPassword`: Sets a new password from a reset link; reachable whether or not a user is logged in.
+ *   - `ChangePassword`: Changes the logged-in user's password (protected).
  *   - `NotFound`: Displays a 404 error page for undefined routes.
  *   - `Toaster`: Displays toast notifications with a dark theme.
  *   - `ProtectedRoute`: Protects routes that require authentication, redirecting to the login page if the user is not authenticated.
@@ -79,6 +83,9 @@ import { SocketContextProvider } from "./store/SocketContext";
 import Home from "./pages/home/Home";
 import Login from "./pages/login/Login";
 import SignUp from "./pages/signup/SignUp";
+import ForgotPassword from "./pages/forgotPassword/ForgotPassword";
+import ResetPassword from "./pages/resetPassword/ResetPassword";
+import ChangePassword from "./pages/changePassword/ChangePassword";
 import NotFound from "./pages/notFound/NotFound";
 
 import { Toaster } from "react-hot-toast";
@@ -128,6 +135,23 @@ function AppContent() {
                             </PublicRoute>
                         }
                     />
+                    <Route
+                        path="/forgot-password"
+                        element={
+                            <PublicRoute>
+                                <ForgotPassword />
+                            </PublicRoute>
+                        }
+                    />
+                    <Route path="/reset-password" element={<ResetPassword />} />
+                    <Route
+                        path="/change-password"
+                        element={
+                            <ProtectedRoute>
+                                <ChangePassword />
+                            </ProtectedRoute>
+                        }
+                    />
                     <Route path="*" element={<NotFound />} />
                 </Routes>
                 <Toaster position="top-center" toastOptions={TOAST_STYLE} />
@@ -1,7 +1,7 @@
 /**
  * ChatHeader Component
  * --------------------
- * Displays the header for the chat interface, including the conversation's avatar, name, and online status.
+ * Displays the header for the chat interface, including the conversation's avatar, name, and presence.
  *
  * Exports:
  *   - ChatHeader: Renders the chat header with back navigation for mobile.
@@ -9,20 +9,44 @@
  * Props:
  *   - conversation (object): The selected conversation object containing:
  *       - name (string): The name of the conversation or participant.
+ *       - isGroup (boolean): Indicates a group conversation (optional).
+ *       - memberCount (number): Number of group members (group conversations only).
+ *       - statusText (string): The receiver's custom status (direct conversations only, optional).
  *   - avatarUrl (string): The URL of the avatar image for the conversation.
  *   - isMobile (boolean): Indicates if the viewport is mobile-sized (<768px).
  *   - onBackClick (function): Callback function to handle back navigation (used for mobile view).
- *   - isReceiverOnline (boolean): Indicates whether the receiver is currently online.
+ *   - receiverPresence (object): The receiver's `{ status, lastSeenAt }` from `useOnlineStatus` (direct
+ *     conversations only).
+ *   - onInfoClick (function): Opens the group info dialog (group conversations only).
+ *   - typingLabel (string | null): "typing…" label while other participants are typing (see `useTypingIndicator`).
+ *   - search (object | null): In-conversation search state from `useConversationSearch`. Defaults to `null` (no search button).
+ *   - isBlocked (boolean): Whether the current user blocked the receiver (direct conversations only).
+ *   - menu (ReactNode | null): The conversation menu (`ConversationMenu`), rendered last in the header row.
  *
  * Layout:
  *   - Back Button:
  *       - Displays a back button for mobile view to navigate back to the sidebar.
  *       - Only visible when `isMobile` is true.
  *   - Avatar:
- *       - Shows the conversation's avatar image inside a circular container.
+ *       - Shows the conversation's avatar image inside a circular container, with the receiver's
+ *         presence dot (`PresenceDot`).
+ *       - Groups show a `GroupAvatar` with the group's initials.
  *   - Conversation Info:
  *       - Displays the conversation's name.
- *       - Shows the receiver's online status as "Online" or "Offline".
+ *       - Shows the receiver's presence ("Online", "Away", "Do not disturb", "Last seen 5 minutes ago" or
+ *         "Offline", see `getPresenceLabel`), followed by their status text if set. A blocked receiver
+ *         shows "Blocked" instead (their presence is hidden).
+ *       - Groups show the member count instead.
+ *       - While someone is typing, `typingLabel` replaces the status line.
+ *   - Search Button:
+ *       - Toggles the search bar (when `search` is provided).
+ *   - Info Button:
+ *       - Only for groups; calls `onInfoClick` to open `GroupInfoModal`.
+ *   - Menu:
+ *       - The `menu` node (mute and block actions).
+ *   - Search Bar (below the header row, while open):
+ *       - Input, "3 of 17" counter (newest match first), ↑ older / ↓ newer buttons and a close button.
+ *       - Enter shows the next older match, Shift+Enter the next newer one, Escape closes the bar.
  *
  * Usage:
  *   - Used within the `MessageContainer` component to display the header for the selected conversation.
@@ -35,48 +59,227 @@
  *           avatarUrl={avatarUrl}
  *           isMobile={isMobile}
  *           onBackClick={handleBackClick}
- *           isReceiverOnline={isReceiverOnline}
+ *           receiverPresence={receiverPresence}
+ *           onInfoClick={openGroupInfo}
+ *           typingLabel={typingLabel}
+ *           search={conversationSearch}
+ *           isBlocked={isReceiverBlocked}
+ *           menu={<ConversationMenu ... />}
  *       />
  */
 
+import { useEffect, useState } from "react";
+import GroupAvatar from "../sidebar/conversation/GroupAvatar";
+import PresenceDot from "../sidebar/conversation/PresenceDot";
+import { getPresenceLabel } from "../../utils/presenceUtils";
+
+const iconButtonClass =
+    "btn btn-circle btn-sm bg-white/10 border-white/20 text-white hover:bg-white/20";
+
+const LAST_SEEN_REFRESH_MS = 60 * 1000;
+
+// The presence line; "last seen 5 minutes ago" is re-rendered every minute so it stays current
+const PresenceLabel = ({ status, lastSeenAt }) => {
+    const [, setTick] = useState(0);
+
+    useEffect(() => {
+        if (!lastSeenAt) return;
+        const timer = setInterval(
+            () => setTick((tick) => tick + 1),
+            LAST_SEEN_REFRESH_MS
+        );
+        return () => clearInterval(timer);
+    }, [lastSeenAt]);
+
+    return getPresenceLabel(status, lastSeenAt);
+};
+
+const SearchBar = ({ search }) => {
+    const counter = (() => {
+        if (search.query.trim().length < 2) return "";
+        if (search.isLoading) return "Searching…";
+        if (search.total === 0) return "No results";
+        return `${search.activeIndex + 1} of ${search.total}${
+            search.isCapped ? "+" : ""
+        }`;
+    })();
+
+    const handleKeyDown = (e) => {
+        if (e.key === "Escape") {
+            search.close();
+        } else if (e.key === "Enter") {
+            e.preventDefault();
+            if (e.shiftKey) search.showNewer();
+            else search.showOlder();
+        }
+    };
+
+    return (
+        <div className="px-4 pb-3 flex items-center gap-2">
+            <input
+                type="search"
+                autoFocus
+                value={search.query}
+                onChange={(e) => search.setQuery(e.target.value)}
+                onKeyDown={handleKeyDown}
+                placeholder="Search in conversation..."
+                aria-label="Search in conversation"
+                className="input input-sm flex-1 min-w-0 bg-white/10 backdrop-blur-sm border border-white/20 text-white placeholder-white/50 focus:border-white/40 focus:outline-none"
+            />
+            <span
+                className="text-xs text-white/60 whitespace-nowrap min-w-[70px] text-center"
+                aria-live="polite"
+            >
+                {counter}
+            </span>
+            <button
+                type="button"
+                onClick={search.showOlder}
+                disabled={search.activeIndex >= search.total - 1}
+                aria-label="Older match"
+                title="Older match"
+                className={iconButtonClass}
+            >
+                ↑
+            </button>
+            <button
+                type="button"
+                onClick={search.showNewer}
+                disabled={search.activeIndex <= 0}
+                aria-label="Newer match"
+                title="Newer match"
+                className={iconButtonClass}
+            >
+                ↓
+            </button>
+            <button
+                type="button"
+                onClick={search.close}
+                aria-label="Close search"
+                title="Close search"
+                className="btn btn-ghost btn-sm btn-circle text-white/70"
+            >
+                ✕
+            </button>
+        </div>
+    );
+};
+
 const ChatHeader = ({
     conversation,
     avatarUrl,
     isMobile,
     onBackClick,
-    isReceiverOnline,
+    receiverPresence = null,
+    onInfoClick,
+    typingLabel = null,
+    search = null,
+    isBlocked = false,
+    menu = null,
 }) => (
-    <div className="p-4 border-b border-white/10 flex items-center gap-3">
-        {isMobile && (
-            <button
-                onClick={onBackClick}
-                className="btn btn-circle btn-sm bg-white/10 border-white/20 text-white"
-            >
-                <svg
-                    xmlns="http://www.w3.org/2000/svg"
-                    width="16"
-                    height="16"
-                    fill="currentColor"
-                    viewBox="0 0 16 16"
+    <div className="border-b border-white/10">
+        <div className="p-4 flex items-center gap-3">
+            {isMobile && (
+                <button
+                    onClick={onBackClick}
+                    className="btn btn-circle btn-sm bg-white/10 border-white/20 text-white"
                 >
-                    <path
-                        fillRule="evenodd"
-                        d="M11.354 1.646a.5.5 0 0 1 0 .708L5.707 8l5.647 5.646a.5.5 0 0 1-.708.708l-6-6a.5.5 0 0 1 0-.708l6-6a.5.5 0 0 1 .708 0z"
-                    />
-                </svg>
-            </button>
-        )}
-        <div className="avatar">
-            <div className="w-10 rounded-full bg-white/20">
-                <img src={avatarUrl} alt={`${conversation.name}'s avatar`} />
+                    <svg
+                        xmlns="http://www.w3.org/2000/svg"
+                        width="16"
+                        height="16"
+                        fill="currentColor"
+                        viewBox="0 0 16 16"
+                    >
+                        <path
+                            fillRule="evenodd"
+                            d="M11.354 1.646a.5.5 0 0 1 0 .708L5.707 8l5.647 5.646a.5.5 0 0 1-.708.708l-6-6a.5.5 0 0 1 0-.708l6-6a.5.5 0 0 1 .708 0z"
+                        />
+                    </svg>
+                </button>
+            )}
+            {conversation.isGroup ? (
+                <GroupAvatar name={conversation.name} size="w-10" />
+            ) : (
+                <div className="avatar">
+                    <div className="w-10 rounded-full bg-white/20">
+                        <img
+                            src={avatarUrl}
+                            alt={`${conversation.name}'s avatar`}
+                        />
+                    </div>
+                    {!isBlocked && (
+                        <PresenceDot status={receiverPresence?.status} />
+                    )}
+                </div>
+            )}
+            <div className="flex-1">
+                <h3 className="text-white font-medium">{conversation.name}</h3>
+                {typingLabel ? (
+                    <p className="text-white/80 text-xs italic">
+                        {typingLabel}
+                    </p>
+                ) : (
+                    <p className="text-white/60 text-xs truncate">
+                        {conversation.isGroup ? (
+                            `${conversation.memberCount} members`
+                        ) : isBlocked ? (
+                            "Blocked"
+                        ) : (
+                            <PresenceLabel
+                                status={receiverPresence?.status}
+                                lastSeenAt={receiverPresence?.lastSeenAt}
+                            />
+                        )}
+                        {!conversation.isGroup &&
+                            conversation.statusText &&
+                            ` · ${conversation.statusText}`}
+                    </p>
+                )}
             </div>
+            {search && (
+                <button
+                    type="button"
+                    onClick={search.isOpen ? search.close : search.open}
+                    aria-label="Search in conversation"
+                    aria-pressed={search.isOpen}
+                    title="Search in conversation"
+                    className={iconButtonClass}
+                >
+                    <svg
+                        xmlns="http://www.w3.org/2000/svg"
+                        width="16"
+                        height="16"
+                        fill="currentColor"
+                        viewBox="0 0 16 16"
+                    >
+                        <path d="M11.742 10.344a6.5 6.5 0 1 0-1.397 1.398h-.001c.03.04.062.078.098.115l3.85 3.85a1 1 0 0 0 1.415-1.414l-3.85-3.85a1.007 1.007 0 0 0-.115-.1zM12 6.5a5.5 5.5 0 1 1-11 0 5.5 5.5 0 0 1 11 0z" />
+                    </svg>
+                </button>
+            )}
+            {conversation.isGroup && (
+                <button
+                    type="button"
+                    onClick={onInfoClick}
+                    aria-label="Group info"
+                    title="Group info"
+                    className={iconButtonClass}
+                >
+                    <svg
+                        xmlns="http://www.w3.org/2000/svg"
+                        width="16"
+                        height="16"
+                        fill="currentColor"
+                        viewBox="0 0 16 16"
+                    >
+                        <path d="M8 15A7 7 0 1 1 8 1a7 7 0 0 1 0 14zm0 1A8 8 0 1 0 8 0a8 8 0 0 0 0 16z" />
+                        <path d="m8.93 6.588-2.29.287-.082.38.45.083c.294.07.352.176.288.469l-.738 3.468c-.194.897.105 1.319.808 1.319.545 0 1.178-.252 1.465-.598l.088-.416c-.2.176-.492.246-.686.246-.275 0-.375-.193-.304-.533L8.93 6.588zM9 4.5a1 1 0 1 1-2 0 1 1 0 0 1 2 0z" />
+                    </svg>
+                </button>
+            )}
+            {menu}
         </div>
-        <div className="flex-1">
-            <h3 className="text-white font-medium">{conversation.name}</h3>
-            <p className="text-white/60 text-xs">
-                {isReceiverOnline ? "Online" : "Offline"}
-            </p>
-        </div>
+        {search?.isOpen && <SearchBar search={search} />}
     </div>
 );
 
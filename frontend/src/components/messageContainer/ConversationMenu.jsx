@@ -0,0 +1,164 @@
+/**
+ * ConversationMenu Component
+ * --------------------------
+ * The "⋮" menu in the chat header: mute / unmute the conversation and block / unblock the other user.
+ *
+ * Exports:
+ *   - ConversationMenu: Renders the menu button and its dropdown.
+ *
+ * Props:
+ *   - conversation (object): The selected conversation (`_id`, `isGroup`, `mutedUntil`).
+ *   - receiverName (string): The other participant's name (direct conversations only).
+ *   - isBlocked (boolean): Whether the current user blocked the other participant.
+ *   - onBlock / onUnblock (function): Block or unblock the other participant (direct conversations only).
+ *   - blockPending (boolean): Disables the block item while a block request is in progress.
+ *
+ * Hooks:
+ *   - useMuteConversation: Provides `muteConversation`, `unmuteConversation` and the loading state.
+ *
+ * Behavior:
+ *   - Not muted: one item per `MUTE_OPTIONS` duration ("For 8 hours", "Until I turn it back on", ...).
+ *   - Muted: shows until when, and an "Unmute" item.
+ *   - Mute items are hidden for a conversation that does not exist yet (`temp_` ID, no message sent).
+ *   - Direct conversations get "Block {name}" (after a confirmation) or "Unblock {name}".
+ *
+ * Usage:
+ *   - Rendered by `MessageContainer` and passed to `ChatHeader` as its `menu`:
+ *       <ConversationMenu conversation={selectedConversation} receiverName="Jane" isBlocked={false} ... />
+ */
+
+import { useMuteConversation } from "../../hooks/conversation/useMuteConversation";
+import {
+    MUTE_OPTIONS,
+    isConversationMuted,
+    formatMutedUntil,
+} from "../../utils/muteUtils";
+
+const itemClass = "text-white hover:bg-white/10";
+
+const ConversationMenu = ({
+    conversation,
+    receiverName = "",
+    isBlocked = false,
+    onBlock,
+    onUnblock,
+    blockPending = false,
+}) => {
+    const { muteConversation, unmuteConversation, loading } =
+        useMuteConversation();
+
+    const canMute = !conversation._id?.startsWith("temp_");
+    const isMuted = isConversationMuted(conversation);
+
+    // Close the dropdown (it stays open while it has focus)
+    const closeMenu = () => document.activeElement?.blur();
+
+    const handleMute = (hours) => {
+        closeMenu();
+        muteConversation(conversation._id, hours);
+    };
+
+    const handleUnmute = () => {
+        closeMenu();
+        unmuteConversation(conversation._id);
+    };
+
+    const handleBlock = () => {
+        closeMenu();
+        if (
+            window.confirm(
+                `Block ${receiverName}? Neither of you will be able to send the other messages.`
+            )
+        ) {
+            onBlock();
+        }
+    };
+
+    const handleUnblock = () => {
+        closeMenu();
+        onUnblock();
+    };
+
+    return (
+        <div className="dropdown dropdown-end">
+            <div
+                tabIndex={0}
+                role="button"
+                aria-label="Conversation menu"
+                title="More"
+                className="btn btn-circle btn-sm bg-white/10 border-white/20 text-white hover:bg-white/20"
+            >
+                <svg
+                    xmlns="http://www.w3.org/2000/svg"
+                    width="16"
+                    height="16"
+                    fill="currentColor"
+                    viewBox="0 0 16 16"
+                >
+                    <path d="M9.5 13a1.5 1.5 0 1 1-3 0 1.5 1.5 0 0 1 3 0zm0-5a1.5 1.5 0 1 1-3 0 1.5 1.5 0 0 1 3 0zm0-5a1.5 1.5 0 1 1-3 0 1.5 1.5 0 0 1 3 0z" />
+                </svg>
+            </div>
+            <ul
+                tabIndex={0}
+                className="dropdown-content z-[1] menu p-2 shadow-lg bg-white/10 backdrop-blur-md border border-white/20 rounded-box w-56"
+            >
+                {canMute &&
+                    (isMuted ? (
+                        <>
+                            <li className="menu-title text-white/60">
+                                {formatMutedUntil(conversation.mutedUntil)}
+                            </li>
+                            <li>
+                                <button
+                                    type="button"
+                                    className={itemClass}
+                                    onClick={handleUnmute}
+                                    disabled={loading}
+                                >
+                                    Unmute
+                                </button>
+                            </li>
+                        </>
+                    ) : (
+                        <>
+                            <li className="menu-title text-white/60">
+                                Mute notifications
+                            </li>
+                            {MUTE_OPTIONS.map(({ label, hours }) => (
+                                <li key={label}>
+                                    <button
+                                        type="button"
+                                        className={itemClass}
+                                        onClick={() => handleMute(hours)}
+                                        disabled={loading}
+                                    >
+                                        {label}
+                                    </button>
+                                </li>
+                            ))}
+                        </>
+                    ))}
+                {!conversation.isGroup && (
+                    <li>
+                        <button
+                            type="button"
+                            className={
+                                isBlocked
+                                    ? itemClass
+                                    : "text-red-300 hover:bg-red-500/20"
+                            }
+                            onClick={isBlocked ? handleUnblock : handleBlock}
+                            disabled={blockPending}
+                        >
+                            {isBlocked
+                                ? `Unblock ${receiverName}`
+                                : `Block ${receiverName}`}
+                        </button>
+                    </li>
+                )}
+            </ul>
+        </div>
+    );
+};
+
+export default ConversationMenu;
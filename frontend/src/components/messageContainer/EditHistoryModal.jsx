@@ -0,0 +1,83 @@
+/**
+ * EditHistoryModal Component
+ * --------------------------
+ * Modal dialog listing every version of an edited message.
+ *
+ * Exports:
+ *   - EditHistoryModal: Renders the versions of a message, newest first.
+ *
+ * Props:
+ *   - content (string): The current text of the message.
+ *   - editedAt (string): When the current version was written.
+ *   - edits (array): Prior versions ({ message, createdAt }), oldest first, as stored by the server.
+ *   - onClose (function): Called when the modal should close.
+ *
+ * Layout:
+ *   - Current version first (labelled "Current"), then older versions, the original last (labelled "Original").
+ *   - Each entry shows the text and the time that version was written.
+ *
+ * Usage:
+ *   - Opened from the "edited" badge in `Message`:
+ *       {isHistoryOpen && (
+ *           <EditHistoryModal
+ *               content={message}
+ *               editedAt={editedAt}
+ *               edits={edits}
+ *               onClose={() => setIsHistoryOpen(false)}
+ *           />
+ *       )}
+ */
+
+import { formatFullDateTime } from "../../utils/dateUtils";
+
+const EditHistoryModal = ({ content, editedAt, edits = [], onClose }) => {
+    const versions = [
+        { message: content, createdAt: editedAt, label: "Current" },
+        ...[...edits].reverse().map((edit, idx, list) => ({
+            ...edit,
+            label: idx === list.length - 1 ? "Original" : null,
+        })),
+    ];
+
+    return (
+        <div className="modal modal-open" role="dialog">
+            <div className="modal-box bg-white/10 backdrop-blur-md border border-white/20 text-white space-y-4">
+                <h3 className="text-lg font-semibold">Edit history</h3>
+                <ul className="max-h-72 overflow-auto space-y-3">
+                    {versions.map((version, idx) => (
+                        <li
+                            key={`${version.createdAt}-${idx}`}
+                            className="rounded-lg bg-white/5 p-3"
+                        >
+                            <div className="flex items-center justify-between text-xs text-white/60 mb-1">
+                                <span>
+                                    {formatFullDateTime(version.createdAt)}
+                                </span>
+                                {version.label && (
+                                    <span className="badge badge-sm bg-white/20 border-0 text-white">
+                                        {version.label}
+                                    </span>
+                                )}
+                            </div>
+                            <p className="text-sm whitespace-pre-wrap [overflow-wrap:anywhere]">
+                                {version.message}
+                            </p>
+                        </li>
+                    ))}
+                </ul>
+                <div className="modal-action">
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="btn btn-sm bg-white/10 border-white/20 text-white hover:bg-white/20"
+                    >
+                        Close
+                    </button>
+                </div>
+            </div>
+            <div className="modal-backdrop" onClick={onClose}></div>
+        </div>
+    );
+};
+
+export default EditHistoryModal;
@@ -0,0 +1,284 @@
+/**
+ * GroupInfoModal Component
+ * ------------------------
+ * Modal dialog showing a group's details and membership controls.
+ *
+ * Exports:
+ *   - GroupInfoModal: Renders the group name, member list, and admin actions.
+ *
+ * Props:
+ *   - conversation (object): The selected group conversation containing:
+ *       - _id (string): The conversation ID.
+ *       - name (string): The group name.
+ *       - participants (array): Member objects (`_id`, `fullName`, `username`, `profilePicture`).
+ *       - admins (array): IDs of the group admins.
+ *       - createdBy (string): ID of the group creator.
+ *   - onClose (function): Called when the modal should close.
+ *
+ * State:
+ *   - name (string): Editable group name (admins only).
+ *   - isAdding (boolean): Whether the "add members" picker is shown.
+ *   - selectedIds (array): Users selected in the "add members" picker.
+ *
+ * Hooks:
+ *   - useGroupActions: Rename, add/remove members, promote admins, and leave.
+ *   - useUserStore: Candidate users for the "add members" picker.
+ *   - useAuthContext: Determines whether the current user is an admin.
+ *
+ * Behavior:
+ *   - Everyone sees the member list (with "Admin" / "Creator" badges) and can leave the group.
+ *   - Admins can rename the group, add members, remove members, and promote members to admin.
+ *   - The creator cannot be removed by others.
+ *   - Changes are reflected through `conversation:updated`; leaving or being removed
+ *     closes the conversation through `conversation:removed`.
+ *
+ * Usage:
+ *   - Opened from the info button in `ChatHeader`:
+ *       {isInfoOpen && <GroupInfoModal conversation={selectedConversation} onClose={closeInfo} />}
+ */
+
+import { useState, useCallback } from "react";
+import MemberPicker from "../sidebar/group/MemberPicker";
+import { useGroupActions } from "../../hooks/conversation/useGroupActions";
+import { useUserStore } from "../../hooks/conversation/useUserStore";
+import { useAuthContext } from "../../store/AuthContext";
+
+const AddMembersPanel = ({ conversation, onDone }) => {
+    const [selectedIds, setSelectedIds] = useState([]);
+    const { users, loading: usersLoading } = useUserStore();
+    const { addMembers, loading } = useGroupActions();
+
+    const toggleUser = useCallback((userId) => {
+        setSelectedIds((prev) =>
+            prev.includes(userId)
+                ? prev.filter((id) => id !== userId)
+                : [...prev, userId]
+        );
+    }, []);
+
+    const handleAdd = async () => {
+        if (!selectedIds.length) return;
+        const data = await addMembers(conversation._id, selectedIds);
+        if (data) onDone();
+    };
+
+    if (usersLoading) {
+        return (
+            <div className="flex justify-center p-4">
+                <span className="loading loading-spinner loading-md text-white/60"></span>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-2">
+            <MemberPicker
+                users={users}
+                selectedIds={selectedIds}
+                onToggle={toggleUser}
+                excludeIds={(conversation.participants || []).map((p) => p._id)}
+            />
+            <div className="flex justify-end gap-2">
+                <button
+                    type="button"
+                    onClick={onDone}
+                    className="btn btn-xs bg-white/10 border-white/20 text-white hover:bg-white/20"
+                >
+                    Cancel
+                </button>
+                <button
+                    type="button"
+                    onClick={handleAdd}
+                    disabled={!selectedIds.length || loading}
+                    className="btn btn-xs bg-white/20 border-white/20 text-white hover:bg-white/30"
+                >
+                    Add {selectedIds.length || ""}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+const GroupInfoModal = ({ conversation, onClose }) => {
+    const [name, setName] = useState(conversation.name || "");
+    const [isAdding, setIsAdding] = useState(false);
+
+    const { authUser } = useAuthContext();
+    const { renameGroup, removeMember, promoteAdmin, leaveGroup, loading } =
+        useGroupActions();
+
+    const adminIds = (conversation.admins || []).map((id) => id.toString());
+    const creatorId = conversation.createdBy?.toString();
+    const isAdmin = adminIds.includes(authUser?.id);
+    const trimmedName = name.trim();
+
+    const handleRename = async (e) => {
+        e.preventDefault();
+        if (!trimmedName || trimmedName === conversation.name) return;
+        await renameGroup(conversation._id, trimmedName);
+    };
+
+    const handleLeave = async () => {
+        const data = await leaveGroup(conversation._id);
+        if (data) onClose();
+    };
+
+    return (
+        <div className="modal modal-open" role="dialog">
+            <div className="modal-box bg-white/10 backdrop-blur-md border border-white/20 text-white space-y-4">
+                {isAdmin ? (
+                    <form onSubmit={handleRename} className="flex gap-2">
+                        <input
+                            type="text"
+                            value={name}
+                            maxLength={60}
+                            onChange={(e) => setName(e.target.value)}
+                            className="input input-bordered input-sm flex-1 bg-white/10 border-white/20 text-white focus:border-white/40 focus:outline-none"
+                            aria-label="Group name"
+                        />
+                        <button
+                            type="submit"
+                            disabled={
+                                !trimmedName ||
+                                trimmedName === conversation.name ||
+                                loading
+                            }
+                            className="btn btn-sm bg-white/20 border-white/20 text-white hover:bg-white/30"
+                        >
+                            Rename
+                        </button>
+                    </form>
+                ) : (
+                    <h3 className="text-lg font-semibold">
+                        {conversation.name}
+                    </h3>
+                )}
+
+                <div className="flex items-center justify-between">
+                    <p className="text-white/60 text-sm">
+                        {conversation.participants?.length || 0} members
+                    </p>
+                    {isAdmin && !isAdding && (
+                        <button
+                            type="button"
+                            onClick={() => setIsAdding(true)}
+                            className="btn btn-xs bg-white/10 border-white/20 text-white hover:bg-white/20"
+                        >
+                            Add members
+                        </button>
+                    )}
+                </div>
+
+                {isAdding && (
+                    <AddMembersPanel
+                        conversation={conversation}
+                        onDone={() => setIsAdding(false)}
+                    />
+                )}
+
+                <ul className="max-h-64 overflow-auto space-y-1">
+                    {(conversation.participants || []).map((member) => {
+                        const memberIsAdmin = adminIds.includes(member._id);
+                        const isSelf = member._id === authUser?.id;
+                        const isCreator = member._id === creatorId;
+
+                        return (
+                            <li
+                                key={member._id}
+                                className="flex items-center gap-3 p-2 rounded-lg hover:bg-white/5"
+                            >
+                                <div className="avatar">
+                                    <div className="w-8 rounded-full bg-white/10">
+                                        <img
+                                            src={
+                                                member.profilePicture ||
+                                                `https://robohash.org/user${member._id}.png`
+                                            }
+                                            alt={`${member.fullName}'s avatar`}
+                                            loading="lazy"
+                                        />
+                                    </div>
+                                </div>
+                                <div className="flex-1 min-w-0">
+                                    <p className="text-sm truncate">
+                                        {member.fullName}
+                                        {isSelf && " (you)"}
+                                    </p>
+                                    <p className="text-white/60 text-xs truncate">
+                                        @{member.username}
+                                    </p>
+                                </div>
+                                {isCreator ? (
+                                    <span className="badge badge-sm bg-white/20 border-0 text-white">
+                                        Creator
+                                    </span>
+                                ) : (
+                                    memberIsAdmin && (
+                                        <span className="badge badge-sm bg-white/20 border-0 text-white">
+                                            Admin
+                                        </span>
+                                    )
+                                )}
+                                {isAdmin && !isSelf && (
+                                    <div className="flex gap-1">
+                                        {!memberIsAdmin && (
+                                            <button
+                                                type="button"
+                                                onClick={() =>
+                                                    promoteAdmin(
+                                                        conversation._id,
+                                                        member._id
+                                                    )
+                                                }
+                                                disabled={loading}
+                                                className="btn btn-xs bg-white/10 border-white/20 text-white hover:bg-white/20"
+                                            >
+                                                Make admin
+                                            </button>
+                                        )}
+                                        {!isCreator && (
+                                            <button
+                                                type="button"
+                                                onClick={() =>
+                                                    removeMember(
+                                                        conversation._id,
+                                                        member._id
+                                                    )
+                                                }
+                                                disabled={loading}
+                                                className="btn btn-xs bg-red-500/20 border-red-400/30 text-white hover:bg-red-500/30"
+                                            >
+                                                Remove
+                                            </button>
+                                        )}
+                                    </div>
+                                )}
+                            </li>
+                        );
+                    })}
+                </ul>
+
+                <div className="modal-action">
+                    <button
+                        type="button"
+                        onClick={handleLeave}
+                        disabled={loading}
+                        className="btn btn-sm bg-red-500/20 border-red-400/30 text-white hover:bg-red-500/30"
+                    >
+                        Leave group
+                    </button>
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="btn btn-sm bg-white/10 border-white/20 text-white hover:bg-white/20"
+                    >
+                        Close
+                    </button>
+                </div>
+            </div>
+            <div className="modal-backdrop" onClick={onClose}></div>
+        </div>
+    );
+};
+
+export default GroupInfoModal;
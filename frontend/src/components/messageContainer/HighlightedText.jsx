@@ -0,0 +1,35 @@
+/**
+ * HighlightedText Component
+ * -------------------------
+ * Renders plain text with some character ranges wrapped in `<mark>`.
+ *
+ * Props:
+ *   - text (string): The text to render (always rendered as text, never as HTML).
+ *   - highlights (array): Sorted, non-overlapping [start, end) ranges to mark. Defaults to an empty array.
+ *
+ * Usage:
+ *   - Search snippets in the sidebar (ranges from the server) and matches inside message bubbles
+ *     (ranges from `findHighlightRanges`):
+ *       <HighlightedText text="Lunch at 1?" highlights={[[0, 5]]} />
+ */
+
+const HighlightedText = ({ text = "", highlights = [] }) => {
+    const parts = [];
+    let cursor = 0;
+    highlights.forEach(([start, end]) => {
+        if (start > cursor) parts.push(text.slice(cursor, start));
+        parts.push(
+            <mark
+                key={start}
+                className="bg-white/30 text-white rounded-sm px-0.5"
+            >
+                {text.slice(start, end)}
+            </mark>
+        );
+        cursor = end;
+    });
+    parts.push(text.slice(cursor));
+    return <>{parts}</>;
+};
+
+export default HighlightedText;
@@ -9,6 +9,23 @@
  *   - avatarUrl (string): The URL of the sender's avatar image.
  *   - timestamp (string): The time the message was sent (ISO string).
  *   - isFresh (boolean): Indicates if the message is new and should be highlighted with an animation. Defaults to `false`.
+ *   - senderName (string | null): Name shown above incoming messages in group conversations. Defaults to `null`.
+ *   - messageId (string): The message ID (used for edits).
+ *   - editedAt (string | null): When the message was last edited; shows the "edited" badge when set.
+ *   - edits (array): Prior versions of the message, shown in the edit history dialog.
+ *   - editableUntil (string | null): When the server stops accepting edits; the "Edit" action is hidden after it.
+ *   - isDeleted (boolean): Whether the message was deleted for everyone (rendered as a tombstone). Defaults to `false`.
+ *   - attachments (array): Files attached to the message (image thumbnails or download links in the bubble).
+ *   - status (string | null): Delivery state of own messages ("sent", "delivered", "read"), shown as ticks in the bubble.
+ *     Unsent messages from the outbox are "pending", "sending" or "failed".
+ *   - authorName (string): Display name of the sender ("You" for own messages), used when replying to this message.
+ *   - replyTo (object | null): Quote of the message this one replies to ({ _id, senderId, content, isDeleted }).
+ *   - replyAuthorName (string): Display name of the quoted message's sender.
+ *   - onJumpToMessage (function): Called with the quoted message's ID when the quote is clicked.
+ *   - reactions (array): Emoji reactions grouped by emoji ({ emoji, users }), shown as chips under the text.
+ *   - highlightTerms (string[]): Search words to highlight in the text (in-conversation search).
+ *   - error (string | null): Why a "failed" message was not sent, shown as the footer's tooltip.
+ *   - onRetry / onDiscard (function): Retry or drop a "failed" message (see `OutboxMessage`).
  *
  * Layout:
  *   - Chat Bubble:
@@ -16,11 +33,35 @@
  *   - Avatar:
  *       - Displays the sender's profile picture.
  *       - Uses the current user's avatar for sent messages or the provided `avatarUrl` for received messages.
+ *   - Sender Name:
+ *       - Shown above the bubble when `senderName` is provided (group conversations only).
  *   - Message Content:
  *       - Displays the actual message text inside a styled bubble.
  *       - Applies a brief animation (`animate-shake`) if `isFresh` is `true`.
  *   - Timestamp:
  *       - Shows the time the message was sent below the bubble.
+ *       - Followed by an "edited" badge for edited messages; clicking it opens `EditHistoryModal`.
+ *       - Replaced by "Not sent · Retry · Discard" for a failed message.
+ *
+ * Editing:
+ *   - Own messages get an "Edit" action in the bubble's actions menu while the edit window is open.
+ *   - While editing, the bubble is replaced by `MessageEditForm`; saving calls `useEditMessage`.
+ *
+ * Deleting:
+ *   - Every message gets a "Delete for me" action, which hides it for the current user only.
+ *   - Own messages that are not deleted yet also get "Delete for everyone" (after a confirmation),
+ *     which leaves a tombstone for all participants.
+ *   - Deleted messages cannot be edited and don't show the "edited" badge.
+ *
+ * Replies:
+ *   - Messages that are not deleted get a "Reply" action, which sets `replyingTo` in the conversation
+ *     store so `MessageInput` shows the "replying to" bar.
+ *   - Replies render a `MessageQuote` at the top of the bubble; clicking it scrolls to the original
+ *     message (see `MessagesList`).
+ *
+ * Reactions:
+ *   - Hovering a message that is not deleted shows a quick reaction picker; chips below the text
+ *     show the counts. Both toggle the current user's reaction through `useReactToMessage`.
  *
  * Functions:
  *   - formatMessageTime(timestamp):
@@ -51,11 +92,19 @@
  *   - Memoized using `React.memo` to prevent unnecessary re-renders.
  */
 
-import { memo } from "react";
+import { memo, useState } from "react";
 import MessageBubble from "./MessageBubble";
+import MessageEditForm from "./MessageEditForm";
+import EditHistoryModal from "./EditHistoryModal";
+import MessageQuote from "./MessageQuote";
+import useConversation from "../../store/zustand/useConversation";
 import { formatMessageTime } from "../../utils/dateUtils";
 import { useCurrentUser } from "../../hooks/auth/useCurrentUser";
 import { useAuthContext } from "../../store/AuthContext";
+import { useEditMessage } from "../../hooks/messages/useEditMessage";
+import { useDeleteMessage } from "../../hooks/messages/useDeleteMessage";
+import { useReactToMessage } from "../../hooks/messages/useReactToMessage";
+import { attachmentLabel } from "../../utils/fileUtils";
 
 const Message = memo(
     ({
@@ -64,7 +113,31 @@ const Message = memo(
         avatarUrl,
         timestamp,
         isFresh = false,
+        senderName = null,
+        messageId,
+        editedAt = null,
+        edits = [],
+        editableUntil = null,
+        isDeleted = false,
+        attachments = [],
+        status = null,
+        authorName = "",
+        replyTo = null,
+        replyAuthorName = "",
+        onJumpToMessage,
+        reactions = [],
+        highlightTerms = [],
+        error = null,
+        onRetry,
+        onDiscard,
     }) => {
+        const [isEditing, setIsEditing] = useState(false);
+        const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+        const { editMessage, loading: isSaving } = useEditMessage();
+        const { deleteMessage } = useDeleteMessage();
+        const { toggleReaction } = useReactToMessage();
+        const { setReplyingTo } = useConversation();
+
         // Position message on the right (sent) or left (received)
         const position = isSentByCurrentUser ? "chat-end" : "chat-start";
 
@@ -85,6 +158,68 @@ const Message = memo(
                 ? `https://robohash.org/${userData.username}.png`
                 : `https://robohash.org/${userData.id || "me"}.png`);
 
+        // Edit action is offered only while the server would still accept it
+        const canEdit =
+            isSentByCurrentUser &&
+            messageId &&
+            !isDeleted &&
+            editableUntil &&
+            Date.now() < new Date(editableUntil).getTime();
+
+        const canDeleteForEveryone =
+            isSentByCurrentUser && messageId && !isDeleted;
+
+        const handleDeleteForEveryone = () => {
+            if (
+                window.confirm(
+                    "Delete this message for everyone? This cannot be undone."
+                )
+            ) {
+                deleteMessage(messageId, "everyone");
+            }
+        };
+
+        const handleReply = () =>
+            setReplyingTo({
+                id: messageId,
+                senderName: authorName,
+                content: message || attachmentLabel(attachments),
+            });
+
+        const actions = messageId
+            ? [
+                  ...(!isDeleted
+                      ? [{ label: "Reply", onClick: handleReply }]
+                      : []),
+                  ...(canEdit
+                      ? [{ label: "Edit", onClick: () => setIsEditing(true) }]
+                      : []),
+                  {
+                      label: "Delete for me",
+                      onClick: () => deleteMessage(messageId, "me"),
+                  },
+                  ...(canDeleteForEveryone
+                      ? [
+                            {
+                                label: "Delete for everyone",
+                                onClick: handleDeleteForEveryone,
+                            },
+                        ]
+                      : []),
+              ]
+            : [];
+
+        const handleReact =
+            messageId && !isDeleted
+                ? (emoji) => toggleReaction(messageId, emoji)
+                : null;
+
+        const handleSaveEdit = async (content) => {
+            const ok = await editMessage(messageId, content);
+            if (ok) setIsEditing(false);
+            return ok;
+        };
+
         return (
             <div className={`chat ${position}`}>
                 {/* Avatar */}
@@ -106,6 +241,13 @@ const Message = memo(
                     </div>
                 </div>
 
+                {/* Sender name (group conversations) */}
+                {senderName && (
+                    <div className="chat-header text-white/60 text-xs mb-1">
+                        {senderName}
+                    </div>
+                )}
+
                 {/* Message content bubble */}
                 {/* <MessageBubble
                     content={message}
@@ -113,16 +255,88 @@ const Message = memo(
                 /> */}
 
                 {/* Message content bubble with brief highlight for new items */}
-                <MessageBubble
-                    content={message}
-                    isSentByCurrentUser={isSentByCurrentUser}
-                    className={isFresh ? "animate-shake" : ""}
-                />
+                {isEditing ? (
+                    <MessageEditForm
+                        initialValue={message}
+                        onSave={handleSaveEdit}
+                        onCancel={() => setIsEditing(false)}
+                        isSaving={isSaving}
+                    />
+                ) : (
+                    <MessageBubble
+                        content={message}
+                        isSentByCurrentUser={isSentByCurrentUser}
+                        className={isFresh ? "animate-shake" : ""}
+                        actions={actions}
+                        isDeleted={isDeleted}
+                        attachments={attachments}
+                        status={status}
+                        quote={
+                            replyTo && (
+                                <MessageQuote
+                                    authorName={replyAuthorName}
+                                    content={replyTo.content}
+                                    isDeleted={replyTo.isDeleted}
+                                    onClick={() =>
+                                        onJumpToMessage?.(replyTo._id)
+                                    }
+                                />
+                            )
+                        }
+                        reactions={reactions}
+                        highlightTerms={highlightTerms}
+                        currentUserId={authUser?.id}
+                        onReact={handleReact}
+                    />
+                )}
 
-                {/* Timestamp */}
-                <div className="chat-footer text-white/40 text-xs mt-1">
-                    {formattedTime}
-                </div>
+                {/* Timestamp (or the retry affordance of an unsent message) */}
+                {status === "failed" ? (
+                    <div
+                        className="chat-footer text-red-300 text-xs mt-1"
+                        title={error || undefined}
+                    >
+                        Not sent ·{" "}
+                        <button
+                            type="button"
+                            onClick={onRetry}
+                            className="underline-offset-2 hover:underline"
+                        >
+                            Retry
+                        </button>{" "}
+                        ·{" "}
+                        <button
+                            type="button"
+                            onClick={onDiscard}
+                            className="underline-offset-2 hover:underline"
+                        >
+                            Discard
+                        </button>
+                    </div>
+                ) : (
+                    <div className="chat-footer text-white/40 text-xs mt-1">
+                        {formattedTime}
+                        {editedAt && !isDeleted && (
+                            <button
+                                type="button"
+                                onClick={() => setIsHistoryOpen(true)}
+                                className="ml-1 italic hover:text-white/70 underline-offset-2 hover:underline"
+                                title="View edit history"
+                            >
+                                edited
+                            </button>
+                        )}
+                    </div>
+                )}
+
+                {isHistoryOpen && (
+                    <EditHistoryModal
+                        content={message}
+                        editedAt={editedAt}
+                        edits={edits}
+                        onClose={() => setIsHistoryOpen(false)}
+                    />
+                )}
             </div>
         );
     }
@@ -0,0 +1,88 @@
+/**
+ * MessageAttachments Component
+ * ----------------------------
+ * Renders the files attached to a message inside its bubble.
+ *
+ * Exports:
+ *   - MessageAttachments: Image thumbnails and file download links.
+ *
+ * Props:
+ *   - attachments (array): Attachments as returned by the API:
+ *       - _id (string): The attachment ID.
+ *       - name (string): The original file name.
+ *       - mimeType (string): The file's MIME type.
+ *       - size (number): Size in bytes.
+ *       - url (string): Authenticated download URL (`/api/messages/attachments/:messageId/:attachmentId`).
+ *
+ * Behavior:
+ *   - Images render inline as lazily loaded thumbnails; clicking opens the full image in a new tab.
+ *   - Other files render as a row with a file icon, name and size that downloads the file.
+ *   - Downloads rely on the session cookie, so only conversation participants can fetch them.
+ *
+ * Usage:
+ *   - Used within `MessageBubble` above the message text.
+ *
+ * Example:
+ *   <MessageAttachments attachments={message.attachments} />
+ */
+
+import { memo } from "react";
+import { formatFileSize, isImageAttachment } from "../../utils/fileUtils";
+
+const MessageAttachments = memo(({ attachments = [] }) => {
+    if (attachments.length === 0) return null;
+
+    return (
+        <div className="flex flex-col gap-2 mb-1">
+            {attachments.map((attachment) =>
+                isImageAttachment(attachment) ? (
+                    <a
+                        key={attachment._id}
+                        href={attachment.url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        title={attachment.name}
+                    >
+                        <img
+                            src={attachment.url}
+                            alt={attachment.name}
+                            loading="lazy"
+                            className="max-h-60 max-w-full sm:max-w-60 rounded-lg object-cover bg-white/10"
+                        />
+                    </a>
+                ) : (
+                    <a
+                        key={attachment._id}
+                        href={attachment.url}
+                        download={attachment.name}
+                        className="flex items-center gap-2 rounded-lg bg-white/10 hover:bg-white/20 px-3 py-2 transition-colors"
+                    >
+                        <svg
+                            xmlns="http://www.w3.org/2000/svg"
+                            width="18"
+                            height="18"
+                            fill="currentColor"
+                            viewBox="0 0 16 16"
+                            className="shrink-0 text-white/70"
+                            aria-hidden="true"
+                        >
+                            <path d="M14 4.5V14a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V2a2 2 0 0 1 2-2h5.5L14 4.5zm-3 0A1.5 1.5 0 0 1 9.5 3V1H4a1 1 0 0 0-1 1v12a1 1 0 0 0 1 1h8a1 1 0 0 0 1-1V4.5h-2z" />
+                        </svg>
+                        <span className="min-w-0">
+                            <span className="block truncate text-sm">
+                                {attachment.name}
+                            </span>
+                            <span className="block text-xs text-white/50">
+                                {formatFileSize(attachment.size)}
+                            </span>
+                        </span>
+                    </a>
+                )
+            )}
+        </div>
+    );
+});
+
+MessageAttachments.displayName = "MessageAttachments";
+
+export default MessageAttachments;
@@ -8,11 +8,33 @@
  *   - isSentByCurrentUser (boolean): Indicates whether the message was sent by the current user.
  *   - className (string): Additional CSS classes to apply to the bubble. Defaults to an empty string.
  *   - style (object): Inline styles to apply to the bubble. Defaults to an empty object.
+ *   - actions (array): Menu items for the message actions dropdown. Defaults to an empty array (no menu).
+ *       - Each item: { label (string), onClick (function) }.
+ *   - isDeleted (boolean): Renders a "This message was deleted" tombstone instead of `content`. Defaults to `false`.
+ *   - attachments (array): Files attached to the message, rendered by `MessageAttachments`. Defaults to an empty array.
+ *   - status (string | null): Delivery state of an own message: "pending", "sending" or "failed" while it is in the
+ *     outbox, then "sent", "delivered" or "read". Defaults to `null` (no ticks).
+ *   - quote (ReactNode | null): Quote of the message this one replies to, rendered at the top of the bubble. Defaults to `null`.
+ *   - reactions (array): Emoji reactions grouped by emoji ({ emoji, users }), rendered by `MessageReactions`. Defaults to an empty array.
+ *   - highlightTerms (string[]): Words to mark in the text (whole words, case-insensitive). Defaults to an empty array.
+ *   - currentUserId (string | null): ID of the logged-in user, used to highlight their own reactions.
+ *   - onReact (function | null): Toggles the current user's reaction with the given emoji. Defaults to `null` (no reacting).
  *
  * Behavior:
  *   - Applies different background styles based on whether the message was sent by the current user.
  *   - Ensures long words or unbroken text wrap correctly using `whitespace-pre-wrap` and `[overflow-wrap:anywhere]`.
  *   - Supports additional styling and animations via `className` and `style` props.
+ *   - When `actions` are provided, a small "⋯" button appears on hover and opens a dropdown menu
+ *     (opens towards the middle of the chat: left for sent messages, right for received ones).
+ *   - A `quote` renders first, then attachments; neither is shown for deleted messages.
+ *   - Attachments render above the text: images as inline thumbnails, other files as download links.
+ *   - Right-clicking the bubble opens the same menu as a context menu (instead of the browser's).
+ *   - Own messages show tick marks after the text: one grey tick (sent), two grey ticks (delivered)
+ *     or two blue ticks (read). Unsent messages show a clock (pending, sending) or a red "!" (failed).
+ *   - Reactions render as chips with counts below the text; clicking a chip toggles that reaction.
+ *   - When `onReact` is provided, hovering the bubble shows `ReactionPicker` above it.
+ *   - Deleted messages show neither reactions nor the picker.
+ *   - With `highlightTerms` (in-conversation search), matching words in the text are wrapped in `<mark>`.
  *
  * Styling:
  *   - The `chat-bubble` class is used for consistent bubble styling.
@@ -37,21 +59,195 @@
  *   - Memoized using `React.memo` to prevent unnecessary re-renders.
  */
 
-import { memo } from "react";
+import { memo, useRef } from "react";
+import MessageAttachments from "./MessageAttachments";
+import MessageReactions from "./MessageReactions";
+import ReactionPicker from "./ReactionPicker";
+import HighlightedText from "./HighlightedText";
+import { findHighlightRanges } from "../../utils/searchUtils";
+
+const STATUS_LABELS = {
+    pending: "Sending",
+    sending: "Sending",
+    failed: "Not sent",
+    sent: "Sent",
+    delivered: "Delivered",
+    read: "Read",
+};
+
+const Tick = ({ className = "" }) => (
+    <svg
+        viewBox="0 0 16 16"
+        className={`w-3.5 h-3.5 ${className}`}
+        fill="none"
+        stroke="currentColor"
+        strokeWidth="2"
+        strokeLinecap="round"
+        strokeLinejoin="round"
+        aria-hidden="true"
+    >
+        <path d="M2.5 8.5l3.5 3.5 7.5-8" />
+    </svg>
+);
+
+const Clock = () => (
+    <svg
+        viewBox="0 0 16 16"
+        className="w-3.5 h-3.5"
+        fill="none"
+        stroke="currentColor"
+        strokeWidth="1.5"
+        strokeLinecap="round"
+        aria-hidden="true"
+    >
+        <circle cx="8" cy="8" r="6" />
+        <path d="M8 4.5V8l2.5 1.5" />
+    </svg>
+);
+
+const renderStatusIcon = (status) => {
+    if (status === "pending" || status === "sending") return <Clock />;
+    if (status === "failed") return <span className="font-bold">!</span>;
+    return (
+        <>
+            <Tick />
+            {status !== "sent" && <Tick className="-ml-2" />}
+        </>
+    );
+};
+
+const StatusTicks = ({ status }) => (
+    <span
+        className={`inline-flex items-center ml-2 align-text-bottom ${
+            status === "read"
+                ? "text-sky-300"
+                : status === "failed"
+                  ? "text-red-400"
+                  : "text-white/50"
+        }`}
+        title={STATUS_LABELS[status]}
+        aria-label={STATUS_LABELS[status]}
+    >
+        {renderStatusIcon(status)}
+    </span>
+);
 
 const MessageBubble = memo(
-    ({ content, isSentByCurrentUser, className = "", style = {} }) => {
+    ({
+        content,
+        isSentByCurrentUser,
+        className = "",
+        style = {},
+        actions = [],
+        isDeleted = false,
+        attachments = [],
+        status = null,
+        quote = null,
+        reactions = [],
+        highlightTerms = [],
+        currentUserId = null,
+        onReact = null,
+    }) => {
         const bubbleStyle = isSentByCurrentUser ? "bg-white/30" : "bg-white/10";
+        const triggerRef = useRef(null);
+
+        // The dropdown is focus-driven, so focusing its trigger opens it
+        const handleContextMenu = (e) => {
+            if (actions.length === 0) return;
+            e.preventDefault();
+            triggerRef.current?.focus();
+        };
 
         return (
             // <div className={`chat-bubble ${bubbleStyle} text-white`}>{content}</div>
             <div
-                className={`chat-bubble ${bubbleStyle} text-white align-middle will-change-transform ${className}`}
+                className={`chat-bubble ${bubbleStyle} text-white align-middle will-change-transform group relative ${className}`}
                 style={style}
+                onContextMenu={handleContextMenu}
             >
-                <span className="whitespace-pre-wrap [overflow-wrap:anywhere]">
-                    {content}
-                </span>
+                {isDeleted ? (
+                    <span className="italic text-white/50">
+                        This message was deleted
+                    </span>
+                ) : (
+                    <>
+                        {quote && <div className="mb-1">{quote}</div>}
+                        <MessageAttachments attachments={attachments} />
+                        {content && (
+                            <span className="whitespace-pre-wrap [overflow-wrap:anywhere]">
+                                {highlightTerms.length > 0 ? (
+                                    <HighlightedText
+                                        text={content}
+                                        highlights={findHighlightRanges(
+                                            content,
+                                            highlightTerms
+                                        )}
+                                    />
+                                ) : (
+                                    content
+                                )}
+                            </span>
+                        )}
+                    </>
+                )}
+                {isSentByCurrentUser && !isDeleted && STATUS_LABELS[status] && (
+                    <StatusTicks status={status} />
+                )}
+                {!isDeleted && (
+                    <MessageReactions
+                        reactions={reactions}
+                        currentUserId={currentUserId}
+                        onReact={onReact}
+                    />
+                )}
+                {!isDeleted && onReact && (
+                    <ReactionPicker
+                        onReact={onReact}
+                        isSentByCurrentUser={isSentByCurrentUser}
+                        activeEmojis={reactions
+                            .filter((r) => r.users?.includes(currentUserId))
+                            .map((r) => r.emoji)}
+                    />
+                )}
+                {actions.length > 0 && (
+                    <div
+                        className={`dropdown absolute top-1 ${
+                            isSentByCurrentUser
+                                ? "dropdown-end -left-8"
+                                : "-right-8"
+                        }`}
+                    >
+                        <div
+                            ref={triggerRef}
+                            tabIndex={0}
+                            role="button"
+                            aria-label="Message actions"
+                            className="btn btn-ghost btn-xs btn-circle text-white/60 opacity-0 group-hover:opacity-100 focus:opacity-100"
+                        >
+                            ⋯
+                        </div>
+                        <ul
+                            tabIndex={0}
+                            className="dropdown-content z-[1] menu menu-sm p-1 shadow-lg bg-white/10 backdrop-blur-md border border-white/20 rounded-box w-44"
+                        >
+                            {actions.map((action) => (
+                                <li key={action.label}>
+                                    <button
+                                        type="button"
+                                        className="text-white hover:bg-white/10"
+                                        onClick={(e) => {
+                                            // Close the dropdown (focus-driven)
+                                            e.currentTarget.blur();
+                                            action.onClick();
+                                        }}
+                                    >
+                                        {action.label}
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
             </div>
         );
     }
@@ -11,6 +11,11 @@
  *
  * State:
  *   - message (string): Stores the current input value for the message being typed.
+ *   - files (File[]): Files attached to the message being composed (cleared when the conversation changes).
+ *   - replyingTo (store): The message being replied to, from `useConversation` (cleared when the conversation changes).
+ *   - outbox (store): Unsent messages, from `useConversation`; those of this conversation are passed to
+ *     `MessagesList` as `pendingMessages`.
+ *   - groupInfoId (string | null): ID of the group whose `GroupInfoModal` is open (closes itself when the selection changes).
  *
  * Context:
  *   - selectedConversation: The currently selected conversation object, accessed via `useConversationStore`.
@@ -23,35 +28,54 @@
  *       - Returns:
  *           - receiverData (object | null): The receiver's data, including `_id`, `fullName`, `username`, and `profilePicture`.
  *           - avatarUrl (string | null): The avatar URL for the receiver.
- *           - headerData (object | null): Data for the `ChatHeader` component, including the receiver's name, username, and online status.
+ *           - headerData (object | null): Data for the `ChatHeader` component, including the receiver's name, username, and last seen time.
  *           - senderAvatarUrl (string): The avatar URL for the current user (sender).
+ *           - isGroup (boolean): Whether the selected conversation is a group.
  *   - useMessages:
  *       - Fetches and manages the state of messages for the selected conversation.
  *       - Returns:
  *           - isLoading (boolean): Indicates whether messages are being fetched.
  *           - messages (array): The list of messages for the selected conversation.
+ *           - hasMore / isLoadingOlder / loadOlder: Pagination state and loader for older messages.
  *   - useSendMessage:
- *       - Handles sending messages to the receiver.
+ *       - Queues messages for the receiver in the outbox (see `utils/outbox.js`).
  *       - Returns:
  *           - sendMessage (function): Function to send a message.
- *           - loading (boolean): Indicates whether a message is being sent.
+ *           - retryMessage / discardMessage (function): Retry or drop a failed message.
  *   - useOnlineStatus:
- *       - Checks if the receiver is currently online.
+ *       - Gets the receiver's presence.
  *       - Returns:
- *           - (boolean): `true` if the receiver is online, otherwise `false`.
+ *           - { status, isOnline, lastSeenAt }: Passed to the `ChatHeader` as `receiverPresence`.
+ *   - useTypingEmitter:
+ *       - Emits `typing:start` / `typing:stop` for the selected conversation while the user types.
+ *   - useTypingIndicator:
+ *       - Returns the "typing…" label shown in the `ChatHeader` while other participants type.
+ *   - useConversationSearch:
+ *       - Drives the search bar in the `ChatHeader`; its terms and active match are highlighted in `MessagesList`.
+ *   - useBlockedUsers:
+ *       - Whether the receiver is blocked, and the block / unblock actions of the header's `ConversationMenu`.
+ *         While the receiver is blocked the composer is disabled.
  *
  * Functions:
  *   - handleMessageChange(e):
- *       - Updates the `message` state when the input field changes.
+ *       - Updates the `message` state when the input field changes and signals that the user is typing.
  *   - handleSubmit(e):
- *       - Handles the form submission for sending a message.
- *       - Sends the message using `sendMessage` and clears the input field if successful.
+ *       - Handles the form submission for sending a message (ends the typing indicator right away).
+ *       - Queues the message (and any attached files, as a reply when `replyingTo` is set) using `sendMessage`
+ *         and clears the input, files and reply right away; the message shows as pending until it is sent.
+ *   - handleAddFiles(newFiles) / handleRemoveFile(index):
+ *       - Add picked or dropped files to, or remove one from, the `files` state.
  *   - handleBackClick():
  *       - Clears the selected conversation (used for mobile navigation).
  *
+ * Group Conversations:
+ *   - The input is enabled without a receiver; messages go to every member.
+ *   - The header's info button opens `GroupInfoModal` for membership management.
+ *
  * Layout:
  *   - If `selectedConversation` exists:
- *       - ChatHeader: Displays the conversation's avatar, name, and online status.
+ *       - ChatHeader: Displays the conversation's avatar, name, presence and the `ConversationMenu`
+ *         (mute, block).
  *       - MessagesList: Displays the list of messages for the selected conversation.
  *       - MessageInput: Input form for typing and sending messages.
  *   - If no conversation is selected:
@@ -67,20 +91,30 @@
  *       <MessageContainer className="w-3/4" />
  */
 
-import { useState, useCallback } from "react";
+import { useState, useCallback, useEffect, useMemo } from "react";
 import ChatHeader from "./ChatHeader";
 import MessagesList from "./MessagesList";
 import MessageInput from "./MessageInput";
 import WelcomeScreen from "./WelcomeScreen";
+import GroupInfoModal from "./GroupInfoModal";
+import ConversationMenu from "./ConversationMenu";
+import useConversation from "../../store/zustand/useConversation";
 import { useConversationStore } from "../../hooks/conversation/useConversationStore";
 import { useReceiverData } from "../../hooks/conversation/useReceiverData";
 import { useMessages } from "../../hooks/messages/useMessages";
 import { useSendMessage } from "../../hooks/messages/useSendMessage";
 import { useOnlineStatus } from "../../hooks/socket/useOnlineStatus";
+import { useTypingEmitter } from "../../hooks/socket/useTypingEmitter";
+import { useTypingIndicator } from "../../hooks/socket/useTypingIndicator";
+import { useConversationSearch } from "../../hooks/messages/useConversationSearch";
+import { useBlockedUsers } from "../../hooks/profile/useBlockedUsers";
+import { isEntryInConversation } from "../../utils/outbox";
 
 const MessageContainer = ({ className = "" }) => {
     // State for message input
     const [message, setMessage] = useState("");
+    const [files, setFiles] = useState([]);
+    const [groupInfoId, setGroupInfoId] = useState(null);
 
     // Get conversation state from useConversationStore
     const {
@@ -89,34 +123,81 @@ const MessageContainer = ({ className = "" }) => {
         isMobile,
         loading: conversationLoading,
     } = useConversationStore();
+    const { replyingTo, setReplyingTo, outbox } = useConversation();
 
     // Get receiver data using custom hook
-    const { receiverData, avatarUrl, headerData, senderAvatarUrl } =
+    const { receiverData, avatarUrl, headerData, senderAvatarUrl, isGroup } =
         useReceiverData();
 
     // Get messages using useMessages hook (for fetching messages)
-    const { isLoading, messages } = useMessages(receiverData);
+    const { isLoading, messages, hasMore, isLoadingOlder, loadOlder } =
+        useMessages(receiverData);
 
     // Get message sending functionality from useSendMessage hook
-    const { loading: sendingLoading, sendMessage } = useSendMessage();
+    const { sendMessage, retryMessage, discardMessage } = useSendMessage();
+
+    // Messages of this conversation still waiting in the outbox
+    const pendingMessages = useMemo(
+        () =>
+            outbox.filter((entry) =>
+                isEntryInConversation(
+                    entry,
+                    selectedConversation,
+                    receiverData?._id
+                )
+            ),
+        [outbox, selectedConversation, receiverData?._id]
+    );
+
+    // Typing indicators (outgoing and incoming)
+    const { notifyTyping, stopTyping } = useTypingEmitter(
+        selectedConversation?._id
+    );
+    const typingLabel = useTypingIndicator(selectedConversation);
+
+    // In-conversation search (matches are reached through the regular message pages)
+    const conversationSearch = useConversationSearch(selectedConversation?._id);
 
     // Handle message input change
-    const handleMessageChange = useCallback((e) => {
-        setMessage(e.target.value);
+    const handleMessageChange = useCallback(
+        (e) => {
+            setMessage(e.target.value);
+            if (e.target.value.trim()) notifyTyping();
+            else stopTyping();
+        },
+        [notifyTyping, stopTyping]
+    );
+
+    // Attachments and replies belong to the conversation they were picked in
+    useEffect(() => {
+        setFiles([]);
+        setReplyingTo(null);
+    }, [selectedConversation?._id, setReplyingTo]);
+
+    const handleAddFiles = useCallback((newFiles) => {
+        setFiles((current) => [...current, ...newFiles]);
+    }, []);
+
+    const handleRemoveFile = useCallback((index) => {
+        setFiles((current) => current.filter((_, i) => i !== index));
     }, []);
 
     // Handle message submission
     const handleSubmit = useCallback(
         (e) => {
             e.preventDefault();
-            if (!message.trim()) return;
+            if (!message.trim() && files.length === 0) return;
 
-            sendMessage(message).then(() => {
+            stopTyping();
+            sendMessage(message, files, replyingTo).then((ok) => {
                 // Clear input after sending (only if successful)
+                if (!ok) return;
                 setMessage("");
+                setFiles([]);
+                setReplyingTo(null);
             });
         },
-        [message, sendMessage]
+        [message, files, replyingTo, sendMessage, stopTyping, setReplyingTo]
     );
 
     // Handle back button click for mobile
@@ -124,8 +205,15 @@ const MessageContainer = ({ className = "" }) => {
         setSelectedConversation(null);
     }, [setSelectedConversation]);
 
-    // Check if the receiver is online
-    const isReceiverOnline = useOnlineStatus(receiverData?._id);
+    // The receiver's presence and last seen time
+    const receiverPresence = useOnlineStatus(
+        receiverData?._id,
+        headerData?.lastSeenAt
+    );
+
+    // Blocking the receiver (direct conversations)
+    const { isBlocked, blockUser, unblockUser, pendingId } = useBlockedUsers();
+    const isReceiverBlocked = !isGroup && isBlocked(receiverData?._id);
 
     return (
         <div
@@ -138,7 +226,23 @@ const MessageContainer = ({ className = "" }) => {
                         avatarUrl={avatarUrl}
                         isMobile={isMobile}
                         onBackClick={handleBackClick}
-                        isReceiverOnline={isReceiverOnline}
+                        receiverPresence={receiverPresence}
+                        onInfoClick={() =>
+                            setGroupInfoId(selectedConversation._id)
+                        }
+                        typingLabel={typingLabel}
+                        search={conversationSearch}
+                        isBlocked={isReceiverBlocked}
+                        menu={
+                            <ConversationMenu
+                                conversation={selectedConversation}
+                                receiverName={receiverData?.fullName}
+                                isBlocked={isReceiverBlocked}
+                                onBlock={() => blockUser(receiverData._id)}
+                                onUnblock={() => unblockUser(receiverData._id)}
+                                blockPending={pendingId !== null}
+                            />
+                        }
                     />
                     <MessagesList
                         conversation={selectedConversation}
@@ -146,13 +250,39 @@ const MessageContainer = ({ className = "" }) => {
                         messages={messages}
                         receiverAvatarUrl={avatarUrl}
                         senderAvatarUrl={senderAvatarUrl}
+                        hasMore={hasMore}
+                        isLoadingOlder={isLoadingOlder}
+                        onLoadOlder={loadOlder}
+                        highlightTerms={conversationSearch.terms}
+                        activeMatchId={conversationSearch.activeMatchId}
+                        pendingMessages={pendingMessages}
+                        onRetryMessage={retryMessage}
+                        onDiscardMessage={discardMessage}
                     />
                     <MessageInput
                         message={message}
                         onChange={handleMessageChange}
                         onSubmit={handleSubmit}
-                        isDisabled={!receiverData || sendingLoading}
+                        isDisabled={
+                            (!receiverData && !isGroup) || isReceiverBlocked
+                        }
+                        placeholder={
+                            isReceiverBlocked
+                                ? "Unblock this user to send messages"
+                                : undefined
+                        }
+                        files={files}
+                        onAddFiles={handleAddFiles}
+                        onRemoveFile={handleRemoveFile}
+                        replyingTo={replyingTo}
+                        onCancelReply={() => setReplyingTo(null)}
                     />
+                    {isGroup && groupInfoId === selectedConversation._id && (
+                        <GroupInfoModal
+                            conversation={selectedConversation}
+                            onClose={() => setGroupInfoId(null)}
+                        />
+                    )}
                 </>
             ) : (
                 <WelcomeScreen />
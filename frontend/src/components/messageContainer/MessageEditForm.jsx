@@ -0,0 +1,86 @@
+/**
+ * MessageEditForm Component
+ * -------------------------
+ * Inline editor that replaces a message bubble while the sender edits it.
+ *
+ * Exports:
+ *   - MessageEditForm: Renders a textarea with Save/Cancel actions.
+ *
+ * Props:
+ *   - initialValue (string): The current message text.
+ *   - onSave (function): Called with the new text; should return a promise resolving to `true` on success.
+ *   - onCancel (function): Called when editing is cancelled.
+ *   - isSaving (boolean): Disables the form while the edit request is in flight.
+ *
+ * Keyboard:
+ *   - Enter saves (Shift+Enter inserts a newline).
+ *   - Escape cancels.
+ *
+ * Usage:
+ *   - Rendered by `Message` in place of `MessageBubble` while `isEditing` is true.
+ */
+
+import { useState } from "react";
+
+const MessageEditForm = ({ initialValue, onSave, onCancel, isSaving }) => {
+    const [value, setValue] = useState(initialValue || "");
+    const trimmed = value.trim();
+    const canSave = trimmed && trimmed !== initialValue && !isSaving;
+
+    const handleSubmit = async (e) => {
+        e?.preventDefault();
+        if (!canSave) return;
+        await onSave(trimmed);
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === "Enter" && !e.shiftKey) {
+            e.preventDefault();
+            handleSubmit();
+        } else if (e.key === "Escape") {
+            e.preventDefault();
+            onCancel();
+        }
+    };
+
+    return (
+        <form
+            onSubmit={handleSubmit}
+            className="chat-bubble bg-white/30 text-white w-full max-w-md space-y-2"
+        >
+            <textarea
+                value={value}
+                onChange={(e) => setValue(e.target.value)}
+                onKeyDown={handleKeyDown}
+                disabled={isSaving}
+                rows={2}
+                autoFocus
+                aria-label="Edit message"
+                className="textarea textarea-sm w-full bg-white/10 border-white/20 text-white focus:border-white/40 focus:outline-none"
+            />
+            <div className="flex justify-end gap-2">
+                <button
+                    type="button"
+                    onClick={onCancel}
+                    disabled={isSaving}
+                    className="btn btn-xs bg-white/10 border-white/20 text-white hover:bg-white/20"
+                >
+                    Cancel
+                </button>
+                <button
+                    type="submit"
+                    disabled={!canSave}
+                    className="btn btn-xs bg-white/20 border-white/20 text-white hover:bg-white/30"
+                >
+                    {isSaving ? (
+                        <span className="loading loading-spinner loading-xs"></span>
+                    ) : (
+                        "Save"
+                    )}
+                </button>
+            </div>
+        </form>
+    );
+};
+
+export default MessageEditForm;
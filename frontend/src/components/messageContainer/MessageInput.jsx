@@ -1,7 +1,7 @@
 /**
  * MessageInput Component
  * ----------------------
- * Renders the message text field and send button.
+ * Renders the message text field, attachment picker and send button.
  *
  * Exports:
  *   - MessageInput: Controlled input used in the chat composer.
@@ -10,11 +10,23 @@
  *   - message (string): Current input value.
  *   - onChange (function): Change handler for the input (receives event).
  *   - onSubmit (function): Submit handler for the form (receives event).
- *   - isDisabled (boolean): Disables input and button when true.
+ *   - isDisabled (boolean): Disables input and buttons when true.
+ *   - placeholder (string): Placeholder of the text field. Defaults to "Type a message...".
+ *   - files (File[]): Files selected for the next message. Defaults to an empty array.
+ *   - onAddFiles (function): Called with an array of `File`s picked or dropped by the user.
+ *   - onRemoveFile (function): Called with the index of a selected file to remove.
+ *   - replyingTo (object | null): The message being replied to ({ id, senderName, content }). Defaults to `null`.
+ *   - onCancelReply (function): Called when the user dismisses the "replying to" bar.
  *
  * Behavior:
  *   - Submits on form submit (Enter).
- *   - Disables the send button when the input is empty or isDisabled is true.
+ *   - Disables the send button when there is neither text nor a file, or isDisabled is true.
+ *   - The paperclip button opens the file picker (multiple files allowed).
+ *   - Files can also be dragged onto the composer; it highlights while a drag is over it.
+ *   - Selected files are listed as chips above the input, each with a remove button.
+ *   - Size and type limits are enforced by the server; its error is shown when sending fails.
+ *   - While replying, a bar above the input quotes the original message; its ✕ button or Escape cancels
+ *     the reply. Choosing a message to reply to focuses the input.
  *
  * Usage:
  *   <MessageInput
@@ -22,29 +34,173 @@
  *     onChange={handleMessageChange}
  *     onSubmit={handleSubmit}
  *     isDisabled={!receiverData || loading}
+ *     files={files}
+ *     onAddFiles={handleAddFiles}
+ *     onRemoveFile={handleRemoveFile}
+ *     replyingTo={replyingTo}
+ *     onCancelReply={() => setReplyingTo(null)}
  *   />
  */
 
-const MessageInput = ({ message, onChange, onSubmit, isDisabled }) => (
-    <div className="p-4 border-t border-white/10">
-        <form className="flex gap-2" onSubmit={onSubmit}>
-            <input
-                type="text"
-                placeholder="Type a message..."
-                className="input input-bordered flex-1 bg-white/10 backdrop-blur-sm border border-white/20 text-white placeholder-white/50 focus:border-white/40 focus:outline-none transition-colors"
-                value={message}
-                onChange={onChange}
-                disabled={isDisabled}
-            />
-            <button
-                type="submit"
-                className="btn bg-white/20 hover:bg-white/30 border border-white/30 text-white backdrop-blur-sm transition-all duration-200"
-                disabled={!message.trim() || isDisabled}
-            >
-                Send
-            </button>
-        </form>
-    </div>
-);
+import { useEffect, useRef, useState } from "react";
+import MessageQuote from "./MessageQuote";
+import { formatFileSize, isImageAttachment } from "../../utils/fileUtils";
+
+const MessageInput = ({
+    message,
+    onChange,
+    onSubmit,
+    isDisabled,
+    placeholder = "Type a message...",
+    files = [],
+    onAddFiles,
+    onRemoveFile,
+    replyingTo = null,
+    onCancelReply,
+}) => {
+    const fileInputRef = useRef(null);
+    const textInputRef = useRef(null);
+    const [isDragging, setIsDragging] = useState(false);
+
+    // Start typing the reply right away
+    useEffect(() => {
+        if (replyingTo?.id) textInputRef.current?.focus();
+    }, [replyingTo?.id]);
+
+    const handleKeyDown = (e) => {
+        if (e.key === "Escape" && replyingTo) onCancelReply?.();
+    };
+
+    const handleFileChange = (e) => {
+        const picked = Array.from(e.target.files || []);
+        if (picked.length) onAddFiles?.(picked);
+        // Allow picking the same file again after removing it
+        e.target.value = "";
+    };
+
+    const handleDragOver = (e) => {
+        if (isDisabled || !e.dataTransfer?.types?.includes("Files")) return;
+        e.preventDefault();
+        setIsDragging(true);
+    };
+
+    const handleDrop = (e) => {
+        if (isDisabled) return;
+        e.preventDefault();
+        setIsDragging(false);
+        const dropped = Array.from(e.dataTransfer?.files || []);
+        if (dropped.length) onAddFiles?.(dropped);
+    };
+
+    return (
+        <div
+            className={`p-4 border-t transition-colors ${
+                isDragging ? "border-white/40 bg-white/10" : "border-white/10"
+            }`}
+            onDragOver={handleDragOver}
+            onDragLeave={() => setIsDragging(false)}
+            onDrop={handleDrop}
+        >
+            {replyingTo && (
+                <div className="flex items-center gap-2 mb-2">
+                    <div className="flex-1 min-w-0">
+                        <span className="block text-xs text-white/50 mb-1">
+                            Replying to
+                        </span>
+                        <MessageQuote
+                            authorName={replyingTo.senderName}
+                            content={replyingTo.content}
+                        />
+                    </div>
+                    <button
+                        type="button"
+                        onClick={onCancelReply}
+                        className="btn btn-ghost btn-sm btn-circle text-white/70"
+                        aria-label="Cancel reply"
+                    >
+                        ✕
+                    </button>
+                </div>
+            )}
+            {files.length > 0 && (
+                <ul className="flex flex-wrap gap-2 mb-2">
+                    {files.map((file, index) => (
+                        <li
+                            key={`${file.name}-${file.size}-${index}`}
+                            className="flex items-center gap-2 max-w-[220px] rounded-full bg-white/10 border border-white/20 pl-3 pr-1 py-1 text-xs text-white"
+                        >
+                            <span aria-hidden="true">
+                                {isImageAttachment(file) ? "📷" : "📎"}
+                            </span>
+                            <span className="truncate" title={file.name}>
+                                {file.name}
+                            </span>
+                            <span className="text-white/50 shrink-0">
+                                {formatFileSize(file.size)}
+                            </span>
+                            <button
+                                type="button"
+                                onClick={() => onRemoveFile?.(index)}
+                                className="btn btn-ghost btn-xs btn-circle text-white/70"
+                                aria-label={`Remove ${file.name}`}
+                                disabled={isDisabled}
+                            >
+                                ✕
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            <form className="flex gap-2" onSubmit={onSubmit}>
+                <input
+                    ref={fileInputRef}
+                    type="file"
+                    multiple
+                    className="hidden"
+                    onChange={handleFileChange}
+                />
+                <button
+                    type="button"
+                    onClick={() => fileInputRef.current?.click()}
+                    className="btn btn-square bg-white/10 hover:bg-white/20 border border-white/20 text-white backdrop-blur-sm"
+                    aria-label="Attach files"
+                    title="Attach files"
+                    disabled={isDisabled}
+                >
+                    <svg
+                        xmlns="http://www.w3.org/2000/svg"
+                        width="18"
+                        height="18"
+                        fill="currentColor"
+                        viewBox="0 0 16 16"
+                    >
+                        <path d="M4.5 3a2.5 2.5 0 0 1 5 0v9a1.5 1.5 0 0 1-3 0V5a.5.5 0 0 1 1 0v7a.5.5 0 0 0 1 0V3a1.5 1.5 0 1 0-3 0v9a2.5 2.5 0 0 0 5 0V5a.5.5 0 0 1 1 0v7a3.5 3.5 0 1 1-7 0V3z" />
+                    </svg>
+                </button>
+                <input
+                    ref={textInputRef}
+                    type="text"
+                    placeholder={
+                        isDragging ? "Drop files to attach" : placeholder
+                    }
+                    className="input input-bordered flex-1 bg-white/10 backdrop-blur-sm border border-white/20 text-white placeholder-white/50 focus:border-white/40 focus:outline-none transition-colors"
+                    value={message}
+                    onChange={onChange}
+                    onKeyDown={handleKeyDown}
+                    disabled={isDisabled}
+                />
+                <button
+                    type="submit"
+                    className="btn bg-white/20 hover:bg-white/30 border border-white/30 text-white backdrop-blur-sm transition-all duration-200"
+                    disabled={
+                        (!message.trim() && files.length === 0) || isDisabled
+                    }
+                >
+                    Send
+                </button>
+            </form>
+        </div>
+    );
+};
 
 export default MessageInput;
@@ -0,0 +1,59 @@
+/**
+ * MessageQuote Component
+ * ----------------------
+ * Compact preview of a quoted message: its author and a single line of its content.
+ *
+ * Props:
+ *   - authorName (string): Name shown above the quoted text ("You" for the current user).
+ *   - content (string): The quoted text (or an attachment label such as "📷 Photo").
+ *   - isDeleted (boolean): Shows "This message was deleted" instead of `content`. Defaults to `false`.
+ *   - onClick (function | null): Makes the quote clickable (e.g. to jump to the original). Defaults to `null`.
+ *   - className (string): Additional CSS classes. Defaults to an empty string.
+ *
+ * Usage:
+ *   - Inside a reply's bubble (clicking scrolls to the original) and in the composer's "replying to" bar:
+ *       <MessageQuote
+ *           authorName="Jane Doe"
+ *           content="See you at 5?"
+ *           onClick={() => onJumpToMessage(replyTo._id)}
+ *       />
+ */
+
+const MessageQuote = ({
+    authorName,
+    content,
+    isDeleted = false,
+    onClick = null,
+    className = "",
+}) => {
+    const body = (
+        <>
+            <span className="block text-xs font-semibold text-white/80 truncate">
+                {authorName}
+            </span>
+            <span
+                className={`block text-xs truncate ${
+                    isDeleted ? "italic text-white/50" : "text-white/70"
+                }`}
+            >
+                {isDeleted ? "This message was deleted" : content}
+            </span>
+        </>
+    );
+    const quoteStyle = `block w-full min-w-0 text-left border-l-2 border-white/50 bg-black/10 rounded-md px-2 py-1 ${className}`;
+
+    return onClick ? (
+        <button
+            type="button"
+            onClick={onClick}
+            className={`${quoteStyle} hover:bg-black/20 transition-colors`}
+            title="Go to message"
+        >
+            {body}
+        </button>
+    ) : (
+        <div className={quoteStyle}>{body}</div>
+    );
+};
+
+export default MessageQuote;
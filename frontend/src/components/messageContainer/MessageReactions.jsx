@@ -0,0 +1,65 @@
+/**
+ * MessageReactions Component
+ * --------------------------
+ * Renders a message's emoji reactions as chips with counts.
+ *
+ * Props:
+ *   - reactions (array): Reactions grouped by emoji, as returned by the API. Defaults to an empty array.
+ *       - Each item: { emoji (string), users (string[]) }.
+ *   - currentUserId (string | null): ID of the logged-in user; chips they reacted with are highlighted.
+ *   - onReact (function | null): Called with the chip's emoji when it is clicked (toggles the current
+ *     user's reaction). Chips are not clickable when omitted.
+ *
+ * Behavior:
+ *   - Renders nothing when there are no reactions.
+ *   - Keeps the server's order (the order in which each emoji was first used).
+ *
+ * Usage:
+ *   <MessageReactions
+ *       reactions={[{ emoji: "👍", users: ["userId1", "userId2"] }]}
+ *       currentUserId={authUser.id}
+ *       onReact={(emoji) => toggleReaction(messageId, emoji)}
+ *   />
+ */
+
+const MessageReactions = ({
+    reactions = [],
+    currentUserId = null,
+    onReact = null,
+}) => {
+    if (!reactions.length) return null;
+
+    return (
+        <ul className="flex flex-wrap gap-1 mt-1">
+            {reactions.map(({ emoji, users = [] }) => {
+                const reactedByMe = users.includes(currentUserId);
+                const label = `${emoji} ${users.length}${
+                    reactedByMe ? " (including you)" : ""
+                }`;
+
+                return (
+                    <li key={emoji}>
+                        <button
+                            type="button"
+                            onClick={() => onReact?.(emoji)}
+                            disabled={!onReact}
+                            className={`flex items-center gap-1 rounded-full border px-2 py-0.5 text-xs text-white transition-colors ${
+                                reactedByMe
+                                    ? "bg-white/25 border-white/50"
+                                    : "bg-white/10 border-white/20 hover:bg-white/20"
+                            }`}
+                            title={label}
+                            aria-label={label}
+                            aria-pressed={reactedByMe}
+                        >
+                            <span>{emoji}</span>
+                            <span>{users.length}</span>
+                        </button>
+                    </li>
+                );
+            })}
+        </ul>
+    );
+};
+
+export default MessageReactions;
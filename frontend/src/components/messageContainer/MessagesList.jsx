@@ -8,11 +8,21 @@
  *
  * Props:
  *   - conversation (object): The selected conversation object containing details like `id`, `unreadCount`, and `lastMessage`.
+ *       - For group conversations (`isGroup: true`), `participants` is used to resolve each sender's name and avatar.
  *   - isLoading (boolean): Indicates if messages are being loaded (optional, defaults to `false`).
  *   - messages (array): The list of messages for the selected conversation (optional, defaults to an empty array).
  *   - error (object | null): Error object if messages failed to load (optional, defaults to `null`).
  *   - receiverAvatarUrl (string): URL for the receiver's avatar.
  *   - senderAvatarUrl (string): URL for the current user's avatar.
+ *   - hasMore (boolean): Whether older messages can be loaded (optional, defaults to `false`).
+ *   - isLoadingOlder (boolean): Whether an older page is being fetched (optional, defaults to `false`).
+ *   - onLoadOlder (function): Loads the previous page of messages when the user scrolls near the top.
+ *       - Resolves to whether even older messages remain (used when jumping to a quoted message).
+ *   - highlightTerms (string[]): Words to highlight inside message bubbles (in-conversation search). Defaults to an empty array.
+ *   - activeMatchId (string | null): The active search match; its row stays tinted. Defaults to `null`.
+ *   - pendingMessages (array): Outbox entries of this conversation (see `utils/outbox.js`), shown after the
+ *     messages until the server confirms them. Defaults to an empty array.
+ *   - onRetryMessage / onDiscardMessage (function): Retry or drop a failed entry, called with its `clientId`.
  *
  * States:
  *   - Loading State:
@@ -24,16 +34,19 @@
  *   - Messages List:
  *       - Renders a list of `Message` components for each message in the `messages` array.
  *       - Alternates between sender and receiver styles based on `isSentByCurrentUser`.
+ *       - Followed by an `OutboxMessage` for each pending message (clock, or "Retry · Discard" once failed).
  *
  * Effects:
- *   - Automatically scrolls to the bottom of the message list when new messages are added or the conversation changes.
+ *   - Automatically scrolls to the bottom of the message list when a new last message arrives or the conversation changes.
  *   - Scrolls to the "New messages" divider if there are unread messages.
+ *   - Restores the scroll position after older messages are prepended (no jump).
  *
  * Layout:
  *   - Wrapper: A scrollable container for the messages.
  *   - Message Bubbles:
  *       - Alternates between "chat-start" (messages from the receiver) and "chat-end" (messages from the sender).
  *       - Includes avatar, message content, and timestamp.
+ *       - In group conversations, incoming messages show the sender's name and their own avatar.
  *
  * Usage:
  *   - Used within the `MessageContainer` component to display the messages of the selected conversation.
@@ -50,22 +63,54 @@
  *       />
  *
  * Scroll Behavior:
+ *   - Scrolling within 80px of the top calls `onLoadOlder` (when `hasMore`); a small spinner shows at the top.
+ *   - Before the older page is rendered, the distance from the bottom is remembered and re-applied
+ *     so the messages the user was reading stay in place.
+ *   - Prepending older messages does not trigger the scroll-to-bottom logic (it only runs when the last message changes).
+ *   - The "New messages" index is computed from the end of the list, so it stays correct as older pages are prepended.
  *   - If there are unread messages:
  *       - Automatically scrolls to the "New messages" divider (no smooth scrolling).
  *   - If there are no unread messages:
  *       - Scrolls to the bottom of the message list.
- *       - Smooth scrolling is applied only for outgoing messages.
+ *       - Smooth scrolling is applied only for outgoing messages (including newly queued ones).
+ *
+ * Jumping to Replies:
+ *   - Clicking a reply's quote calls `jumpToMessage(messageId)`: older pages are loaded (up to 10 pages
+ *     of 100) until the original message is in the list, which is then scrolled into the middle of the view
+ *     and highlighted for a moment.
+ *   - If the original cannot be found (e.g. deleted for the current user), a toast is shown instead.
+ *   - A `pendingJump` in the conversation store (set by message search results and by the in-conversation
+ *     search) is consumed the same
+ *     way once its conversation has finished loading.
+ *   - Quote authors are resolved from the conversation's participants ("You" for the current user).
  *
  * Priority Rendering:
  *   - Loading > Error > Empty > Messages:
  *       - Displays the loading spinner if `isLoading` is true.
  *       - Displays the error message if `error` is not null.
- *       - Displays the empty state if `messages` is an empty array.
+ *       - Displays the empty state if `messages` and `pendingMessages` are empty arrays.
  *       - Displays the list of messages otherwise.
  */
 
-import { memo, useEffect, useRef, useMemo } from "react";
+import {
+    memo,
+    useCallback,
+    useEffect,
+    useLayoutEffect,
+    useRef,
+    useMemo,
+    useState,
+} from "react";
 import Message from "./Message";
+import OutboxMessage from "./OutboxMessage";
+import useConversation from "../../store/zustand/useConversation";
+import { useAuthContext } from "../../store/AuthContext";
+import { showToast } from "../../utils/toastConfig";
+
+// Older pages loaded at most while looking for a quoted message
+const MAX_JUMP_PAGES = 10;
+const JUMP_PAGE_SIZE = 100;
+const HIGHLIGHT_MS = 2000;
 
 const MessagesList = memo(
     ({
@@ -75,9 +120,20 @@ const MessagesList = memo(
         error = null,
         receiverAvatarUrl,
         senderAvatarUrl,
+        hasMore = false,
+        isLoadingOlder = false,
+        onLoadOlder,
+        highlightTerms = [],
+        activeMatchId = null,
+        pendingMessages = [],
+        onRetryMessage,
+        onDiscardMessage,
     }) => {
         const messagesEndRef = useRef(null);
         const newMarkerRef = useRef(null);
+        const scrollContainerRef = useRef(null);
+        // Distance from the bottom captured right before an older page is requested
+        const restoreOffsetRef = useRef(null);
 
         // Make sure messages is always an array before using map
         const messagesArray = useMemo(
@@ -85,6 +141,99 @@ const MessagesList = memo(
             [messages]
         );
 
+        // Lookup of group members by ID (sender name and avatar per message)
+        const membersById = useMemo(() => {
+            if (!conversation?.isGroup) return null;
+            return new Map(
+                (conversation.participants || []).map((p) => [p._id, p])
+            );
+        }, [conversation?.isGroup, conversation?.participants]);
+
+        const getSender = (message) =>
+            membersById && !message.isSentByCurrentUser
+                ? membersById.get(message.senderId?.toString())
+                : null;
+
+        // Display names of all participants (authors of replied-to messages)
+        const { authUser } = useAuthContext();
+        const participantNames = useMemo(
+            () =>
+                new Map(
+                    (conversation?.participants || []).map((p) => [
+                        p._id,
+                        p.fullName,
+                    ])
+                ),
+            [conversation?.participants]
+        );
+        const getAuthorName = (senderId) => {
+            const id = senderId?.toString();
+            if (id && id === authUser?.id) return "You";
+            return participantNames.get(id) || "Former member";
+        };
+
+        // Message briefly highlighted after jumping to it from a quote
+        const [highlightedId, setHighlightedId] = useState(null);
+
+        const jumpToMessage = useCallback(
+            async (messageId) => {
+                // Read the store directly: pages loaded below aren't in this render's props yet
+                const isLoaded = () =>
+                    (useConversation.getState().messages || []).some(
+                        (m) => m.id === messageId
+                    );
+
+                for (
+                    let page = 0;
+                    !isLoaded() && onLoadOlder && page < MAX_JUMP_PAGES;
+                    page++
+                ) {
+                    const more = await onLoadOlder(JUMP_PAGE_SIZE);
+                    if (!more) break;
+                }
+
+                if (!isLoaded()) {
+                    showToast.error("That message is not available");
+                    return;
+                }
+                setHighlightedId(messageId);
+            },
+            [onLoadOlder]
+        );
+
+        // Jump requested from outside the list (message search), once this conversation is loaded
+        const { pendingJump, setPendingJump } = useConversation();
+        useEffect(() => {
+            if (
+                !pendingJump ||
+                isLoading ||
+                pendingJump.conversationId !== conversation?._id
+            ) {
+                return;
+            }
+            setPendingJump(null);
+            jumpToMessage(pendingJump.messageId);
+        }, [
+            pendingJump,
+            isLoading,
+            conversation?._id,
+            setPendingJump,
+            jumpToMessage,
+        ]);
+
+        // Scroll the highlighted message into view once it is rendered, then fade the highlight
+        useEffect(() => {
+            if (!highlightedId) return;
+            scrollContainerRef.current
+                ?.querySelector(`[data-message-id="${highlightedId}"]`)
+                ?.scrollIntoView({ behavior: "smooth", block: "center" });
+            const timer = setTimeout(
+                () => setHighlightedId(null),
+                HIGHLIGHT_MS
+            );
+            return () => clearTimeout(timer);
+        }, [highlightedId]);
+
         const unreadCount = conversation?.unreadCount || 0;
 
         // Compute first unread index from unreadCount
@@ -94,11 +243,44 @@ const MessagesList = memo(
             return Math.max(0, Math.min(idx, messagesArray.length - 1));
         }, [messagesArray.length, unreadCount]);
 
+        const lastMessage = messagesArray[messagesArray.length - 1];
+        const lastMessageId = lastMessage?.id;
+        const firstMessageId = messagesArray[0]?.id;
+        const lastPendingId =
+            pendingMessages[pendingMessages.length - 1]?.clientId;
+
+        // Keep the viewport anchored when older messages are prepended
+        useLayoutEffect(() => {
+            const container = scrollContainerRef.current;
+            if (!container || restoreOffsetRef.current === null) return;
+            container.scrollTop =
+                container.scrollHeight - restoreOffsetRef.current;
+            restoreOffsetRef.current = null;
+        }, [firstMessageId]);
+
+        // Reset any pending restore when switching conversations
+        useEffect(() => {
+            restoreOffsetRef.current = null;
+        }, [conversation?._id]);
+
+        const handleScroll = useCallback(() => {
+            const container = scrollContainerRef.current;
+            if (!container || !hasMore || isLoadingOlder || !onLoadOlder) {
+                return;
+            }
+            if (container.scrollTop > 80) return;
+
+            restoreOffsetRef.current =
+                container.scrollHeight - container.scrollTop;
+            onLoadOlder();
+        }, [hasMore, isLoadingOlder, onLoadOlder]);
+
         // Scroll behavior:
         // - If there are unread messages: jump to the "New messages" divider (no smooth)
         // - Else: scroll to bottom (smooth only for own outgoing message)
+        // Runs only when the last (or last pending) message or conversation changes, not when older pages are prepended
         useEffect(() => {
-            if (!messagesArray.length) return;
+            if (!lastMessageId && !lastPendingId) return;
 
             if (firstUnreadIndex >= 0 && newMarkerRef.current) {
                 newMarkerRef.current.scrollIntoView({
@@ -108,11 +290,14 @@ const MessagesList = memo(
                 return;
             }
 
-            const last = messagesArray[messagesArray.length - 1];
             messagesEndRef.current?.scrollIntoView({
-                behavior: last?.isSentByCurrentUser ? "smooth" : "auto",
+                behavior:
+                    lastPendingId || lastMessage?.isSentByCurrentUser
+                        ? "smooth"
+                        : "auto",
             });
-        }, [messagesArray, firstUnreadIndex, conversation?._id]);
+            // eslint-disable-next-line react-hooks/exhaustive-deps
+        }, [lastMessageId, lastPendingId, conversation?._id]);
 
         // Scroll to bottom when messages change
         // useEffect(() => {
@@ -151,13 +336,34 @@ const MessagesList = memo(
         );
 
         const messageList = (
-            <div className="flex-1 overflow-auto p-4 space-y-4">
+            <div
+                ref={scrollContainerRef}
+                onScroll={handleScroll}
+                className="flex-1 overflow-auto p-4 space-y-4"
+            >
+                {isLoadingOlder && (
+                    <div className="flex justify-center">
+                        <span className="loading loading-spinner loading-sm text-white/60"></span>
+                    </div>
+                )}
                 {messagesArray.map(
                     (
                         message // add idx if divider is needed
-                    ) => (
-                        <div key={message.id}>
-                            {/* {firstUnreadIndex === idx && unreadCount > 0 && (
+                    ) => {
+                        const sender = getSender(message);
+                        return (
+                            <div
+                                key={message.id}
+                                data-message-id={message.id}
+                                className={`rounded-box transition-colors duration-700 ${
+                                    highlightedId === message.id
+                                        ? "bg-white/15"
+                                        : activeMatchId === message.id
+                                          ? "bg-white/5"
+                                          : ""
+                                }`}
+                            >
+                                {/* {firstUnreadIndex === idx && unreadCount > 0 && (
                             <div
                                 ref={newMarkerRef}
                                 className="divider text-white/60 text-xs"
@@ -165,22 +371,58 @@ const MessagesList = memo(
                                 New messages
                             </div>
                         )} */}
-                            <Message
-                                message={message.content}
-                                timestamp={message.timestamp}
-                                isSentByCurrentUser={
-                                    message.isSentByCurrentUser
-                                }
-                                avatarUrl={
-                                    message.isSentByCurrentUser
-                                        ? senderAvatarUrl
-                                        : receiverAvatarUrl
-                                }
-                                isFresh={message.isFresh}
-                            />
-                        </div>
-                    )
+                                <Message
+                                    message={message.content}
+                                    timestamp={message.timestamp}
+                                    isSentByCurrentUser={
+                                        message.isSentByCurrentUser
+                                    }
+                                    avatarUrl={
+                                        message.isSentByCurrentUser
+                                            ? senderAvatarUrl
+                                            : sender
+                                              ? sender.profilePicture ||
+                                                `https://robohash.org/user${sender._id}.png`
+                                              : receiverAvatarUrl
+                                    }
+                                    senderName={
+                                        membersById &&
+                                        !message.isSentByCurrentUser
+                                            ? sender?.fullName ||
+                                              "Former member"
+                                            : null
+                                    }
+                                    isFresh={message.isFresh}
+                                    messageId={message.id}
+                                    editedAt={message.editedAt}
+                                    edits={message.edits}
+                                    editableUntil={message.editableUntil}
+                                    isDeleted={message.isDeleted}
+                                    attachments={message.attachments}
+                                    status={message.status}
+                                    authorName={getAuthorName(message.senderId)}
+                                    replyTo={message.replyTo}
+                                    replyAuthorName={getAuthorName(
+                                        message.replyTo?.senderId
+                                    )}
+                                    onJumpToMessage={jumpToMessage}
+                                    reactions={message.reactions}
+                                    highlightTerms={highlightTerms}
+                                />
+                            </div>
+                        );
+                    }
                 )}
+                {pendingMessages.map((entry) => (
+                    <OutboxMessage
+                        key={entry.clientId}
+                        entry={entry}
+                        avatarUrl={senderAvatarUrl}
+                        onRetry={onRetryMessage}
+                        onDiscard={onDiscardMessage}
+                        onJumpToMessage={jumpToMessage}
+                    />
+                ))}
                 <div ref={messagesEndRef} />
             </div>
         );
@@ -193,7 +435,7 @@ const MessagesList = memo(
             content = loadingSpinner;
         } else if (error) {
             content = errorMessage;
-        } else if (messagesArray.length === 0) {
+        } else if (messagesArray.length === 0 && pendingMessages.length === 0) {
             content = emptyConversation;
         } else {
             content = messageList;
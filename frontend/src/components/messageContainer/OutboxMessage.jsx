@@ -0,0 +1,72 @@
+/**
+ * OutboxMessage Component
+ * -----------------------
+ * Renders a message from the outbox (not confirmed by the server yet) like any other own message.
+ *
+ * Props:
+ *   - entry (object): The outbox entry (see `utils/outbox.js`): `content`, `files`, `replyTo`, `createdAt`,
+ *     `status` ("pending", "sending" or "failed") and `error`.
+ *   - avatarUrl (string): The current user's avatar.
+ *   - onRetry(clientId) / onDiscard(clientId) (function): Retry or drop the message once it failed.
+ *   - onJumpToMessage (function): Called with the quoted message's ID when the quote is clicked.
+ *
+ * Behavior:
+ *   - Attached files are previewed from the local `File`s through object URLs, which are revoked when
+ *     the entry leaves the list.
+ *   - The bubble shows a clock while the message waits or is being sent, and a red "!" with
+ *     "Not sent · Retry · Discard" below it when it failed.
+ *   - No actions or reactions: the message has no ID until it is sent.
+ *
+ * Usage:
+ *   - Rendered by `MessagesList` after the loaded messages:
+ *       <OutboxMessage entry={entry} avatarUrl={senderAvatarUrl} onRetry={retryMessage} onDiscard={discardMessage} />
+ */
+
+import { memo, useEffect, useState } from "react";
+import Message from "./Message";
+
+const OutboxMessage = memo(
+    ({ entry, avatarUrl, onRetry, onDiscard, onJumpToMessage }) => {
+        const [attachments, setAttachments] = useState([]);
+
+        // Local previews of the files until the server stores them
+        useEffect(() => {
+            const previews = (entry.files || []).map((file, index) => ({
+                _id: `${entry.clientId}-${index}`,
+                name: file.name,
+                mimeType: file.type,
+                size: file.size,
+                url: URL.createObjectURL(file),
+            }));
+            setAttachments(previews);
+            return () =>
+                previews.forEach((preview) => URL.revokeObjectURL(preview.url));
+        }, [entry.clientId, entry.files]);
+
+        return (
+            <Message
+                message={entry.content}
+                timestamp={entry.createdAt}
+                isSentByCurrentUser={true}
+                avatarUrl={avatarUrl}
+                attachments={attachments}
+                status={entry.status}
+                error={entry.error}
+                replyTo={
+                    entry.replyTo && {
+                        _id: entry.replyTo.id,
+                        content: entry.replyTo.content,
+                    }
+                }
+                replyAuthorName={entry.replyTo?.senderName}
+                onJumpToMessage={onJumpToMessage}
+                onRetry={() => onRetry?.(entry.clientId)}
+                onDiscard={() => onDiscard?.(entry.clientId)}
+            />
+        );
+    }
+);
+
+OutboxMessage.displayName = "OutboxMessage";
+
+export default OutboxMessage;
@@ -0,0 +1,59 @@
+/**
+ * ReactionPicker Component
+ * ------------------------
+ * Row of quick emoji reactions shown above a message bubble while it is hovered.
+ *
+ * Props:
+ *   - onReact (function): Called with the chosen emoji.
+ *   - isSentByCurrentUser (boolean): Aligns the picker with the bubble's outer edge (right for sent messages).
+ *   - activeEmojis (string[]): Emojis the current user already reacted with; highlighted in the picker. Defaults to an empty array.
+ *
+ * Behavior:
+ *   - Hidden until the parent bubble (`group`) is hovered or contains focus, and not clickable while hidden.
+ *   - Picking an active emoji takes the reaction back (the server toggles it).
+ *
+ * Usage:
+ *   <ReactionPicker
+ *       onReact={(emoji) => toggleReaction(messageId, emoji)}
+ *       isSentByCurrentUser={true}
+ *       activeEmojis={["👍"]}
+ *   />
+ */
+
+const QUICK_REACTIONS = ["👍", "❤️", "😂", "😮", "😢", "🙏"];
+
+const ReactionPicker = ({
+    onReact,
+    isSentByCurrentUser,
+    activeEmojis = [],
+}) => (
+    // The padding bridges the gap to the bubble so moving the pointer up keeps it open
+    <div
+        className={`absolute bottom-full pb-1 z-[1] opacity-0 pointer-events-none group-hover:opacity-100 group-hover:pointer-events-auto group-focus-within:opacity-100 group-focus-within:pointer-events-auto transition-opacity ${
+            isSentByCurrentUser ? "right-0" : "left-0"
+        }`}
+    >
+        <div
+            role="toolbar"
+            aria-label="React to message"
+            className="flex gap-0.5 p-1 rounded-full shadow-lg bg-white/10 backdrop-blur-md border border-white/20"
+        >
+            {QUICK_REACTIONS.map((emoji) => (
+                <button
+                    key={emoji}
+                    type="button"
+                    onClick={() => onReact(emoji)}
+                    className={`btn btn-ghost btn-xs btn-circle text-base hover:scale-125 transition-transform ${
+                        activeEmojis.includes(emoji) ? "bg-white/20" : ""
+                    }`}
+                    aria-label={`React with ${emoji}`}
+                    aria-pressed={activeEmojis.includes(emoji)}
+                >
+                    {emoji}
+                </button>
+            ))}
+        </div>
+    </div>
+);
+
+export default ReactionPicker;
@@ -31,6 +31,8 @@
  *       - Displays matching conversations and users.
  *   - If searching with no results:
  *       - Displays a "No matches found" message.
+ *   - While searching (2+ characters), a "Messages" section (`MessageSearchResults`) lists full-text
+ *     matches from every conversation below the conversation/user matches.
  *   - If not searching:
  *       - Displays existing conversations or "No conversations found".
  *
@@ -42,6 +44,9 @@
  *       - Matches users' full names or usernames with the search term.
  *   - Combines and sorts results:
  *       - Combines matching conversations and users into a single list for display.
+ *   - handleOpenSearchResult(conversation, messageId):
+ *       - Opens the conversation of a message search result and asks `MessagesList` to scroll to the
+ *         matching message (`pendingJump` in the conversation store).
  *
  * Usage:
  *   - Used within the `Sidebar` component to display conversations and search results.
@@ -52,9 +57,11 @@
  *       <SidebarConversations searchTerm={searchTerm} />
  */
 
-import { memo, useEffect, useMemo } from "react";
+import { memo, useCallback, useEffect, useMemo } from "react";
 import SidebarConversation from "./conversation/SidebarConversation";
 import SidebarUser from "./user/SidebarUser";
+import MessageSearchResults from "./search/MessageSearchResults";
+import useConversation from "../../store/zustand/useConversation";
 import { useConversationStore } from "../../hooks/conversation/useConversationStore";
 import { useUserStore } from "../../hooks/conversation/useUserStore";
 import { useAuthContext } from "../../store/AuthContext";
@@ -70,7 +77,9 @@ const SidebarConversations = memo(({ searchTerm = "" }) => {
         setSelectedConversation,
         setMessages,
         refreshConversations,
+        handleSelectConversation,
     } = useConversationStore();
+    const { setPendingJump } = useConversation();
     const { users, loading: usersLoading } = useUserStore();
     const { authUser } = useAuthContext();
 
@@ -99,6 +108,14 @@ const SidebarConversations = memo(({ searchTerm = "" }) => {
 
     const sortedDisplayItems = useMemo(() => displayItems, [displayItems]);
 
+    const handleOpenSearchResult = useCallback(
+        (conversation, messageId) => {
+            setPendingJump({ conversationId: conversation._id, messageId });
+            handleSelectConversation(conversation);
+        },
+        [setPendingJump, handleSelectConversation]
+    );
+
     // Render loading state
     if (loading) {
         return (
@@ -139,6 +156,14 @@ const SidebarConversations = memo(({ searchTerm = "" }) => {
                     {noResultsMessage}
                 </div>
             )}
+            {isSearching && (
+                <MessageSearchResults
+                    searchTerm={searchTerm}
+                    conversations={conversations}
+                    currentUserId={authUser?.id}
+                    onSelectResult={handleOpenSearchResult}
+                />
+            )}
         </div>
     );
 });
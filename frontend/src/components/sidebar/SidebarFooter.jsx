@@ -1,27 +1,46 @@
 /**
  * SidebarFooter Component
  * -----------------------
- * Displays the current user's avatar, username, and a logout button in the sidebar footer.
+ * Displays the current user's avatar, name, status, and an account menu in the sidebar footer.
  *
  * Exports:
- *   - SidebarFooter: Renders user information and a logout button.
+ *   - SidebarFooter: Renders user information and the account menu (presence status, Profile, Devices,
+ *     Two-factor authentication, Blocked users, Change password, Logout).
  *
  * Context:
  *   - useLogout: Provides the `handleLogout` function and `loading` state for managing user logout functionality.
  *   - useAuthContext: Provides the current authenticated user's basic data.
  *   - useCurrentUser: Fetches the current authenticated user's complete profile.
+ *   - useOnlineStatus: The user's own presence, as the server reports it.
+ *   - useProfileActions: Provides `updatePresence` for the status options.
  *
  * State:
  *   - userLoading: Indicates whether the user's profile data is being loaded.
  *   - logoutLoading: Indicates whether the logout process is in progress.
+ *   - isProfileOpen: Whether the `ProfileModal` is open.
+ *   - isSessionsOpen / isTwoFactorOpen / isBlockedUsersOpen: Whether the `SessionsModal` /
+ *     `TwoFactorModal` / `BlockedUsersModal` is open.
  *
  * Layout:
- *   - Avatar: Displays the user's profile picture or a placeholder if unavailable.
- *   - User Info: Shows the user's full name (or username as a fallback).
- *   - Logout Button: A button to log out the user, with a loading spinner during the logout process.
+ *   - Avatar: Displays the user's profile picture or a placeholder if unavailable, with their own
+ *     presence dot (`PresenceDot`, hollow while invisible).
+ *   - User Info: Shows the user's full name (or username as a fallback), and their status text
+ *     (or @username when no status is set).
+ *   - Account Menu: A dropdown that starts with the presence options ("Online", "Do not disturb",
+ *     "Invisible", see `PRESENCE_OPTIONS`; the chosen one is checked), then "Profile" (opens `ProfileModal`), "Devices" (opens `SessionsModal`,
+ *     the login sessions with "log out other devices"), "Two-factor authentication" (opens
+ *     `TwoFactorModal`), "Blocked users" (opens `BlockedUsersModal`), "Change password" (goes to
+ *     `/change-password`) and "Logout" (with a loading spinner during the logout process).
  *
  * Functions:
  *   - handleLogout: Logs the user out and clears authentication state.
+ *   - choosePresence: Saves the chosen presence status (automatic "away" counts as "Online").
+ *   - openProfile: Closes the menu and opens `ProfileModal` with the current profile. Profile edits
+ *     arrive back through `useCurrentUser`'s `user:updated` listener.
+ *   - openSessions: Closes the menu and opens `SessionsModal`.
+ *   - openTwoFactor: Closes the menu and opens `TwoFactorModal`.
+ *   - openBlockedUsers: Closes the menu and opens `BlockedUsersModal`.
+ *   - openChangePassword: Closes the menu and navigates to the change password page.
  *
  * Usage:
  *   - Used at the bottom of the Sidebar for persistent user info and logout functionality.
@@ -32,18 +51,48 @@
  *       <SidebarFooter />
  */
 
+import { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import ProfileModal from "./profile/ProfileModal";
+import SessionsModal from "./profile/SessionsModal";
+import TwoFactorModal from "./profile/TwoFactorModal";
+import BlockedUsersModal from "./profile/BlockedUsersModal";
+import PresenceDot from "./conversation/PresenceDot";
 import useLogout from "../../hooks/auth/useLogout";
 import { useAuthContext } from "../../store/AuthContext";
 import { useCurrentUser } from "../../hooks/auth/useCurrentUser";
+import { useOnlineStatus } from "../../hooks/socket/useOnlineStatus";
+import { useProfileActions } from "../../hooks/profile/useProfileActions";
+import { PRESENCE_OPTIONS } from "../../utils/presenceUtils";
 
 const SidebarFooter = () => {
     const { loading: logoutLoading, handleLogout } = useLogout();
     const { currentUser, loading: userLoading } = useCurrentUser();
     const { authUser } = useAuthContext();
+    const [isProfileOpen, setIsProfileOpen] = useState(false);
+    const [isSessionsOpen, setIsSessionsOpen] = useState(false);
+    const [isTwoFactorOpen, setIsTwoFactorOpen] = useState(false);
+    const [isBlockedUsersOpen, setIsBlockedUsersOpen] = useState(false);
+    const navigate = useNavigate();
 
     // Use the full user data if available, otherwise fall back to authUser
     const userData = currentUser || authUser || {};
 
+    // Own presence: "away" is automatic, so it counts as the "Online" choice
+    const { status } = useOnlineStatus(userData._id || userData.id);
+    const { updatePresence, loading: presenceLoading } = useProfileActions();
+    const chosenPresence =
+        status === "offline"
+            ? userData.presenceStatus || "online"
+            : status === "away"
+              ? "online"
+              : status;
+
+    const choosePresence = (value) => {
+        document.activeElement?.blur();
+        if (value !== chosenPresence) updatePresence(value);
+    };
+
     // Get display name (prefer fullName, fall back to username)
     const displayName = userData.fullName || userData.username || "You";
 
@@ -54,6 +103,32 @@ const SidebarFooter = () => {
             ? `https://robohash.org/${userData.username}.png`
             : "https://robohash.org/me.png");
 
+    const openProfile = () => {
+        // Close the dropdown (it stays open while it has focus)
+        document.activeElement?.blur();
+        setIsProfileOpen(true);
+    };
+
+    const openSessions = () => {
+        document.activeElement?.blur();
+        setIsSessionsOpen(true);
+    };
+
+    const openTwoFactor = () => {
+        document.activeElement?.blur();
+        setIsTwoFactorOpen(true);
+    };
+
+    const openBlockedUsers = () => {
+        document.activeElement?.blur();
+        setIsBlockedUsersOpen(true);
+    };
+
+    const openChangePassword = () => {
+        document.activeElement?.blur();
+        navigate("/change-password");
+    };
+
     return (
         <div className="mt-auto border-t border-white/10 p-4 flex items-center">
             <div className="avatar">
@@ -71,6 +146,7 @@ const SidebarFooter = () => {
                         />
                     )}
                 </div>
+                <PresenceDot status={status} />
             </div>
             <div className="ml-3 flex-1 truncate">
                 <p
@@ -80,16 +156,21 @@ const SidebarFooter = () => {
                     {userLoading ? "Loading..." : displayName}
                 </p>
                 {userData.username && !userLoading && (
-                    <p className="text-white/60 text-xs">
-                        @{userData.username}
+                    <p
+                        className="text-white/60 text-xs truncate"
+                        title={userData.statusText || undefined}
+                    >
+                        {userData.statusText || `@${userData.username}`}
                     </p>
                 )}
             </div>
-            {/* <div className="dropdown dropdown-top dropdown-end">
+            <div className="dropdown dropdown-top dropdown-end">
                 <div
                     tabIndex={0}
                     role="button"
-                    className="btn btn-circle btn-sm bg-white/10 border-white/20 text-white"
+                    aria-label="Account menu"
+                    title="Account"
+                    className="btn btn-circle btn-sm bg-white/10 border-white/20 text-white hover:bg-white/20"
                 >
                     <svg
                         xmlns="http://www.w3.org/2000/svg"
@@ -103,19 +184,80 @@ const SidebarFooter = () => {
                 </div>
                 <ul
                     tabIndex={0}
-                    className="dropdown-content z-[1] menu p-2 shadow-lg bg-white/10 backdrop-blur-md border border-white/20 rounded-box w-40"
+                    className="dropdown-content z-[1] menu p-2 shadow-lg bg-white/10 backdrop-blur-md border border-white/20 rounded-box w-48"
                 >
+                    {PRESENCE_OPTIONS.map(({ value, label }) => (
+                        <li key={value}>
+                            <button
+                                type="button"
+                                className="text-white hover:bg-white/10"
+                                onClick={() => choosePresence(value)}
+                                disabled={presenceLoading}
+                                aria-pressed={chosenPresence === value}
+                            >
+                                <span className="relative w-3 h-3">
+                                    <PresenceDot status={value} />
+                                </span>
+                                <span className="flex-1">{label}</span>
+                                {chosenPresence === value && (
+                                    <span aria-hidden="true">✓</span>
+                                )}
+                            </button>
+                        </li>
+                    ))}
+                    <li className="border-b border-white/10 my-1" />
+                    <li>
+                        <button
+                            type="button"
+                            className="text-white hover:bg-white/10"
+                            onClick={openProfile}
+                            disabled={!currentUser}
+                        >
+                            Profile
+                        </button>
+                    </li>
+                    <li>
+                        <button
+                            type="button"
+                            className="text-white hover:bg-white/10"
+                            onClick={openSessions}
+                        >
+                            Devices
+                        </button>
+                    </li>
+                    <li>
+                        <button
+                            type="button"
+                            className="text-white hover:bg-white/10"
+                            onClick={openTwoFactor}
+                        >
+                            Two-factor authentication
+                        </button>
+                    </li>
                     <li>
-                        <a className="text-white hover:bg-white/10">Profile</a>
+                        <button
+                            type="button"
+                            className="text-white hover:bg-white/10"
+                            onClick={openBlockedUsers}
+                        >
+                            Blocked users
+                        </button>
                     </li>
                     <li>
-                        <a className="text-white hover:bg-white/10">Settings</a>
+                        <button
+                            type="button"
+                            className="text-white hover:bg-white/10"
+                            onClick={openChangePassword}
+                        >
+                            Change password
+                        </button>
                     </li>
                     <li>
                         {logoutLoading ? (
                             <span className="loading loading-spinner loading-xs"></span>
                         ) : (
                             <button
+                                type="button"
                                 className="text-white hover:bg-white/10 w-full text-left"
                                 onClick={handleLogout}
                                 disabled={logoutLoading}
@@ -125,37 +267,24 @@ const SidebarFooter = () => {
                         )}
                     </li>
                 </ul>
-            </div> */}
-            <div className="ml-auto">
-                <button
-                    type="button"
-                    onClick={handleLogout}
-                    disabled={logoutLoading}
-                    aria-label="Logout"
-                    title="Logout"
-                    className="btn btn-circle btn-sm bg-white/10 border-white/20 text-white hover:bg-white/20"
-                >
-                    {logoutLoading ? (
-                        <span className="loading loading-spinner loading-xs"></span>
-                    ) : (
-                        <svg
-                            xmlns="http://www.w3.org/2000/svg"
-                            width="16"
-                            height="16"
-                            fill="none"
-                            viewBox="0 0 24 24"
-                            stroke="currentColor"
-                            strokeWidth="1.8"
-                            strokeLinecap="round"
-                            strokeLinejoin="round"
-                        >
-                            <path d="M10 17l5-5-5-5" />
-                            <path d="M15 12H3" />
-                            <path d="M21 19a2 2 0 0 1-2 2H9a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2" />
-                        </svg>
-                    )}
-                </button>
             </div>
+            {isProfileOpen && currentUser && (
+                <ProfileModal
+                    profile={currentUser}
+                    onClose={() => setIsProfileOpen(false)}
+                />
+            )}
+            {isSessionsOpen && (
+                <SessionsModal onClose={() => setIsSessionsOpen(false)} />
+            )}
+            {isTwoFactorOpen && (
+                <TwoFactorModal onClose={() => setIsTwoFactorOpen(false)} />
+            )}
+            {isBlockedUsersOpen && (
+                <BlockedUsersModal
+                    onClose={() => setIsBlockedUsersOpen(false)}
+                />
+            )}
         </div>
     );
 };
@@ -1,7 +1,7 @@
 /**
  * SidebarHeader Component
  * ----------------------
- * Displays the sidebar header with the chat title and a search input for filtering users and conversations.
+ * Displays the sidebar header with the chat title, a "new group" button, and a search input for filtering users and conversations.
  *
  * Exports:
  *   - SidebarHeader: Renders the header section of the sidebar.
@@ -11,6 +11,7 @@
  *
  * State:
  *   - searchTerm (string): Stores the current value of the search input.
+ *   - isCreateGroupOpen (boolean): Whether the `CreateGroupModal` is shown.
  *
  * Functions:
  *   - handleSearch(e):
@@ -19,6 +20,7 @@
  *
  * Layout:
  *   - Title: Displays "Chats" as the sidebar heading.
+ *   - New Group Button: Opens `CreateGroupModal` (mounted only while open).
  *   - Search Input: Allows users to filter conversations and users by name or username.
  *   - Search Icon: Positioned inside the input for visual feedback.
  *
@@ -28,9 +30,11 @@
  */
 
 import { useState } from "react";
+import CreateGroupModal from "./group/CreateGroupModal";
 
 const SidebarHeader = ({ onSearch }) => {
     const [searchTerm, setSearchTerm] = useState("");
+    const [isCreateGroupOpen, setIsCreateGroupOpen] = useState(false);
 
     const handleSearch = (e) => {
         const value = e.target.value;
@@ -40,7 +44,33 @@ const SidebarHeader = ({ onSearch }) => {
 
     return (
         <div className="p-4 border-b border-white/10 space-y-4">
-            <h2 className="text-xl font-semibold text-white">Chats</h2>
+            <div className="flex items-center justify-between">
+                <h2 className="text-xl font-semibold text-white">Chats</h2>
+                <button
+                    type="button"
+                    onClick={() => setIsCreateGroupOpen(true)}
+                    aria-label="New group"
+                    title="New group"
+                    className="btn btn-circle btn-sm bg-white/10 border-white/20 text-white hover:bg-white/20"
+                >
+                    <svg
+                        xmlns="http://www.w3.org/2000/svg"
+                        width="16"
+                        height="16"
+                        fill="none"
+                        viewBox="0 0 24 24"
+                        stroke="currentColor"
+                        strokeWidth="1.8"
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                    >
+                        <path d="M16 21v-2a4 4 0 0 0-4-4H6a4 4 0 0 0-4 4v2" />
+                        <circle cx="9" cy="7" r="4" />
+                        <path d="M19 8v6" />
+                        <path d="M22 11h-6" />
+                    </svg>
+                </button>
+            </div>
             <div className="relative">
                 <input
                     type="text"
@@ -66,6 +96,9 @@ const SidebarHeader = ({ onSearch }) => {
                     </svg>
                 </div>
             </div>
+            {isCreateGroupOpen && (
+                <CreateGroupModal onClose={() => setIsCreateGroupOpen(false)} />
+            )}
         </div>
     );
 };
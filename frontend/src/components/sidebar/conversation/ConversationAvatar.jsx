@@ -1,10 +1,10 @@
 /**
  * ConversationAvatar Component
  * ----------------------------
- * Displays a user's avatar with online status indicator and selection styling.
+ * Displays a user's avatar with a presence dot and selection styling.
  *
  * Exports:
- *   - ConversationAvatar: Renders the avatar for a user with dynamic styles based on selection and online status.
+ *   - ConversationAvatar: Renders the avatar for a user with dynamic styles based on selection and presence.
  *
  * Props:
  *   - user (object): The user object containing:
@@ -12,14 +12,15 @@
  *       - _id (string): The user's unique ID.
  *       - fullName (string): The user's full name.
  *   - isSelected (boolean): Indicates if this conversation is selected.
- *   - isOnline (boolean): Indicates if the user is online (default: false).
+ *   - status (string): The user's presence from `useOnlineStatus` (default: "offline").
  *
  * Layout:
  *   - Avatar Container: A circular container with dynamic styles for selection.
  *   - Avatar Image: Displays the user's avatar image, fetched dynamically using the user's profile picture or ID.
+ *   - Presence Dot: Green (online), amber (away) or red (do not disturb); none while offline (`PresenceDot`).
  *
  * Styling:
- *   - Uses `getAvatarClass` for online status styling.
+ *   - Uses `getAvatarClass` for the avatar wrapper that positions the presence dot.
  *   - Uses `getAvatarContainerClass` for selection styling.
  *
  * Usage:
@@ -28,7 +29,7 @@
  *
  * Example:
  *   - Rendered in `SidebarConversation.jsx`:
- *       <ConversationAvatar user={user} isSelected={isSelected} isOnline={user.isOnline} />
+ *       <ConversationAvatar user={user} isSelected={isSelected} status={status} />
  */
 
 import { memo } from "react";
@@ -36,11 +37,12 @@ import {
     getAvatarClass,
     getAvatarContainerClass,
 } from "../../../styles/ConversationStyles";
+import PresenceDot from "./PresenceDot";
 
-const ConversationAvatar = memo(({ user, isSelected, isOnline = false }) => {
+const ConversationAvatar = memo(({ user, isSelected, status = "offline" }) => {
     if (!user) return null;
 
-    const avatarClass = getAvatarClass(isOnline);
+    const avatarClass = getAvatarClass();
     const containerClass = getAvatarContainerClass(isSelected);
 
     return (
@@ -56,6 +58,7 @@ const ConversationAvatar = memo(({ user, isSelected, isOnline = false }) => {
                     loading="lazy"
                 />
             </div>
+            <PresenceDot status={status} />
         </div>
     );
 });
@@ -0,0 +1,61 @@
+/**
+ * GroupAvatar Component
+ * ---------------------
+ * Displays an initials-based avatar for a group conversation.
+ *
+ * Exports:
+ *   - GroupAvatar: Renders a circular avatar with the group's initials.
+ *
+ * Props:
+ *   - name (string): The group name used to derive the initials.
+ *   - isSelected (boolean): Indicates if this conversation is selected (default: false).
+ *   - size (string): Tailwind width class for the avatar (default: "w-12").
+ *
+ * Functions:
+ *   - getInitials(name):
+ *       - Returns up to two uppercase initials from the group name ("Weekend Trip" -> "WT").
+ *       - Falls back to "#" when the name is empty.
+ *
+ * Styling:
+ *   - Uses `getAvatarContainerClass` for selection styling, matching `ConversationAvatar`.
+ *
+ * Usage:
+ *   - Used within `SidebarConversation` and `ChatHeader` for group conversations.
+ *
+ * Example:
+ *   - <GroupAvatar name="Weekend Trip" isSelected={true} />
+ *   - <GroupAvatar name="Weekend Trip" size="w-10" />
+ */
+
+import { memo } from "react";
+import { getAvatarContainerClass } from "../../../styles/ConversationStyles";
+
+const getInitials = (name = "") =>
+    name
+        .trim()
+        .split(/\s+/)
+        .filter(Boolean)
+        .slice(0, 2)
+        .map((word) => word[0].toUpperCase())
+        .join("") || "#";
+
+const GroupAvatar = memo(({ name, isSelected = false, size = "w-12" }) => {
+    const containerClass = getAvatarContainerClass(isSelected).replace(
+        "w-12",
+        size
+    );
+
+    return (
+        <div className="avatar avatar-placeholder">
+            <div className={`${containerClass} bg-white/20 text-white`}>
+                <span className="font-semibold" aria-label={`${name} group`}>
+                    {getInitials(name)}
+                </span>
+            </div>
+        </div>
+    );
+});
+
+GroupAvatar.displayName = "GroupAvatar";
+
+export default GroupAvatar;
@@ -0,0 +1,43 @@
+/**
+ * PresenceDot Component
+ * ---------------------
+ * Displays a user's presence as a coloured dot on the corner of their avatar.
+ *
+ * Exports:
+ *   - PresenceDot: Renders the dot, or nothing for offline users.
+ *
+ * Props:
+ *   - status (string): "online" (green), "away" (amber), "dnd" (red), "invisible" (hollow, only shown
+ *     for the current user) or "offline" (no dot).
+ *
+ * Styling:
+ *   - Uses `getPresenceDotClass`; the parent must be positioned (the daisyUI `avatar` is).
+ *
+ * Usage:
+ *   - Used within `ConversationAvatar`, `ChatHeader` and `SidebarFooter`.
+ *
+ * Example:
+ *   - <PresenceDot status="away" />
+ */
+
+import { memo } from "react";
+import { getPresenceDotClass } from "../../../styles/ConversationStyles";
+import { getPresenceLabel } from "../../../utils/presenceUtils";
+
+const PresenceDot = memo(({ status }) => {
+    if (!status || status === "offline") return null;
+
+    const label = getPresenceLabel(status);
+    return (
+        <span
+            className={getPresenceDotClass(status)}
+            role="img"
+            aria-label={label}
+            title={label}
+        />
+    );
+});
+
+PresenceDot.displayName = "PresenceDot";
+
+export default PresenceDot;
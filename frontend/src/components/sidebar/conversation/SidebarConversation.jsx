@@ -9,15 +9,19 @@
  * Props:
  *   - conversation (object): The conversation object containing:
  *       - _id (string): The unique ID of the conversation.
+ *       - isGroup (boolean): Indicates if this is a group conversation (optional).
+ *       - name (string): The group name (group conversations only).
  *       - participants (array): An array of participant objects in the conversation.
  *           - Each participant contains:
  *               - _id (string): The participant's unique ID.
  *               - fullName (string): The participant's full name.
- *               - isOnline (boolean): Indicates if the participant is online (optional).
  *       - lastMessage (object | null): The last message in the conversation (optional).
  *           - content (string): The content of the last message.
  *           - createdAt (string): The timestamp of the last message.
+ *           - sender (object | string): The sender of the last message (used for group previews).
+ *           - isDeleted (boolean): Whether the last message was deleted for everyone.
  *       - unreadCount (number): The number of unread messages in the conversation (optional).
+ *       - mutedUntil (string | null): End of the user's mute of this conversation (optional).
  *
  * Context:
  *   - handleSelectConversation: Function to update the selected conversation, accessed via `useConversationStore`.
@@ -29,17 +33,26 @@
  *       - Memoized function to handle conversation selection when clicked.
  *   - otherUser:
  *       - Memoized function to find the other participant in the conversation (not the current user).
- *   - isOtherUserOnline:
- *       - Determines if the other participant is currently online using the `useOnlineStatus` hook.
+ *   - otherUserStatus:
+ *       - The other participant's presence ("online", "away", "dnd" or "offline") from the `useOnlineStatus` hook.
+ *   - lastMessagePreview:
+ *       - For groups, prefixes the last message with the sender's first name ("You" for the current user).
+ *       - Shows "Message deleted" when the last message was deleted for everyone.
+ *   - typingLabel:
+ *       - "typing…" label from `useTypingIndicator`; replaces the preview while someone is typing.
+ *   - isMuted:
+ *       - Whether the conversation is muted (`isConversationMuted`); dims the unread badge and shows a muted icon.
  *
  * Layout:
- *   - Avatar: Displays the user's profile picture with online indicator and selection styling.
+ *   - Avatar: Displays the user's profile picture with a presence dot and selection styling.
+ *       - Group conversations show a `GroupAvatar` with the group's initials instead.
  *   - User Info:
- *       - Name: Displays the other participant's full name.
+ *       - Name: Displays the other participant's full name (or the group name).
  *       - Last Message: Shows the last message content or a placeholder if no messages exist.
  *   - Status:
  *       - Timestamp: Displays the formatted timestamp of the last message.
- *       - Unread Badge: Shows a badge with the unread message count if applicable.
+ *       - Muted Icon: A crossed-out speaker next to the timestamp while the conversation is muted.
+ *       - Unread Badge: Shows a badge with the unread message count if applicable (dimmed when muted).
  *
  * Styling:
  *   - Uses shared styles from `ConversationStyles` for consistent appearance.
@@ -60,7 +73,12 @@
 
 import { memo, useCallback, useMemo } from "react";
 import { formatMessageTime } from "../../../utils/dateUtils";
+import {
+    isConversationMuted,
+    formatMutedUntil,
+} from "../../../utils/muteUtils";
 import ConversationAvatar from "./ConversationAvatar";
+import GroupAvatar from "./GroupAvatar";
 import {
     getContainerClass,
     // getNameClass,
@@ -71,6 +89,7 @@ import {
 import { useConversationStore } from "../../../hooks/conversation/useConversationStore";
 import { useAuthContext } from "../../../store/AuthContext";
 import { useOnlineStatus } from "../../../hooks/socket/useOnlineStatus";
+import { useTypingIndicator } from "../../../hooks/socket/useTypingIndicator";
 
 const SidebarConversation = memo(({ conversation }) => {
     const { handleSelectConversation, isSelected } = useConversationStore();
@@ -90,8 +109,40 @@ const SidebarConversation = memo(({ conversation }) => {
         ); // Fallback to first participant if not found
     }, [conversation.participants, authUser]);
 
-    // Check if the other user is online
-    const isOtherUserOnline = useOnlineStatus(otherUser?._id);
+    // The other user's presence
+    const { status: otherUserStatus } = useOnlineStatus(otherUser?._id);
+
+    const isGroup = Boolean(conversation.isGroup);
+    const typingLabel = useTypingIndicator(conversation);
+    const title = isGroup ? conversation.name : otherUser.fullName;
+    const isMuted = isConversationMuted(conversation);
+
+    // Group previews show who sent the last message
+    const lastMessagePreview = useMemo(() => {
+        const lastMessage = conversation.lastMessage;
+        if (lastMessage?.isDeleted) return "Message deleted";
+        if (!lastMessage?.content) return null;
+        if (!isGroup) return lastMessage.content;
+
+        const senderId = lastMessage.sender?._id || lastMessage.sender;
+        if (!senderId) return lastMessage.content;
+        if (senderId.toString() === authUser?.id) {
+            return `You: ${lastMessage.content}`;
+        }
+
+        const sender = conversation.participants?.find(
+            (p) => p._id === senderId.toString()
+        );
+        const senderName = sender?.fullName?.split(" ")[0];
+        return senderName
+            ? `${senderName}: ${lastMessage.content}`
+            : lastMessage.content;
+    }, [
+        conversation.lastMessage,
+        conversation.participants,
+        isGroup,
+        authUser,
+    ]);
 
     // Memoize the click handler
     const onClickConversation = useCallback(() => {
@@ -103,34 +154,62 @@ const SidebarConversation = memo(({ conversation }) => {
     // const nameClass = getNameClass(isConversationSelected);
     const messageClass = getMessageClass(isConversationSelected);
     const timeClass = getTimeClass(isConversationSelected);
-    const badgeClass = getBadgeClass(isConversationSelected);
+    const badgeClass = getBadgeClass(isConversationSelected, isMuted);
 
     return (
         <div className={containerClass} onClick={onClickConversation}>
-            <ConversationAvatar
-                user={otherUser}
-                isSelected={isConversationSelected}
-                isOnline={isOtherUserOnline}
-            />
+            {isGroup ? (
+                <GroupAvatar
+                    name={conversation.name}
+                    isSelected={isConversationSelected}
+                />
+            ) : (
+                <ConversationAvatar
+                    user={otherUser}
+                    isSelected={isConversationSelected}
+                    status={otherUserStatus}
+                />
+            )}
             <div className="flex-1 min-w-0">
                 <h3
                     className="font-medium text-ellipsis whitespace-nowrap overflow-hidden max-w-[180px]"
-                    title={otherUser.fullName}
+                    title={title}
                     style={{
                         color: isConversationSelected
                             ? "white"
                             : "rgba(255, 255, 255, 0.9)",
                     }}
                 >
-                    {otherUser.fullName}
+                    {title}
                 </h3>
-                <p className={messageClass}>
-                    {conversation.lastMessage?.content ||
-                        "Click to start a conversation"}
+                <p className={`${messageClass} ${typingLabel ? "italic" : ""}`}>
+                    {typingLabel ||
+                        lastMessagePreview ||
+                        (isGroup
+                            ? "No messages yet"
+                            : "Click to start a conversation")}
                 </p>
             </div>
             <div className="flex flex-col items-end min-w-[50px] text-right">
-                <span className={timeClass}>
+                <span className={`${timeClass} flex items-center gap-1`}>
+                    {isMuted && (
+                        <svg
+                            xmlns="http://www.w3.org/2000/svg"
+                            width="12"
+                            height="12"
+                            fill="currentColor"
+                            viewBox="0 0 16 16"
+                            role="img"
+                            aria-label={formatMutedUntil(
+                                conversation.mutedUntil
+                            )}
+                        >
+                            <title>
+                                {formatMutedUntil(conversation.mutedUntil)}
+                            </title>
+                            <path d="M6.717 3.55A.5.5 0 0 1 7 4v8a.5.5 0 0 1-.812.39L3.825 10.5H1.5A.5.5 0 0 1 1 10V6a.5.5 0 0 1 .5-.5h2.325l2.363-1.89a.5.5 0 0 1 .529-.06zm7.137 2.096a.5.5 0 0 1 0 .708L12.207 8l1.647 1.646a.5.5 0 0 1-.708.708L11.5 8.707l-1.646 1.647a.5.5 0 0 1-.708-.708L10.793 8 9.146 6.354a.5.5 0 1 1 .708-.708L11.5 7.293l1.646-1.647a.5.5 0 0 1 .708 0z" />
+                        </svg>
+                    )}
                     {conversation.lastMessage
                         ? formatMessageTime(conversation.lastMessage.createdAt)
                         : "New"}
@@ -0,0 +1,120 @@
+/**
+ * CreateGroupModal Component
+ * --------------------------
+ * Modal dialog for creating a new group conversation.
+ *
+ * Exports:
+ *   - CreateGroupModal: Renders the group name input, member picker, and actions.
+ *
+ * Props:
+ *   - onClose (function): Called when the modal should close (cancel, backdrop click, or success).
+ *
+ * State:
+ *   - name (string): The group name being typed.
+ *   - selectedIds (array): IDs of the users selected as members.
+ *
+ * Hooks:
+ *   - useUserStore: Provides the list of users to pick from.
+ *   - useGroupActions: Provides `createGroup` and the request loading state.
+ *   - useAuthContext: Used to exclude the current user from the picker.
+ *
+ * Behavior:
+ *   - The creator is added automatically and becomes the group's admin (server-side).
+ *   - Submitting requires a non-empty name and at least one selected member.
+ *   - On success the new group is selected and the modal closes.
+ *
+ * Usage:
+ *   - Mounted by `SidebarHeader` only while open:
+ *       {isCreateOpen && <CreateGroupModal onClose={() => setIsCreateOpen(false)} />}
+ */
+
+import { useState, useCallback } from "react";
+import MemberPicker from "./MemberPicker";
+import { useUserStore } from "../../../hooks/conversation/useUserStore";
+import { useGroupActions } from "../../../hooks/conversation/useGroupActions";
+import { useAuthContext } from "../../../store/AuthContext";
+
+const CreateGroupModal = ({ onClose }) => {
+    const [name, setName] = useState("");
+    const [selectedIds, setSelectedIds] = useState([]);
+
+    const { users, loading: usersLoading } = useUserStore();
+    const { createGroup, loading } = useGroupActions();
+    const { authUser } = useAuthContext();
+
+    const toggleUser = useCallback((userId) => {
+        setSelectedIds((prev) =>
+            prev.includes(userId)
+                ? prev.filter((id) => id !== userId)
+                : [...prev, userId]
+        );
+    }, []);
+
+    const canSubmit = name.trim() && selectedIds.length > 0 && !loading;
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!canSubmit) return;
+
+        const group = await createGroup(name.trim(), selectedIds);
+        if (group) onClose();
+    };
+
+    return (
+        <div className="modal modal-open" role="dialog">
+            <form
+                onSubmit={handleSubmit}
+                className="modal-box bg-white/10 backdrop-blur-md border border-white/20 text-white space-y-4"
+            >
+                <h3 className="text-lg font-semibold">New group</h3>
+                <input
+                    type="text"
+                    placeholder="Group name"
+                    value={name}
+                    maxLength={60}
+                    onChange={(e) => setName(e.target.value)}
+                    className="input input-bordered w-full bg-white/10 border-white/20 text-white placeholder-white/50 focus:border-white/40 focus:outline-none"
+                    autoFocus
+                />
+                {usersLoading ? (
+                    <div className="flex justify-center p-4">
+                        <span className="loading loading-spinner loading-md text-white/60"></span>
+                    </div>
+                ) : (
+                    <MemberPicker
+                        users={users}
+                        selectedIds={selectedIds}
+                        onToggle={toggleUser}
+                        excludeIds={[authUser?.id]}
+                    />
+                )}
+                <p className="text-white/60 text-xs">
+                    {selectedIds.length} selected
+                </p>
+                <div className="modal-action">
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="btn btn-sm bg-white/10 border-white/20 text-white hover:bg-white/20"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        type="submit"
+                        disabled={!canSubmit}
+                        className="btn btn-sm bg-white/20 border-white/20 text-white hover:bg-white/30"
+                    >
+                        {loading ? (
+                            <span className="loading loading-spinner loading-xs"></span>
+                        ) : (
+                            "Create"
+                        )}
+                    </button>
+                </div>
+            </form>
+            <div className="modal-backdrop" onClick={onClose}></div>
+        </div>
+    );
+};
+
+export default CreateGroupModal;
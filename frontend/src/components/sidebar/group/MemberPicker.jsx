@@ -0,0 +1,102 @@
+/**
+ * MemberPicker Component
+ * ----------------------
+ * Searchable, multi-select list of users for building or extending a group.
+ *
+ * Exports:
+ *   - MemberPicker: Renders a search input and a checkbox list of users.
+ *
+ * Props:
+ *   - users (array): Candidate users (`_id`, `fullName`, `username`, `profilePicture`).
+ *   - selectedIds (array): IDs of the currently selected users.
+ *   - onToggle (function): Called with a user ID when its checkbox is toggled.
+ *   - excludeIds (array): IDs that should never be listed (e.g. current user, existing members).
+ *
+ * State:
+ *   - query (string): The current search term, matched against full name and username.
+ *
+ * Usage:
+ *   - Used by `CreateGroupModal` and `GroupInfoModal`:
+ *       <MemberPicker
+ *           users={users}
+ *           selectedIds={selectedIds}
+ *           onToggle={toggleUser}
+ *           excludeIds={[authUser.id]}
+ *       />
+ */
+
+import { useMemo, useState } from "react";
+
+const MemberPicker = ({
+    users = [],
+    selectedIds = [],
+    onToggle,
+    excludeIds = [],
+}) => {
+    const [query, setQuery] = useState("");
+
+    const candidates = useMemo(() => {
+        const term = query.trim().toLowerCase();
+        return users.filter((user) => {
+            if (excludeIds.includes(user._id)) return false;
+            if (!term) return true;
+            return (
+                user.fullName?.toLowerCase().includes(term) ||
+                user.username?.toLowerCase().includes(term)
+            );
+        });
+    }, [users, query, excludeIds]);
+
+    return (
+        <div className="space-y-2">
+            <input
+                type="text"
+                placeholder="Search people..."
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                className="input input-bordered input-sm w-full bg-white/10 border-white/20 text-white placeholder-white/50 focus:border-white/40 focus:outline-none"
+            />
+            <ul className="max-h-56 overflow-auto space-y-1">
+                {candidates.length === 0 && (
+                    <li className="text-white/60 text-sm p-2">
+                        No people found
+                    </li>
+                )}
+                {candidates.map((user) => (
+                    <li key={user._id}>
+                        <label className="flex items-center gap-3 p-2 rounded-lg cursor-pointer hover:bg-white/10">
+                            <input
+                                type="checkbox"
+                                className="checkbox checkbox-sm"
+                                checked={selectedIds.includes(user._id)}
+                                onChange={() => onToggle(user._id)}
+                            />
+                            <div className="avatar">
+                                <div className="w-8 rounded-full bg-white/10">
+                                    <img
+                                        src={
+                                            user.profilePicture ||
+                                            `https://robohash.org/user${user._id}.png`
+                                        }
+                                        alt={`${user.fullName}'s avatar`}
+                                        loading="lazy"
+                                    />
+                                </div>
+                            </div>
+                            <div className="min-w-0">
+                                <p className="text-white text-sm truncate">
+                                    {user.fullName}
+                                </p>
+                                <p className="text-white/60 text-xs truncate">
+                                    @{user.username}
+                                </p>
+                            </div>
+                        </label>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+export default MemberPicker;
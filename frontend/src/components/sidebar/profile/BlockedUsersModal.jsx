@@ -0,0 +1,115 @@
+/**
+ * BlockedUsersModal Component
+ * ---------------------------
+ * Modal dialog listing the users the logged-in user blocked.
+ *
+ * Exports:
+ *   - BlockedUsersModal: Renders the block list with an "Unblock" button per user.
+ *
+ * Props:
+ *   - onClose (function): Called when the modal should close (close button or backdrop click).
+ *
+ * Hooks:
+ *   - useBlockedUsers: Provides the blocked users, `unblockUser` and loading state.
+ *
+ * Behavior:
+ *   - Users are blocked from the chat header menu of a direct conversation (`ConversationMenu`).
+ *   - Unblocking takes effect immediately: the user is back in the user list and presence, and
+ *     messages can be sent both ways again.
+ *
+ * Usage:
+ *   - Mounted by `SidebarFooter` only while open:
+ *       {isBlockedUsersOpen && <BlockedUsersModal onClose={closeBlockedUsers} />}
+ */
+
+import { useBlockedUsers } from "../../../hooks/profile/useBlockedUsers";
+
+const BlockedUsersModal = ({ onClose }) => {
+    const { blockedUsers, loading, pendingId, unblockUser } = useBlockedUsers();
+
+    const renderBody = () => {
+        if (loading && blockedUsers.length === 0) {
+            return (
+                <div className="flex justify-center py-6">
+                    <span className="loading loading-spinner loading-md"></span>
+                </div>
+            );
+        }
+
+        if (blockedUsers.length === 0) {
+            return (
+                <p className="text-white/70 text-sm">
+                    You haven't blocked anyone. To block someone, open your
+                    conversation with them and use the menu in the header.
+                </p>
+            );
+        }
+
+        return (
+            <ul className="space-y-2 max-h-80 overflow-y-auto">
+                {blockedUsers.map((user) => (
+                    <li
+                        key={user._id}
+                        className="flex items-center gap-3 rounded-lg bg-white/5 border border-white/10 p-3"
+                    >
+                        <div className="avatar">
+                            <div className="w-8 rounded-full bg-white/10">
+                                <img
+                                    src={
+                                        user.profilePicture ||
+                                        `https://robohash.org/${user.username}.png`
+                                    }
+                                    alt={`${user.fullName}'s avatar`}
+                                    loading="lazy"
+                                />
+                            </div>
+                        </div>
+                        <div className="flex-1 min-w-0">
+                            <p className="font-medium truncate">
+                                {user.fullName}
+                            </p>
+                            <p className="text-white/60 text-xs truncate">
+                                @{user.username}
+                            </p>
+                        </div>
+                        <button
+                            type="button"
+                            onClick={() => unblockUser(user._id)}
+                            disabled={pendingId !== null}
+                            className="btn btn-xs bg-white/10 border-white/20 text-white hover:bg-white/20"
+                        >
+                            {pendingId === user._id ? (
+                                <span className="loading loading-spinner loading-xs"></span>
+                            ) : (
+                                "Unblock"
+                            )}
+                        </button>
+                    </li>
+                ))}
+            </ul>
+        );
+    };
+
+    return (
+        <div className="modal modal-open" role="dialog">
+            <div className="modal-box bg-white/10 backdrop-blur-md border border-white/20 text-white space-y-4">
+                <h3 className="text-lg font-semibold">Blocked users</h3>
+
+                {renderBody()}
+
+                <div className="modal-action">
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="btn btn-sm bg-white/10 border-white/20 text-white hover:bg-white/20"
+                    >
+                        Close
+                    </button>
+                </div>
+            </div>
+            <div className="modal-backdrop" onClick={onClose}></div>
+        </div>
+    );
+};
+
+export default BlockedUsersModal;
@@ -0,0 +1,219 @@
+/**
+ * ProfileModal Component
+ * ----------------------
+ * Modal dialog for editing the logged-in user's profile.
+ *
+ * Exports:
+ *   - ProfileModal: Renders the avatar controls and the profile form.
+ *
+ * Props:
+ *   - profile (object): The current user's profile (`_id`, `fullName`, `username`, `profilePicture`,
+ *     `bio`, `statusText`, `email`), as returned by `useCurrentUser`.
+ *   - onClose (function): Called when the modal should close (cancel, backdrop click, or after saving).
+ *
+ * State:
+ *   - fullName, statusText, bio, email (string): The form fields, initialized from `profile`.
+ *
+ * Hooks:
+ *   - useProfileActions: Provides `updateProfile`, `uploadAvatar`, `removeAvatar` and the loading state.
+ *
+ * Behavior:
+ *   - "Change photo" opens an image picker; the image is uploaded right away and the server crops
+ *     it to a square. The new avatar shows up through the `user:updated` event (via `profile`).
+ *   - "Remove" restores the default avatar; only offered for uploaded avatars.
+ *   - Saving sends only the fields that changed, and requires a non-empty full name.
+ *   - Length limits match the server: full name 50, status 80, bio 160 characters.
+ *   - The recovery email is private (never broadcast) and only used for password reset links;
+ *     clearing it removes it.
+ *
+ * Usage:
+ *   - Mounted by `SidebarFooter` only while open:
+ *       {isProfileOpen && <ProfileModal profile={currentUser} onClose={closeProfile} />}
+ */
+
+import { useRef, useState } from "react";
+import { useProfileActions } from "../../../hooks/profile/useProfileActions";
+
+const FULL_NAME_MAX = 50;
+const STATUS_MAX = 80;
+const BIO_MAX = 160;
+const EMAIL_MAX = 254;
+
+const inputClass =
+    "input input-bordered w-full bg-white/10 border-white/20 text-white placeholder-white/50 focus:border-white/40 focus:outline-none";
+
+const ProfileModal = ({ profile, onClose }) => {
+    const [fullName, setFullName] = useState(profile.fullName || "");
+    const [statusText, setStatusText] = useState(profile.statusText || "");
+    const [bio, setBio] = useState(profile.bio || "");
+    const [email, setEmail] = useState(profile.email || "");
+    const fileInputRef = useRef(null);
+
+    const { updateProfile, uploadAvatar, removeAvatar, loading } =
+        useProfileActions();
+
+    // Only uploaded avatars are served by the API; the rest are defaults
+    const hasUploadedAvatar = profile.profilePicture?.startsWith("/api/users/");
+    const avatarUrl =
+        profile.profilePicture ||
+        `https://robohash.org/${profile.username}.png`;
+
+    const changes = {};
+    if (fullName.trim() !== (profile.fullName || ""))
+        changes.fullName = fullName;
+    if (statusText.trim() !== (profile.statusText || ""))
+        changes.statusText = statusText;
+    if (bio.trim() !== (profile.bio || "")) changes.bio = bio;
+    if (email.trim().toLowerCase() !== (profile.email || ""))
+        changes.email = email;
+
+    const canSubmit =
+        fullName.trim() && Object.keys(changes).length > 0 && !loading;
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!canSubmit) return;
+
+        const updated = await updateProfile(changes);
+        if (updated) onClose();
+    };
+
+    const handleFileChange = (e) => {
+        const file = e.target.files?.[0];
+        if (file) uploadAvatar(file);
+        // Allow picking the same file again
+        e.target.value = "";
+    };
+
+    return (
+        <div className="modal modal-open" role="dialog">
+            <form
+                onSubmit={handleSubmit}
+                className="modal-box bg-white/10 backdrop-blur-md border border-white/20 text-white space-y-4"
+            >
+                <h3 className="text-lg font-semibold">Profile</h3>
+
+                <div className="flex items-center gap-4">
+                    <div className="avatar">
+                        <div className="w-20 rounded-full bg-white/10">
+                            <img
+                                src={avatarUrl}
+                                alt={`${profile.fullName || profile.username}'s avatar`}
+                            />
+                        </div>
+                    </div>
+                    <div className="space-y-2">
+                        <p className="text-white/60 text-sm">
+                            @{profile.username}
+                        </p>
+                        <div className="flex gap-2">
+                            <input
+                                ref={fileInputRef}
+                                type="file"
+                                accept="image/jpeg,image/png,image/gif,image/webp"
+                                className="hidden"
+                                onChange={handleFileChange}
+                            />
+                            <button
+                                type="button"
+                                onClick={() => fileInputRef.current?.click()}
+                                disabled={loading}
+                                className="btn btn-xs bg-white/10 border-white/20 text-white hover:bg-white/20"
+                            >
+                                Change photo
+                            </button>
+                            {hasUploadedAvatar && (
+                                <button
+                                    type="button"
+                                    onClick={removeAvatar}
+                                    disabled={loading}
+                                    className="btn btn-xs bg-red-500/20 border-red-400/30 text-white hover:bg-red-500/30"
+                                >
+                                    Remove
+                                </button>
+                            )}
+                        </div>
+                    </div>
+                </div>
+
+                <label className="block space-y-1">
+                    <span className="text-white/60 text-xs">Full name</span>
+                    <input
+                        type="text"
+                        value={fullName}
+                        maxLength={FULL_NAME_MAX}
+                        onChange={(e) => setFullName(e.target.value)}
+                        className={inputClass}
+                    />
+                </label>
+
+                <label className="block space-y-1">
+                    <span className="text-white/60 text-xs">Status</span>
+                    <input
+                        type="text"
+                        value={statusText}
+                        maxLength={STATUS_MAX}
+                        placeholder="What's up?"
+                        onChange={(e) => setStatusText(e.target.value)}
+                        className={inputClass}
+                    />
+                </label>
+
+                <label className="block space-y-1">
+                    <span className="flex justify-between text-white/60 text-xs">
+                        <span>Bio</span>
+                        <span>
+                            {bio.length}/{BIO_MAX}
+                        </span>
+                    </span>
+                    <textarea
+                        value={bio}
+                        maxLength={BIO_MAX}
+                        rows={3}
+                        placeholder="A few words about you"
+                        onChange={(e) => setBio(e.target.value)}
+                        className="textarea w-full bg-white/10 border-white/20 text-white placeholder-white/50 focus:border-white/40 focus:outline-none"
+                    />
+                </label>
+
+                <label className="block space-y-1">
+                    <span className="text-white/60 text-xs">
+                        Recovery email (private)
+                    </span>
+                    <input
+                        type="email"
+                        value={email}
+                        maxLength={EMAIL_MAX}
+                        placeholder="Used only for password reset links"
+                        onChange={(e) => setEmail(e.target.value)}
+                        className={inputClass}
+                    />
+                </label>
+
+                <div className="modal-action">
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="btn btn-sm bg-white/10 border-white/20 text-white hover:bg-white/20"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        type="submit"
+                        disabled={!canSubmit}
+                        className="btn btn-sm bg-white/20 border-white/20 text-white hover:bg-white/30"
+                    >
+                        {loading ? (
+                            <span className="loading loading-spinner loading-xs"></span>
+                        ) : (
+                            "Save"
+                        )}
+                    </button>
+                </div>
+            </form>
+            <div className="modal-backdrop" onClick={onClose}></div>
+        </div>
+    );
+};
+
+export default ProfileModal;
@@ -0,0 +1,118 @@
+/**
+ * SessionsModal Component
+ * -----------------------
+ * Modal dialog listing the devices (login sessions) of the logged-in user.
+ *
+ * Exports:
+ *   - SessionsModal: Renders the session list with per-device and "log out other devices" actions.
+ *
+ * Props:
+ *   - onClose (function): Called when the modal should close (close button or backdrop click).
+ *
+ * Hooks:
+ *   - useSessions: Provides the sessions, `revokeSession`, `revokeOtherSessions` and loading state.
+ *
+ * Behavior:
+ *   - Each row shows the device (derived from the user agent), IP address, last activity and login date.
+ *   - The current device is marked "This device" and has no log-out button (use Logout for it).
+ *   - Logging a device out takes effect immediately: its live connection is closed and its next
+ *     request is refused.
+ *
+ * Usage:
+ *   - Mounted by `SidebarFooter` only while open:
+ *       {isSessionsOpen && <SessionsModal onClose={closeSessions} />}
+ */
+
+import { useSessions } from "../../../hooks/auth/useSessions";
+import { describeUserAgent } from "../../../utils/deviceUtils";
+import { getRelativeTime, formatJoinDate } from "../../../utils/dateUtils";
+
+const SessionsModal = ({ onClose }) => {
+    const { sessions, loading, pendingId, revokeSession, revokeOtherSessions } =
+        useSessions();
+
+    const hasOtherSessions = sessions.some((session) => !session.current);
+
+    return (
+        <div className="modal modal-open" role="dialog">
+            <div className="modal-box bg-white/10 backdrop-blur-md border border-white/20 text-white space-y-4">
+                <h3 className="text-lg font-semibold">Devices</h3>
+
+                {loading && sessions.length === 0 ? (
+                    <div className="flex justify-center py-6">
+                        <span className="loading loading-spinner loading-md"></span>
+                    </div>
+                ) : (
+                    <ul className="space-y-2 max-h-80 overflow-y-auto">
+                        {sessions.map((session) => (
+                            <li
+                                key={session._id}
+                                className="flex items-center gap-3 rounded-lg bg-white/5 border border-white/10 p-3"
+                            >
+                                <div className="flex-1 min-w-0">
+                                    <p className="font-medium truncate">
+                                        {describeUserAgent(session.userAgent)}
+                                        {session.current && (
+                                            <span className="badge badge-sm ml-2 bg-green-500/20 border-green-400/30 text-green-200">
+                                                This device
+                                            </span>
+                                        )}
+                                    </p>
+                                    <p className="text-white/60 text-xs truncate">
+                                        {session.ip || "Unknown IP"} · Active{" "}
+                                        {getRelativeTime(session.lastActiveAt)}{" "}
+                                        · Since{" "}
+                                        {formatJoinDate(session.createdAt)}
+                                    </p>
+                                </div>
+                                {!session.current && (
+                                    <button
+                                        type="button"
+                                        onClick={() =>
+                                            revokeSession(session._id)
+                                        }
+                                        disabled={pendingId !== null}
+                                        className="btn btn-xs bg-red-500/20 border-red-400/30 text-white hover:bg-red-500/30"
+                                    >
+                                        {pendingId === session._id ? (
+                                            <span className="loading loading-spinner loading-xs"></span>
+                                        ) : (
+                                            "Log out"
+                                        )}
+                                    </button>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+
+                <div className="modal-action">
+                    {hasOtherSessions && (
+                        <button
+                            type="button"
+                            onClick={revokeOtherSessions}
+                            disabled={pendingId !== null}
+                            className="btn btn-sm bg-red-500/20 border-red-400/30 text-white hover:bg-red-500/30"
+                        >
+                            {pendingId === "others" ? (
+                                <span className="loading loading-spinner loading-xs"></span>
+                            ) : (
+                                "Log out other devices"
+                            )}
+                        </button>
+                    )}
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="btn btn-sm bg-white/10 border-white/20 text-white hover:bg-white/20"
+                    >
+                        Close
+                    </button>
+                </div>
+            </div>
+            <div className="modal-backdrop" onClick={onClose}></div>
+        </div>
+    );
+};
+
+export default SessionsModal;
@@ -0,0 +1,270 @@
+/**
+ * TwoFactorModal Component
+ * ------------------------
+ * Modal dialog for enrolling in and managing two-factor authentication (authenticator app codes).
+ *
+ * Exports:
+ *   - TwoFactorModal: Renders the 2FA status and the action for the current step.
+ *
+ * Props:
+ *   - onClose (function): Called when the modal should close (close button or backdrop click).
+ *
+ * Hooks:
+ *   - useTwoFactor: Provides the status, pending enrollment, fresh recovery codes and actions.
+ *
+ * Behavior:
+ *   - Disabled: explains 2FA and offers "Set up". Setup shows a QR code (and the secret for manual
+ *     entry); entering the first code from the app turns 2FA on.
+ *   - Right after enabling (or generating new codes) the recovery codes are listed with a copy button.
+ *     They are not shown again, so the user confirms with "I saved them".
+ *   - Enabled: shows how many recovery codes are left, generates new ones with a current code, and
+ *     turns 2FA off with the password plus an authenticator or recovery code.
+ *
+ * Usage:
+ *   - Mounted by `SidebarFooter` only while open:
+ *       {isTwoFactorOpen && <TwoFactorModal onClose={closeTwoFactor} />}
+ */
+
+import { useState } from "react";
+import { useTwoFactor } from "../../../hooks/auth/useTwoFactor";
+import { showToast } from "../../../utils/toastConfig";
+
+const inputClass =
+    "input input-bordered w-full bg-white/10 border-white/20 text-white placeholder-white/50 focus:border-white/40 focus:outline-none";
+const buttonClass =
+    "btn btn-sm bg-white/10 border-white/20 text-white hover:bg-white/20";
+const dangerButtonClass =
+    "btn btn-sm bg-red-500/20 border-red-400/30 text-white hover:bg-red-500/30";
+
+const Spinner = () => (
+    <span className="loading loading-spinner loading-xs"></span>
+);
+
+const TwoFactorModal = ({ onClose }) => {
+    const {
+        status,
+        setup,
+        recoveryCodes,
+        loading,
+        pending,
+        startSetup,
+        enable,
+        regenerateRecoveryCodes,
+        disable,
+        dismissRecoveryCodes,
+    } = useTwoFactor();
+    const [code, setCode] = useState("");
+    const [password, setPassword] = useState("");
+
+    // Every action needs a fresh code
+    const withReset = (action) => async () => {
+        if (await action()) {
+            setCode("");
+            setPassword("");
+        }
+    };
+
+    const copyRecoveryCodes = async () => {
+        try {
+            await navigator.clipboard.writeText(recoveryCodes.join("\n"));
+            showToast.success("Recovery codes copied");
+        } catch {
+            showToast.error("Could not copy, please write them down");
+        }
+    };
+
+    const codeInput = (placeholder) => (
+        <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            value={code}
+            maxLength={20}
+            placeholder={placeholder}
+            onChange={(e) => setCode(e.target.value)}
+            className={inputClass}
+        />
+    );
+
+    const renderBody = () => {
+        if (loading && !status) {
+            return (
+                <div className="flex justify-center py-6">
+                    <span className="loading loading-spinner loading-md"></span>
+                </div>
+            );
+        }
+
+        if (recoveryCodes) {
+            return (
+                <div className="space-y-3">
+                    <p className="text-white/70 text-sm">
+                        Save these recovery codes somewhere safe. Each one signs
+                        you in once if you lose your authenticator app. They
+                        will not be shown again.
+                    </p>
+                    <ul className="grid grid-cols-2 gap-2 font-mono text-sm">
+                        {recoveryCodes.map((recoveryCode) => (
+                            <li
+                                key={recoveryCode}
+                                className="rounded bg-white/5 border border-white/10 px-2 py-1 text-center"
+                            >
+                                {recoveryCode}
+                            </li>
+                        ))}
+                    </ul>
+                    <div className="flex justify-end gap-2">
+                        <button
+                            type="button"
+                            onClick={copyRecoveryCodes}
+                            className={buttonClass}
+                        >
+                            Copy
+                        </button>
+                        <button
+                            type="button"
+                            onClick={dismissRecoveryCodes}
+                            className="btn btn-sm bg-green-500/20 border-green-400/30 text-white hover:bg-green-500/30"
+                        >
+                            I saved them
+                        </button>
+                    </div>
+                </div>
+            );
+        }
+
+        if (setup) {
+            return (
+                <div className="space-y-3">
+                    <p className="text-white/70 text-sm">
+                        Scan this QR code with your authenticator app, then
+                        enter the 6-digit code it shows.
+                    </p>
+                    <img
+                        src={setup.qrCode}
+                        alt="Two-factor QR code"
+                        className="mx-auto w-44 h-44 rounded-lg bg-white p-1"
+                    />
+                    <p className="text-white/60 text-xs text-center break-all">
+                        Can't scan it? Enter this key:{" "}
+                        <span className="font-mono text-white">
+                            {setup.secret}
+                        </span>
+                    </p>
+                    {codeInput("123456")}
+                    <div className="flex justify-end">
+                        <button
+                            type="button"
+                            onClick={withReset(() => enable(code))}
+                            disabled={pending !== null || !code.trim()}
+                            className="btn btn-sm bg-green-500/20 border-green-400/30 text-white hover:bg-green-500/30"
+                        >
+                            {pending === "enable" ? <Spinner /> : "Enable"}
+                        </button>
+                    </div>
+                </div>
+            );
+        }
+
+        if (!status?.enabled) {
+            return (
+                <div className="space-y-3">
+                    <p className="text-white/70 text-sm">
+                        Protect your account with a second step at login: a code
+                        from an authenticator app such as Google Authenticator,
+                        1Password or Authy.
+                    </p>
+                    <div className="flex justify-end">
+                        <button
+                            type="button"
+                            onClick={startSetup}
+                            disabled={pending !== null}
+                            className={buttonClass}
+                        >
+                            {pending === "setup" ? <Spinner /> : "Set up"}
+                        </button>
+                    </div>
+                </div>
+            );
+        }
+
+        return (
+            <div className="space-y-3">
+                <p className="text-sm">
+                    <span className="badge badge-sm mr-2 bg-green-500/20 border-green-400/30 text-green-200">
+                        Enabled
+                    </span>
+                    <span className="text-white/70">
+                        {status.recoveryCodesLeft} recovery code
+                        {status.recoveryCodesLeft === 1 ? "" : "s"} left
+                    </span>
+                </p>
+                <label className="block space-y-1">
+                    <span className="text-white/60 text-xs">
+                        Authenticator or recovery code
+                    </span>
+                    {codeInput("123456")}
+                </label>
+                <label className="block space-y-1">
+                    <span className="text-white/60 text-xs">
+                        Password (to turn two-factor off)
+                    </span>
+                    <input
+                        type="password"
+                        value={password}
+                        autoComplete="current-password"
+                        onChange={(e) => setPassword(e.target.value)}
+                        className={inputClass}
+                    />
+                </label>
+                <div className="flex justify-end gap-2">
+                    <button
+                        type="button"
+                        onClick={withReset(() => regenerateRecoveryCodes(code))}
+                        disabled={pending !== null || !code.trim()}
+                        className={buttonClass}
+                    >
+                        {pending === "codes" ? (
+                            <Spinner />
+                        ) : (
+                            "New recovery codes"
+                        )}
+                    </button>
+                    <button
+                        type="button"
+                        onClick={withReset(() => disable({ password, code }))}
+                        disabled={pending !== null || !code.trim() || !password}
+                        className={dangerButtonClass}
+                    >
+                        {pending === "disable" ? <Spinner /> : "Turn off"}
+                    </button>
+                </div>
+            </div>
+        );
+    };
+
+    return (
+        <div className="modal modal-open" role="dialog">
+            <div className="modal-box bg-white/10 backdrop-blur-md border border-white/20 text-white space-y-4">
+                <h3 className="text-lg font-semibold">
+                    Two-factor authentication
+                </h3>
+
+                {renderBody()}
+
+                <div className="modal-action">
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className={buttonClass}
+                    >
+                        Close
+                    </button>
+                </div>
+            </div>
+            <div className="modal-backdrop" onClick={onClose}></div>
+        </div>
+    );
+};
+
+export default TwoFactorModal;
@@ -0,0 +1,146 @@
+/**
+ * MessageSearchResults Component
+ * ------------------------------
+ * "Messages" section of the sidebar search: full-text matches from every conversation of the user.
+ *
+ * Props:
+ *   - searchTerm (string): The sidebar search input (searched once it has at least 2 characters).
+ *   - conversations (array): The user's conversations, used to title each result.
+ *   - currentUserId (string): ID of the logged-in user ("You:" prefix on own messages).
+ *   - onSelectResult (function): Called with (conversation, messageId) when a result is clicked.
+ *
+ * Hooks:
+ *   - useMessageSearch: Debounced `GET /api/messages/search` with pagination.
+ *
+ * Layout:
+ *   - A "Messages" heading, then one row per match: conversation title, time, and the snippet with the
+ *     matched words highlighted (`<mark>`). Group results are prefixed with the sender's first name.
+ *   - A spinner while searching, "No messages found" when nothing matched, and a "Load more" button
+ *     while older matches exist.
+ *   - Renders nothing for terms shorter than 2 characters.
+ *
+ * Notes:
+ *   - Snippets are rendered as text; highlights are applied from the server's character ranges,
+ *     never by injecting HTML.
+ *   - Matches from conversations that are not in the list (e.g. not loaded yet) are skipped.
+ *
+ * Usage:
+ *   <MessageSearchResults
+ *       searchTerm={searchTerm}
+ *       conversations={conversations}
+ *       currentUserId={authUser?.id}
+ *       onSelectResult={handleOpenSearchResult}
+ *   />
+ */
+
+import { memo, useMemo } from "react";
+import { formatMessageTime } from "../../../utils/dateUtils";
+import HighlightedText from "../../messageContainer/HighlightedText";
+import { useMessageSearch } from "../../../hooks/messages/useMessageSearch";
+
+const MessageSearchResults = memo(
+    ({
+        searchTerm = "",
+        conversations = [],
+        currentUserId,
+        onSelectResult,
+    }) => {
+        const { results, isLoading, hasMore, loadMore } =
+            useMessageSearch(searchTerm);
+
+        const conversationsById = useMemo(
+            () => new Map(conversations.map((c) => [c._id, c])),
+            [conversations]
+        );
+
+        if (searchTerm.trim().length < 2) return null;
+
+        const visibleResults = results.filter((result) =>
+            conversationsById.has(result.conversationId)
+        );
+
+        const describe = (result) => {
+            const conversation = conversationsById.get(result.conversationId);
+            const participants = conversation.participants || [];
+            const sender = participants.find((p) => p._id === result.senderId);
+            const otherUser =
+                participants.find((p) => p._id !== currentUserId) ||
+                participants[0];
+
+            let prefix = "";
+            if (result.senderId === currentUserId) prefix = "You: ";
+            else if (conversation.isGroup && sender)
+                prefix = `${sender.fullName?.split(" ")[0]}: `;
+
+            return {
+                conversation,
+                title: conversation.isGroup
+                    ? conversation.name
+                    : otherUser?.fullName,
+                prefix,
+            };
+        };
+
+        return (
+            <div className="flex flex-col gap-1 p-2 border-t border-white/10">
+                <div className="text-xs text-white/60 px-2 pb-2">Messages:</div>
+
+                {visibleResults.map((result) => {
+                    const { conversation, title, prefix } = describe(result);
+                    return (
+                        <button
+                            key={result._id}
+                            type="button"
+                            onClick={() =>
+                                onSelectResult(conversation, result._id)
+                            }
+                            className="flex flex-col gap-0.5 p-2 rounded-lg text-left hover:bg-white/10 transition-all duration-150"
+                        >
+                            <span className="flex items-center justify-between gap-2">
+                                <span className="font-medium text-sm text-white/90 truncate">
+                                    {title}
+                                </span>
+                                <span className="text-xs text-white/50 shrink-0">
+                                    {formatMessageTime(result.createdAt)}
+                                </span>
+                            </span>
+                            <span className="text-sm text-white/60 line-clamp-2 [overflow-wrap:anywhere]">
+                                {prefix}
+                                <HighlightedText
+                                    text={result.snippet?.text || ""}
+                                    highlights={result.snippet?.highlights}
+                                />
+                            </span>
+                        </button>
+                    );
+                })}
+
+                {isLoading && (
+                    <div className="flex justify-center py-2">
+                        <span className="loading loading-spinner loading-sm text-white/60"></span>
+                    </div>
+                )}
+
+                {!isLoading && visibleResults.length === 0 && (
+                    <div className="text-center text-white/50 text-sm py-4">
+                        No messages found
+                    </div>
+                )}
+
+                {!isLoading && hasMore && (
+                    <button
+                        type="button"
+                        onClick={loadMore}
+                        className="btn btn-ghost btn-sm text-white/70"
+                    >
+                        Load more
+                    </button>
+                )}
+            </div>
+        );
+    }
+);
+
+MessageSearchResults.displayName = "MessageSearchResults";
+
+export default MessageSearchResults;
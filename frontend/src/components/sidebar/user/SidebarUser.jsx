@@ -12,7 +12,6 @@
  *       - fullName (string): The user's full name.
  *       - username (string): The user's username.
  *       - profilePicture (string): The URL to the user's profile picture.
- *       - isOnline (boolean): Indicates whether the user is currently online.
  *       - createdAt (string): The timestamp of when the user joined.
  *   - isSelected (boolean): Indicates whether the user is currently selected.
  *
@@ -23,7 +22,7 @@
  *
  * Layout:
  *   - Avatar:
- *       - Displays the user's profile picture with an online indicator.
+ *       - Displays the user's profile picture with a presence dot (see `ConversationAvatar`).
  *   - User Info:
  *       - Name: Displays the user's full name with truncation if necessary.
  *       - Username: Displays the user's username prefixed with "@".
@@ -76,15 +75,15 @@ const SidebarUser = memo(({ user, isSelected = false }) => {
         ? formatJoinDate(user.createdAt)
         : "New user";
 
-    // Check if the user is online
-    const isUserOnline = useOnlineStatus(user?._id);
+    // The user's presence
+    const { status: userStatus } = useOnlineStatus(user?._id);
 
     return (
         <div className={containerClass} onClick={onClickUser}>
             <ConversationAvatar
                 user={user}
                 isSelected={isSelected}
-                isOnline={isUserOnline}
+                status={userStatus}
             />
             <div className="flex-1 min-w-0">
                 <h3
@@ -103,7 +102,7 @@ const SidebarUser = memo(({ user, isSelected = false }) => {
             <div className="flex flex-col items-end min-w-[50px] text-right">
                 <span className={timeClass}>{joinDate}</span>
                 {/* <span className="text-xs text-white/40">
-                    {isUserOnline ? "Online" : "No chat"}
+                    {userStatus !== "offline" ? "Online" : "No chat"}
                 </span> */}
             </div>
         </div>
@@ -0,0 +1,70 @@
+/**
+ * useChangePassword Hook
+ * ----------------------
+ * Custom hook for changing the logged-in user's password.
+ *
+ * Purpose:
+ *   - Sends the current and new password to the server and reports the outcome.
+ *
+ * State:
+ *   - `loading` (boolean): Indicates whether the request is in progress.
+ *
+ * Functions:
+ *   - `handleChangePassword({ currentPassword, newPassword, confirmPassword })`:
+ *       - Sends a POST request to `/api/auth/change-password`.
+ *       - Shows a loading toast while the request is in progress, then a success or error toast.
+ *
+ * Returns:
+ *   - `handleChangePassword` (function): Resolves to `{ success, errorMessage }`.
+ *   - `loading` (boolean): Indicates whether the request is in progress.
+ *
+ * Behavior:
+ *   - Other devices are logged out by the server (their sessions are revoked); this session keeps
+ *     working with the fresh cookie the server sets.
+ *   - A wrong current password resolves to `{ success: false, errorMessage: "Current password is incorrect" }`.
+ *
+ * Example Usage:
+ *   - Used in the `ChangePassword` page:
+ *       const { loading, handleChangePassword } = useChangePassword();
+ *       const result = await handleChangePassword(inputs);
+ */
+
+import { useState } from "react";
+import { showToast, dismissToast } from "../../utils/toastConfig";
+import { apiRequest } from "../../utils/apiUtils";
+
+export const useChangePassword = () => {
+    const [loading, setLoading] = useState(false);
+
+    const handleChangePassword = async ({
+        currentPassword,
+        newPassword,
+        confirmPassword,
+    }) => {
+        setLoading(true);
+        const loadingToastId = showToast.loading("Changing password...");
+
+        try {
+            await apiRequest("/api/auth/change-password", "POST", {
+                currentPassword,
+                newPassword,
+                confirmPassword,
+            });
+
+            dismissToast(loadingToastId);
+            showToast.success(
+                "Password changed. Other devices were logged out."
+            );
+            return { success: true, errorMessage: null };
+        } catch (error) {
+            dismissToast(loadingToastId);
+            const message = error.message || "Could not change password";
+            showToast.error(message);
+            return { success: false, errorMessage: message };
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return { handleChangePassword, loading };
+};
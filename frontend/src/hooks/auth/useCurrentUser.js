@@ -20,6 +20,10 @@
  *       - Updates the `currentUser` state with the fetched data.
  *       - Manages the `loading` state during the fetch process.
  *       - Handles authentication errors by clearing local storage and resetting `authUser`.
+ *   - Socket listener:
+ *       - Listens for the `user:updated` event and merges it into `currentUser` when it is about the
+ *         current user (profile edits made in this or another tab/device).
+ *       - Inactive outside `SocketContextProvider` (the provider uses this hook to decide when to connect).
  *
  * Returns:
  *   - currentUser (object | null): The current authenticated user's profile data.
@@ -39,13 +43,17 @@
  *       return <p>{currentUser?.fullName}</p>;
  */
 
-import { useState, useEffect } from "react";
+import { useState, useEffect, useContext } from "react";
 import { useAuthContext } from "../../store/AuthContext";
+import { SocketContext } from "../../store/SocketContext";
+import { fetchWithRefresh } from "../../utils/apiUtils";
 
 export const useCurrentUser = () => {
     const [loading, setLoading] = useState(false);
     const [currentUser, setCurrentUser] = useState(null);
     const { authUser, setAuthUser } = useAuthContext();
+    // Read the context directly: `SocketContextProvider` itself uses this hook (no socket there)
+    const socket = useContext(SocketContext)?.socket;
 
     useEffect(() => {
         const fetchCurrentUser = async () => {
@@ -53,7 +61,7 @@ export const useCurrentUser = () => {
 
             setLoading(true);
             try {
-                const res = await fetch("/api/users/me");
+                const res = await fetchWithRefresh("/api/users/me");
 
                 // Handle authentication errors
                 if (res.status === 401 || res.status === 403) {
@@ -76,6 +84,21 @@ export const useCurrentUser = () => {
         fetchCurrentUser();
     }, [authUser, setAuthUser]);
 
+    // Keep the profile in sync with edits
+    useEffect(() => {
+        if (!socket || !authUser?.id) return;
+        const handleUserUpdated = (profile) => {
+            if (profile._id !== authUser.id) return;
+            setCurrentUser((current) =>
+                current ? { ...current, ...profile } : current
+            );
+        };
+        socket.on("user:updated", handleUserUpdated);
+        return () => {
+            socket.off("user:updated", handleUserUpdated);
+        };
+    }, [socket, authUser?.id]);
+
     return { currentUser, loading };
 };
 
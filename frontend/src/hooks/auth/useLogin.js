@@ -18,6 +18,12 @@
  *       - Displays a success toast on successful login.
  *       - Displays an error toast if the login fails.
  *       - Stores the user data in localStorage and updates the authentication context.
+ *       - For accounts with two-factor authentication the server answers with a challenge instead;
+ *         the function then returns `{ success: false, twoFactorRequired: true, challengeToken }`.
+ *   - `handleTwoFactorLogin({ challengeToken, code })`:
+ *       - Completes a challenged login via `/api/auth/login/2fa`. `code` is the 6-digit code from the
+ *         authenticator app, or a recovery code (anything else is sent as `recoveryCode`).
+ *       - Succeeds and fails like `handleLogin` (same toasts, same return shape, `retryAfter` included).
  *
  * Parameters:
  *   - `username` (string): The username entered by the user.
@@ -25,6 +31,7 @@
  *
  * Returns:
  *   - `handleLogin` (function): Function to initiate the login process.
+ *   - `handleTwoFactorLogin` (function): Function to complete a login with a two-factor code.
  *   - `loading` (boolean): Indicates whether the login request is in progress.
  *
  * Example Usage:
@@ -41,9 +48,11 @@
  *       - The user data is stored in localStorage.
  *       - The authentication context is updated with the logged-in user.
  *       - A success toast is displayed.
+ *   - After a recovery code, a toast tells how many are left.
  *   - If the login request fails:
  *       - An error toast is displayed with the failure message.
- *       - The function returns `{ success: false, errorMessage: <error message> }`.
+ *       - The function returns `{ success: false, errorMessage: <error message>, retryAfter }`, where
+ *         `retryAfter` is the number of seconds to wait after repeated failures (or `null`).
  */
 
 import { useState } from "react";
@@ -58,6 +67,26 @@ export const useLogin = () => {
     const [loading, setLoading] = useState(false);
     const { setAuthUser } = useAuthContext();
 
+    const completeLogin = (data) => {
+        const userToStore = {
+            id: data.user._id,
+            username: data.user.username,
+        };
+
+        setStorageItem("user", userToStore);
+        setAuthUser(userToStore);
+    };
+
+    const failLogin = (error) => {
+        const message = error.message || "Login failed";
+        showToast.error("Login failed with " + message);
+        return {
+            success: false,
+            errorMessage: message,
+            retryAfter: error.retryAfter || null,
+        };
+    };
+
     const handleLogin = async ({ username, password }) => {
         const isValid = await validateLoginInputs({ username, password });
 
@@ -77,13 +106,18 @@ export const useLogin = () => {
                 password,
             });
 
-            const userToStore = {
-                id: data.user._id,
-                username: data.user.username,
-            };
+            // The password was right; the code comes next
+            if (data.twoFactorRequired) {
+                dismissToast(loadingToastId);
+                return {
+                    success: false,
+                    errorMessage: null,
+                    twoFactorRequired: true,
+                    challengeToken: data.challengeToken,
+                };
+            }
 
-            setStorageItem("user", userToStore);
-            setAuthUser(userToStore);
+            completeLogin(data);
 
             // Dismiss loading toast and show success toast
             dismissToast(loadingToastId);
@@ -92,13 +126,43 @@ export const useLogin = () => {
         } catch (error) {
             // Dismiss loading toast and show error toast
             dismissToast(loadingToastId);
-            const message = error.message || "Login failed";
-            showToast.error("Login failed with " + message);
-            return { success: false, errorMessage: message };
+            return failLogin(error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleTwoFactorLogin = async ({ challengeToken, code }) => {
+        const value = code.replace(/\s+/g, "");
+        if (!value) return { success: false, errorMessage: null };
+
+        setLoading(true);
+        const loadingToastId = showToast.loading("Verifying code...");
+        try {
+            const data = await apiRequest("/api/auth/login/2fa", "POST", {
+                challengeToken,
+                ...(/^\d{6}$/.test(value)
+                    ? { code: value }
+                    : { recoveryCode: value }),
+            });
+
+            completeLogin(data);
+
+            dismissToast(loadingToastId);
+            showToast.success("Login successful!");
+            if (data.recoveryCodesLeft !== undefined) {
+                showToast.success(
+                    `Recovery code used, ${data.recoveryCodesLeft} left`
+                );
+            }
+            return { success: true, errorMessage: null };
+        } catch (error) {
+            dismissToast(loadingToastId);
+            return failLogin(error);
         } finally {
             setLoading(false);
         }
     };
 
-    return { handleLogin, loading };
+    return { handleLogin, handleTwoFactorLogin, loading };
 };
@@ -0,0 +1,85 @@
+/**
+ * usePasswordReset Hook
+ * ---------------------
+ * Custom hook for the "forgot password" flow of logged-out users.
+ *
+ * Purpose:
+ *   - Requests a reset link by username or recovery email.
+ *   - Sets a new password with the token from that link.
+ *
+ * State:
+ *   - `loading` (boolean): Indicates whether a request is in progress.
+ *
+ * Functions:
+ *   - `requestReset(identifier)`:
+ *       - Sends a POST request to `/api/auth/forgot-password`.
+ *       - The server answers the same way whether or not the account exists, so success only means
+ *         "the request was accepted".
+ *   - `resetPassword({ token, password, confirmPassword })`:
+ *       - Sends a POST request to `/api/auth/reset-password`. The link works once and expires.
+ *
+ * Returns:
+ *   - `requestReset`, `resetPassword` (functions): Resolve to `{ success, errorMessage }`.
+ *   - `loading` (boolean): Indicates whether a request is in progress.
+ *
+ * Example Usage:
+ *   - Used in the `ForgotPassword` and `ResetPassword` pages:
+ *       const { loading, requestReset } = usePasswordReset();
+ *       await requestReset("johndoe");
+ */
+
+import { useState, useCallback } from "react";
+import { showToast, dismissToast } from "../../utils/toastConfig";
+import { apiRequest } from "../../utils/apiUtils";
+
+export const usePasswordReset = () => {
+    const [loading, setLoading] = useState(false);
+
+    // Shared request wrapper: loading state + toasts
+    const run = useCallback(async (request, loadingMessage) => {
+        setLoading(true);
+        const loadingToastId = showToast.loading(loadingMessage);
+
+        try {
+            const data = await request();
+            dismissToast(loadingToastId);
+            showToast.success(data.message);
+            return { success: true, errorMessage: null };
+        } catch (error) {
+            dismissToast(loadingToastId);
+            const message = error.message || "Something went wrong";
+            showToast.error(message);
+            return { success: false, errorMessage: message };
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    const requestReset = useCallback(
+        (identifier) =>
+            run(
+                () =>
+                    apiRequest("/api/auth/forgot-password", "POST", {
+                        identifier: identifier.trim(),
+                    }),
+                "Sending reset link..."
+            ),
+        [run]
+    );
+
+    const resetPassword = useCallback(
+        ({ token, password, confirmPassword }) =>
+            run(
+                () =>
+                    apiRequest("/api/auth/reset-password", "POST", {
+                        token,
+                        password,
+                        confirmPassword,
+                    }),
+                "Resetting password..."
+            ),
+        [run]
+    );
+
+    return { requestReset, resetPassword, loading };
+};
@@ -0,0 +1,97 @@
+/**
+ * useSessions Hook
+ * ----------------
+ * Custom hook for listing and revoking the logged-in user's login sessions ("devices").
+ *
+ * Exports:
+ *   - useSessions: Provides the session list, revoke actions and loading state.
+ *
+ * State:
+ *   - sessions (array): The user's active sessions, most recently active first
+ *     (`_id`, `userAgent`, `ip`, `createdAt`, `lastActiveAt`, `current`).
+ *   - loading (boolean): Indicates whether the list is being fetched.
+ *   - pendingId (string | null): The session being revoked, or `"others"` while logging out other devices.
+ *
+ * Functions:
+ *   - fetchSessions():
+ *       - Loads the list via `GET /api/auth/sessions` (also called on mount).
+ *   - revokeSession(sessionId):
+ *       - Logs one device out via `DELETE /api/auth/sessions/:id`.
+ *   - revokeOtherSessions():
+ *       - Logs out every device except this one via `DELETE /api/auth/sessions`.
+ *
+ * Behavior:
+ *   - Revoked sessions are removed from the list locally; the server disconnects their sockets.
+ *   - Errors are surfaced with `showToast.error` using the server's message.
+ *
+ * Usage:
+ *   - Used by `SessionsModal`:
+ *       const { sessions, revokeSession, revokeOtherSessions } = useSessions();
+ */
+
+import { useState, useEffect, useCallback } from "react";
+import { apiRequest } from "../../utils/apiUtils";
+import { showToast } from "../../utils/toastConfig";
+
+export const useSessions = () => {
+    const [sessions, setSessions] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [pendingId, setPendingId] = useState(null);
+
+    const fetchSessions = useCallback(async () => {
+        setLoading(true);
+        try {
+            const data = await apiRequest("/api/auth/sessions", "GET");
+            setSessions(data);
+        } catch (error) {
+            console.error("Failed to fetch sessions:", error);
+            showToast.error(error.message || "Could not load devices");
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchSessions();
+    }, [fetchSessions]);
+
+    const revokeSession = useCallback(async (sessionId) => {
+        setPendingId(sessionId);
+        try {
+            const data = await apiRequest(
+                `/api/auth/sessions/${sessionId}`,
+                "DELETE"
+            );
+            setSessions((prev) => prev.filter((s) => s._id !== sessionId));
+            showToast.success(data.message);
+        } catch (error) {
+            console.error("Failed to revoke session:", error);
+            showToast.error(error.message || "Could not log out device");
+        } finally {
+            setPendingId(null);
+        }
+    }, []);
+
+    const revokeOtherSessions = useCallback(async () => {
+        setPendingId("others");
+        try {
+            const data = await apiRequest("/api/auth/sessions", "DELETE");
+            setSessions((prev) => prev.filter((s) => s.current));
+            showToast.success(data.message);
+        } catch (error) {
+            console.error("Failed to revoke other sessions:", error);
+            showToast.error(error.message || "Could not log out devices");
+        } finally {
+            setPendingId(null);
+        }
+    }, []);
+
+    return {
+        sessions,
+        loading,
+        pendingId,
+        fetchSessions,
+        revokeSession,
+        revokeOtherSessions,
+    };
+};
@@ -0,0 +1,156 @@
+/**
+ * useTwoFactor Hook
+ * -----------------
+ * Custom hook for managing the logged-in user's two-factor authentication (TOTP).
+ *
+ * Exports:
+ *   - useTwoFactor: Provides the 2FA status, enrollment and management actions.
+ *
+ * State:
+ *   - status ({ enabled, recoveryCodesLeft } | null): The current state, `null` until loaded.
+ *   - setup ({ secret, otpauthUri, qrCode } | null): The pending enrollment started by `startSetup`.
+ *   - recoveryCodes (string[] | null): Recovery codes just issued by `enable` or
+ *     `regenerateRecoveryCodes`. They are only ever shown this once.
+ *   - loading (boolean): Indicates whether the status is being fetched.
+ *   - pending (string | null): The action in progress ("setup", "enable", "codes" or "disable").
+ *
+ * Functions:
+ *   - fetchStatus(): Loads the status via `GET /api/auth/2fa` (also called on mount).
+ *   - startSetup(): Gets a new secret and QR code via `POST /api/auth/2fa/setup`.
+ *   - enable(code): Confirms the enrollment with a code from the app via `POST /api/auth/2fa/enable`.
+ *   - regenerateRecoveryCodes(code): Replaces the recovery codes via `POST /api/auth/2fa/recovery-codes`.
+ *   - disable({ password, code }): Turns 2FA off via `POST /api/auth/2fa/disable`; `code` may be an
+ *     authenticator code or a recovery code.
+ *   - dismissRecoveryCodes(): Forgets the codes once the user has saved them.
+ *
+ * Behavior:
+ *   - Actions resolve to `true` on success. Errors are surfaced with `showToast.error` using the
+ *     server's message.
+ *
+ * Usage:
+ *   - Used by `TwoFactorModal`:
+ *       const { status, setup, startSetup, enable } = useTwoFactor();
+ */
+
+import { useState, useEffect, useCallback } from "react";
+import { apiRequest } from "../../utils/apiUtils";
+import { showToast } from "../../utils/toastConfig";
+
+// Recovery codes look like "4f9k-2xq7-m3d8"; authenticator codes are six digits
+const isRecoveryCode = (code) => !/^\d{6}$/.test(code.replace(/\s+/g, ""));
+
+export const useTwoFactor = () => {
+    const [status, setStatus] = useState(null);
+    const [setup, setSetup] = useState(null);
+    const [recoveryCodes, setRecoveryCodes] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [pending, setPending] = useState(null);
+
+    const fetchStatus = useCallback(async () => {
+        setLoading(true);
+        try {
+            setStatus(await apiRequest("/api/auth/2fa", "GET"));
+        } catch (error) {
+            console.error("Failed to fetch two-factor status:", error);
+            showToast.error(
+                error.message || "Could not load two-factor settings"
+            );
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchStatus();
+    }, [fetchStatus]);
+
+    // Shared action wrapper: pending state + error toast
+    const run = useCallback(async (action, request) => {
+        setPending(action);
+        try {
+            await request();
+            return true;
+        } catch (error) {
+            console.error(`Two-factor ${action} failed:`, error);
+            showToast.error(error.message || "Something went wrong");
+            return false;
+        } finally {
+            setPending(null);
+        }
+    }, []);
+
+    const startSetup = useCallback(
+        () =>
+            run("setup", async () => {
+                setSetup(await apiRequest("/api/auth/2fa/setup", "POST"));
+            }),
+        [run]
+    );
+
+    const enable = useCallback(
+        (code) =>
+            run("enable", async () => {
+                const data = await apiRequest("/api/auth/2fa/enable", "POST", {
+                    code: code.trim(),
+                });
+                setSetup(null);
+                setRecoveryCodes(data.recoveryCodes);
+                setStatus({
+                    enabled: true,
+                    recoveryCodesLeft: data.recoveryCodes.length,
+                });
+                showToast.success(data.message);
+            }),
+        [run]
+    );
+
+    const regenerateRecoveryCodes = useCallback(
+        (code) =>
+            run("codes", async () => {
+                const data = await apiRequest(
+                    "/api/auth/2fa/recovery-codes",
+                    "POST",
+                    { code: code.trim() }
+                );
+                setRecoveryCodes(data.recoveryCodes);
+                setStatus({
+                    enabled: true,
+                    recoveryCodesLeft: data.recoveryCodes.length,
+                });
+                showToast.success(data.message);
+            }),
+        [run]
+    );
+
+    const disable = useCallback(
+        ({ password, code }) =>
+            run("disable", async () => {
+                const value = code.trim();
+                const data = await apiRequest("/api/auth/2fa/disable", "POST", {
+                    password,
+                    ...(isRecoveryCode(value)
+                        ? { recoveryCode: value }
+                        : { code: value }),
+                });
+                setStatus({ enabled: false, recoveryCodesLeft: 0 });
+                showToast.success(data.message);
+            }),
+        [run]
+    );
+
+    const dismissRecoveryCodes = useCallback(() => setRecoveryCodes(null), []);
+
+    return {
+        status,
+        setup,
+        recoveryCodes,
+        loading,
+        pending,
+        fetchStatus,
+        startSetup,
+        enable,
+        regenerateRecoveryCodes,
+        disable,
+        dismissRecoveryCodes,
+    };
+};
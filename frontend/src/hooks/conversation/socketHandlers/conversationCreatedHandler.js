@@ -24,7 +24,7 @@
  *   - Checks if the conversation already exists in the `conversationsRef`.
  *       - If it exists, the function exits early.
  *   - Merges the new conversation with its `lastMessage` field, ensuring consistent structure.
- *   - If a temporary conversation is selected:
+ *   - If a temporary conversation is selected (direct conversations only; groups are never temporary):
  *       - Checks if the new conversation contains the target user from the temporary selection.
  *       - Replaces the temporary conversation with the real conversation.
  *       - Updates the participants list if necessary.
@@ -85,6 +85,7 @@ export const createConversationCreatedHandler = ({
         };
 
         const temporarySelection =
+            !conversation.isGroup &&
             currentSelected?._id?.startsWith("temp_") &&
             currentSelected.participants?.[0];
 
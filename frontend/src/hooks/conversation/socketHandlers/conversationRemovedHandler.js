@@ -0,0 +1,57 @@
+/**
+ * createConversationRemovedHandler
+ * --------------------------------
+ * Factory function to create a handler for the `conversation:removed` Socket.IO event.
+ *
+ * Purpose:
+ *   - Handles the current user losing access to a conversation in real-time
+ *     (removed from a group, left a group from another tab, or the group was deleted).
+ *   - Removes the conversation from the list of conversations.
+ *   - Clears the selection and messages if the removed conversation is currently open.
+ *
+ * Parameters:
+ *   @param {Object} options - Configuration options for the handler.
+ *       - conversationsRef (React.Ref): A ref to the current list of conversations.
+ *       - selectedConversationRef (React.Ref): A ref to the currently selected conversation.
+ *       - setConversations (Function): Function to update the `conversations` state.
+ *       - setSelectedConversation (Function): Function to update the selected conversation.
+ *       - setMessages (Function): Function to update the `messages` state.
+ *
+ * Returns:
+ *   - {Function}: A handler function for the `conversation:removed` event.
+ *
+ * Example Usage:
+ *   - Used in `useConversationSocketListeners`:
+ *       const handleConversationRemoved = createConversationRemovedHandler({
+ *           conversationsRef,
+ *           selectedConversationRef,
+ *           setConversations,
+ *           setSelectedConversation,
+ *           setMessages,
+ *       });
+ *       socket.on("conversation:removed", handleConversationRemoved);
+ *
+ * Example Event Payload:
+ *   - _id (string): The ID of the conversation that is no longer accessible.
+ */
+
+export const createConversationRemovedHandler = ({
+    conversationsRef,
+    selectedConversationRef,
+    setConversations,
+    setSelectedConversation,
+    setMessages,
+}) => {
+    return ({ _id }) => {
+        setConversations(
+            (conversationsRef.current || []).filter(
+                (conversation) => conversation._id !== _id
+            )
+        );
+
+        if (selectedConversationRef.current?._id === _id) {
+            setSelectedConversation(null);
+            setMessages([]);
+        }
+    };
+};
@@ -7,12 +7,15 @@
  *   - Handles updates to conversations in real-time.
  *   - Updates the `lastMessage` and `unreadCount` fields for the corresponding conversation.
  *   - Ensures the `unreadCount` is reset to `0` for the currently selected conversation.
+ *   - Merges group metadata (`name`, `participants`, `admins`) and the user's mute (`mutedUntil`) when
+ *     present in the patch.
  *
  * Parameters:
  *   @param {Object} options - Configuration options for the handler.
  *       - conversationsRef (React.Ref): A ref to the current list of conversations.
  *       - selectedConversationRef (React.Ref): A ref to the currently selected conversation.
  *       - setConversations (Function): Function to update the `conversations` state.
+ *       - setSelectedConversation (Function): Function to update the selected conversation.
  *
  * Returns:
  *   - {Function}: A handler function for the `conversation:updated` event.
@@ -23,6 +26,9 @@
  *   - Updates the `unreadCount` field:
  *       - Sets it to `0` if the conversation is currently selected.
  *       - Otherwise, sets it to the value provided in the `patch`.
+ *   - Copies `name`, `participants`, `admins` and `mutedUntil` from the patch when provided (group changes,
+ *     mute / unmute; `mutedUntil: null` clears a mute).
+ *   - Applies the same metadata to the selected conversation so the header stays in sync.
  *   - Leaves other conversations unchanged.
  *
  * Example Usage:
@@ -31,6 +37,7 @@
  *           conversationsRef,
  *           selectedConversationRef,
  *           setConversations,
+ *           setSelectedConversation,
  *       });
  *       socket.on("conversation:updated", handleConversationUpdated);
  *
@@ -41,6 +48,10 @@
  *           - content (string): The content of the last message.
  *           - message (string): Alternative content field for the last message.
  *       - unreadCount (number): The updated unread message count for the conversation.
+ *       - name (string): The updated group name (group conversations only).
+ *       - participants (array): The updated group members (group conversations only).
+ *       - admins (array): The updated group admin IDs (group conversations only).
+ *       - mutedUntil (string | null): End of the user's mute, `null` when unmuted.
  *
  * Security Notes:
  *   - Assumes the server emits only valid and authorized updates.
@@ -51,8 +62,21 @@ export const createConversationUpdatedHandler = ({
     conversationsRef,
     selectedConversationRef,
     setConversations,
+    setSelectedConversation,
 }) => {
     return (patch) => {
+        // Metadata changes (rename, membership, admins, mute)
+        const metaFields = {};
+        ["name", "participants", "admins", "mutedUntil"].forEach((key) => {
+            if (patch[key] !== undefined) metaFields[key] = patch[key];
+        });
+        const hasMetaFields = Object.keys(metaFields).length > 0;
+
+        const currentSelected = selectedConversationRef.current;
+        if (hasMetaFields && currentSelected?._id === patch._id) {
+            setSelectedConversation({ ...currentSelected, ...metaFields });
+        }
+
         setConversations(
             (conversationsRef.current || []).map((conversation) => {
                 if (conversation._id !== patch._id) return conversation;
@@ -62,6 +86,7 @@ export const createConversationUpdatedHandler = ({
 
                 return {
                     ...conversation,
+                    ...metaFields,
                     lastMessage: patch.lastMessage
                         ? {
                               ...patch.lastMessage,
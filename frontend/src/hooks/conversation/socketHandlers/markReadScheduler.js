@@ -46,6 +46,8 @@
  *   - Relies on the server to enforce proper access control for the `/api/conversations/:id/read` endpoint.
  */
 
+import { fetchWithRefresh } from "../../../utils/apiUtils";
+
 export const createMarkAsReadScheduler = ({
     markReadTimersRef,
     conversationsRef,
@@ -68,10 +70,13 @@ export const createMarkAsReadScheduler = ({
             );
 
             try {
-                await fetch(`/api/conversations/${conversationId}/read`, {
-                    method: "POST",
-                    headers: { "Content-Type": "application/json" },
-                });
+                await fetchWithRefresh(
+                    `/api/conversations/${conversationId}/read`,
+                    {
+                        method: "POST",
+                        headers: { "Content-Type": "application/json" },
+                    }
+                );
             } catch {
                 /* ignore network errors; socket patches will reconcile */
             } finally {
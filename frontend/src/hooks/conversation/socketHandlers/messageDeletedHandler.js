@@ -0,0 +1,89 @@
+/**
+ * createMessageDeletedHandler
+ * ---------------------------
+ * Factory function to create a handler for the `message:deleted` Socket.IO event.
+ *
+ * Purpose:
+ *   - Applies message deletions (from any tab, device or participant) to the loaded messages in real-time.
+ *
+ * Parameters:
+ *   @param {Object} options - Configuration options for the handler.
+ *       - messagesRef (React.Ref): A ref to the current list of messages.
+ *       - selectedConversationRef (React.Ref): A ref to the currently selected conversation.
+ *       - setMessages (Function): Function to update the `messages` state.
+ *
+ * Returns:
+ *   - {Function}: A handler function for the `message:deleted` event.
+ *
+ * Handler Behavior:
+ *   - Ignores deletions for conversations that are not currently open (the sidebar preview and
+ *     unread count are updated separately through `conversation:updated`).
+ *   - mode "me": Removes the message from the list (only the user's own sessions receive this).
+ *   - mode "everyone": Replaces the message with a tombstone (`isDeleted: true`, empty content, no edit history or reactions).
+ *     Loaded replies to it get their quote marked as deleted too.
+ *
+ * Example Usage:
+ *   - Used in `useConversationSocketListeners`:
+ *       const handleMessageDeleted = createMessageDeletedHandler({
+ *           messagesRef,
+ *           selectedConversationRef,
+ *           setMessages,
+ *       });
+ *       socket.on("message:deleted", handleMessageDeleted);
+ *
+ * Example Event Payload:
+ *   - conversationId: The ID of the conversation the message belongs to.
+ *   - messageId: The ID of the deleted message.
+ *   - mode: "me" or "everyone".
+ */
+
+export const createMessageDeletedHandler = ({
+    messagesRef,
+    selectedConversationRef,
+    setMessages,
+}) => {
+    return ({ conversationId, messageId, mode }) => {
+        if (selectedConversationRef.current?._id !== conversationId) return;
+
+        const existingMessages = messagesRef.current || [];
+
+        if (mode === "me") {
+            if (!existingMessages.some((item) => item.id === messageId)) return;
+            setMessages(
+                existingMessages.filter((item) => item.id !== messageId)
+            );
+            return;
+        }
+
+        const isAffected = (item) =>
+            item.id === messageId || item.replyTo?._id === messageId;
+        if (!existingMessages.some(isAffected)) return;
+
+        setMessages(
+            existingMessages.map((item) => {
+                if (item.id === messageId) {
+                    return {
+                        ...item,
+                        content: "",
+                        isDeleted: true,
+                        editedAt: null,
+                        edits: [],
+                        reactions: [],
+                        replyTo: null,
+                    };
+                }
+                if (item.replyTo?._id === messageId) {
+                    return {
+                        ...item,
+                        replyTo: {
+                            ...item.replyTo,
+                            content: "",
+                            isDeleted: true,
+                        },
+                    };
+                }
+                return item;
+            })
+        );
+    };
+};
@@ -0,0 +1,75 @@
+/**
+ * createMessageEditedHandler
+ * --------------------------
+ * Factory function to create a handler for the `message:edited` Socket.IO event.
+ *
+ * Purpose:
+ *   - Applies edits made by the sender (in any tab or device) to the loaded messages in real-time.
+ *
+ * Parameters:
+ *   @param {Object} options - Configuration options for the handler.
+ *       - messagesRef (React.Ref): A ref to the current list of messages.
+ *       - selectedConversationRef (React.Ref): A ref to the currently selected conversation.
+ *       - setMessages (Function): Function to update the `messages` state.
+ *
+ * Returns:
+ *   - {Function}: A handler function for the `message:edited` event.
+ *
+ * Handler Behavior:
+ *   - Ignores edits for conversations that are not currently open (their messages are not loaded;
+ *     the sidebar preview is updated separately through `conversation:updated`).
+ *   - Replaces `content`, `editedAt`, and `edits` of the matching message, if it is loaded.
+ *   - Updates the quote of loaded replies to the edited message.
+ *
+ * Example Usage:
+ *   - Used in `useConversationSocketListeners`:
+ *       const handleMessageEdited = createMessageEditedHandler({
+ *           messagesRef,
+ *           selectedConversationRef,
+ *           setMessages,
+ *       });
+ *       socket.on("message:edited", handleMessageEdited);
+ *
+ * Example Event Payload:
+ *   - conversationId: The ID of the conversation the message belongs to.
+ *   - message: The edited message containing:
+ *       - id: The message ID.
+ *       - content: The new text.
+ *       - editedAt: When the edit happened.
+ *       - edits: Prior versions ({ message, createdAt }), oldest first.
+ */
+
+export const createMessageEditedHandler = ({
+    messagesRef,
+    selectedConversationRef,
+    setMessages,
+}) => {
+    return ({ conversationId, message }) => {
+        if (selectedConversationRef.current?._id !== conversationId) return;
+
+        const existingMessages = messagesRef.current || [];
+        const isAffected = (item) =>
+            item.id === message.id || item.replyTo?._id === message.id;
+        if (!existingMessages.some(isAffected)) return;
+
+        setMessages(
+            existingMessages.map((item) => {
+                if (item.id === message.id) {
+                    return {
+                        ...item,
+                        content: message.content,
+                        editedAt: message.editedAt,
+                        edits: message.edits || [],
+                    };
+                }
+                if (item.replyTo?._id === message.id) {
+                    return {
+                        ...item,
+                        replyTo: { ...item.replyTo, content: message.content },
+                    };
+                }
+                return item;
+            })
+        );
+    };
+};
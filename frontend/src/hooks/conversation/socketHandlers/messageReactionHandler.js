@@ -0,0 +1,56 @@
+/**
+ * createMessageReactionHandler
+ * ----------------------------
+ * Factory function to create a handler for the `message:reaction` Socket.IO event.
+ *
+ * Purpose:
+ *   - Keeps the reactions of loaded messages in sync when any participant reacts (or takes a reaction back).
+ *
+ * Parameters:
+ *   @param {Object} options - Configuration options for the handler.
+ *       - messagesRef (React.Ref): A ref to the current list of messages.
+ *       - selectedConversationRef (React.Ref): A ref to the currently selected conversation.
+ *       - setMessages (Function): Function to update the `messages` state.
+ *
+ * Returns:
+ *   - {Function}: A handler function for the `message:reaction` event.
+ *
+ * Handler Behavior:
+ *   - Ignores reactions for conversations that are not currently open, or messages that are not loaded.
+ *   - Replaces the message's `reactions` with the payload (the server always sends the full list).
+ *
+ * Example Usage:
+ *   - Used in `useConversationSocketListeners`:
+ *       const handleMessageReaction = createMessageReactionHandler({
+ *           messagesRef,
+ *           selectedConversationRef,
+ *           setMessages,
+ *       });
+ *       socket.on("message:reaction", handleMessageReaction);
+ *
+ * Example Event Payload:
+ *   - conversationId: The ID of the conversation the message belongs to.
+ *   - messageId: The ID of the message.
+ *   - reactions: The message's reactions, grouped by emoji: [{ emoji, users: [userId, ...] }].
+ */
+
+export const createMessageReactionHandler = ({
+    messagesRef,
+    selectedConversationRef,
+    setMessages,
+}) => {
+    return ({ conversationId, messageId, reactions }) => {
+        if (selectedConversationRef.current?._id !== conversationId) return;
+
+        const existingMessages = messagesRef.current || [];
+        if (!existingMessages.some((item) => item.id === messageId)) return;
+
+        setMessages(
+            existingMessages.map((item) =>
+                item.id === messageId
+                    ? { ...item, reactions: reactions || [] }
+                    : item
+            )
+        );
+    };
+};
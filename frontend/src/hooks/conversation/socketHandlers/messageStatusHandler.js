@@ -0,0 +1,76 @@
+/**
+ * createMessageStatusHandler
+ * --------------------------
+ * Factory function to create a handler for the `message:status` Socket.IO event.
+ *
+ * Purpose:
+ *   - Moves the current user's own messages from "sent" to "delivered" to "read" in real-time.
+ *
+ * Parameters:
+ *   @param {Object} options - Configuration options for the handler.
+ *       - messagesRef (React.Ref): A ref to the current list of messages.
+ *       - selectedConversationRef (React.Ref): A ref to the currently selected conversation.
+ *       - setMessages (Function): Function to update the `messages` state.
+ *
+ * Returns:
+ *   - {Function}: A handler function for the `message:status` event.
+ *
+ * Handler Behavior:
+ *   - Ignores updates for conversations that are not currently open (statuses are fetched with the messages).
+ *   - The payload carries watermarks rather than message IDs: every own message created at or before
+ *     `readUpTo` is read, and every one created at or before `deliveredUpTo` is delivered.
+ *   - Statuses never move backwards (e.g. when a new member joins a group), and the state is only
+ *     updated when at least one message actually changed.
+ *
+ * Example Usage:
+ *   - Used in `useConversationSocketListeners`:
+ *       const handleMessageStatus = createMessageStatusHandler({
+ *           messagesRef,
+ *           selectedConversationRef,
+ *           setMessages,
+ *       });
+ *       socket.on("message:status", handleMessageStatus);
+ *
+ * Example Event Payload:
+ *   - conversationId: The ID of the conversation.
+ *   - deliveredUpTo: ISO time up to which the current user's messages reached the other participants (or null).
+ *   - readUpTo: ISO time up to which the other participants have read them (or null).
+ */
+
+const STATUS_RANK = { sent: 0, delivered: 1, read: 2 };
+
+export const createMessageStatusHandler = ({
+    messagesRef,
+    selectedConversationRef,
+    setMessages,
+}) => {
+    return ({ conversationId, deliveredUpTo, readUpTo }) => {
+        if (selectedConversationRef.current?._id !== conversationId) return;
+
+        const deliveredTime = deliveredUpTo
+            ? new Date(deliveredUpTo).getTime()
+            : -Infinity;
+        const readTime = readUpTo ? new Date(readUpTo).getTime() : -Infinity;
+
+        let changed = false;
+        const updatedMessages = (messagesRef.current || []).map((item) => {
+            if (!item.isSentByCurrentUser || item.isDeleted) return item;
+
+            const time = new Date(item.timestamp).getTime();
+            const status =
+                time <= readTime
+                    ? "read"
+                    : time <= deliveredTime
+                      ? "delivered"
+                      : "sent";
+
+            if (STATUS_RANK[status] <= STATUS_RANK[item.status || "sent"]) {
+                return item;
+            }
+            changed = true;
+            return { ...item, status };
+        });
+
+        if (changed) setMessages(updatedMessages);
+    };
+};
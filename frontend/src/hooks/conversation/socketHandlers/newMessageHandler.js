@@ -6,8 +6,9 @@
  * Purpose:
  *   - Handles incoming messages in real-time.
  *   - Updates the state of messages and conversations based on the received message.
- *   - Plays a notification sound for incoming messages in unselected conversations.
+ *   - Plays a notification sound for incoming messages in unselected conversations (unless muted).
  *   - Marks conversations as read if the message belongs to the currently selected conversation.
+ *   - Confirms the user's own queued message when the server echoes it back (see `utils/outbox.js`).
  *
  * Parameters:
  *   @param {Object} options - Configuration options for the handler.
@@ -25,13 +26,17 @@
  *
  * Handler Behavior:
  *   - Extracts the sender ID and determines if the message was sent by the current user.
+ *   - For the user's own messages, the outbox entry with the message's `clientMessageId` is removed,
+ *     so the pending copy is replaced by the real message.
  *   - If the message belongs to the currently selected conversation:
- *       - Appends the message to the `messages` state.
+ *       - Appends the message to the `messages` state, unless the send response already added it
+ *         (same `id` or `clientMessageId`).
  *       - Marks the message as "fresh" for a brief animation effect.
  *       - Schedules a mark-as-read request if the message is incoming.
  *   - If the message belongs to another conversation:
  *       - Updates the `lastMessage` and `unreadCount` for the corresponding conversation.
- *       - Plays a notification sound if the message is incoming and the conversation is not selected.
+ *       - Plays a notification sound if the message is incoming, the conversation is not selected and
+ *         it is not muted (`mutedUntil` in the future, see `utils/muteUtils.js`).
  *
  * Example Usage:
  *   - Used in `useConversationSocketListeners` to handle real-time message updates:
@@ -51,15 +56,27 @@
  *   - conversationId: The ID of the conversation the message belongs to.
  *   - message: The message object containing:
  *       - id: The unique ID of the message.
+ *       - clientMessageId: The ID the sending client generated for it (or null).
  *       - content: The text content of the message.
  *       - senderId: The ID of the user who sent the message.
  *       - createdAt: The timestamp when the message was created.
+ *       - editableUntil: When the server stops accepting edits of this message.
+ *       - attachments: Files attached to the message ({ _id, name, mimeType, size, url }).
+ *       - replyTo: Quote of the message it replies to ({ _id, senderId, content, isDeleted }) or null.
+ *       - status: Delivery state of the message for its sender ("sent", "delivered" or "read").
  *
  * Security Notes:
  *   - Assumes the server emits only valid and authorized messages.
  *   - Relies on the `authUser` object for determining the current user's identity.
  */
 
+import { isConversationMuted } from "../../../utils/muteUtils";
+import {
+    findEchoedEntry,
+    hasMessage,
+    removeFromOutbox,
+} from "../../../utils/outbox";
+
 export const createNewMessageHandler = ({
     authUser,
     messagesRef,
@@ -88,13 +105,29 @@ export const createNewMessageHandler = ({
 
         const isIncoming = !isSentByCurrentUser;
 
+        if (isSentByCurrentUser) {
+            const entry = findEchoedEntry(message);
+            if (entry) removeFromOutbox(entry.clientId);
+        }
+
         if (currentConversation?._id === conversationId) {
+            if (hasMessage(messagesRef.current || [], message)) return;
+
             const newMessage = {
                 id: message.id,
+                clientMessageId: message.clientMessageId || null,
                 content: message.content,
                 timestamp: message.createdAt,
+                senderId,
                 isSentByCurrentUser:
                     message.senderId?.toString() === authUser?.id,
+                editedAt: null,
+                edits: [],
+                editableUntil: message.editableUntil || null,
+                status: message.status || null,
+                attachments: message.attachments || [],
+                replyTo: message.replyTo || null,
+                reactions: [],
                 isFresh: true,
             };
 
@@ -118,8 +151,12 @@ export const createNewMessageHandler = ({
                 scheduleMarkAsRead(conversationId);
             }
         } else {
+            const conversation = (conversationsRef.current || []).find(
+                (c) => c._id === conversationId
+            );
             const shouldPlaySound =
                 isIncoming &&
+                !isConversationMuted(conversation) &&
                 (selectedConversationRef.current?._id !== conversationId ||
                     document.hidden ||
                     !document.hasFocus());
@@ -0,0 +1,40 @@
+/**
+ * createTypingHandler
+ * -------------------
+ * Factory function to create a handler for the `typing:start` or `typing:stop` Socket.IO event.
+ *
+ * Purpose:
+ *   - Keeps the `typingUsers` state in sync with what the other participants are doing, so
+ *     `ChatHeader` and the sidebar can show "typing…".
+ *
+ * Parameters:
+ *   @param {Object} options - Configuration options for the handler.
+ *       - setUserTyping (Function): Store action that adds/removes a user from a conversation's typing list.
+ *       - isTyping (boolean): `true` for `typing:start`, `false` for `typing:stop`.
+ *
+ * Returns:
+ *   - {Function}: A handler function for the event.
+ *
+ * Handler Behavior:
+ *   - Tracks typing for every conversation (not only the open one), so sidebar previews update too.
+ *   - The server relays these events only to the other participants and expires stale typing state
+ *     itself, emitting `typing:stop`, so no client-side timers are needed.
+ *
+ * Example Usage:
+ *   - Used in `useConversationSocketListeners`:
+ *       const handleTypingStart = createTypingHandler({ setUserTyping, isTyping: true });
+ *       const handleTypingStop = createTypingHandler({ setUserTyping, isTyping: false });
+ *       socket.on("typing:start", handleTypingStart);
+ *       socket.on("typing:stop", handleTypingStop);
+ *
+ * Example Event Payload:
+ *   - conversationId: The ID of the conversation.
+ *   - userId: The ID of the user who started/stopped typing.
+ */
+
+export const createTypingHandler = ({ setUserTyping, isTyping }) => {
+    return ({ conversationId, userId }) => {
+        if (!conversationId || !userId) return;
+        setUserTyping(conversationId.toString(), userId.toString(), isTyping);
+    };
+};
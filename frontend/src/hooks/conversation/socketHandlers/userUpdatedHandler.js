@@ -0,0 +1,75 @@
+/**
+ * createUserUpdatedHandler
+ * ------------------------
+ * Factory function to create a handler for the `user:updated` Socket.IO event.
+ *
+ * Purpose:
+ *   - Applies another user's (or the current user's) profile edits to every conversation they take part in,
+ *     so names, avatars and status lines refresh in the sidebar, chat header and message list.
+ *
+ * Parameters:
+ *   @param {Object} options - Configuration options for the handler.
+ *       - conversationsRef (React.Ref): A ref to the current list of conversations.
+ *       - selectedConversationRef (React.Ref): A ref to the currently selected conversation.
+ *       - setConversations (Function): Function to update the `conversations` state.
+ *       - setSelectedConversation (Function): Function to update the selected conversation.
+ *
+ * Returns:
+ *   - {Function}: A handler function for the `user:updated` event.
+ *
+ * Handler Behavior:
+ *   - Merges the profile into the matching participant of each conversation; conversations the user
+ *     is not part of keep their identity, so memoized rows do not re-render.
+ *   - Applies the same merge to the selected conversation.
+ *
+ * Example Usage:
+ *   - Used in `useConversationSocketListeners`:
+ *       const handleUserUpdated = createUserUpdatedHandler({
+ *           conversationsRef,
+ *           selectedConversationRef,
+ *           setConversations,
+ *           setSelectedConversation,
+ *       });
+ *       socket.on("user:updated", handleUserUpdated);
+ *
+ * Example Event Payload:
+ *   - _id (string): The ID of the user whose profile changed.
+ *   - fullName, username, profilePicture, bio, statusText (string): The new public profile.
+ */
+
+const withProfile = (conversation, profile) => {
+    if (!conversation?.participants?.some((p) => p._id === profile._id)) {
+        return conversation;
+    }
+    return {
+        ...conversation,
+        participants: conversation.participants.map((participant) =>
+            participant._id === profile._id
+                ? { ...participant, ...profile }
+                : participant
+        ),
+    };
+};
+
+export const createUserUpdatedHandler = ({
+    conversationsRef,
+    selectedConversationRef,
+    setConversations,
+    setSelectedConversation,
+}) => {
+    return (profile) => {
+        if (!profile?._id) return;
+
+        const currentSelected = selectedConversationRef.current;
+        const updatedSelected = withProfile(currentSelected, profile);
+        if (updatedSelected !== currentSelected) {
+            setSelectedConversation(updatedSelected);
+        }
+
+        setConversations(
+            (conversationsRef.current || []).map((conversation) =>
+                withProfile(conversation, profile)
+            )
+        );
+    };
+};
@@ -28,15 +28,15 @@
  *   - loading (boolean): Passes through the loading state from parameters.
  *
  * Behavior:
- *   - Filters conversations by matching participant names or usernames with the search term.
- *   - Filters users by excluding the current user and users already in conversations.
+ *   - Filters conversations by matching group names, participant names, or usernames with the search term.
+ *   - Filters users by excluding the current user and users already in direct conversations.
  *   - Sorts conversations by `lastMessage.createdAt` in descending order (newest first).
  *   - Limits the total number of results to 30 for better performance and usability.
  *   - Handles temporary conversations (IDs starting with "temp_") and marks them as selected if applicable.
  *
  * Helper Functions:
  *   - filterConversations:
- *       - Filters conversations based on participant names and usernames.
+ *       - Filters conversations based on group names, participant names, and usernames.
  *       - Excludes the current user from the participant list.
  *   - filterUsers:
  *       - Filters users by excluding the current user and users already in conversations.
@@ -100,9 +100,10 @@ export const useConversationFilter = (
             };
         }
 
-        // Create a set of IDs for users who already have conversations with the current user
+        // Create a set of IDs for users who already have direct conversations with the current user
         const usersInConversations = new Set();
         conversations.forEach((conv) => {
+            if (conv.isGroup) return;
             conv.participants.forEach((participant) => {
                 if (participant._id !== currentUserId) {
                     usersInConversations.add(participant._id);
@@ -110,7 +111,7 @@ export const useConversationFilter = (
             });
         });
 
-        // Filter conversations - match participant names/usernames
+        // Filter conversations - match group names or participant names/usernames
         const matchingConversations = filterConversations(
             conversations,
             trimmedSearch,
@@ -167,6 +168,10 @@ export const useConversationFilter = (
 // Helper function to filter conversations
 function filterConversations(conversations, searchTerm, currentUserId) {
     return conversations.filter((conv) => {
+        if (conv.isGroup && conv.name?.toLowerCase().includes(searchTerm)) {
+            return true;
+        }
+
         // Find the other participants (not the current user)
         const otherParticipants = conv.participants.filter(
             (p) => p._id !== currentUserId
@@ -20,6 +20,13 @@
  *   - `createNewMessageHandler`: Utility for handling new message events.
  *   - `createConversationUpdatedHandler`: Utility for handling conversation updates.
  *   - `createConversationCreatedHandler`: Utility for handling new conversation creation.
+ *   - `createConversationRemovedHandler`: Utility for handling loss of access to a conversation.
+ *   - `createMessageEditedHandler`: Utility for applying message edits.
+ *   - `createMessageDeletedHandler`: Utility for applying message deletions.
+ *   - `createMessageStatusHandler`: Utility for applying delivery/read receipts.
+ *   - `createMessageReactionHandler`: Utility for applying emoji reactions.
+ *   - `createTypingHandler`: Utility for tracking which participants are typing.
+ *   - `createUserUpdatedHandler`: Utility for applying profile edits to conversation participants.
  *
  * State:
  *   - `selectedConversation`: The currently selected conversation.
@@ -30,6 +37,7 @@
  *   - `setMessages(messages)`: Updates the `messages` state with the provided array.
  *   - `setConversations(conversations)`: Updates the `conversations` state with the provided array.
  *   - `setSelectedConversation(conversation)`: Updates the currently selected conversation.
+ *   - `setUserTyping(conversationId, userId, isTyping)`: Updates the `typingUsers` state.
  *
  * Real-Time Events:
  *   - `message:new`:
@@ -37,14 +45,36 @@
  *       - Appends the new message to the `messages` state if the conversation is currently selected.
  *       - Increments the `unreadCount` for other conversations.
  *       - Plays a notification sound for incoming messages in unselected conversations.
+ *   - `message:edited`:
+ *       - Triggered when a sender edits one of their messages.
+ *       - Updates the message text and edit history if it is loaded in the open conversation.
+ *   - `message:deleted`:
+ *       - Triggered when a message is deleted for the user ("me") or by its sender for everyone.
+ *       - Removes the message, or replaces it with a tombstone, if it is loaded in the open conversation.
+ *   - `message:status`:
+ *       - Triggered when the user's messages are delivered to, or read by, the other participants.
+ *       - Upgrades the tick marks of the user's own messages in the open conversation.
+ *   - `message:reaction`:
+ *       - Triggered when any participant adds or removes an emoji reaction.
+ *       - Replaces the message's reactions if it is loaded in the open conversation.
+ *   - `typing:start` / `typing:stop`:
+ *       - Triggered when another participant starts or stops (or times out) typing in any conversation.
+ *       - Adds/removes the user from `typingUsers`, which drives the "typing…" labels.
  *   - `conversation:updated`:
- *       - Triggered when a conversation's last message is updated.
+ *       - Triggered when a conversation's last message is updated, or a group is renamed or its members/admins change.
  *       - Updates the `lastMessage` field for the corresponding conversation in the `conversations` state.
+ *       - Merges group metadata into the conversation (and the selected conversation, if open).
  *       - Keeps `unreadCount` at 0 for the currently selected conversation.
  *   - `conversation:created`:
  *       - Triggered when a new conversation is created.
  *       - Adds the new conversation to the `conversations` state if it doesn't already exist.
  *       - Replaces temporary conversations with the real conversation if applicable.
+ *   - `conversation:removed`:
+ *       - Triggered when the user is removed from (or leaves) a group, or the group is deleted.
+ *       - Drops the conversation from the list and clears the selection if it was open.
+ *   - `user:updated`:
+ *       - Triggered when any user edits their profile (name, avatar, bio or status).
+ *       - Merges the new profile into that participant of every conversation, including the selected one.
  *
  * Behavior:
  *   - Uses refs (`messagesRef`, `selectedConversationRef`, `conversationsRef`) to avoid stale closures in event handlers.
@@ -75,6 +105,13 @@ import { createMarkAsReadScheduler } from "./socketHandlers/markReadScheduler.js
 import { createNewMessageHandler } from "./socketHandlers/newMessageHandler.js";
 import { createConversationUpdatedHandler } from "./socketHandlers/conversationUpdatedHandler.js";
 import { createConversationCreatedHandler } from "./socketHandlers/conversationCreatedHandler.js";
+import { createConversationRemovedHandler } from "./socketHandlers/conversationRemovedHandler.js";
+import { createMessageEditedHandler } from "./socketHandlers/messageEditedHandler.js";
+import { createMessageDeletedHandler } from "./socketHandlers/messageDeletedHandler.js";
+import { createMessageStatusHandler } from "./socketHandlers/messageStatusHandler.js";
+import { createMessageReactionHandler } from "./socketHandlers/messageReactionHandler.js";
+import { createTypingHandler } from "./socketHandlers/typingHandler.js";
+import { createUserUpdatedHandler } from "./socketHandlers/userUpdatedHandler.js";
 
 export const useConversationSocketListeners = () => {
     const {
@@ -84,6 +121,7 @@ export const useConversationSocketListeners = () => {
         conversations,
         setConversations,
         setSelectedConversation,
+        setUserTyping,
     } = useConversation();
 
     const { authUser } = useAuthContext();
@@ -126,10 +164,44 @@ export const useConversationSocketListeners = () => {
             scheduleMarkAsRead,
         });
 
+        const handleMessageEdited = createMessageEditedHandler({
+            messagesRef,
+            selectedConversationRef,
+            setMessages,
+        });
+
+        const handleMessageDeleted = createMessageDeletedHandler({
+            messagesRef,
+            selectedConversationRef,
+            setMessages,
+        });
+
+        const handleMessageStatus = createMessageStatusHandler({
+            messagesRef,
+            selectedConversationRef,
+            setMessages,
+        });
+
+        const handleMessageReaction = createMessageReactionHandler({
+            messagesRef,
+            selectedConversationRef,
+            setMessages,
+        });
+
+        const handleTypingStart = createTypingHandler({
+            setUserTyping,
+            isTyping: true,
+        });
+        const handleTypingStop = createTypingHandler({
+            setUserTyping,
+            isTyping: false,
+        });
+
         const handleConversationUpdated = createConversationUpdatedHandler({
             conversationsRef,
             selectedConversationRef,
             setConversations,
+            setSelectedConversation,
         });
 
         const handleConversationCreated = createConversationCreatedHandler({
@@ -140,14 +212,45 @@ export const useConversationSocketListeners = () => {
             setMessages,
         });
 
+        const handleConversationRemoved = createConversationRemovedHandler({
+            conversationsRef,
+            selectedConversationRef,
+            setConversations,
+            setSelectedConversation,
+            setMessages,
+        });
+
+        const handleUserUpdated = createUserUpdatedHandler({
+            conversationsRef,
+            selectedConversationRef,
+            setConversations,
+            setSelectedConversation,
+        });
+
         socket.on("message:new", handleNewMessage);
+        socket.on("message:edited", handleMessageEdited);
+        socket.on("message:deleted", handleMessageDeleted);
+        socket.on("message:status", handleMessageStatus);
+        socket.on("message:reaction", handleMessageReaction);
+        socket.on("typing:start", handleTypingStart);
+        socket.on("typing:stop", handleTypingStop);
         socket.on("conversation:updated", handleConversationUpdated);
         socket.on("conversation:created", handleConversationCreated);
+        socket.on("conversation:removed", handleConversationRemoved);
+        socket.on("user:updated", handleUserUpdated);
 
         return () => {
             socket.off("message:new", handleNewMessage);
+            socket.off("message:edited", handleMessageEdited);
+            socket.off("message:deleted", handleMessageDeleted);
+            socket.off("message:status", handleMessageStatus);
+            socket.off("message:reaction", handleMessageReaction);
+            socket.off("typing:start", handleTypingStart);
+            socket.off("typing:stop", handleTypingStop);
             socket.off("conversation:updated", handleConversationUpdated);
             socket.off("conversation:created", handleConversationCreated);
+            socket.off("conversation:removed", handleConversationRemoved);
+            socket.off("user:updated", handleUserUpdated);
 
             // Clear any pending timers
             markReadTimersRef.current.forEach((t) => clearTimeout(t));
@@ -37,7 +37,8 @@
  *       - Optimistically clears the unread badge for the conversation.
  *   - handleSelectUser(user):
  *       - Handles selecting a user to start a new conversation.
- *       - If a conversation already exists with the user, it selects the existing conversation.
+ *       - If a direct conversation already exists with the user, it selects the existing conversation.
+ *       - Group conversations are ignored when looking for an existing conversation.
  *       - If no conversation exists, it creates a temporary conversation for immediate UI feedback.
  *   - markConversationRead(conversationId):
  *       - Marks a conversation as read by sending a request to the server.
@@ -51,6 +52,7 @@
  *           - `message:new`: Appends a new message to the selected conversation.
  *           - `conversation:updated`: Updates the `lastMessage` field for a conversation.
  *           - `conversation:created`: Adds a new conversation to the list.
+ *           - `conversation:removed`: Removes a conversation the user can no longer access.
  *
  * Returns:
  *   - selectedConversation (object | null): The currently selected conversation object.
@@ -84,6 +86,7 @@
 import useConversation from "../../store/zustand/useConversation";
 import { useState, useCallback } from "react";
 import { showToast } from "../../utils/toastConfig";
+import { fetchWithRefresh } from "../../utils/apiUtils";
 import { useResponsiveBreakpoint } from "../ui/useResponsiveBreakpoint";
 import { useConversationsFetch } from "./useConversationsFetch";
 import { useConversationSocketListeners } from "./useConversationSocketListeners";
@@ -134,10 +137,13 @@ export const useConversationStore = () => {
             // Mark as read (ignore errors to keep UI snappy)
             if (conversation?._id && !conversation._id.startsWith("temp_")) {
                 try {
-                    await fetch(`/api/conversations/${conversation._id}/read`, {
-                        method: "POST",
-                        headers: { "Content-Type": "application/json" },
-                    });
+                    await fetchWithRefresh(
+                        `/api/conversations/${conversation._id}/read`,
+                        {
+                            method: "POST",
+                            headers: { "Content-Type": "application/json" },
+                        }
+                    );
                 } catch (err) {
                     // Intentionally ignore; remote state will reconcile via socket
                     console.debug(
@@ -167,8 +173,10 @@ export const useConversationStore = () => {
         async (user) => {
             setLoading(true);
             try {
-                const existing = conversations.find((conv) =>
-                    conv.participants.some((p) => p._id === user._id)
+                const existing = conversations.find(
+                    (conv) =>
+                        !conv.isGroup &&
+                        conv.participants.some((p) => p._id === user._id)
                 );
 
                 if (existing) {
@@ -211,10 +219,13 @@ export const useConversationStore = () => {
             );
 
             try {
-                await fetch(`/api/conversations/${conversationId}/read`, {
-                    method: "POST",
-                    headers: { "Content-Type": "application/json" },
-                });
+                await fetchWithRefresh(
+                    `/api/conversations/${conversationId}/read`,
+                    {
+                        method: "POST",
+                        headers: { "Content-Type": "application/json" },
+                    }
+                );
             } catch {
                 // ignore (socket/next server patch will reconcile)
             }
@@ -55,6 +55,7 @@
 
 import { useCallback, useEffect, useRef } from "react";
 import { showToast } from "../../utils/toastConfig";
+import { fetchWithRefresh } from "../../utils/apiUtils";
 import { useAuthContext } from "../../store/AuthContext";
 import useConversation from "../../store/zustand/useConversation";
 
@@ -90,18 +91,24 @@ export const useConversationsFetch = () => {
             // const res = await fetch("/api/conversations");
 
             // Add cache buster and disable cache to avoid stale data after browser reopen
-            let res = await fetch(`/api/conversations?t=${Date.now()}`, {
-                cache: "no-store",
-                headers: { "Cache-Control": "no-cache" },
-            });
+            let res = await fetchWithRefresh(
+                `/api/conversations?t=${Date.now()}`,
+                {
+                    cache: "no-store",
+                    headers: { "Cache-Control": "no-cache" },
+                }
+            );
 
             // If first attempt fails (e.g., cookie race), retry once quickly
             if (!res.ok) {
                 await new Promise((r) => setTimeout(r, 150));
-                res = await fetch(`/api/conversations?t=${Date.now()}`, {
-                    cache: "no-store",
-                    headers: { "Cache-Control": "no-cache" },
-                });
+                res = await fetchWithRefresh(
+                    `/api/conversations?t=${Date.now()}`,
+                    {
+                        cache: "no-store",
+                        headers: { "Cache-Control": "no-cache" },
+                    }
+                );
             }
 
             if (res.status === 401 || res.status === 403) {
@@ -0,0 +1,174 @@
+/**
+ * useGroupActions Hook
+ * --------------------
+ * Custom hook for creating and managing group conversations.
+ *
+ * Exports:
+ *   - useGroupActions: Provides group management actions and a shared loading state.
+ *
+ * State:
+ *   - loading (boolean): Indicates whether a group request is in progress.
+ *
+ * Context:
+ *   - conversations (array): The list of conversations, accessed via `useConversation`.
+ *   - setConversations (function): Updates the conversations list.
+ *   - setSelectedConversation (function): Selects the newly created group.
+ *   - setMessages (function): Clears messages when switching to the new group.
+ *
+ * Functions:
+ *   - createGroup(name, participantIds):
+ *       - Creates a group via `POST /api/conversations/group`.
+ *       - Adds it to the conversation list (unless the socket event already did) and selects it.
+ *   - renameGroup(conversationId, name):
+ *       - Renames a group via `PATCH /api/conversations/:id` (admins only).
+ *   - addMembers(conversationId, userIds):
+ *       - Adds members via `POST /api/conversations/:id/members` (admins only).
+ *   - removeMember(conversationId, userId):
+ *       - Removes a member via `DELETE /api/conversations/:id/members/:userId` (admins only).
+ *   - promoteAdmin(conversationId, userId):
+ *       - Promotes a member via `POST /api/conversations/:id/admins` (admins only).
+ *   - leaveGroup(conversationId):
+ *       - Leaves a group via `POST /api/conversations/:id/leave`.
+ *
+ * Behavior:
+ *   - Every action returns the response data on success, or `null` on failure.
+ *   - Errors are surfaced with `showToast.error` using the server's message.
+ *   - Group metadata updates (name, members, admins) and removals arrive through the
+ *     `conversation:updated` / `conversation:removed` socket events, so the actions
+ *     do not patch local state themselves (except for group creation).
+ *
+ * Usage:
+ *   - Used by `CreateGroupModal` and `GroupInfoModal`:
+ *       const { createGroup, loading } = useGroupActions();
+ *       const group = await createGroup("Weekend trip", [userId1, userId2]);
+ */
+
+import { useState, useCallback } from "react";
+import useConversation from "../../store/zustand/useConversation";
+import { apiRequest } from "../../utils/apiUtils";
+import { showToast } from "../../utils/toastConfig";
+
+export const useGroupActions = () => {
+    const [loading, setLoading] = useState(false);
+    const { setConversations, setSelectedConversation, setMessages } =
+        useConversation();
+
+    // Shared request wrapper: loading state + error toast
+    const run = useCallback(async (request, successMessage) => {
+        setLoading(true);
+        try {
+            const data = await request();
+            if (successMessage) showToast.success(successMessage);
+            return data;
+        } catch (error) {
+            console.error("Group action failed:", error);
+            showToast.error(error.message || "Something went wrong");
+            return null;
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    const createGroup = useCallback(
+        async (name, participantIds) => {
+            const data = await run(
+                () =>
+                    apiRequest("/api/conversations/group", "POST", {
+                        name,
+                        participantIds,
+                    }),
+                "Group created"
+            );
+            if (!data?.data) return null;
+
+            const group = data.data;
+            // Read the latest list: the socket event may have added it already
+            const current = useConversation.getState().conversations || [];
+            if (!current.some((c) => c._id === group._id)) {
+                setConversations([...current, group]);
+            }
+            setSelectedConversation(group);
+            setMessages([]);
+            return group;
+        },
+        [run, setConversations, setSelectedConversation, setMessages]
+    );
+
+    const renameGroup = useCallback(
+        (conversationId, name) =>
+            run(
+                () =>
+                    apiRequest(`/api/conversations/${conversationId}`, "PATCH", {
+                        name,
+                    }),
+                "Group renamed"
+            ),
+        [run]
+    );
+
+    const addMembers = useCallback(
+        (conversationId, userIds) =>
+            run(
+                () =>
+                    apiRequest(
+                        `/api/conversations/${conversationId}/members`,
+                        "POST",
+                        { userIds }
+                    ),
+                "Members added"
+            ),
+        [run]
+    );
+
+    const removeMember = useCallback(
+        (conversationId, userId) =>
+            run(
+                () =>
+                    apiRequest(
+                        `/api/conversations/${conversationId}/members/${userId}`,
+                        "DELETE"
+                    ),
+                "Member removed"
+            ),
+        [run]
+    );
+
+    const promoteAdmin = useCallback(
+        (conversationId, userId) =>
+            run(
+                () =>
+                    apiRequest(
+                        `/api/conversations/${conversationId}/admins`,
+                        "POST",
+                        { userId }
+                    ),
+                "Member promoted to admin"
+            ),
+        [run]
+    );
+
+    const leaveGroup = useCallback(
+        (conversationId) =>
+            run(
+                () =>
+                    apiRequest(
+                        `/api/conversations/${conversationId}/leave`,
+                        "POST"
+                    ),
+                "You left the group"
+            ),
+        [run]
+    );
+
+    return {
+        loading,
+        createGroup,
+        renameGroup,
+        addMembers,
+        removeMember,
+        promoteAdmin,
+        leaveGroup,
+    };
+};
+
+export default useGroupActions;
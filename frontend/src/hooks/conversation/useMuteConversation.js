@@ -0,0 +1,83 @@
+/**
+ * useMuteConversation Hook
+ * ------------------------
+ * Custom hook for muting and unmuting conversations.
+ *
+ * Exports:
+ *   - useMuteConversation: Provides the mute actions and a shared loading state.
+ *
+ * State:
+ *   - loading (boolean): Indicates whether a mute request is in progress.
+ *
+ * Functions:
+ *   - muteConversation(conversationId, hours):
+ *       - Mutes via `POST /api/conversations/:id/mute`; `hours: null` mutes until unmuted.
+ *   - unmuteConversation(conversationId):
+ *       - Unmutes via `DELETE /api/conversations/:id/mute`.
+ *
+ * Behavior:
+ *   - Every action returns the response data (`{ _id, mutedUntil }`) on success, or `null` on failure.
+ *   - Errors are surfaced with `showToast.error` using the server's message.
+ *   - The new `mutedUntil` arrives through the `conversation:updated` socket event (on every tab),
+ *     so the actions do not patch local state themselves.
+ *   - A muted conversation still receives messages and unread counts; `newMessageHandler` skips the
+ *     notification sound and `SidebarConversation` dims the unread badge.
+ *
+ * Usage:
+ *   - Used by `ConversationMenu`:
+ *       const { muteConversation, unmuteConversation, loading } = useMuteConversation();
+ *       await muteConversation(conversationId, 8);
+ */
+
+import { useState, useCallback } from "react";
+import { apiRequest } from "../../utils/apiUtils";
+import { showToast } from "../../utils/toastConfig";
+
+export const useMuteConversation = () => {
+    const [loading, setLoading] = useState(false);
+
+    // Shared request wrapper: loading state + error toast
+    const run = useCallback(async (request, successMessage) => {
+        setLoading(true);
+        try {
+            const data = await request();
+            if (successMessage) showToast.success(successMessage);
+            return data;
+        } catch (error) {
+            console.error("Mute action failed:", error);
+            showToast.error(error.message || "Something went wrong");
+            return null;
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    const muteConversation = useCallback(
+        (conversationId, hours) =>
+            run(
+                () =>
+                    apiRequest(
+                        `/api/conversations/${conversationId}/mute`,
+                        "POST",
+                        { hours }
+                    ),
+                "Conversation muted"
+            ),
+        [run]
+    );
+
+    const unmuteConversation = useCallback(
+        (conversationId) =>
+            run(
+                () =>
+                    apiRequest(
+                        `/api/conversations/${conversationId}/mute`,
+                        "DELETE"
+                    ),
+                "Conversation unmuted"
+            ),
+        [run]
+    );
+
+    return { muteConversation, unmuteConversation, loading };
+};
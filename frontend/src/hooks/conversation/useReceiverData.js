@@ -10,26 +10,35 @@
  *   - selectedConversation: The currently selected conversation, accessed via `useConversationStore`.
  *
  * Memoized Values:
+ *   - isGroup (boolean):
+ *       - Indicates whether the selected conversation is a group.
  *   - receiverData (object | null):
  *       - Extracts the receiver's data from the selected conversation.
  *       - Handles both temporary and regular conversations.
+ *       - Always `null` for group conversations (messages go to every member instead).
  *       - Returns the first participant if no specific receiver is found.
  *       - Structure:
  *           - _id (string): The receiver's unique ID.
  *           - fullName (string): The receiver's full name.
  *           - username (string): The receiver's username.
  *           - profilePicture (string): The URL of the receiver's profile picture.
- *           - isOnline (boolean): Indicates if the receiver is online.
+ *           - lastSeenAt (string | null): When the receiver was last online (see `useOnlineStatus`).
  *   - avatarUrl (string | null):
  *       - The avatar URL for the receiver.
  *       - Falls back to a generated RoboHash URL if no profile picture is available.
  *   - headerData (object | null):
  *       - Data for the `ChatHeader` component.
- *       - Structure:
+ *       - Structure (direct conversation):
  *           - name (string): The receiver's full name.
  *           - username (string): The receiver's username.
- *           - isOnline (boolean): Indicates if the receiver is online.
+ *           - statusText (string): The receiver's custom status text ("" when unset).
+ *           - lastSeenAt (string | null): When the receiver was last online.
  *           - _id (string): The receiver's unique ID.
+ *       - Structure (group conversation):
+ *           - name (string): The group name.
+ *           - isGroup (boolean): Always `true`.
+ *           - memberCount (number): The number of group members.
+ *           - _id (string): The conversation ID.
  *   - senderAvatarUrl (string):
  *       - The avatar URL for the current user (sender).
  *       - Generated using the current user's ID and RoboHash.
@@ -40,7 +49,7 @@
  *
  * Example:
  *   - Import and use the hook in a component:
- *       const { receiverData, avatarUrl, headerData, senderAvatarUrl } = useReceiverData();
+ *       const { receiverData, avatarUrl, headerData, senderAvatarUrl, isGroup } = useReceiverData();
  *
  *   - Access receiver data:
  *       console.log(receiverData.fullName); // Outputs the receiver's full name
@@ -55,10 +64,11 @@ import { useConversationStore } from "./useConversationStore";
 
 export const useReceiverData = () => {
     const { selectedConversation } = useConversationStore();
+    const isGroup = Boolean(selectedConversation?.isGroup);
 
     // Get receiver data from selected conversation
     const receiverData = useMemo(() => {
-        if (!selectedConversation) return null;
+        if (!selectedConversation || selectedConversation.isGroup) return null;
 
         // Handle temporary conversations (created when selecting a user)
         if (selectedConversation._id?.startsWith("temp_")) {
@@ -85,15 +95,25 @@ export const useReceiverData = () => {
 
     // Prepare header data for ChatHeader component
     const headerData = useMemo(() => {
+        if (selectedConversation?.isGroup) {
+            return {
+                name: selectedConversation.name,
+                isGroup: true,
+                memberCount: selectedConversation.participants?.length || 0,
+                _id: selectedConversation._id,
+            };
+        }
+
         if (!receiverData) return null;
 
         return {
             name: receiverData.fullName,
             username: receiverData.username,
-            isOnline: receiverData.isOnline || false,
+            statusText: receiverData.statusText || "",
+            lastSeenAt: receiverData.lastSeenAt || null,
             _id: receiverData._id,
         };
-    }, [receiverData]);
+    }, [receiverData, selectedConversation]);
 
     // Get sender avatar URL
     const senderAvatarUrl = useMemo(() => {
@@ -102,6 +122,7 @@ export const useReceiverData = () => {
     }, []);
 
     return {
+        isGroup,
         receiverData,
         avatarUrl,
         headerData,
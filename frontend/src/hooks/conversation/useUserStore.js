@@ -5,7 +5,7 @@
  *
  * Purpose:
  *   - Provides a centralized way to manage user data and loading state.
- *   - Automatically updates the user list when a new user is created via Socket.IO.
+ *   - Automatically updates the user list when a new user is created or edits their profile via Socket.IO.
  *
  * Exports:
  *   - useUserStore: Provides user data and loading state.
@@ -25,6 +25,8 @@
  *   - Socket listener:
  *       - Listens for the `user:created` event from the backend via Socket.IO.
  *       - Refetches users when a new user is created.
+ *       - Listens for the `user:updated` event and merges the new profile (name, avatar, status) into `users`.
+ *       - Refetches users on `blocks:updated`: the server leaves blocked users out of the list.
  *
  * Returns:
  *   - loading (boolean): Indicates whether the user data is being fetched.
@@ -58,6 +60,7 @@ import { useState, useEffect, useRef, useCallback } from "react";
 import { useSocketContext } from "../../store/SocketContext";
 import { useAuthContext } from "../../store/AuthContext";
 import { showToast, dismissToast } from "../../utils/toastConfig";
+import { fetchWithRefresh } from "../../utils/apiUtils";
 
 export const useUserStore = () => {
     const [loading, setLoading] = useState(false);
@@ -77,7 +80,7 @@ export const useUserStore = () => {
         }
 
         try {
-            const res = await fetch("/api/users");
+            const res = await fetchWithRefresh("/api/users");
             if (res.status === 401 || res.status === 403) {
                 localStorage.removeItem("user");
                 setAuthUser(null);
@@ -98,18 +101,36 @@ export const useUserStore = () => {
         }
     }, [setAuthUser]);
 
-    // Refetch users when a new user is created
+    // Refetch users when a new user is created or the block list changes
     useEffect(() => {
         if (!socket) return;
         const handleUserCreated = () => {
             fetchUsers();
         };
         socket.on("user:created", handleUserCreated);
+        socket.on("blocks:updated", handleUserCreated);
         return () => {
             socket.off("user:created", handleUserCreated);
+            socket.off("blocks:updated", handleUserCreated);
         };
     }, [socket, fetchUsers]);
 
+    // Apply profile edits (the current user is not in the list and is ignored)
+    useEffect(() => {
+        if (!socket) return;
+        const handleUserUpdated = (profile) => {
+            setUsers((current) =>
+                current.map((user) =>
+                    user._id === profile._id ? { ...user, ...profile } : user
+                )
+            );
+        };
+        socket.on("user:updated", handleUserUpdated);
+        return () => {
+            socket.off("user:updated", handleUserUpdated);
+        };
+    }, [socket]);
+
     useEffect(() => {
         fetchUsers();
     }, [fetchUsers]);
@@ -0,0 +1,158 @@
+/**
+ * useConversationSearch Hook
+ * --------------------------
+ * Custom hook for searching inside the open conversation and stepping through the matches.
+ *
+ * Parameters:
+ *   - conversationId (string | undefined): The selected conversation (temporary conversations are never searched).
+ *
+ * State:
+ *   - isOpen (boolean): Whether the search bar is shown.
+ *   - query (string): The search input.
+ *   - matchIds (string[]): IDs of the matching messages, newest first (at most 100).
+ *   - activeIndex (number): Position of the active match in `matchIds` (0 = newest).
+ *   - isLoading (boolean): Indicates whether matches are being fetched.
+ *
+ * Behavior:
+ *   - Debounces typing by 300ms, then fetches the newest 100 match IDs with a single
+ *     `GET /api/messages/search?q=&conversationId=&limit=100` request. Older matches are not paged in:
+ *     every request counts against the read rate limit, and 100 matches are more than anyone steps through.
+ *   - The newest match becomes active. Whenever the active match changes, a `pendingJump` is set in the
+ *     conversation store; `MessagesList` then loads older pages through `useMessages` until the
+ *     message is loaded, scrolls to it and highlights it. There is no separate message list for search.
+ *   - Switching conversations closes the search.
+ *
+ * Functions:
+ *   - open() / close(): Show or hide (and clear) the search bar.
+ *   - setQuery(value): Updates the search input.
+ *   - showOlder() / showNewer(): Move to the previous (older) or next (newer) match.
+ *
+ * Returns:
+ *   - { isOpen, open, close, query, setQuery, isLoading, total, isCapped, activeIndex, activeMatchId,
+ *       terms, showOlder, showNewer }
+ *   - total (number): Number of matches found; `isCapped` is `true` when there were more than 100.
+ *   - terms (string[]): Words to highlight in message bubbles (empty while no search is active).
+ *
+ * Usage:
+ *   const search = useConversationSearch(selectedConversation?._id);
+ *   <ChatHeader search={search} ... />
+ *   <MessagesList highlightTerms={search.terms} activeMatchId={search.activeMatchId} ... />
+ */
+
+import { useState, useEffect, useMemo, useCallback } from "react";
+import useConversation from "../../store/zustand/useConversation";
+import { apiRequest } from "../../utils/apiUtils";
+import { showToast } from "../../utils/toastConfig";
+import { parseSearchTerms } from "../../utils/searchUtils";
+
+const MIN_SEARCH_LENGTH = 2;
+const DEBOUNCE_MS = 300;
+const MAX_MATCHES = 100;
+
+export const useConversationSearch = (conversationId) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [query, setQuery] = useState("");
+    const [matchIds, setMatchIds] = useState([]);
+    const [activeIndex, setActiveIndex] = useState(0);
+    const [isLoading, setIsLoading] = useState(false);
+    const [isCapped, setIsCapped] = useState(false);
+    const { setPendingJump } = useConversation();
+
+    const trimmedQuery = query.trim();
+    const isSearchable =
+        isOpen &&
+        trimmedQuery.length >= MIN_SEARCH_LENGTH &&
+        Boolean(conversationId) &&
+        !conversationId.startsWith("temp_");
+
+    // Search belongs to the conversation it was opened in
+    useEffect(() => {
+        setIsOpen(false);
+        setQuery("");
+    }, [conversationId]);
+
+    // Fetch the newest match IDs for the current query
+    useEffect(() => {
+        setMatchIds([]);
+        setActiveIndex(0);
+        setIsCapped(false);
+        if (!isSearchable) {
+            setIsLoading(false);
+            return;
+        }
+
+        setIsLoading(true);
+        let cancelled = false;
+        const timer = setTimeout(async () => {
+            try {
+                const data = await apiRequest(
+                    `/api/messages/search?q=${encodeURIComponent(
+                        trimmedQuery
+                    )}&conversationId=${conversationId}&limit=${MAX_MATCHES}`,
+                    "GET"
+                );
+                if (cancelled) return;
+                setMatchIds((data.data || []).map((match) => match._id));
+                setIsCapped(Boolean(data.hasMore));
+            } catch (error) {
+                if (cancelled) return;
+                console.error("Error searching conversation:", error);
+                showToast.error(error.message || "Could not search messages");
+            } finally {
+                if (!cancelled) setIsLoading(false);
+            }
+        }, DEBOUNCE_MS);
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [conversationId, trimmedQuery, isSearchable]);
+
+    const activeMatchId = matchIds[activeIndex] || null;
+
+    // Bring the active match into view (MessagesList loads older pages as needed)
+    useEffect(() => {
+        if (!activeMatchId) return;
+        setPendingJump({ conversationId, messageId: activeMatchId });
+    }, [activeMatchId, conversationId, setPendingJump]);
+
+    const terms = useMemo(
+        () => (isSearchable ? parseSearchTerms(trimmedQuery) : []),
+        [isSearchable, trimmedQuery]
+    );
+
+    const open = useCallback(() => setIsOpen(true), []);
+    const close = useCallback(() => {
+        setIsOpen(false);
+        setQuery("");
+    }, []);
+
+    const showOlder = useCallback(() => {
+        setActiveIndex((index) =>
+            Math.max(0, Math.min(index + 1, matchIds.length - 1))
+        );
+    }, [matchIds.length]);
+
+    const showNewer = useCallback(() => {
+        setActiveIndex((index) => Math.max(index - 1, 0));
+    }, []);
+
+    return {
+        isOpen,
+        open,
+        close,
+        query,
+        setQuery,
+        isLoading,
+        total: matchIds.length,
+        isCapped,
+        activeIndex,
+        activeMatchId,
+        terms,
+        showOlder,
+        showNewer,
+    };
+};
+
+export default useConversationSearch;
@@ -0,0 +1,78 @@
+/**
+ * useDeleteMessage Hook
+ * ---------------------
+ * Custom hook for deleting a message, either for the current user only or for everyone.
+ *
+ * Exports:
+ *   - useDeleteMessage: Provides `deleteMessage` and its loading state.
+ *
+ * State:
+ *   - loading (boolean): Indicates whether a delete request is in progress.
+ *
+ * Functions:
+ *   - deleteMessage(messageId, mode):
+ *       - Sends `DELETE /api/messages/:id?mode=<mode>`; `mode` is "me" (default) or "everyone".
+ *       - "me": Removes the message from the loaded messages.
+ *       - "everyone": Replaces the loaded message with a tombstone (only the sender may do this).
+ *       - Other sessions and participants receive the change through `message:deleted`.
+ *       - Shows the server's error with `showToast.error`.
+ *       - Returns `true` on success, `false` otherwise.
+ *
+ * Usage:
+ *   - const { deleteMessage, loading } = useDeleteMessage();
+ *   - const ok = await deleteMessage(message.id, "everyone");
+ */
+
+import { useState, useCallback } from "react";
+import useConversation from "../../store/zustand/useConversation";
+import { apiRequest } from "../../utils/apiUtils";
+import { showToast } from "../../utils/toastConfig";
+
+export const useDeleteMessage = () => {
+    const [loading, setLoading] = useState(false);
+    const { setMessages } = useConversation();
+
+    const deleteMessage = useCallback(
+        async (messageId, mode = "me") => {
+            setLoading(true);
+            try {
+                await apiRequest(
+                    `/api/messages/${messageId}?mode=${mode}`,
+                    "DELETE"
+                );
+
+                // Read the latest list: new messages may have arrived meanwhile
+                const current = useConversation.getState().messages || [];
+                setMessages(
+                    mode === "me"
+                        ? current.filter((item) => item.id !== messageId)
+                        : current.map((item) =>
+                              item.id === messageId
+                                  ? {
+                                        ...item,
+                                        content: "",
+                                        isDeleted: true,
+                                        editedAt: null,
+                                        edits: [],
+                                        reactions: [],
+                                        replyTo: null,
+                                    }
+                                  : item
+                          )
+                );
+                return true;
+            } catch (error) {
+                console.error("Error deleting message:", error);
+                showToast.error(error.message || "Failed to delete message");
+                return false;
+            } finally {
+                setLoading(false);
+            }
+        },
+        [setMessages]
+    );
+
+    return { deleteMessage, loading };
+};
+
+export default useDeleteMessage;
@@ -0,0 +1,79 @@
+/**
+ * useEditMessage Hook
+ * -------------------
+ * Custom hook for editing a message the current user sent.
+ *
+ * Exports:
+ *   - useEditMessage: Provides `editMessage` and its loading state.
+ *
+ * State:
+ *   - loading (boolean): Indicates whether an edit request is in progress.
+ *
+ * Functions:
+ *   - editMessage(messageId, content):
+ *       - Sends `PATCH /api/messages/:id` with the new content.
+ *       - Applies the returned message (text, `editedAt`, `edits`) to the loaded messages immediately;
+ *         other sessions and participants receive it through `message:edited`.
+ *       - Shows the server's error (e.g. an expired edit window) with `showToast.error`.
+ *       - Returns `true` on success, `false` otherwise.
+ *
+ * Usage:
+ *   - const { editMessage, loading } = useEditMessage();
+ *   - const ok = await editMessage(message.id, "Fixed typo");
+ */
+
+import { useState, useCallback } from "react";
+import useConversation from "../../store/zustand/useConversation";
+import { apiRequest } from "../../utils/apiUtils";
+import { showToast } from "../../utils/toastConfig";
+
+export const useEditMessage = () => {
+    const [loading, setLoading] = useState(false);
+    const { setMessages } = useConversation();
+
+    const editMessage = useCallback(
+        async (messageId, content) => {
+            const trimmed = content?.trim();
+            if (!trimmed) {
+                showToast.error("Message cannot be empty");
+                return false;
+            }
+
+            setLoading(true);
+            try {
+                const { data } = await apiRequest(
+                    `/api/messages/${messageId}`,
+                    "PATCH",
+                    { message: trimmed }
+                );
+
+                // Read the latest list: new messages may have arrived meanwhile
+                const current = useConversation.getState().messages || [];
+                setMessages(
+                    current.map((item) =>
+                        item.id === messageId
+                            ? {
+                                  ...item,
+                                  content: data.message,
+                                  editedAt: data.editedAt,
+                                  edits: data.edits || [],
+                              }
+                            : item
+                    )
+                );
+                return true;
+            } catch (error) {
+                console.error("Error editing message:", error);
+                showToast.error(error.message || "Failed to edit message");
+                return false;
+            } finally {
+                setLoading(false);
+            }
+        },
+        [setMessages]
+    );
+
+    return { editMessage, loading };
+};
+
+export default useEditMessage;
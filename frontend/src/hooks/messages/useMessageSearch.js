@@ -0,0 +1,104 @@
+/**
+ * useMessageSearch Hook
+ * ---------------------
+ * Custom hook for full-text searching the current user's messages across all conversations.
+ *
+ * Parameters:
+ *   - searchTerm (string): The raw search input; searched once it has at least 2 characters.
+ *
+ * State:
+ *   - results (array): Matches, newest first: { _id, conversationId, senderId, createdAt, snippet: { text, highlights } }.
+ *   - isLoading (boolean): Indicates whether a search (first page or "load more") is in progress.
+ *   - hasMore (boolean): Whether older matches can be loaded.
+ *
+ * Functions:
+ *   - loadMore():
+ *       - Fetches the next page of matches (`before=<oldest result ID>`) and appends it.
+ *
+ * Behavior:
+ *   - Debounces typing by 300ms before calling `GET /api/messages/search?q=`.
+ *   - Results of an outdated query are dropped when the term changed in the meantime.
+ *   - Clears the results when the term gets shorter than 2 characters.
+ *   - Shows the server's error with `showToast.error`.
+ *
+ * Returns:
+ *   - { results, isLoading, hasMore, loadMore }
+ *
+ * Usage:
+ *   const { results, isLoading, hasMore, loadMore } = useMessageSearch(searchTerm);
+ */
+
+import { useState, useEffect, useRef, useCallback } from "react";
+import { apiRequest } from "../../utils/apiUtils";
+import { showToast } from "../../utils/toastConfig";
+
+const MIN_SEARCH_LENGTH = 2;
+const DEBOUNCE_MS = 300;
+const PAGE_SIZE = 20;
+
+const searchUrl = (query, before) =>
+    `/api/messages/search?q=${encodeURIComponent(query)}&limit=${PAGE_SIZE}${
+        before ? `&before=${before}` : ""
+    }`;
+
+export const useMessageSearch = (searchTerm = "") => {
+    const [results, setResults] = useState([]);
+    const [isLoading, setIsLoading] = useState(false);
+    const [hasMore, setHasMore] = useState(false);
+
+    const query = searchTerm.trim();
+    const isSearchable = query.length >= MIN_SEARCH_LENGTH;
+
+    // Latest query, to drop responses of outdated ones
+    const queryRef = useRef(query);
+    queryRef.current = query;
+
+    useEffect(() => {
+        setResults([]);
+        setHasMore(false);
+        if (!isSearchable) {
+            setIsLoading(false);
+            return;
+        }
+
+        setIsLoading(true);
+        const timer = setTimeout(async () => {
+            try {
+                const data = await apiRequest(searchUrl(query), "GET");
+                if (queryRef.current !== query) return;
+                setResults(data.data || []);
+                setHasMore(Boolean(data.hasMore));
+            } catch (error) {
+                if (queryRef.current !== query) return;
+                console.error("Error searching messages:", error);
+                showToast.error(error.message || "Could not search messages");
+            } finally {
+                if (queryRef.current === query) setIsLoading(false);
+            }
+        }, DEBOUNCE_MS);
+
+        return () => clearTimeout(timer);
+    }, [query, isSearchable]);
+
+    const loadMore = useCallback(async () => {
+        const oldest = results[results.length - 1];
+        if (!hasMore || isLoading || !oldest) return;
+
+        setIsLoading(true);
+        try {
+            const data = await apiRequest(searchUrl(query, oldest._id), "GET");
+            if (queryRef.current !== query) return;
+            setResults((current) => [...current, ...(data.data || [])]);
+            setHasMore(Boolean(data.hasMore));
+        } catch (error) {
+            console.error("Error searching messages:", error);
+            showToast.error(error.message || "Could not search messages");
+        } finally {
+            if (queryRef.current === query) setIsLoading(false);
+        }
+    }, [results, hasMore, isLoading, query]);
+
+    return { results, isLoading, hasMore, loadMore };
+};
+
+export default useMessageSearch;
@@ -5,14 +5,20 @@
  *
  * Purpose:
  *   - Fetches and manages the state of messages for the currently selected conversation.
+ *   - Loads history page by page (newest page first) using a `before` message ID cursor.
  *   - Handles loading states and error notifications during message fetching.
  *
  * Parameters:
  *   - receiverData (object | null): The receiver's data, including:
  *       - _id (string): The unique ID of the receiver.
+ *     (Ignored for group conversations, which are fetched by conversation ID.)
  *
  * State:
- *   - isLoading (boolean): Indicates whether messages are being fetched.
+ *   - isLoading (boolean): Indicates whether the first page of messages is being fetched.
+ *   - loadedConversationId (string | null): The conversation whose first page is in `messages`; until it
+ *     matches the selected conversation, the hook reports `isLoading` (no stale list after a switch).
+ *   - isLoadingOlder (boolean): Indicates whether an older page is being fetched.
+ *   - hasMore (boolean): Indicates whether older messages exist on the server.
  *
  * Context:
  *   - selectedConversation (object | null): The currently selected conversation, accessed via `useConversationStore`.
@@ -21,99 +27,203 @@
  *
  * Functions:
  *   - fetchMessages():
- *       - Fetches messages for the selected conversation from the API.
+ *       - Fetches the latest page of messages for the selected conversation from the API.
+ *       - Uses `/api/messages/group/:conversationId` for groups and `/api/messages/:receiverId` otherwise.
+ *       - Requests at least `unreadCount + 1` messages so the "New messages" marker lands inside the first page.
  *       - Clears messages if the selected conversation is temporary or invalid.
  *       - Updates the `messages` state with the fetched messages.
  *       - Handles errors and displays error notifications using `showToast`.
+ *   - loadOlder(pageSize):
+ *       - Fetches the page before the oldest loaded message (`?before=<oldestId>`) and prepends it.
+ *       - `pageSize` defaults to 30 and is capped at 100.
+ *       - No-op while a page is already loading or when `hasMore` is false.
+ *       - Ignores the response if the user switched conversations in the meantime.
+ *       - Resolves to whether even older messages remain (`false` when nothing was loaded).
  *
  * Effects:
- *   - Fetches messages whenever the selected conversation or receiver changes.
+ *   - Fetches the first page whenever the selected conversation or receiver changes, and again when
+ *     `messagesReloadKey` is bumped (`reloadMessages` in the store).
+ *   - Metadata-only updates of the selected conversation (e.g. a group rename) do not refetch.
  *   - Clears messages for temporary conversations or when no conversation is selected.
  *
  * Error Handling:
  *   - Displays error notifications using `showToast` for failed requests.
  *   - Prevents duplicate error toasts in React Strict Mode using a `didToastRef`.
  *
+ * Exports:
+ *   - useMessages: The hook.
+ *   - formatMessage(msg): Transforms an API message into the format below (also used by `useEventSync`).
+ *
  * Returns:
- *   - isLoading (boolean): Indicates whether messages are being fetched.
- *   - messages (array): The list of messages for the selected conversation.
+ *   - isLoading (boolean): Indicates whether the first page is being fetched.
+ *   - messages (array): The list of loaded messages for the selected conversation (oldest first).
+ *   - hasMore (boolean): Whether older messages can still be loaded.
+ *   - isLoadingOlder (boolean): Whether an older page is being fetched.
+ *   - loadOlder (function): Loads the previous page of messages.
  *
  * Usage:
  *   - Import and use the hook in a component:
- *       const { isLoading, messages } = useMessages(receiverData);
+ *       const { isLoading, messages, hasMore, isLoadingOlder, loadOlder } =
+ *           useMessages(receiverData);
  *
  *   - Example:
  *       <MessagesList
  *           isLoading={isLoading}
  *           messages={messages}
+ *           hasMore={hasMore}
+ *           isLoadingOlder={isLoadingOlder}
+ *           onLoadOlder={loadOlder}
  *       />
  *
  * Example API Response:
- *   - The API should return an array of messages with the following structure:
- *       [
- *           {
- *               "_id": "messageId",
- *               "message": "Hello!",
- *               "createdAt": "2023-10-01T12:30:00.000Z",
- *               "senderId": "userId1"
- *           }
- *       ]
+ *   - The API returns a page of messages (oldest first) and a `hasMore` flag:
+ *       {
+ *           "data": [
+ *               {
+ *                   "_id": "messageId",
+ *                   "message": "Hello!",
+ *                   "createdAt": "2023-10-01T12:30:00.000Z",
+ *                   "senderId": "userId1",
+ *                   "editedAt": null,
+ *                   "edits": [],
+ *                   "editableUntil": "2023-10-01T12:45:00.000Z",
+ *                   "status": "read",
+ *                   "attachments": [],
+ *                   "replyTo": null,
+ *                   "reactions": [{ "emoji": "👍", "users": ["userId2"] }]
+ *               }
+ *           ],
+ *           "hasMore": true
+ *       }
+ *   - Messages deleted for everyone come back as tombstones (`"isDeleted": true`, empty `"message"`).
+ *   - Only the current user's own messages carry `status` ("sent", "delivered" or "read").
+ *   - `attachments` entries look like { _id, name, mimeType, size, url }.
+ *   - Replies carry `replyTo`, a quote of the original: { _id, senderId, content, isDeleted }.
+ *   - `reactions` are grouped by emoji, each with the IDs of the users who reacted.
  *
  * Example Transformation:
  *   - The hook transforms the API response into the following format:
  *       [
  *           {
  *               id: "messageId",
+ *               clientMessageId: "3b1f…" (or null),
  *               content: "Hello!",
  *               timestamp: "2023-10-01T12:30:00.000Z",
- *               isSentByCurrentUser: true
+ *               senderId: "userId1",
+ *               isSentByCurrentUser: true,
+ *               editedAt: null,
+ *               edits: [],
+ *               editableUntil: "2023-10-01T12:45:00.000Z",
+ *               isDeleted: false,
+ *               status: "read",
+ *               attachments: [],
+ *               replyTo: null,
+ *               reactions: [{ emoji: "👍", users: ["userId2"] }]
  *           }
  *       ]
  */
 
-import { useState, useEffect, useRef } from "react";
+import { useState, useEffect, useRef, useCallback } from "react";
+import useConversation from "../../store/zustand/useConversation";
 import { useConversationStore } from "../conversation/useConversationStore";
 import { showToast } from "../../utils/toastConfig";
+import { fetchWithRefresh } from "../../utils/apiUtils";
+
+const PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+
+// Transform an API message into our message format
+export const formatMessage = (msg) => ({
+    id: msg._id,
+    clientMessageId: msg.clientMessageId || null,
+    content: msg.message,
+    timestamp: msg.createdAt,
+    senderId: msg.senderId,
+    isSentByCurrentUser:
+        msg.senderId === JSON.parse(localStorage.getItem("user") || "{}").id,
+    editedAt: msg.editedAt || null,
+    edits: msg.edits || [],
+    editableUntil: msg.editableUntil || null,
+    isDeleted: Boolean(msg.isDeleted),
+    attachments: msg.attachments || [],
+    replyTo: msg.replyTo || null,
+    reactions: msg.reactions || [],
+    status: msg.status || null,
+});
 
 export const useMessages = (receiverData) => {
     const [isLoading, setIsLoading] = useState(false);
+    const [isLoadingOlder, setIsLoadingOlder] = useState(false);
+    const [hasMore, setHasMore] = useState(false);
+    const [loadedConversationId, setLoadedConversationId] = useState(null);
     const { selectedConversation, messages, setMessages } =
         useConversationStore();
+    const messagesReloadKey = useConversation(
+        (state) => state.messagesReloadKey
+    );
 
     // Prevent duplicate error toasts in React Strict Mode (dev)
     const didToastRef = useRef(false);
 
-    // Load messages when conversation changes
+    const conversationId = selectedConversation?._id;
+    const isTemporary = !conversationId || conversationId.startsWith("temp_");
+
+    // Groups are fetched by conversation; direct chats by receiver
+    const receiverId = receiverData?._id;
+    let messagesUrl = null;
+    if (!isTemporary) {
+        if (selectedConversation.isGroup) {
+            messagesUrl = `/api/messages/group/${conversationId}`;
+        } else if (receiverId) {
+            messagesUrl = `/api/messages/${receiverId}`;
+        }
+    }
+
+    // Latest values for async callbacks (avoid stale closures / refetch loops)
+    const messagesUrlRef = useRef(messagesUrl);
+    messagesUrlRef.current = messagesUrl;
+    const unreadCountRef = useRef(0);
+    unreadCountRef.current = selectedConversation?.unreadCount || 0;
+    const isLoadingOlderRef = useRef(false);
+
+    // Load the first page when the conversation changes
     useEffect(() => {
         // Set loading state to true immediately when conversation changes
         setIsLoading(true);
+        setHasMore(false);
+        let cancelled = false;
 
         const fetchMessages = async () => {
             // Skip fetching if this is a temporary conversation
-            if (
-                !selectedConversation ||
-                selectedConversation._id?.startsWith("temp_")
-            ) {
+            if (isTemporary) {
                 setMessages([]);
                 setIsLoading(false);
+                setLoadedConversationId(conversationId ?? null);
                 return;
             }
 
-            // Get receiverId from the participant who is not the current user
-            const receiverId = receiverData?._id;
-            if (!receiverId) {
+            if (!messagesUrl) {
                 setIsLoading(false);
+                setLoadedConversationId(conversationId);
                 return;
             }
 
+            // Make sure every unread message (plus one before it) is in the first page
+            const limit = Math.min(
+                Math.max(PAGE_SIZE, unreadCountRef.current + 1),
+                MAX_PAGE_SIZE
+            );
+
             try {
                 // Fetch messages from API
-                const res = await fetch(`/api/messages/${receiverId}`);
+                const res = await fetchWithRefresh(
+                    `${messagesUrl}?limit=${limit}`
+                );
+                if (cancelled) return;
 
                 // If no conversation exists yet, treat as empty list (no toast)
                 if (res.status === 404) {
                     setMessages([]);
-                    setIsLoading(false);
                     return;
                 }
 
@@ -122,25 +232,18 @@ export const useMessages = (receiverData) => {
                 }
 
                 const data = await res.json();
+                if (cancelled) return;
 
-                // Transform API response to match our message format
-                const formattedMessages = data.data.map((msg) => ({
-                    id: msg._id,
-                    content: msg.message,
-                    timestamp: msg.createdAt,
-                    isSentByCurrentUser:
-                        msg.senderId ===
-                        JSON.parse(localStorage.getItem("user") || "{}").id,
-                }));
+                const formattedMessages = Array.isArray(data.data)
+                    ? data.data.map(formatMessage)
+                    : [];
 
                 // Set messages safely
-                setMessages(
-                    Array.isArray(formattedMessages) ? formattedMessages : []
-                );
+                setMessages(formattedMessages);
+                setHasMore(Boolean(data.hasMore));
             } catch (error) {
+                if (cancelled) return;
                 console.error("Error fetching messages:", error);
-                // showToast.error("Could not load messages");
-                // setMessages([]);
 
                 // De-dupe toast in Strict Mode
                 if (!didToastRef.current) {
@@ -151,15 +254,79 @@ export const useMessages = (receiverData) => {
                 }
                 setMessages([]);
             } finally {
-                setIsLoading(false);
+                if (!cancelled) {
+                    setIsLoading(false);
+                    setLoadedConversationId(conversationId);
+                }
             }
         };
 
         fetchMessages();
-    }, [selectedConversation, receiverData, setMessages]);
+
+        return () => {
+            cancelled = true;
+        };
+    }, [
+        conversationId,
+        isTemporary,
+        messagesUrl,
+        messagesReloadKey,
+        setMessages,
+    ]);
+
+    // Load the page before the oldest loaded message
+    const loadOlder = useCallback(
+        async (pageSize = PAGE_SIZE) => {
+            const url = messagesUrlRef.current;
+            const current = useConversation.getState().messages || [];
+            const oldest = current[0];
+            if (!url || !hasMore || !oldest || isLoadingOlderRef.current) {
+                return false;
+            }
+
+            isLoadingOlderRef.current = true;
+            setIsLoadingOlder(true);
+            try {
+                const res = await fetchWithRefresh(
+                    `${url}?before=${oldest.id}&limit=${Math.min(
+                        pageSize,
+                        MAX_PAGE_SIZE
+                    )}`
+                );
+                if (!res.ok) throw new Error("Failed to fetch older messages");
+
+                const data = await res.json();
+
+                // Conversation switched while loading; drop the page
+                if (messagesUrlRef.current !== url) return false;
+
+                const latest = useConversation.getState().messages || [];
+                const knownIds = new Set(latest.map((m) => m.id));
+                const olderMessages = (data.data || [])
+                    .map(formatMessage)
+                    .filter((m) => !knownIds.has(m.id));
+
+                setMessages([...olderMessages, ...latest]);
+                setHasMore(Boolean(data.hasMore));
+                return Boolean(data.hasMore);
+            } catch (error) {
+                console.error("Error fetching older messages:", error);
+                showToast.error("Could not load older messages");
+                return false;
+            } finally {
+                isLoadingOlderRef.current = false;
+                setIsLoadingOlder(false);
+            }
+        },
+        [hasMore, setMessages]
+    );
 
     return {
-        isLoading,
+        isLoading:
+            isLoading || loadedConversationId !== (conversationId ?? null),
         messages: Array.isArray(messages) ? messages : [],
+        hasMore,
+        isLoadingOlder,
+        loadOlder,
     };
 };
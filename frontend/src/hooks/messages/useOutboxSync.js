@@ -0,0 +1,256 @@
+/**
+ * useOutboxSync Hook
+ * ------------------
+ * Custom hook that delivers the messages waiting in the outbox (see `utils/outbox.js`).
+ *
+ * Exports:
+ *   - useOutboxSync: Loads the current user's outbox and sends its entries in order.
+ *
+ * Context:
+ *   - outbox (array): Queued messages, from the `useConversation` store.
+ *   - refreshConversations (function): Updates the sidebar once a message was sent, from `useConversationStore`.
+ *   - authUser (object): The logged-in user; the outbox is loaded for `authUser.id`.
+ *   - socket (object): Reconnecting is taken as a sign that the server is reachable again.
+ *
+ * Behavior:
+ *   - On login the persisted entries are loaded; on logout the in-memory outbox is cleared.
+ *   - Entries are sent one at a time, oldest first: the first "pending" entry is marked "sending"
+ *     and posted like the composer used to (JSON, or `multipart/form-data` with attachments), with its
+ *     `clientId` as `clientMessageId`. A retry of a send that did reach the server gets the original
+ *     message back instead of creating a duplicate.
+ *   - On success the confirmed message is appended to the open conversation (unless the
+ *     `message:new` echo already added it) and the entry leaves the outbox.
+ *   - Network errors and gateway errors (502/503/504) put the entry back to "pending" and retry after
+ *     5s, doubling up to 60s. Going back online (`online` event) or a socket reconnect retries at once.
+ *   - When the server rate-limits sending (429), the entry stays "pending" and the queue pauses until
+ *     `Retry-After`, with a toast saying how long.
+ *   - Any other error (e.g. a file that is too large, or a blocked receiver) marks the entry "failed"
+ *     with the server's message and shows it in a toast; the user retries or discards it from the
+ *     message (see `useSendMessage`). Failed entries don't hold up the rest of the queue.
+ *
+ * Usage:
+ *   - Mounted once for the logged-in session, in `Home`:
+ *       useOutboxSync();
+ */
+
+import { useState, useEffect, useCallback, useRef } from "react";
+import useConversation from "../../store/zustand/useConversation";
+import { useAuthContext } from "../../store/AuthContext";
+import { useSocketContext } from "../../store/SocketContext";
+import { useConversationStore } from "../conversation/useConversationStore";
+import { fetchWithRefresh } from "../../utils/apiUtils";
+import { showToast } from "../../utils/toastConfig";
+import {
+    loadOutbox,
+    clearOutbox,
+    updateOutboxEntry,
+    removeFromOutbox,
+    hasMessage,
+} from "../../utils/outbox";
+
+const INITIAL_RETRY_MS = 5000;
+const MAX_RETRY_MS = 60000;
+const TRANSIENT_STATUSES = [502, 503, 504];
+
+const formatRateLimitMessage = (seconds) =>
+    `You're sending messages too fast. Sending again in ${seconds} second${
+        seconds === 1 ? "" : "s"
+    }.`;
+
+const getSendUrl = (entry) =>
+    entry.isGroup
+        ? `/api/messages/group/${entry.conversationId}/send`
+        : `/api/messages/send/${entry.receiverId}`;
+
+// The entry's clientId makes the send idempotent: a retry returns the original message
+const buildRequestOptions = ({ clientId, content, files = [], replyTo }) => {
+    if (files.length > 0) {
+        // The browser sets the multipart boundary header itself
+        const formData = new FormData();
+        formData.append("clientMessageId", clientId);
+        formData.append("message", content);
+        if (replyTo) formData.append("replyTo", replyTo.id);
+        files.forEach((file) => formData.append("attachments", file));
+        return { method: "POST", body: formData };
+    }
+    return {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+            clientMessageId: clientId,
+            message: content,
+            ...(replyTo && { replyTo: replyTo.id }),
+        }),
+    };
+};
+
+// Add the confirmed message to the open conversation, unless the socket echo already did
+const appendConfirmedMessage = (data) => {
+    const { selectedConversation, messages, setMessages } =
+        useConversation.getState();
+    if (selectedConversation?._id !== data.conversationId?.toString()) return;
+    if (hasMessage(messages, { ...data, id: data._id })) return;
+
+    setMessages([
+        ...messages,
+        {
+            id: data._id,
+            clientMessageId: data.clientMessageId || null,
+            content: data.message,
+            timestamp: data.createdAt,
+            senderId: data.senderId,
+            isSentByCurrentUser: true,
+            editedAt: null,
+            edits: [],
+            editableUntil: data.editableUntil,
+            status: data.status || "sent",
+            attachments: data.attachments || [],
+            replyTo: data.replyTo || null,
+            reactions: [],
+        },
+    ]);
+};
+
+export const useOutboxSync = () => {
+    const { authUser } = useAuthContext();
+    const { socket } = useSocketContext();
+    const { outbox } = useConversation();
+    const { refreshConversations } = useConversationStore();
+    // Bumped to run the queue again (after a send, a timer or a reconnect)
+    const [wakeCount, setWakeCount] = useState(0);
+    const isSendingRef = useRef(false);
+    const retryTimerRef = useRef(null);
+    const retryDelayRef = useRef(INITIAL_RETRY_MS);
+    // Until when the server asked us to stop sending (429 Retry-After)
+    const pausedUntilRef = useRef(0);
+
+    const ownerId = authUser?.id;
+
+    useEffect(() => {
+        if (!ownerId) return;
+        loadOutbox(ownerId);
+        return () => clearOutbox();
+    }, [ownerId]);
+
+    const wakeUp = useCallback(() => setWakeCount((count) => count + 1), []);
+
+    const scheduleWakeUp = useCallback(
+        (delay) => {
+            clearTimeout(retryTimerRef.current);
+            retryTimerRef.current = setTimeout(wakeUp, delay);
+        },
+        [wakeUp]
+    );
+
+    useEffect(() => () => clearTimeout(retryTimerRef.current), []);
+
+    // Returns whether the queue can go on with the next entry right away
+    const sendEntry = useCallback(
+        async (entry) => {
+            await updateOutboxEntry(entry.clientId, {
+                status: "sending",
+                error: null,
+            });
+
+            const retryLater = async () => {
+                await updateOutboxEntry(entry.clientId, { status: "pending" });
+                scheduleWakeUp(retryDelayRef.current);
+                retryDelayRef.current = Math.min(
+                    retryDelayRef.current * 2,
+                    MAX_RETRY_MS
+                );
+                return false;
+            };
+
+            let res;
+            try {
+                res = await fetchWithRefresh(
+                    getSendUrl(entry),
+                    buildRequestOptions(entry)
+                );
+            } catch (error) {
+                console.warn("Message not sent, will retry:", error);
+                return retryLater();
+            }
+
+            if (TRANSIENT_STATUSES.includes(res.status)) return retryLater();
+
+            const data = await res.json().catch(() => ({}));
+
+            if (res.status === 429) {
+                const retryAfter =
+                    Number(res.headers.get("Retry-After")) ||
+                    data.retryAfter ||
+                    1;
+                pausedUntilRef.current = Date.now() + retryAfter * 1000;
+                await updateOutboxEntry(entry.clientId, { status: "pending" });
+                showToast.error(formatRateLimitMessage(retryAfter));
+                scheduleWakeUp(retryAfter * 1000);
+                return false;
+            }
+
+            retryDelayRef.current = INITIAL_RETRY_MS;
+
+            if (!res.ok || data.error) {
+                const error =
+                    data.message || data.error || "Failed to send message";
+                await updateOutboxEntry(entry.clientId, {
+                    status: "failed",
+                    error,
+                });
+                showToast.error(error);
+                return true;
+            }
+
+            appendConfirmedMessage(data.data);
+            await removeFromOutbox(entry.clientId);
+
+            // Refresh conversations to update the last message in the sidebar
+            refreshConversations();
+            return true;
+        },
+        [refreshConversations, scheduleWakeUp]
+    );
+
+    useEffect(() => {
+        if (isSendingRef.current || !navigator.onLine) return;
+
+        const waitMs = pausedUntilRef.current - Date.now();
+        if (waitMs > 0) return;
+
+        const entry = outbox.find((item) => item.status === "pending");
+        if (!entry) return;
+
+        const send = async () => {
+            isSendingRef.current = true;
+            let next = false;
+            try {
+                next = await sendEntry(entry);
+            } finally {
+                isSendingRef.current = false;
+            }
+            if (next) wakeUp();
+        };
+        send();
+    }, [outbox, wakeCount, sendEntry, wakeUp]);
+
+    // Coming back online retries right away
+    useEffect(() => {
+        const handleOnline = () => {
+            retryDelayRef.current = INITIAL_RETRY_MS;
+            wakeUp();
+        };
+        window.addEventListener("online", handleOnline);
+        return () => window.removeEventListener("online", handleOnline);
+    }, [wakeUp]);
+
+    useEffect(() => {
+        if (!socket) return;
+        socket.on("connect", wakeUp);
+        return () => {
+            socket.off("connect", wakeUp);
+        };
+    }, [socket, wakeUp]);
+};
+
+export default useOutboxSync;
@@ -0,0 +1,69 @@
+/**
+ * useReactToMessage Hook
+ * ----------------------
+ * Custom hook for toggling the current user's emoji reaction on a message.
+ *
+ * Exports:
+ *   - useReactToMessage: Provides `toggleReaction` and its loading state.
+ *
+ * State:
+ *   - loading (boolean): Indicates whether a reaction request is in progress.
+ *
+ * Functions:
+ *   - toggleReaction(messageId, emoji):
+ *       - Sends `POST /api/messages/:id/reactions` with `{ emoji }`.
+ *       - Reacting again with the same emoji takes the reaction back.
+ *       - Replaces the loaded message's `reactions` with the server's aggregated list.
+ *       - Other sessions and participants receive the change through `message:reaction`.
+ *       - Shows the server's error with `showToast.error`.
+ *       - Returns `true` on success, `false` otherwise.
+ *
+ * Usage:
+ *   - const { toggleReaction } = useReactToMessage();
+ *   - toggleReaction(message.id, "👍");
+ */
+
+import { useState, useCallback } from "react";
+import useConversation from "../../store/zustand/useConversation";
+import { apiRequest } from "../../utils/apiUtils";
+import { showToast } from "../../utils/toastConfig";
+
+export const useReactToMessage = () => {
+    const [loading, setLoading] = useState(false);
+    const { setMessages } = useConversation();
+
+    const toggleReaction = useCallback(
+        async (messageId, emoji) => {
+            setLoading(true);
+            try {
+                const data = await apiRequest(
+                    `/api/messages/${messageId}/reactions`,
+                    "POST",
+                    { emoji }
+                );
+
+                // Read the latest list: new messages may have arrived meanwhile
+                const current = useConversation.getState().messages || [];
+                setMessages(
+                    current.map((item) =>
+                        item.id === messageId
+                            ? { ...item, reactions: data.data.reactions || [] }
+                            : item
+                    )
+                );
+                return true;
+            } catch (error) {
+                console.error("Error reacting to message:", error);
+                showToast.error(error.message || "Failed to react to message");
+                return false;
+            } finally {
+                setLoading(false);
+            }
+        },
+        [setMessages]
+    );
+
+    return { toggleReaction, loading };
+};
+
+export default useReactToMessage;
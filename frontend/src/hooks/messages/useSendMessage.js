@@ -4,46 +4,51 @@
  * Custom hook for sending messages in a conversation.
  *
  * Exports:
- *   - useSendMessage: Provides functionality to send messages and manage loading state.
- *
- * State:
- *   - loading (boolean): Indicates whether a message is being sent.
+ *   - useSendMessage: Queues messages in the outbox and lets the user retry or discard failed ones.
  *
  * Context:
- *   - messages (array): The current list of messages in the selected conversation, accessed via `useConversationStore`.
- *   - setMessages (function): Updates the messages array in the `useConversationStore`.
- *   - refreshConversations (function): Refreshes the list of conversations to update the last message in the sidebar.
+ *   - selectedConversation (object | null): The conversation the message goes to, accessed via `useConversationStore`.
  *   - receiverData (object | null): The receiver's data, including `_id`, accessed via `useReceiverData`.
+ *   - isGroup (boolean): Whether the selected conversation is a group, accessed via `useReceiverData`.
+ *   - authUser (object): The logged-in user, who owns the queued entries.
  *
  * Functions:
- *   - sendMessage(message):
- *       - Sends a message to the receiver via the API.
- *       - Updates the messages state with the new message.
- *       - Refreshes the conversations list to reflect the latest message in the sidebar.
- *       - Handles errors and displays error notifications using `showToast`.
+ *   - sendMessage(message, files, replyingTo):
+ *       - Adds the message to the outbox (see `utils/outbox.js`) and resolves to `true` right away, so
+ *         the composer can be cleared. `MessagesList` shows it at once as a pending message.
+ *       - `useOutboxSync` delivers it in order: to `/api/messages/send/:receiverId`, or to
+ *         `/api/messages/group/:conversationId/send` for groups; with `files` as `multipart/form-data`.
+ *       - With `replyingTo`, the message is sent as a reply (`replyTo` field) to that earlier message.
+ *       - Queued messages survive reloads and are sent once the connection is back. When the server
+ *         rate-limits sending (429), they wait until `Retry-After` instead of being refused.
+ *   - retryMessage(clientId): Puts a failed message back in the queue.
+ *   - discardMessage(clientId): Removes a queued or failed message without sending it.
  *
  * Parameters:
- *   - message (string): The content of the message to be sent.
+ *   - message (string): The content of the message to be sent (may be empty when files are attached).
+ *   - files (File[]): Files to attach (optional).
+ *   - replyingTo ({ id, senderName, content } | null): The message being replied to (optional).
  *
  * Returns:
  *   - sendMessage (function): Function to send a message.
- *   - loading (boolean): Indicates whether a message is being sent.
+ *   - retryMessage (function): Function to retry a failed message.
+ *   - discardMessage (function): Function to drop an unsent message.
  *
  * Usage:
  *   - Import and use the hook in a component:
- *       const { sendMessage, loading } = useSendMessage();
+ *       const { sendMessage } = useSendMessage();
  *
  *   - Call `sendMessage` to send a message:
  *       await sendMessage("Hello, world!");
  *
  * Example:
  *   - Using the hook in a component:
- *       const { sendMessage, loading } = useSendMessage();
+ *       const { sendMessage } = useSendMessage();
  *
  *       const handleSubmit = async (e) => {
  *           e.preventDefault();
  *           if (!message.trim()) return;
- *           await sendMessage(message);
+ *           if (await sendMessage(message)) setMessage("");
  *       };
  *
  *       return (
@@ -54,71 +59,65 @@
  *                   onChange={(e) => setMessage(e.target.value)}
  *                   placeholder="Type a message..."
  *               />
- *               <button type="submit" disabled={loading}>Send</button>
+ *               <button type="submit">Send</button>
  *           </form>
  *       );
  */
 
-import { useState } from "react";
+import { useCallback } from "react";
 import { showToast } from "../../utils/toastConfig";
+import {
+    createOutboxEntry,
+    addToOutbox,
+    updateOutboxEntry,
+    removeFromOutbox,
+} from "../../utils/outbox";
+import { useAuthContext } from "../../store/AuthContext";
 import { useConversationStore } from "../conversation/useConversationStore";
 import { useReceiverData } from "../conversation/useReceiverData";
 
 export const useSendMessage = () => {
-    // Local state for API loading
-    const [loading, setLoading] = useState(false);
-    const { messages, setMessages, refreshConversations } =
-        useConversationStore();
-    const { receiverData } = useReceiverData();
+    const { authUser } = useAuthContext();
+    const { selectedConversation } = useConversationStore();
+    const { receiverData, isGroup } = useReceiverData();
 
-    const sendMessage = async (message) => {
-        if (!receiverData?._id) {
+    const sendMessage = async (message, files = [], replyingTo = null) => {
+        if (!isGroup && !receiverData?._id) {
             showToast.error("Cannot send message: No receiver selected");
             return;
         }
 
-        setLoading(true);
-        try {
-            const res = await fetch(`/api/messages/send/${receiverData._id}`, {
-                method: "POST",
-                headers: {
-                    "Content-Type": "application/json",
-                },
-                body: JSON.stringify({ message: message.trim() }),
-            });
-
-            if (!res.ok) {
-                throw new Error("Failed to send message");
-            }
-
-            // Get the confirmed message from API
-            const data = await res.json();
-
-            if (data.error) throw new Error(data.error);
+        const conversationId = selectedConversation?._id;
+        await addToOutbox(
+            createOutboxEntry({
+                ownerId: authUser?.id,
+                isGroup,
+                // A new direct conversation only gets its ID from the first message
+                conversationId: conversationId?.startsWith("temp_")
+                    ? null
+                    : conversationId,
+                receiverId: isGroup ? null : receiverData._id,
+                content: message.trim(),
+                files,
+                replyTo: replyingTo,
+            })
+        );
 
-            setMessages([
-                ...messages,
-                {
-                    id: data.data._id,
-                    content: data.data.message,
-                    timestamp: data.data.createdAt,
-                    isSentByCurrentUser: true,
-                },
-            ]);
+        return true;
+    };
 
-            // Refresh conversations to update the last message in the sidebar
-            refreshConversations();
+    const retryMessage = useCallback(
+        (clientId) =>
+            updateOutboxEntry(clientId, { status: "pending", error: null }),
+        []
+    );
 
-            return true;
-        } catch (error) {
-            console.error("Error sending message:", error);
-            showToast.error("Failed to send message");
-        } finally {
-            setLoading(false);
-        }
-    };
+    const discardMessage = useCallback(
+        (clientId) => removeFromOutbox(clientId),
+        []
+    );
 
-    return { sendMessage, loading };
+    return { sendMessage, retryMessage, discardMessage };
 };
 
 export default useSendMessage;
@@ -0,0 +1,121 @@
+/**
+ * useBlockedUsers Hook
+ * --------------------
+ * Custom hook for listing, blocking and unblocking users.
+ *
+ * Exports:
+ *   - useBlockedUsers: Provides the block list and the block / unblock actions.
+ *
+ * State:
+ *   - blockedUsers (array): Public profiles of the blocked users (`_id`, `fullName`, `username`, `profilePicture`, ...).
+ *   - blockedUserIds (string[]): Their IDs, shared through the `useConversation` store.
+ *   - loading (boolean): Indicates whether the list is being fetched.
+ *   - pendingId (string | null): The user being blocked or unblocked.
+ *
+ * Functions:
+ *   - fetchBlockedUsers(): Loads the list via `GET /api/users/me/blocked` (also called on mount).
+ *   - blockUser(userId): Blocks a user via `POST /api/users/:id/block`.
+ *   - unblockUser(userId): Unblocks a user via `DELETE /api/users/:id/block`.
+ *   - isBlocked(userId): Whether the user is on the block list.
+ *
+ * Behavior:
+ *   - The server answers block changes with `blocks:updated` on every socket of the user; the list is
+ *     refetched then, so other tabs stay in sync. `useUserStore` refetches the sidebar users on the same event.
+ *   - Actions resolve to `true` on success. Errors are surfaced with `showToast.error` using the server's message.
+ *
+ * Usage:
+ *   - Used by `BlockedUsersModal` and `MessageContainer`:
+ *       const { isBlocked, blockUser, unblockUser } = useBlockedUsers();
+ */
+
+import { useState, useEffect, useCallback } from "react";
+import useConversation from "../../store/zustand/useConversation";
+import { useSocketContext } from "../../store/SocketContext";
+import { apiRequest } from "../../utils/apiUtils";
+import { showToast } from "../../utils/toastConfig";
+
+export const useBlockedUsers = () => {
+    const [blockedUsers, setBlockedUsers] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [pendingId, setPendingId] = useState(null);
+    const { blockedUserIds, setBlockedUserIds } = useConversation();
+    const { socket } = useSocketContext();
+
+    const fetchBlockedUsers = useCallback(async () => {
+        setLoading(true);
+        try {
+            const data = await apiRequest("/api/users/me/blocked", "GET");
+            setBlockedUsers(data);
+            setBlockedUserIds(data.map((user) => user._id));
+        } catch (error) {
+            console.error("Failed to fetch blocked users:", error);
+            showToast.error(error.message || "Could not load blocked users");
+        } finally {
+            setLoading(false);
+        }
+    }, [setBlockedUserIds]);
+
+    useEffect(() => {
+        fetchBlockedUsers();
+    }, [fetchBlockedUsers]);
+
+    // Block list changed (here or in another tab)
+    useEffect(() => {
+        if (!socket) return;
+        socket.on("blocks:updated", fetchBlockedUsers);
+        return () => {
+            socket.off("blocks:updated", fetchBlockedUsers);
+        };
+    }, [socket, fetchBlockedUsers]);
+
+    const updateBlock = useCallback(
+        async (userId, method) => {
+            setPendingId(userId);
+            try {
+                const data = await apiRequest(
+                    `/api/users/${userId}/block`,
+                    method
+                );
+                setBlockedUserIds(data.blockedUsers);
+                setBlockedUsers((prev) =>
+                    prev.filter((user) => data.blockedUsers.includes(user._id))
+                );
+                showToast.success(data.message);
+                return true;
+            } catch (error) {
+                console.error("Failed to update block list:", error);
+                showToast.error(error.message || "Something went wrong");
+                return false;
+            } finally {
+                setPendingId(null);
+            }
+        },
+        [setBlockedUserIds]
+    );
+
+    const blockUser = useCallback(
+        (userId) => updateBlock(userId, "POST"),
+        [updateBlock]
+    );
+
+    const unblockUser = useCallback(
+        (userId) => updateBlock(userId, "DELETE"),
+        [updateBlock]
+    );
+
+    const isBlocked = useCallback(
+        (userId) => Boolean(userId) && blockedUserIds.includes(userId),
+        [blockedUserIds]
+    );
+
+    return {
+        blockedUsers,
+        blockedUserIds,
+        loading,
+        pendingId,
+        fetchBlockedUsers,
+        blockUser,
+        unblockUser,
+        isBlocked,
+    };
+};
@@ -0,0 +1,107 @@
+/**
+ * useProfileActions Hook
+ * ----------------------
+ * Custom hook for editing the logged-in user's profile.
+ *
+ * Exports:
+ *   - useProfileActions: Provides profile actions and a shared loading state.
+ *
+ * State:
+ *   - loading (boolean): Indicates whether a profile request is in progress.
+ *
+ * Functions:
+ *   - updateProfile(fields):
+ *       - Saves `fullName`, `bio`, `statusText` and/or the private recovery `email` via `PATCH /api/users/me`.
+ *   - uploadAvatar(file):
+ *       - Uploads a new avatar image via `PUT /api/users/me/avatar` (multipart, field `avatar`).
+ *         The server crops and resizes it.
+ *   - removeAvatar():
+ *       - Restores the default avatar via `DELETE /api/users/me/avatar`.
+ *   - updatePresence(status):
+ *       - Sets the presence to "online", "dnd" or "invisible" via `PUT /api/users/me/presence`. The new
+ *         status arrives back in `presence:statuses` (see `SocketContext`).
+ *
+ * Behavior:
+ *   - Every action returns the updated profile on success, or `null` on failure.
+ *   - Errors are surfaced with `showToast.error` using the server's message.
+ *   - The server broadcasts `user:updated` after every change; `useCurrentUser`, `useUserStore` and the
+ *     conversation socket listeners apply it, so the actions do not patch local state themselves.
+ *
+ * Usage:
+ *   - Used by `ProfileModal`:
+ *       const { updateProfile, uploadAvatar, loading } = useProfileActions();
+ *       await updateProfile({ statusText: "Back at 3pm" });
+ */
+
+import { useState, useCallback } from "react";
+import { apiRequest, fetchWithRefresh } from "../../utils/apiUtils";
+import { showToast } from "../../utils/toastConfig";
+
+export const useProfileActions = () => {
+    const [loading, setLoading] = useState(false);
+
+    // Shared request wrapper: loading state + error toast
+    const run = useCallback(async (request, successMessage) => {
+        setLoading(true);
+        try {
+            const data = await request();
+            if (successMessage) showToast.success(successMessage);
+            return data;
+        } catch (error) {
+            console.error("Profile action failed:", error);
+            showToast.error(error.message || "Something went wrong");
+            return null;
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    const updateProfile = useCallback(
+        (fields) =>
+            run(
+                () => apiRequest("/api/users/me", "PATCH", fields),
+                "Profile updated"
+            ),
+        [run]
+    );
+
+    const uploadAvatar = useCallback(
+        (file) =>
+            run(async () => {
+                const formData = new FormData();
+                formData.append("avatar", file);
+
+                const res = await fetchWithRefresh("/api/users/me/avatar", {
+                    method: "PUT",
+                    body: formData,
+                });
+                const data = await res.json();
+                if (!res.ok) throw new Error(data.message || "Upload failed");
+                return data;
+            }, "Avatar updated"),
+        [run]
+    );
+
+    const removeAvatar = useCallback(
+        () =>
+            run(
+                () => apiRequest("/api/users/me/avatar", "DELETE"),
+                "Avatar removed"
+            ),
+        [run]
+    );
+
+    const updatePresence = useCallback(
+        (status) =>
+            run(() => apiRequest("/api/users/me/presence", "PUT", { status })),
+        [run]
+    );
+
+    return {
+        updateProfile,
+        uploadAvatar,
+        removeAvatar,
+        updatePresence,
+        loading,
+    };
+};
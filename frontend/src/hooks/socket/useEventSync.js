@@ -0,0 +1,192 @@
+/**
+ * useEventSync Hook
+ * -----------------
+ * Custom hook that catches up on the real-time events missed while the socket was disconnected
+ * (a laptop that slept, a flaky connection, a server restart).
+ *
+ * Exports:
+ *   - useEventSync: Tracks the last applied event and fetches what was missed on every reconnect.
+ *
+ * Context:
+ *   - socket (object): The Socket.IO connection, from `SocketContext`.
+ *   - refreshConversations (function): Reloads the sidebar when the delta is not available, from `useConversationStore`.
+ *
+ * How it works:
+ *   - Message and conversation events carry the user's event sequence number as `seq` (see
+ *     `emitSyncedToUsers` on the server). The highest one seen is kept in a ref.
+ *   - On the first connection the current number is fetched from `GET /api/sync` as the starting point.
+ *   - On every reconnect `GET /api/sync?since=<seq>` returns the conversations and messages that changed
+ *     in the meantime, which are merged into the store:
+ *       - Changed conversations go through the `conversation:created` / `conversation:updated` handlers,
+ *         removed ones through the `conversation:removed` handler.
+ *       - Changed messages of the open conversation replace the loaded ones (edits, tombstones, reactions,
+ *         status) or are added when new; messages the user deleted for themselves are dropped. The open
+ *         conversation is marked read again when others wrote in it.
+ *       - Outbox entries whose message turns up are confirmed (see `utils/outbox.js`).
+ *   - When the server answers `reset` (away too long, or too much happened), the conversations and the
+ *     open conversation's messages are reloaded instead.
+ *
+ * Usage:
+ *   - Mounted once for the logged-in session, in `Home`:
+ *       useEventSync();
+ */
+
+import { useEffect, useRef } from "react";
+import useConversation from "../../store/zustand/useConversation";
+import { useSocketContext } from "../../store/SocketContext";
+import { useConversationStore } from "../conversation/useConversationStore";
+import { formatMessage } from "../messages/useMessages";
+import { fetchWithRefresh } from "../../utils/apiUtils";
+import { findEchoedEntry, removeFromOutbox } from "../../utils/outbox";
+import { createConversationCreatedHandler } from "../conversation/socketHandlers/conversationCreatedHandler.js";
+import { createConversationUpdatedHandler } from "../conversation/socketHandlers/conversationUpdatedHandler.js";
+import { createConversationRemovedHandler } from "../conversation/socketHandlers/conversationRemovedHandler.js";
+
+// Refs that always read the latest store value, so handlers applied one after another see each other's changes
+const storeRef = (key) => ({
+    get current() {
+        return useConversation.getState()[key];
+    },
+});
+
+const handlerOptions = () => {
+    const { setConversations, setSelectedConversation, setMessages } =
+        useConversation.getState();
+    return {
+        conversationsRef: storeRef("conversations"),
+        selectedConversationRef: storeRef("selectedConversation"),
+        setConversations,
+        setSelectedConversation,
+        setMessages,
+    };
+};
+
+const applyConversations = (conversations, removedIds) => {
+    const options = handlerOptions();
+    const handleCreated = createConversationCreatedHandler(options);
+    const handleUpdated = createConversationUpdatedHandler(options);
+    const handleRemoved = createConversationRemovedHandler(options);
+
+    conversations.forEach((conversation) => {
+        const exists = options.conversationsRef.current.some(
+            (item) => item._id === conversation._id
+        );
+        if (exists) handleUpdated(conversation);
+        else handleCreated(conversation);
+    });
+    removedIds.forEach((_id) => handleRemoved({ _id }));
+};
+
+// Upsert the open conversation's changed messages; returns whether others wrote new ones
+const applyMessages = (messages, removedIds) => {
+    const { selectedConversation, setMessages } = useConversation.getState();
+    const current = useConversation.getState().messages || [];
+    const changed = messages
+        .filter((msg) => msg.conversationId === selectedConversation?._id)
+        .map(formatMessage);
+    const removed = new Set(removedIds);
+    if (changed.length === 0 && !current.some((m) => removed.has(m.id))) {
+        return false;
+    }
+
+    const byId = new Map(changed.map((m) => [m.id, m]));
+    const updated = current
+        .filter((m) => !removed.has(m.id))
+        .map((m) => byId.get(m.id) || m);
+    const known = new Set(updated.map((m) => m.id));
+
+    // Changes to messages older than the loaded page stay unloaded
+    const oldestLoaded = current[0]?.timestamp;
+    const added = changed.filter(
+        (m) => !known.has(m.id) && (!oldestLoaded || m.timestamp > oldestLoaded)
+    );
+
+    setMessages(
+        [...updated, ...added].sort(
+            (a, b) => new Date(a.timestamp) - new Date(b.timestamp)
+        )
+    );
+    return added.some((m) => !m.isSentByCurrentUser);
+};
+
+export const useEventSync = () => {
+    const { socket } = useSocketContext();
+    const { refreshConversations } = useConversationStore();
+    // Highest event sequence number applied (null until the first sync)
+    const lastSeqRef = useRef(null);
+    // Latest refresh function, so a new one does not restart the tracking
+    const refreshConversationsRef = useRef(refreshConversations);
+    refreshConversationsRef.current = refreshConversations;
+
+    useEffect(() => {
+        if (!socket) return;
+        lastSeqRef.current = null;
+        let cancelled = false;
+
+        const trackSeq = (event, payload) => {
+            if (typeof payload?.seq !== "number") return;
+            lastSeqRef.current = Math.max(lastSeqRef.current ?? 0, payload.seq);
+        };
+
+        const catchUp = async () => {
+            const since = lastSeqRef.current;
+            try {
+                const res = await fetchWithRefresh(
+                    since === null ? "/api/sync" : `/api/sync?since=${since}`
+                );
+                if (!res.ok) throw new Error("Failed to sync");
+                const delta = await res.json();
+                if (cancelled) return;
+
+                if (delta.reset) {
+                    refreshConversationsRef.current();
+                    useConversation.getState().reloadMessages();
+                } else if (since !== null) {
+                    applyConversations(
+                        delta.conversations,
+                        delta.removedConversationIds
+                    );
+                    const hasNewFromOthers = applyMessages(
+                        delta.messages,
+                        delta.removedMessageIds
+                    );
+                    delta.messages.forEach((msg) => {
+                        const entry = findEchoedEntry(msg);
+                        if (entry) removeFromOutbox(entry.clientId);
+                    });
+
+                    const openId =
+                        useConversation.getState().selectedConversation?._id;
+                    if (hasNewFromOthers && openId) {
+                        fetchWithRefresh(`/api/conversations/${openId}/read`, {
+                            method: "POST",
+                            headers: { "Content-Type": "application/json" },
+                        }).catch(() => {
+                            /* the badge reconciles with the next update */
+                        });
+                    }
+                }
+
+                lastSeqRef.current = Math.max(
+                    lastSeqRef.current ?? 0,
+                    delta.seq
+                );
+            } catch (error) {
+                // The next reconnect tries again from the same point
+                console.warn("Could not catch up on missed events:", error);
+            }
+        };
+
+        socket.onAny(trackSeq);
+        socket.on("connect", catchUp);
+        if (socket.connected) catchUp();
+
+        return () => {
+            cancelled = true;
+            socket.offAny(trackSeq);
+            socket.off("connect", catchUp);
+        };
+    }, [socket]);
+};
+
+export default useEventSync;
@@ -0,0 +1,87 @@
+/**
+ * useIdleStatus Hook
+ * ------------------
+ * Custom hook that reports the user as "away" while they are not using the app.
+ *
+ * Exports:
+ *   - useIdleStatus: Watches for user activity and emits `presence:away` when the idle state changes.
+ *
+ * Context:
+ *   - socket (object): The Socket.IO connection, from `SocketContext`.
+ *
+ * Behavior:
+ *   - Without pointer, keyboard, touch or scroll activity for `AWAY_AFTER_MS` (5 minutes) the user is
+ *     idle: `presence:away` is emitted with `{ away: true }`. The next activity (or the tab becoming
+ *     visible again) emits `{ away: false }`.
+ *   - Only changes are emitted, so mouse movement does not flood the socket.
+ *   - A new connection starts out active on the server, so an idle client repeats `{ away: true }` on
+ *     every (re)connect.
+ *   - The server shows the user as "away" once all of their clients are idle (see `socket.js`).
+ *
+ * Usage:
+ *   - Mounted once for the logged-in session, in `Home`:
+ *       useIdleStatus();
+ */
+
+import { useEffect } from "react";
+import { useSocketContext } from "../../store/SocketContext";
+
+const AWAY_AFTER_MS = 5 * 60 * 1000;
+const ACTIVITY_EVENTS = [
+    "mousemove",
+    "mousedown",
+    "keydown",
+    "touchstart",
+    "wheel",
+];
+
+export const useIdleStatus = () => {
+    const { socket } = useSocketContext();
+
+    useEffect(() => {
+        if (!socket) return;
+        let away = false;
+        let timer = null;
+
+        const setAway = (next) => {
+            if (away === next) return;
+            away = next;
+            socket.emit("presence:away", { away });
+        };
+
+        const handleActivity = () => {
+            setAway(false);
+            clearTimeout(timer);
+            timer = setTimeout(() => setAway(true), AWAY_AFTER_MS);
+        };
+
+        const handleVisibilityChange = () => {
+            if (document.visibilityState === "visible") handleActivity();
+        };
+
+        const handleConnect = () => {
+            if (away) socket.emit("presence:away", { away: true });
+        };
+
+        ACTIVITY_EVENTS.forEach((event) =>
+            window.addEventListener(event, handleActivity, { passive: true })
+        );
+        document.addEventListener("visibilitychange", handleVisibilityChange);
+        socket.on("connect", handleConnect);
+        handleActivity();
+
+        return () => {
+            clearTimeout(timer);
+            ACTIVITY_EVENTS.forEach((event) =>
+                window.removeEventListener(event, handleActivity)
+            );
+            document.removeEventListener(
+                "visibilitychange",
+                handleVisibilityChange
+            );
+            socket.off("connect", handleConnect);
+        };
+    }, [socket]);
+};
+
+export default useIdleStatus;
@@ -1,55 +1,56 @@
 /**
  * useOnlineStatus Hook
  * ---------------------
- * Custom hook to check if a user is online based on the `onlineUsers` state from the `SocketContext`.
+ * Custom hook to get a user's presence based on the `presence` and `lastSeen` state from the `SocketContext`.
  *
  * Exports:
- *   - useOnlineStatus: A function that determines whether a specific user is currently online.
+ *   - useOnlineStatus: Returns a user's status and when they were last seen.
  *
  * Parameters:
- *   - userId (string | number): The ID of the user to check online status for.
+ *   - userId (string | number): The ID of the user to check.
+ *   - lastSeenAt (string | null): The `lastSeenAt` that came with the user's profile (optional).
  *
  * Returns:
- *   - (boolean): `true` if the user is online, otherwise `false`.
+ *   - status ("online" | "away" | "dnd" | "invisible" | "offline"): "invisible" only for the current user.
+ *   - isOnline (boolean): Whether the status is anything but "offline".
+ *   - lastSeenAt (string | null): When an offline user was last seen: the moment they dropped out of
+ *     `presence` on this page if known, otherwise the `lastSeenAt` argument.
  *
  * Behavior:
- *   - Accesses the `onlineUsers` array from the `SocketContext`.
- *   - Converts the `onlineUsers` array into a `Set` for fast lookups.
- *   - Normalizes both `userId` and `onlineUsers` to strings to ensure consistent comparisons.
- *   - Memoizes the `Set` to avoid unnecessary re-computations when `onlineUsers` changes.
- *   - Returns `false` if:
- *       - `userId` is not provided.
- *       - `onlineUsers` is not an array.
- *       - The user ID is not found in the `onlineUsers` array.
+ *   - Normalizes `userId` to a string; without one the user counts as offline.
+ *   - Memoizes the result, so components re-render only when it changes.
  *
  * Usage:
- *   - Import and use this hook in components to determine a user's online status.
+ *   - Import and use this hook in components to show presence dots and "last seen" lines.
  *
  * Example:
- *   - Checking if a user is online:
- *       const isOnline = useOnlineStatus("userId123");
- *       console.log(isOnline); // true or false
+ *   - Checking a user's status:
+ *       const { status, lastSeenAt } = useOnlineStatus(user._id, user.lastSeenAt);
+ *       console.log(getPresenceLabel(status, lastSeenAt)); // "Away" or "Last seen 5 minutes ago"
  *
  * Dependencies:
- *   - `useSocketContext`: Provides access to the `SocketContext` for retrieving the `onlineUsers` state.
+ *   - `useSocketContext`: Provides access to the `SocketContext` for retrieving the `presence` state.
  *   - `useMemo`: Optimizes performance by memoizing the result.
  */
 
 import { useMemo } from "react";
 import { useSocketContext } from "../../store/SocketContext";
 
-export const useOnlineStatus = (userId) => {
-    const { onlineUsers } = useSocketContext();
-
-    // Build a Set for fast lookups and normalize to strings
-    const onlineSet = useMemo(
-        () => new Set((onlineUsers || []).map(String)),
-        [onlineUsers]
-    );
+export const useOnlineStatus = (userId, lastSeenAt = null) => {
+    const { presence, lastSeen } = useSocketContext();
 
     const userIdStr = userId != null ? String(userId) : "";
+    const status = (userIdStr && presence?.[userIdStr]) || "offline";
+    const seenAt = (userIdStr && lastSeen?.[userIdStr]) || lastSeenAt || null;
 
-    return userIdStr ? onlineSet.has(userIdStr) : false;
+    return useMemo(
+        () => ({
+            status,
+            isOnline: status !== "offline",
+            lastSeenAt: status === "offline" ? seenAt : null,
+        }),
+        [status, seenAt]
+    );
 };
 
 export default useOnlineStatus;
@@ -0,0 +1,72 @@
+/**
+ * useTypingEmitter Hook
+ * ---------------------
+ * Custom hook that tells the other participants of a conversation when the current user is typing.
+ *
+ * Exports:
+ *   - useTypingEmitter: Provides `notifyTyping` and `stopTyping` for the message composer.
+ *
+ * Parameters:
+ *   - conversationId (string | undefined): The conversation being typed in. Temporary conversations
+ *     (`temp_…`) don't exist on the server yet, so nothing is emitted for them.
+ *
+ * Functions:
+ *   - notifyTyping():
+ *       - Call on every keystroke. Emits `typing:start` at most once every `REFRESH_MS` (3s), which also
+ *         keeps the server-side indicator (6s TTL) alive while the user keeps typing.
+ *       - Emits `typing:stop` after `IDLE_MS` (3s) without keystrokes.
+ *   - stopTyping():
+ *       - Emits `typing:stop` right away (e.g. when the message is sent). No-op if not typing.
+ *
+ * Behavior:
+ *   - Stops typing in the previous conversation when `conversationId` changes, and on unmount.
+ *
+ * Usage:
+ *   - const { notifyTyping, stopTyping } = useTypingEmitter(selectedConversation?._id);
+ *   - <input onChange={(e) => { setMessage(e.target.value); notifyTyping(); }} />
+ */
+
+import { useCallback, useEffect, useRef } from "react";
+import { useSocketContext } from "../../store/SocketContext";
+
+const REFRESH_MS = 3000;
+const IDLE_MS = 3000;
+
+export const useTypingEmitter = (conversationId) => {
+    const { socket } = useSocketContext();
+    const lastStartRef = useRef(0);
+    const idleTimerRef = useRef(null);
+
+    const canEmit =
+        Boolean(socket && conversationId) &&
+        !conversationId.startsWith("temp_");
+
+    const stopTyping = useCallback(() => {
+        clearTimeout(idleTimerRef.current);
+        idleTimerRef.current = null;
+        if (!lastStartRef.current) return;
+
+        lastStartRef.current = 0;
+        if (canEmit) socket.emit("typing:stop", { conversationId });
+    }, [socket, conversationId, canEmit]);
+
+    const notifyTyping = useCallback(() => {
+        if (!canEmit) return;
+
+        const now = Date.now();
+        if (now - lastStartRef.current >= REFRESH_MS) {
+            lastStartRef.current = now;
+            socket.emit("typing:start", { conversationId });
+        }
+
+        clearTimeout(idleTimerRef.current);
+        idleTimerRef.current = setTimeout(stopTyping, IDLE_MS);
+    }, [socket, conversationId, canEmit, stopTyping]);
+
+    // Leaving the conversation (or unmounting) ends the typing burst
+    useEffect(() => stopTyping, [stopTyping]);
+
+    return { notifyTyping, stopTyping };
+};
+
+export default useTypingEmitter;
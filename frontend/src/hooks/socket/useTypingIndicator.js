@@ -0,0 +1,52 @@
+/**
+ * useTypingIndicator Hook
+ * -----------------------
+ * Custom hook that returns the "typing…" label for a conversation, based on the `typingUsers` state
+ * maintained from the `typing:start` / `typing:stop` Socket.IO events.
+ *
+ * Exports:
+ *   - useTypingIndicator: Returns the label to show while other participants are typing.
+ *
+ * Parameters:
+ *   - conversation (object | null): The conversation (its `_id`, `isGroup` and populated `participants` are used).
+ *
+ * Returns:
+ *   - (string | null):
+ *       - Direct conversations: "typing…".
+ *       - Groups: "Jane is typing…" for one member, "3 people are typing…" for several.
+ *       - `null` when nobody is typing.
+ *
+ * Usage:
+ *   - Used in `SidebarConversation` (replaces the last message preview) and `MessageContainer`
+ *     (passed to `ChatHeader` to replace the online status / member count).
+ *
+ * Example:
+ *   const typingLabel = useTypingIndicator(conversation);
+ *   <p>{typingLabel || lastMessagePreview}</p>
+ */
+
+import { useMemo } from "react";
+import useConversation from "../../store/zustand/useConversation";
+import { useAuthContext } from "../../store/AuthContext";
+
+export const useTypingIndicator = (conversation) => {
+    const typingIds = useConversation(
+        (state) => state.typingUsers[conversation?._id]
+    );
+    const { authUser } = useAuthContext();
+
+    return useMemo(() => {
+        const others = (typingIds || []).filter((id) => id !== authUser?.id);
+        if (others.length === 0) return null;
+        if (!conversation?.isGroup) return "typing…";
+        if (others.length > 1) return `${others.length} people are typing…`;
+
+        const member = conversation.participants?.find(
+            (p) => (p._id || p).toString() === others[0]
+        );
+        const firstName = member?.fullName?.split(" ")[0];
+        return firstName ? `${firstName} is typing…` : "Someone is typing…";
+    }, [typingIds, authUser, conversation]);
+};
+
+export default useTypingIndicator;
@@ -0,0 +1,264 @@
+/**
+ * ChangePassword Component
+ * ------------------------
+ * Lets the logged-in user change their password.
+ *
+ * Purpose:
+ *   - Provides a form with the current password, a new password and its confirmation.
+ *   - Validates inputs dynamically and displays the password checklist.
+ *   - On success, returns to the chat; other devices are logged out by the server.
+ *
+ * State:
+ *   - `inputs`: Stores form values (currentPassword, newPassword, confirmPassword).
+ *   - `errors`: Stores validation errors for each field.
+ *   - `touched`: Tracks whether a field has been interacted with.
+ *   - `formError`: Stores the server's error (e.g. a wrong current password).
+ *   - `isShortViewport`: Tracks whether the viewport height is less than 950px.
+ *
+ * Hooks:
+ *   - `useChangePassword`: Custom hook for the change password request.
+ *   - `useEffect`: Validates inputs whenever they change and tracks viewport height.
+ *   - `useMemo`: Optimizes validation tips computation for each field.
+ *
+ * Validation:
+ *   - Uses `changePasswordSchema` (Yup schema) for input validation.
+ *   - Displays validation tips dynamically using `ValidationChecklist`.
+ *
+ * Layout:
+ *   - `PageTransition`, `FormContainer`, `FormInput`, `ValidationChecklist`, `FormButton` and
+ *     `FormFooter` (link back to the chat), as in the signup page.
+ *
+ * Example Usage:
+ *   - Rendered in `App.jsx` as the protected `/change-password` route:
+ *       <Route path="/change-password" element={<ProtectedRoute><ChangePassword /></ProtectedRoute>} />
+ */
+
+import { useEffect, useMemo, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { useChangePassword } from "../../hooks/auth/useChangePassword";
+import { changePasswordSchema } from "../../utils/validationSchemas";
+import { extractErrors } from "../../utils/extractErrors";
+import {
+    getPasswordTips,
+    getConfirmPasswordTips,
+} from "../../utils/validationTips";
+import { createHandleInputs, createHandleBlur } from "../../utils/formHandlers";
+import { getInputWrapperClass } from "../../styles/AuthStyles";
+
+import FormContainer from "../../components/form/FormContainer";
+import FormInput from "../../components/form/FormInput";
+import FormButton from "../../components/form/FormButton";
+import FormFooter from "../../components/form/FormFooter";
+import PageTransition from "../../components/transitions/PageTransition";
+import ValidationChecklist from "../../components/form/ValidationChecklist";
+
+const ChangePassword = () => {
+    const [inputs, setInputs] = useState({
+        currentPassword: "",
+        newPassword: "",
+        confirmPassword: "",
+    });
+    const [errors, setErrors] = useState({});
+    const [touched, setTouched] = useState({});
+    const [formError, setFormError] = useState("");
+    const { loading, handleChangePassword } = useChangePassword();
+    const navigate = useNavigate();
+
+    useEffect(() => {
+        let mounted = true;
+        const validate = async () => {
+            try {
+                await changePasswordSchema.validate(inputs, {
+                    abortEarly: false,
+                });
+                if (mounted) setErrors({});
+            } catch (error) {
+                if (!mounted) return;
+                setErrors(extractErrors(error));
+            }
+        };
+        validate();
+        return () => {
+            mounted = false;
+        };
+    }, [inputs]);
+
+    // Enable scroll on short viewports (< 950px)
+    const [isShortViewport, setIsShortViewport] = useState(
+        typeof window !== "undefined" ? window.innerHeight < 950 : false
+    );
+
+    useEffect(() => {
+        const onResize = () => setIsShortViewport(window.innerHeight < 950);
+        window.addEventListener("resize", onResize);
+        return () => window.removeEventListener("resize", onResize);
+    }, []);
+
+    const handleInputs = createHandleInputs({
+        setInputs,
+        setErrors,
+        onChange: () => setFormError(""),
+    });
+    const handleBlur = createHandleBlur({ setTouched });
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (loading) return;
+
+        try {
+            await changePasswordSchema.validate(inputs, { abortEarly: false });
+        } catch (error) {
+            setErrors(extractErrors(error));
+            setTouched({
+                currentPassword: true,
+                newPassword: true,
+                confirmPassword: true,
+            });
+            return;
+        }
+
+        const result = await handleChangePassword(inputs);
+        if (result.success) {
+            navigate("/");
+        } else {
+            setFormError(result.errorMessage || "");
+        }
+    };
+
+    const passwordTips = useMemo(
+        () => getPasswordTips(inputs.newPassword),
+        [inputs.newPassword]
+    );
+    const isPasswordComplete = passwordTips.every((tip) => tip.satisfied);
+
+    const confirmPasswordTips = useMemo(
+        () =>
+            getConfirmPasswordTips(inputs.newPassword, inputs.confirmPassword),
+        [inputs.newPassword, inputs.confirmPassword]
+    );
+    const isConfirmComplete = confirmPasswordTips.every((tip) => tip.satisfied);
+
+    return (
+        <div
+            className={
+                isShortViewport
+                    ? "w-full h-full overflow-auto flex items-start justify-center"
+                    : "w-full h-full overflow-hidden flex items-center justify-center"
+            }
+        >
+            <PageTransition type="auth">
+                <FormContainer title="Change Password">
+                    <form
+                        className="space-y-4"
+                        onSubmit={handleSubmit}
+                        noValidate
+                    >
+                        <div className={getInputWrapperClass()}>
+                            <FormInput
+                                id="currentPassword"
+                                name="currentPassword"
+                                type="password"
+                                label="Current Password"
+                                placeholder="Enter your current password"
+                                value={inputs.currentPassword}
+                                onChange={handleInputs}
+                                onBlur={handleBlur}
+                                hasError={
+                                    touched.currentPassword &&
+                                    Boolean(errors.currentPassword)
+                                }
+                                helperText={
+                                    touched.currentPassword
+                                        ? (errors.currentPassword ?? "")
+                                        : ""
+                                }
+                            />
+                        </div>
+
+                        <div className={getInputWrapperClass()}>
+                            <FormInput
+                                id="newPassword"
+                                name="newPassword"
+                                type="password"
+                                label="New Password"
+                                placeholder="Enter a new password"
+                                value={inputs.newPassword}
+                                onChange={handleInputs}
+                                onBlur={handleBlur}
+                                hasError={
+                                    touched.newPassword &&
+                                    Boolean(errors.newPassword)
+                                }
+                                isSuccess={
+                                    touched.newPassword &&
+                                    isPasswordComplete &&
+                                    !errors.newPassword
+                                }
+                                helperText={
+                                    touched.newPassword
+                                        ? (errors.newPassword ?? "")
+                                        : ""
+                                }
+                            />
+                            <ValidationChecklist
+                                title="Password checklist"
+                                items={passwordTips}
+                            />
+                        </div>
+
+                        <div className={getInputWrapperClass()}>
+                            <FormInput
+                                id="confirmPassword"
+                                name="confirmPassword"
+                                type="password"
+                                label="Confirm New Password"
+                                placeholder="Confirm your new password"
+                                value={inputs.confirmPassword}
+                                onChange={handleInputs}
+                                onBlur={handleBlur}
+                                hasError={
+                                    touched.confirmPassword &&
+                                    Boolean(errors.confirmPassword)
+                                }
+                                isSuccess={
+                                    touched.confirmPassword &&
+                                    isConfirmComplete &&
+                                    !errors.confirmPassword
+                                }
+                                helperText={
+                                    touched.confirmPassword
+                                        ? (errors.confirmPassword ?? "")
+                                        : ""
+                                }
+                            />
+                            <ValidationChecklist
+                                title="Confirmation"
+                                items={confirmPasswordTips}
+                            />
+                        </div>
+
+                        {formError && (
+                            <div className="alert alert-error flex justify-center bg-error/20 border border-error/40 text-sm text-error">
+                                {formError}
+                            </div>
+                        )}
+
+                        <div className="mt-6">
+                            <FormButton disabled={loading}>
+                                Change Password
+                            </FormButton>
+                        </div>
+                    </form>
+
+                    <FormFooter
+                        text="Changed your mind?"
+                        linkText="Back to chat"
+                        linkHref="/"
+                    />
+                </FormContainer>
+            </PageTransition>
+        </div>
+    );
+};
+
+export default ChangePassword;
@@ -0,0 +1,155 @@
+/**
+ * ForgotPassword Component
+ * ------------------------
+ * Starts the password reset flow for logged-out users.
+ *
+ * Purpose:
+ *   - Asks for a username or recovery email and requests a reset link for it.
+ *   - Once sent, replaces the form with a "check your inbox" note.
+ *
+ * State:
+ *   - `inputs`: Stores form values (identifier).
+ *   - `errors`: Stores validation errors for each field.
+ *   - `touched`: Tracks whether a field has been interacted with.
+ *   - `isSent`: Whether the request was accepted.
+ *
+ * Hooks:
+ *   - `usePasswordReset`: Provides `requestReset` and the loading state.
+ *
+ * Validation:
+ *   - Uses `forgotPasswordSchema` (Yup schema) for input validation.
+ *
+ * Behavior:
+ *   - The server answers identically whether or not the account exists or has a recovery email,
+ *     so the note is worded as "if the account has one". Recovery emails are set in the profile.
+ *
+ * Layout:
+ *   - `PageTransition`, `FormContainer`, `FormInput`, `FormButton` and `FormFooter` (link back to login).
+ *
+ * Example Usage:
+ *   - Rendered in `App.jsx` as the public `/forgot-password` route:
+ *       <Route path="/forgot-password" element={<PublicRoute><ForgotPassword /></PublicRoute>} />
+ */
+
+import { useEffect, useState } from "react";
+import { usePasswordReset } from "../../hooks/auth/usePasswordReset";
+import { forgotPasswordSchema } from "../../utils/validationSchemas";
+import { extractErrors } from "../../utils/extractErrors";
+import { createHandleInputs, createHandleBlur } from "../../utils/formHandlers";
+import { getInputWrapperClass } from "../../styles/AuthStyles";
+
+import FormContainer from "../../components/form/FormContainer";
+import FormInput from "../../components/form/FormInput";
+import FormButton from "../../components/form/FormButton";
+import FormFooter from "../../components/form/FormFooter";
+import PageTransition from "../../components/transitions/PageTransition";
+
+const ForgotPassword = () => {
+    const [inputs, setInputs] = useState({ identifier: "" });
+    const [errors, setErrors] = useState({});
+    const [touched, setTouched] = useState({});
+    const [isSent, setIsSent] = useState(false);
+    const { loading, requestReset } = usePasswordReset();
+
+    useEffect(() => {
+        let mounted = true;
+        const validate = async () => {
+            try {
+                await forgotPasswordSchema.validate(inputs, {
+                    abortEarly: false,
+                });
+                if (mounted) setErrors({});
+            } catch (error) {
+                if (!mounted) return;
+                setErrors(extractErrors(error));
+            }
+        };
+        validate();
+        return () => {
+            mounted = false;
+        };
+    }, [inputs]);
+
+    const handleInputs = createHandleInputs({ setInputs, setErrors });
+    const handleBlur = createHandleBlur({ setTouched });
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (loading) return;
+
+        try {
+            await forgotPasswordSchema.validate(inputs, { abortEarly: false });
+        } catch (error) {
+            setErrors(extractErrors(error));
+            setTouched({ identifier: true });
+            return;
+        }
+
+        const result = await requestReset(inputs.identifier);
+        if (result.success) setIsSent(true);
+    };
+
+    return (
+        <PageTransition type="auth">
+            <FormContainer title="Forgot Password">
+                {isSent ? (
+                    <div className="space-y-4 text-center text-white/80 text-sm max-w-sm">
+                        <p>
+                            If <strong>{inputs.identifier.trim()}</strong> has a
+                            recovery email, a reset link is on its way.
+                        </p>
+                        <p className="text-white/60">
+                            The link works once and expires soon. Check your
+                            spam folder if it does not arrive.
+                        </p>
+                    </div>
+                ) : (
+                    <form
+                        className="space-y-4"
+                        onSubmit={handleSubmit}
+                        noValidate
+                    >
+                        <p className="text-white/70 text-sm max-w-sm">
+                            Enter your username or recovery email and we will
+                            send you a link to choose a new password.
+                        </p>
+                        <div className={getInputWrapperClass()}>
+                            <FormInput
+                                id="identifier"
+                                name="identifier"
+                                label="Username or Email"
+                                placeholder="Enter username or email"
+                                value={inputs.identifier}
+                                onChange={handleInputs}
+                                onBlur={handleBlur}
+                                hasError={
+                                    touched.identifier &&
+                                    Boolean(errors.identifier)
+                                }
+                                helperText={
+                                    touched.identifier
+                                        ? (errors.identifier ?? "")
+                                        : ""
+                                }
+                            />
+                        </div>
+
+                        <div className="mt-6">
+                            <FormButton disabled={loading}>
+                                Send Reset Link
+                            </FormButton>
+                        </div>
+                    </form>
+                )}
+
+                <FormFooter
+                    text="Remembered it?"
+                    linkText="Login"
+                    linkHref="/login"
+                />
+            </FormContainer>
+        </PageTransition>
+    );
+};
+
+export default ForgotPassword;
@@ -22,6 +22,9 @@
  *
  * Effects:
  *   - Clears stale conversation state and refetches conversations on page load.
+ *   - Delivers queued messages from the outbox in the background (`useOutboxSync`).
+ *   - Catches up on the events missed while the socket was disconnected (`useEventSync`).
+ *   - Reports the user as away while idle (`useIdleStatus`).
  *
  * Usage:
  *   - This component is rendered in `App.jsx` as part of the `/` route.
@@ -41,6 +44,9 @@ import {
     getMessageContainerClass,
 } from "../../styles/HomeStyles";
 import { useConversationStore } from "../../hooks/conversation/useConversationStore";
+import { useOutboxSync } from "../../hooks/messages/useOutboxSync";
+import { useEventSync } from "../../hooks/socket/useEventSync";
+import { useIdleStatus } from "../../hooks/socket/useIdleStatus";
 
 const Home = () => {
     const {
@@ -51,6 +57,15 @@ const Home = () => {
         setSelectedConversation,
     } = useConversationStore();
 
+    // Send unsent messages (also those queued before a reload) whenever possible
+    useOutboxSync();
+
+    // Apply what happened while the socket was disconnected
+    useEventSync();
+
+    // Show the user as away after a while without activity
+    useIdleStatus();
+
     // Fresh start on page open: clear stale state and refetch
     useEffect(() => {
         setSelectedConversation(null);
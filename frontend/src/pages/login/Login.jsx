@@ -13,16 +13,21 @@
  *   - `errors`: Stores validation errors for each field.
  *   - `touched`: Tracks whether a field has been interacted with.
  *   - `formError`: Stores a general error message for the form.
+ *   - `lockedUntil`: Timestamp until which logins are throttled (from the server's `Retry-After`), or `null`.
+ *   - `now`: Current time, ticking every second while throttled to drive the countdown.
+ *   - `challengeToken`: The server's two-factor challenge once the password was accepted, or `null`.
  *
  * Hooks:
  *   - `useLogin`: Custom hook for handling login API requests.
- *   - `useEffect`: Validates inputs whenever they change.
+ *   - `useEffect`: Validates inputs whenever they change, and runs the throttle countdown.
  *   - `useMemo`: Optimizes validation tips computation for each field.
  *
  * Functions:
  *   - `handleInputs(e)`: Updates the `inputs` state and clears errors for the field being updated.
  *   - `handleBlur(e)`: Marks a field as touched when it loses focus.
  *   - `handleSubmit(e)`: Validates the form and submits the login request.
+ *   - `handleTwoFactorSubmit(code)`: Completes a challenged login with the authenticator or recovery code.
+ *   - `handleBackToLogin()`: Drops the challenge and returns to the username/password step.
  *
  * Validation:
  *   - Uses `loginSchema` (Yup schema) for input validation.
@@ -36,6 +41,16 @@
  *   - `ValidationChecklist`: Displays dynamic validation tips for each field.
  *   - `FormButton`: Submit button for the login form.
  *   - `FormFooter`: Displays a link to the signup page for new users.
+ *   - "Forgot password?" link under the password field, to the `/forgot-password` page.
+ *
+ * Two-Factor Authentication:
+ *   - For accounts with 2FA, `handleLogin` returns a challenge instead of logging in. The page then
+ *     renders `TwoFactorStep` (same container, title "Two-factor authentication") to ask for the code;
+ *     wrong codes count as failed logins, so the same throttling applies.
+ *
+ * Throttling:
+ *   - After repeated failures the server answers with `Retry-After`; the form then shows
+ *     "Try again in M:SS" and keeps the button disabled until the countdown ends.
  *
  * Example Usage:
  *   - Rendered in `App.jsx` as part of the `/login` route:
@@ -62,20 +77,26 @@ import { extractErrors } from "../../utils/extractErrors";
 import { getUsernameTips, getPasswordTips } from "../../utils/validationTips";
 import { createHandleInputs, createHandleBlur } from "../../utils/formHandlers";
 import { getInputWrapperClass } from "../../styles/AuthStyles";
+import { formatCountdown } from "../../utils/dateUtils";
 
 import FormContainer from "../../components/form/FormContainer";
 import FormInput from "../../components/form/FormInput";
 import FormButton from "../../components/form/FormButton";
 import FormFooter from "../../components/form/FormFooter";
 import PageTransition from "../../components/transitions/PageTransition";
+import AnimatedLink from "../../components/transitions/AnimatedLink";
 import ValidationChecklist from "../../components/form/ValidationChecklist";
+import TwoFactorStep from "./TwoFactorStep";
 
 const Login = () => {
     const [inputs, setInputs] = useState({ username: "", password: "" });
     const [errors, setErrors] = useState({});
     const [touched, setTouched] = useState({});
     const [formError, setFormError] = useState("");
-    const { loading, handleLogin } = useLogin();
+    const [lockedUntil, setLockedUntil] = useState(null);
+    const [now, setNow] = useState(() => Date.now());
+    const [challengeToken, setChallengeToken] = useState(null);
+    const { loading, handleLogin, handleTwoFactorLogin } = useLogin();
 
     useEffect(() => {
         let mounted = true;
@@ -94,6 +115,20 @@ const Login = () => {
         };
     }, [inputs]);
 
+    // Tick the countdown while logins are throttled
+    useEffect(() => {
+        if (!lockedUntil) return;
+        const timer = setInterval(() => {
+            const current = Date.now();
+            setNow(current);
+            if (current >= lockedUntil) setLockedUntil(null);
+        }, 1000);
+        return () => clearInterval(timer);
+    }, [lockedUntil]);
+
+    const secondsLeft = lockedUntil ? (lockedUntil - now) / 1000 : 0;
+    const isLocked = secondsLeft > 0;
+
     const handleInputs = createHandleInputs({
         setInputs,
         setErrors,
@@ -102,9 +137,15 @@ const Login = () => {
 
     const handleBlur = createHandleBlur({ setTouched });
 
+    const lockOut = (retryAfter) => {
+        const current = Date.now();
+        setNow(current);
+        setLockedUntil(current + retryAfter * 1000);
+    };
+
     const handleSubmit = async (e) => {
         e.preventDefault();
-        if (loading) return;
+        if (loading || isLocked) return;
 
         try {
             await loginSchema.validate(inputs, { abortEarly: false });
@@ -119,6 +160,14 @@ const Login = () => {
             password: inputs.password,
         });
 
+        if (result?.twoFactorRequired) {
+            setChallengeToken(result.challengeToken);
+            setFormError("");
+            return;
+        }
+
+        if (result?.retryAfter) lockOut(result.retryAfter);
+
         if (!result?.success && result?.errorMessage) {
             setFormError(
                 result.errorMessage.includes("Invalid username or password")
@@ -130,6 +179,20 @@ const Login = () => {
         }
     };
 
+    const handleTwoFactorSubmit = async (code) => {
+        if (loading || isLocked) return;
+
+        const result = await handleTwoFactorLogin({ challengeToken, code });
+        if (result?.retryAfter) lockOut(result.retryAfter);
+        setFormError(result?.success ? "" : result?.errorMessage || "");
+    };
+
+    const handleBackToLogin = () => {
+        setChallengeToken(null);
+        setFormError("");
+        setInputs((prev) => ({ ...prev, password: "" }));
+    };
+
     const usernameTips = useMemo(
         () => getUsernameTips(inputs.username),
         [inputs.username]
@@ -142,6 +205,25 @@ const Login = () => {
     );
     const isPasswordComplete = passwordTips.every((tip) => tip.satisfied);
 
+    if (challengeToken) {
+        return (
+            <PageTransition type="auth">
+                <FormContainer title="Two-factor authentication">
+                    <TwoFactorStep
+                        loading={loading}
+                        error={formError}
+                        lockCountdown={
+                            isLocked ? formatCountdown(secondsLeft) : null
+                        }
+                        onSubmit={handleTwoFactorSubmit}
+                        onBack={handleBackToLogin}
+                        onChange={() => setFormError("")}
+                    />
+                </FormContainer>
+            </PageTransition>
+        );
+    }
+
     return (
         <PageTransition type="auth">
             <FormContainer title="Login">
@@ -200,16 +282,30 @@ const Login = () => {
                             title="Password reminder"
                             items={passwordTips}
                         /> */}
+                        <div className="text-right">
+                            <AnimatedLink
+                                to="/forgot-password"
+                                className="text-white/70 hover:text-white text-xs underline"
+                            >
+                                Forgot password?
+                            </AnimatedLink>
+                        </div>
                     </div>
 
-                    {formError && (
+                    {(formError || isLocked) && (
                         <div className="alert alert-error flex justify-center bg-error/20 border border-error/40 text-sm text-error">
-                            {formError}
+                            {isLocked
+                                ? `Too many failed attempts. Try again in ${formatCountdown(secondsLeft)}.`
+                                : formError}
                         </div>
                     )}
 
                     <div className="mt-6">
-                        <FormButton disabled={loading}>Login</FormButton>
+                        <FormButton disabled={loading || isLocked}>
+                            {isLocked
+                                ? `Try again in ${formatCountdown(secondsLeft)}`
+                                : "Login"}
+                        </FormButton>
                     </div>
                 </form>
 
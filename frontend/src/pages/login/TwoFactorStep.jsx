@@ -0,0 +1,98 @@
+/**
+ * TwoFactorStep Component
+ * -----------------------
+ * Second step of the login form for accounts with two-factor authentication.
+ *
+ * Purpose:
+ *   - Asks for the 6-digit code from the authenticator app (or a recovery code) after the server
+ *     accepted the password and answered with a challenge.
+ *
+ * Props:
+ *   - `loading` (boolean): Whether the code is being verified.
+ *   - `error` (string): A message to show under the field (e.g. "Invalid authentication code").
+ *   - `lockCountdown` (string | null): "M:SS" while too many failed attempts block logins, else `null`.
+ *   - `onSubmit(code)` (function): Called with the entered code.
+ *   - `onBack()` (function): Returns to the username/password step.
+ *   - `onChange()` (function): Called when the code changes (to clear the error).
+ *
+ * Layout:
+ *   - `FormInput` for the code, the error / lockout alert (with the countdown), `FormButton` and a
+ *     "Back to login" link button.
+ *
+ * Example Usage:
+ *   - Rendered by `Login` once `handleLogin` returned a challenge:
+ *       <TwoFactorStep loading={loading} error={formError} onSubmit={verify} onBack={reset} />
+ */
+
+import { useState } from "react";
+import { getInputWrapperClass } from "../../styles/AuthStyles";
+
+import FormInput from "../../components/form/FormInput";
+import FormButton from "../../components/form/FormButton";
+
+const TwoFactorStep = ({
+    loading,
+    error,
+    lockCountdown,
+    onSubmit,
+    onBack,
+    onChange,
+}) => {
+    const [code, setCode] = useState("");
+    const isLocked = Boolean(lockCountdown);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (loading || isLocked || !code.trim()) return;
+        onSubmit(code);
+    };
+
+    return (
+        <form className="space-y-4" onSubmit={handleSubmit} noValidate>
+            <p className="text-white/70 text-sm text-center">
+                Enter the 6-digit code from your authenticator app, or one of
+                your recovery codes.
+            </p>
+
+            <div className={getInputWrapperClass()}>
+                <FormInput
+                    id="code"
+                    name="code"
+                    type="text"
+                    label="Authentication code"
+                    placeholder="123456"
+                    value={code}
+                    onChange={(e) => {
+                        setCode(e.target.value);
+                        onChange?.();
+                    }}
+                    hasError={Boolean(error)}
+                />
+            </div>
+
+            {(error || isLocked) && (
+                <div className="alert alert-error flex justify-center bg-error/20 border border-error/40 text-sm text-error">
+                    {isLocked
+                        ? `Too many failed attempts. Try again in ${lockCountdown}.`
+                        : error}
+                </div>
+            )}
+
+            <div className="mt-6">
+                <FormButton disabled={loading || isLocked}>Verify</FormButton>
+            </div>
+
+            <div className="text-center">
+                <button
+                    type="button"
+                    onClick={onBack}
+                    className="text-white/70 hover:text-white text-xs underline"
+                >
+                    Back to login
+                </button>
+            </div>
+        </form>
+    );
+};
+
+export default TwoFactorStep;
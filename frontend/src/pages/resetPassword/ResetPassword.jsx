@@ -0,0 +1,226 @@
+/**
+ * ResetPassword Component
+ * -----------------------
+ * Completes the password reset flow from the emailed link (`/reset-password?token=…`).
+ *
+ * Purpose:
+ *   - Provides a form with a new password and its confirmation.
+ *   - Validates inputs dynamically and displays the password checklist.
+ *   - On success, sends the user to the login page.
+ *
+ * State:
+ *   - `inputs`: Stores form values (password, confirmPassword).
+ *   - `errors`: Stores validation errors for each field.
+ *   - `touched`: Tracks whether a field has been interacted with.
+ *   - `formError`: Stores the server's error (e.g. an expired or already used link).
+ *
+ * Hooks:
+ *   - `usePasswordReset`: Provides `resetPassword` and the loading state.
+ *   - `useSearchParams`: Reads the `token` from the link.
+ *
+ * Validation:
+ *   - Uses `resetPasswordSchema` (Yup schema) for input validation.
+ *   - Displays validation tips dynamically using `ValidationChecklist`.
+ *
+ * Behavior:
+ *   - Without a `token` in the URL, only a link to request a new one is shown.
+ *   - Resetting logs out every existing session of the account (server-side).
+ *
+ * Example Usage:
+ *   - Rendered in `App.jsx` as the `/reset-password` route (reachable whether or not someone is
+ *     logged in on this browser):
+ *       <Route path="/reset-password" element={<ResetPassword />} />
+ */
+
+import { useEffect, useMemo, useState } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { usePasswordReset } from "../../hooks/auth/usePasswordReset";
+import { resetPasswordSchema } from "../../utils/validationSchemas";
+import { extractErrors } from "../../utils/extractErrors";
+import {
+    getPasswordTips,
+    getConfirmPasswordTips,
+} from "../../utils/validationTips";
+import { createHandleInputs, createHandleBlur } from "../../utils/formHandlers";
+import { getInputWrapperClass } from "../../styles/AuthStyles";
+
+import FormContainer from "../../components/form/FormContainer";
+import FormInput from "../../components/form/FormInput";
+import FormButton from "../../components/form/FormButton";
+import FormFooter from "../../components/form/FormFooter";
+import PageTransition from "../../components/transitions/PageTransition";
+import ValidationChecklist from "../../components/form/ValidationChecklist";
+
+const ResetPassword = () => {
+    const [searchParams] = useSearchParams();
+    const token = searchParams.get("token") || "";
+    const [inputs, setInputs] = useState({ password: "", confirmPassword: "" });
+    const [errors, setErrors] = useState({});
+    const [touched, setTouched] = useState({});
+    const [formError, setFormError] = useState("");
+    const { loading, resetPassword } = usePasswordReset();
+    const navigate = useNavigate();
+
+    useEffect(() => {
+        let mounted = true;
+        const validate = async () => {
+            try {
+                await resetPasswordSchema.validate(inputs, {
+                    abortEarly: false,
+                });
+                if (mounted) setErrors({});
+            } catch (error) {
+                if (!mounted) return;
+                setErrors(extractErrors(error));
+            }
+        };
+        validate();
+        return () => {
+            mounted = false;
+        };
+    }, [inputs]);
+
+    const handleInputs = createHandleInputs({
+        setInputs,
+        setErrors,
+        onChange: () => setFormError(""),
+    });
+    const handleBlur = createHandleBlur({ setTouched });
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (loading) return;
+
+        try {
+            await resetPasswordSchema.validate(inputs, { abortEarly: false });
+        } catch (error) {
+            setErrors(extractErrors(error));
+            setTouched({ password: true, confirmPassword: true });
+            return;
+        }
+
+        const result = await resetPassword({ token, ...inputs });
+        if (result.success) {
+            navigate("/login");
+        } else {
+            setFormError(result.errorMessage || "");
+        }
+    };
+
+    const passwordTips = useMemo(
+        () => getPasswordTips(inputs.password),
+        [inputs.password]
+    );
+    const isPasswordComplete = passwordTips.every((tip) => tip.satisfied);
+
+    const confirmPasswordTips = useMemo(
+        () => getConfirmPasswordTips(inputs.password, inputs.confirmPassword),
+        [inputs.password, inputs.confirmPassword]
+    );
+    const isConfirmComplete = confirmPasswordTips.every((tip) => tip.satisfied);
+
+    if (!token) {
+        return (
+            <PageTransition type="auth">
+                <FormContainer title="Reset Password">
+                    <p className="text-white/80 text-sm text-center max-w-sm">
+                        This reset link is incomplete. Request a new one to
+                        choose a new password.
+                    </p>
+                    <FormFooter
+                        text="Need a new link?"
+                        linkText="Forgot password"
+                        linkHref="/forgot-password"
+                    />
+                </FormContainer>
+            </PageTransition>
+        );
+    }
+
+    return (
+        <PageTransition type="auth">
+            <FormContainer title="Reset Password">
+                <form className="space-y-4" onSubmit={handleSubmit} noValidate>
+                    <div className={getInputWrapperClass()}>
+                        <FormInput
+                            id="password"
+                            name="password"
+                            type="password"
+                            label="New Password"
+                            placeholder="Enter a new password"
+                            value={inputs.password}
+                            onChange={handleInputs}
+                            onBlur={handleBlur}
+                            hasError={
+                                touched.password && Boolean(errors.password)
+                            }
+                            isSuccess={
+                                touched.password &&
+                                isPasswordComplete &&
+                                !errors.password
+                            }
+                            helperText={
+                                touched.password ? (errors.password ?? "") : ""
+                            }
+                        />
+                        <ValidationChecklist
+                            title="Password checklist"
+                            items={passwordTips}
+                        />
+                    </div>
+
+                    <div className={getInputWrapperClass()}>
+                        <FormInput
+                            id="confirmPassword"
+                            name="confirmPassword"
+                            type="password"
+                            label="Confirm New Password"
+                            placeholder="Confirm your new password"
+                            value={inputs.confirmPassword}
+                            onChange={handleInputs}
+                            onBlur={handleBlur}
+                            hasError={
+                                touched.confirmPassword &&
+                                Boolean(errors.confirmPassword)
+                            }
+                            isSuccess={
+                                touched.confirmPassword &&
+                                isConfirmComplete &&
+                                !errors.confirmPassword
+                            }
+                            helperText={
+                                touched.confirmPassword
+                                    ? (errors.confirmPassword ?? "")
+                                    : ""
+                            }
+                        />
+                        <ValidationChecklist
+                            title="Confirmation"
+                            items={confirmPasswordTips}
+                        />
+                    </div>
+
+                    {formError && (
+                        <div className="alert alert-error flex justify-center bg-error/20 border border-error/40 text-sm text-error">
+                            {formError}
+                        </div>
+                    )}
+
+                    <div className="mt-6">
+                        <FormButton disabled={loading}>
+                            Reset Password
+                        </FormButton>
+                    </div>
+                </form>
+
+                <FormFooter
+                    text="Link expired?"
+                    linkText="Request a new one"
+                    linkHref="/forgot-password"
+                />
+            </FormContainer>
+        </PageTransition>
+    );
+};
+
+export default ResetPassword;
@@ -18,6 +18,10 @@
  *   - authUser: The currently authenticated user's data.
  *   - setAuthUser: Function to update the `authUser` state.
  *
+ * Behavior:
+ *   - Registers itself as the session-expired handler of `apiUtils`: when the access token can no longer
+ *     be refreshed, the stored user is cleared and the app returns to the login page.
+ *
  * Error Handling:
  *   - Throws an error if `useAuthContext` is used outside of an `AuthProvider`.
  *
@@ -39,7 +43,8 @@
  *   - Referenced in `Home.jsx` for managing user authentication state.
  */
 
-import { createContext, useState, useContext } from "react";
+import { createContext, useState, useContext, useEffect } from "react";
+import { setSessionExpiredHandler } from "../utils/apiUtils";
 
 // eslint-disable-next-line react-refresh/only-export-components
 export const AuthContext = createContext();
@@ -60,6 +65,14 @@ export const AuthProvider = ({ children }) => {
             : null
     );
 
+    useEffect(() => {
+        setSessionExpiredHandler(() => {
+            localStorage.removeItem("user");
+            setAuthUser(null);
+        });
+        return () => setSessionExpiredHandler(null);
+    }, []);
+
     return (
         <AuthContext.Provider value={{ authUser, setAuthUser }}>
             {children}
@@ -1,7 +1,7 @@
 /**
  * SocketContext
  * -------------
- * Provides a React context for managing the Socket.IO connection and online user state.
+ * Provides a React context for managing the Socket.IO connection and user presence.
  *
  * Exports:
  *   - `SocketContext`: The React context for socket-related state and actions.
@@ -10,10 +10,13 @@
  *
  * State:
  *   - `socket`: The current Socket.IO connection instance.
- *   - `onlineUsers`: An array of user IDs representing the currently online users.
+ *   - `presence`: The status of each online user (`{ [userId]: "online" | "away" | "dnd" }`, plus the
+ *     current user's own status, which can also be "invisible"). Users not in it are offline.
+ *   - `lastSeen`: When users went offline while this page was open (`{ [userId]: ISO string }`); newer
+ *     than the `lastSeenAt` that came with their profile.
  *
  * Context:
- *   - `SocketContext`: Stores the `socket`, `onlineUsers`, and `setOnlineUsers` state.
+ *   - `SocketContext`: Stores the `socket`, `presence` and `lastSeen` state.
  *
  * Hooks:
  *   - `useSocketContext`:
@@ -22,14 +25,26 @@
  *
  * Components:
  *   - `SocketContextProvider`:
- *       - Manages the Socket.IO connection and online user state.
- *       - Listens for the `onlineUsers` event from the server to update the list of online users.
+ *       - Manages the Socket.IO connection and presence state.
+ *       - Listens for the `presence:statuses` event from the server to update the statuses; users who
+ *         drop out of it are recorded in `lastSeen`.
+ *       - Listens for `session:revoked` (this device was logged out from another one) and clears the
+ *         local login state, which sends the user to the login page.
+ *       - Keeps the connection authenticated: on `auth:expired` it refreshes the tokens and emits
+ *         `auth:renew` (the connection, and so the user's presence, stays up). A handshake refused with
+ *         `TokenExpired` or `Unauthorized` (the access cookie has expired with its token, e.g. after the
+ *         laptop slept) is retried once after a refresh, and so is a socket the server disconnected
+ *         (`io server disconnect`, e.g. a renewal that came too late). Socket.IO does not reconnect by
+ *         itself in either case.
  *       - Cleans up the socket connection when the component unmounts or the `currentUser` changes.
+ *       - Events missed while disconnected are caught up after each reconnect by `useEventSync`, using
+ *         the `seq` numbers on message and conversation events.
  *
  * Behavior:
- *   - Establishes a new Socket.IO connection when the `currentUser` changes.
+ *   - Establishes a new Socket.IO connection when the current user (`currentUser._id`) changes; profile edits keep the connection.
  *   - Disconnects the socket when the `currentUser` becomes null or the component unmounts.
- *   - Updates the `onlineUsers` state when the server emits the `onlineUsers` event.
+ *   - Updates the `presence` state when the server emits the `presence:statuses` event.
+ *   - Clears the presence state on logout.
  *
  * Usage:
  *   - Wrap the application with `SocketContextProvider` to provide socket-related state and actions.
@@ -42,8 +57,8 @@
  *       </SocketContextProvider>
  *
  *   - Accessing context in a component:
- *       const { socket, onlineUsers } = useSocketContext();
- *       console.log(onlineUsers);
+ *       const { socket, presence } = useSocketContext();
+ *       console.log(presence[userId] || "offline");
  *
  * Dependencies:
  *   - `socket.io-client`: Used to establish a Socket.IO connection.
@@ -52,13 +67,16 @@
  * Implementation Details:
  *   - Uses `useEffect` to establish and clean up the Socket.IO connection.
  *   - Uses `useRef` to store the socket instance and avoid unnecessary re-renders.
- *   - Listens for the `onlineUsers` event from the server to update the `onlineUsers` state.
+ *   - Listens for the `presence:statuses` event from the server to update the `presence` state.
  *   - Automatically disconnects the socket when the `currentUser` becomes null or the component unmounts.
  */
 
 import { createContext, useContext, useState, useEffect, useRef } from "react";
 import { io } from "socket.io-client";
 import { useCurrentUser } from "../hooks/auth/useCurrentUser";
+import { useAuthContext } from "./AuthContext";
+import { showToast } from "../utils/toastConfig";
+import { refreshSession } from "../utils/apiUtils";
 
 // eslint-disable-next-line react-refresh/only-export-components
 export const SocketContext = createContext();
@@ -76,13 +94,18 @@ export const useSocketContext = () => {
 
 export const SocketContextProvider = ({ children }) => {
     const [socket, setSocket] = useState(null);
-    const [onlineUsers, setOnlineUsers] = useState([]);
+    const [presence, setPresence] = useState({});
+    const [lastSeen, setLastSeen] = useState({});
     const { currentUser } = useCurrentUser();
+    const { setAuthUser } = useAuthContext();
+    const currentUserId = currentUser?._id;
     const socketRef = useRef(null);
+    // Latest statuses, to tell who went offline
+    const presenceRef = useRef({});
 
     useEffect(() => {
-        // When currentUser changes
-        if (currentUser) {
+        // When the logged-in user changes (profile edits keep the same socket)
+        if (currentUserId) {
             // Use environment variable or window.location for production
             // const backendUrl = import.meta.env.PROD
             //     ? "https://mern-chat-app-lg6e.onrender.com"
@@ -106,8 +129,62 @@ export const SocketContextProvider = ({ children }) => {
             setSocket(newSocket);
 
             // socket.on() is used to listen for the events from both client and server sides
-            newSocket.on("onlineUsers", (users) => {
-                setOnlineUsers(users);
+            newSocket.on("presence:statuses", (statuses) => {
+                const wentOffline = Object.keys(presenceRef.current).filter(
+                    (id) => !statuses[id]
+                );
+                presenceRef.current = statuses;
+                setPresence(statuses);
+                if (wentOffline.length === 0) return;
+
+                const now = new Date().toISOString();
+                setLastSeen((seen) => ({
+                    ...seen,
+                    ...Object.fromEntries(wentOffline.map((id) => [id, now])),
+                }));
+            });
+
+            // The server ends the connection right after this; log out locally instead of reconnecting
+            newSocket.on("session:revoked", () => {
+                localStorage.removeItem("user");
+                setAuthUser(null);
+                showToast.error("This device was logged out");
+            });
+
+            // Re-authenticate in place when the access token runs out
+            newSocket.on("auth:expired", async () => {
+                if (!(await refreshSession())) return;
+                newSocket.emit("auth:renew", (result) => {
+                    if (!result?.ok) newSocket.disconnect().connect();
+                });
+            });
+
+            // Refresh the tokens and connect again, once until the next successful connection
+            let isRevoked = false;
+            let hasRetried = false;
+            const reconnectAfterRefresh = async () => {
+                if (isRevoked || hasRetried) return;
+                hasRetried = true;
+                if (await refreshSession()) newSocket.connect();
+            };
+            newSocket.on("connect", () => {
+                hasRetried = false;
+            });
+            newSocket.on("session:revoked", () => {
+                isRevoked = true;
+            });
+
+            // Middleware errors stop the client's reconnection attempts; retry after a refresh
+            newSocket.on("connect_error", (error) => {
+                if (!["TokenExpired", "Unauthorized"].includes(error.message)) {
+                    return;
+                }
+                reconnectAfterRefresh();
+            });
+
+            // Neither does a disconnect by the server (e.g. the renewal came too late)
+            newSocket.on("disconnect", (reason) => {
+                if (reason === "io server disconnect") reconnectAfterRefresh();
             });
 
             return () => {
@@ -124,12 +201,15 @@ export const SocketContextProvider = ({ children }) => {
                 socketRef.current = null;
                 setSocket(null);
             }
+            presenceRef.current = {};
+            setPresence({});
+            setLastSeen({});
         }
-        // Only depend on currentUser
-    }, [currentUser]);
+        // Only depend on the current user's ID (setAuthUser is stable)
+    }, [currentUserId, setAuthUser]);
 
     return (
-        <SocketContext.Provider value={{ socket, onlineUsers, setOnlineUsers }}>
+        <SocketContext.Provider value={{ socket, presence, lastSeen }}>
             {children}
         </SocketContext.Provider>
     );
@@ -10,7 +10,13 @@
  *   - selectedConversation (object | null): The currently selected conversation object.
  *   - conversations (array): An array of all conversations available to the user.
  *   - messages (array): An array of messages for the selected conversation.
+ *   - messagesReloadKey (number): Bumped to make `useMessages` load the open conversation again.
  *   - isMobile (boolean): Indicates whether the viewport is mobile-sized (<768px).
+ *   - typingUsers (object): Users currently typing, keyed by conversation ID (`{ [conversationId]: userId[] }`).
+ *   - replyingTo (object | null): The message the composer is replying to (`{ id, senderName, content }`).
+ *   - pendingJump (object | null): A message to scroll to once its conversation is open (`{ conversationId, messageId }`).
+ *   - blockedUserIds (string[]): IDs of the users the current user blocked.
+ *   - outbox (array): Messages waiting to be sent or that failed to send, oldest first (see `utils/outbox.js`).
  *
  * Actions:
  *   - setSelectedConversation(selectedConversation):
@@ -19,8 +25,20 @@
  *       - Updates the `conversations` state with the provided array of conversations.
  *   - setMessages(messages):
  *       - Updates the `messages` state with the provided array of messages.
+ *   - reloadMessages():
+ *       - Reloads the open conversation's first page (e.g. when a reconnect could not be caught up, see `useEventSync`).
  *   - setIsMobile(isMobile):
  *       - Updates the `isMobile` state based on the viewport size.
+ *   - setUserTyping(conversationId, userId, isTyping):
+ *       - Adds or removes a user from the conversation's `typingUsers` entry (driven by `typing:start` / `typing:stop`).
+ *   - setReplyingTo(replyingTo):
+ *       - Sets (or clears with `null`) the message the next message will reply to.
+ *   - setPendingJump(pendingJump):
+ *       - Requests (or clears with `null`) a jump to a message, e.g. from a search result; consumed by `MessagesList`.
+ *   - setBlockedUserIds(blockedUserIds):
+ *       - Replaces the block list (kept in sync by `useBlockedUsers`).
+ *   - updateOutbox(update):
+ *       - Replaces the outbox with `update(outbox)`; called by the helpers in `utils/outbox.js`, which also persist it.
  *
  * Usage:
  *   - This store is used throughout the application to manage conversation state.
@@ -67,10 +85,46 @@ const useConversation = create((set) => ({
     // Messages management
     messages: [],
     setMessages: (messages) => set({ messages }),
+    messagesReloadKey: 0,
+    reloadMessages: () =>
+        set((state) => ({ messagesReloadKey: state.messagesReloadKey + 1 })),
+
+    // Message the composer is replying to
+    replyingTo: null,
+    setReplyingTo: (replyingTo) => set({ replyingTo }),
+
+    // Message to scroll to once its conversation has loaded
+    pendingJump: null,
+    setPendingJump: (pendingJump) => set({ pendingJump }),
+
+    // IDs of the users the current user blocked (see `useBlockedUsers`)
+    blockedUserIds: [],
+    setBlockedUserIds: (blockedUserIds) => set({ blockedUserIds }),
+
+    // Unsent messages (see `utils/outbox.js`)
+    outbox: [],
+    updateOutbox: (update) =>
+        set((state) => ({ outbox: update(state.outbox) })),
 
     // Responsive layout state
     isMobile: window.innerWidth < 768,
     setIsMobile: (isMobile) => set({ isMobile }),
+
+    // Typing indicators
+    typingUsers: {},
+    setUserTyping: (conversationId, userId, isTyping) =>
+        set((state) => {
+            const current = state.typingUsers[conversationId] || [];
+            if (current.includes(userId) === isTyping) return state;
+            return {
+                typingUsers: {
+                    ...state.typingUsers,
+                    [conversationId]: isTyping
+                        ? [...current, userId]
+                        : current.filter((id) => id !== userId),
+                },
+            };
+        }),
 }));
 
 export default useConversation;
@@ -7,11 +7,12 @@
  * Exports:
  *   - getContainerClass: Returns the container class for conversation items
  *   - getAvatarClass: Returns classes for the avatar component
+ *   - getPresenceDotClass: Returns classes for the presence dot on an avatar
  *   - getAvatarContainerClass: Returns classes for the avatar container
  *   - getNameClass: Returns classes for user name text
  *   - getMessageClass: Returns classes for message preview text
  *   - getTimeClass: Returns classes for timestamp display
- *   - getBadgeClass: Returns classes for unread count badge
+ *   - getBadgeClass: Returns classes for unread count badge (dimmed for muted conversations)
  */
 
 /**
@@ -25,11 +26,26 @@ export const getContainerClass = (isSelected) => `
 `;
 
 /**
- * Returns the class for the avatar component
- * @param {boolean} isOnline - Whether the user is online
+ * Returns the class for the avatar component (the presence dot is positioned inside it)
  */
-export const getAvatarClass = (isOnline) => `
-  avatar ${isOnline ? "avatar-online" : ""}
+export const getAvatarClass = () => `
+  avatar relative
+`;
+
+const PRESENCE_DOT_COLORS = {
+    online: "bg-green-400",
+    away: "bg-amber-400",
+    dnd: "bg-red-500",
+    invisible: "bg-transparent border-2 border-white/60",
+};
+
+/**
+ * Returns the class for the presence dot
+ * @param {string} status - "online", "away", "dnd" or "invisible"
+ */
+export const getPresenceDotClass = (status) => `
+  absolute top-0 right-0 w-3 h-3 rounded-full ring-2 ring-black/30
+  ${PRESENCE_DOT_COLORS[status] || "bg-white/30"}
 `;
 
 /**
@@ -71,8 +87,15 @@ export const getTimeClass = (isSelected) => `
 /**
  * Returns the class for the unread count badge
  * @param {boolean} isSelected - Whether the conversation is selected
+ * @param {boolean} isMuted - Whether the conversation is muted (no emphasis)
  */
-export const getBadgeClass = (isSelected) => `
+export const getBadgeClass = (isSelected, isMuted = false) => `
   badge badge-sm mt-1 border-0 shadow-none
-  ${isSelected ? "bg-white/30 text-white" : "bg-white/20 text-white"}
+  ${
+      isMuted
+          ? "bg-white/10 text-white/50"
+          : isSelected
+            ? "bg-white/30 text-white"
+            : "bg-white/20 text-white"
+  }
 `;
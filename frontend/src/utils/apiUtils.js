@@ -1,10 +1,13 @@
 /**
  * apiRequest Utility
  * ------------------
- * A reusable utility function for making API requests.
+ * A reusable utility function for making API requests, plus the token refresh layer every request goes through.
  *
  * Exports:
  *   - apiRequest: Handles HTTP requests with JSON payloads and error handling.
+ *   - fetchWithRefresh: Drop-in `fetch` replacement that renews an expired access token and retries once.
+ *   - refreshSession: Renews the access token via `POST /api/auth/refresh`; resolves to `true` on success.
+ *   - setSessionExpiredHandler: Registers the callback run when the session cannot be renewed.
  *
  * Parameters:
  *   - url (string): The endpoint URL for the API request.
@@ -17,9 +20,20 @@
  * Throws:
  *   - An error if the response status is not OK (status code >= 400).
  *   - The error message is extracted from the response or defaults to "Request failed".
+ *   - The error carries `status` (the HTTP status) and `retryAfter` (seconds from the `Retry-After`
+ *     header, or `null`), e.g. for throttled logins.
+ *
+ * Token Refresh:
+ *   - Access tokens are short-lived. When a request answers 401, `fetchWithRefresh` calls `refreshSession`
+ *     and repeats the request once with the new cookie.
+ *   - Concurrent 401s share a single refresh request (the server rotates the refresh token on every use).
+ *   - If the refresh fails, the session-expired handler runs (`AuthProvider` clears the login state)
+ *     and the original 401 response is returned.
+ *   - Requests to the login/signup/refresh endpoints are never retried: their 401s are not about the access token.
  *
  * Usage:
- *   - Used throughout the application for making API calls.
+ *   - Used throughout the application for making API calls. Raw `fetch` calls to the API (uploads,
+ *     pagination, fire-and-forget requests) use `fetchWithRefresh` instead.
  *
  * Example:
  *   - Sending a POST request:
@@ -37,15 +51,63 @@
  *       }
  */
 
+const NO_REFRESH_PATHS = [
+    "/api/auth/login",
+    "/api/auth/signup",
+    "/api/auth/refresh",
+    "/api/auth/logout",
+];
+
+let refreshPromise = null;
+let onSessionExpired = null;
+
+export const setSessionExpiredHandler = (handler) => {
+    onSessionExpired = handler;
+};
+
+export const refreshSession = () => {
+    if (!refreshPromise) {
+        refreshPromise = fetch("/api/auth/refresh", { method: "POST" })
+            .then((res) => {
+                if (!res.ok && res.status === 401) onSessionExpired?.();
+                return res.ok;
+            })
+            .catch((error) => {
+                console.error("Failed to refresh session:", error);
+                return false;
+            })
+            .finally(() => {
+                refreshPromise = null;
+            });
+    }
+    return refreshPromise;
+};
+
+export const fetchWithRefresh = async (url, options) => {
+    const res = await fetch(url, options);
+    if (
+        res.status !== 401 ||
+        NO_REFRESH_PATHS.some((path) => url.startsWith(path))
+    ) {
+        return res;
+    }
+
+    const refreshed = await refreshSession();
+    return refreshed ? fetch(url, options) : res;
+};
+
 export const apiRequest = async (url, method, body) => {
     const headers = { "Content-Type": "application/json" };
     const options = { method, headers, body: JSON.stringify(body) };
 
-    const res = await fetch(url, options);
+    const res = await fetchWithRefresh(url, options);
     const data = await res.json();
 
     if (!res.ok) {
-        throw new Error(data.message || "Request failed");
+        const error = new Error(data.message || "Request failed");
+        error.status = res.status;
+        error.retryAfter = Number(res.headers.get("Retry-After")) || null;
+        throw error;
     }
 
     return data;
@@ -7,6 +7,9 @@
  *   - formatMessageTime: Formats a timestamp into a readable format (e.g., "12:30" for today, "Jan 5" for past dates).
  *   - getRelativeTime: Returns "Now" for recent timestamps or the formatted time for older timestamps.
  *   - formatJoinDate: Formats a user's join date into a readable format (e.g., "Jan 2023").
+ *   - formatFullDateTime: Formats a timestamp with both date and time (e.g., "Oct 1, 14:30").
+ *   - formatCountdown: Formats a number of seconds as a countdown (e.g., "1:05").
+ *   - formatTimeAgo: Formats a past timestamp relative to now (e.g., "5 minutes ago").
  *
  * Functions:
  *   - formatMessageTime(timestamp)
@@ -44,6 +47,25 @@
  *     - Behavior:
  *         - Validates the timestamp and formats it based on its relation to the current year.
  *
+ *   - formatFullDateTime(timestamp)
+ *     - Parameters:
+ *         - timestamp (string|number|Date): The timestamp to format.
+ *     - Returns:
+ *         - "MMM D, HH:MM" (24-hour format), or an empty string if the timestamp is invalid.
+ *
+ *   - formatCountdown(seconds)
+ *     - Parameters:
+ *         - seconds (number): The remaining time in seconds.
+ *     - Returns:
+ *         - "M:SS" (minutes are not padded; negative values count as 0).
+ *
+ *   - formatTimeAgo(timestamp)
+ *     - Parameters:
+ *         - timestamp (string|number|Date): A moment in the past.
+ *     - Returns:
+ *         - "just now" (under a minute), "N minutes ago", "N hours ago", "yesterday", "N days ago"
+ *           (under a week), then "on MMM DD" (see `formatMessageTime`), or "" if invalid.
+ *
  * Usage:
  *   - Import and use these functions to format timestamps in chat messages or UI components.
  *   - Examples:
@@ -140,3 +162,63 @@ export const formatJoinDate = (timestamp) => {
     // Otherwise show month and year
     return date.toLocaleDateString([], { month: "short", year: "numeric" });
 };
+
+/**
+ * Formats a timestamp with both date and time (used where the exact moment matters, e.g. edit history)
+ * @param {string|number|Date} timestamp - The timestamp to format
+ * @returns {string} Formatted string (e.g., "Oct 1, 14:30"), or "" if invalid
+ */
+export const formatFullDateTime = (timestamp) => {
+    if (!timestamp) return "";
+
+    const date = new Date(timestamp);
+    if (isNaN(date.getTime())) return "";
+
+    return date.toLocaleString([], {
+        month: "short",
+        day: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+        hour12: false,
+    });
+};
+
+/**
+ * Formats remaining seconds as a countdown (used for "try again in" messages)
+ * @param {number} seconds - The remaining time in seconds
+ * @returns {string} Formatted string (e.g., "1:05")
+ */
+export const formatCountdown = (seconds) => {
+    const total = Math.max(Math.ceil(seconds), 0);
+    const minutes = Math.floor(total / 60);
+    const rest = String(total % 60).padStart(2, "0");
+    return `${minutes}:${rest}`;
+};
+
+/**
+ * Formats a past timestamp relative to now (used for "last seen")
+ * @param {string|number|Date} timestamp - The timestamp to format
+ * @returns {string} Formatted string (e.g., "5 minutes ago"), or "" if invalid
+ */
+export const formatTimeAgo = (timestamp) => {
+    if (!timestamp) return "";
+
+    const date = new Date(timestamp);
+    if (isNaN(date.getTime())) return "";
+
+    const minutes = Math.floor((Date.now() - date.getTime()) / 60000);
+    const plural = (count, unit) =>
+        `${count} ${unit}${count === 1 ? "" : "s"} ago`;
+
+    if (minutes < 1) return "just now";
+    if (minutes < 60) return plural(minutes, "minute");
+
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return plural(hours, "hour");
+
+    const days = Math.floor(hours / 24);
+    if (days === 1) return "yesterday";
+    if (days < 7) return plural(days, "day");
+
+    return `on ${formatMessageTime(timestamp)}`;
+};
@@ -0,0 +1,43 @@
+/**
+ * deviceUtils
+ * -----------
+ * Small helpers for displaying login sessions.
+ *
+ * Exports:
+ *   - describeUserAgent(userAgent): A short device label ("Chrome on Windows", "Safari on iOS"),
+ *     or "Unknown device" when the user agent is empty or unrecognized.
+ *
+ * Notes:
+ *   - Matching order matters: Edge and Opera include "Chrome", Chrome includes "Safari".
+ *
+ * Example:
+ *   describeUserAgent("Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) ... Firefox/128.0"); // "Firefox on macOS"
+ */
+
+const BROWSERS = [
+    ["Edge", /Edg(e|A|iOS)?\//],
+    ["Opera", /OPR\/|Opera/],
+    ["Firefox", /Firefox\/|FxiOS\//],
+    ["Chrome", /Chrome\/|CriOS\//],
+    ["Safari", /Safari\//],
+];
+
+const SYSTEMS = [
+    ["iOS", /iPhone|iPad|iPod/],
+    ["Android", /Android/],
+    ["Windows", /Windows/],
+    ["macOS", /Mac OS X|Macintosh/],
+    ["ChromeOS", /CrOS/],
+    ["Linux", /Linux/],
+];
+
+const findLabel = (table, userAgent) =>
+    table.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+export const describeUserAgent = (userAgent = "") => {
+    const browser = findLabel(BROWSERS, userAgent);
+    const system = findLabel(SYSTEMS, userAgent);
+
+    if (browser && system) return `${browser} on ${system}`;
+    return browser || system || "Unknown device";
+};
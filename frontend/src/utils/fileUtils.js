@@ -0,0 +1,31 @@
+/**
+ * fileUtils
+ * ---------
+ * Small helpers for displaying message attachments.
+ *
+ * Exports:
+ *   - formatFileSize(bytes): Formats a byte count for display ("820 B", "14 KB", "2.4 MB").
+ *   - isImageAttachment(attachment): `true` when the attachment (or `File`) has an image MIME type.
+ *   - attachmentLabel(attachments): Short label for a message without text ("📷 Photo", "📎 report.pdf" or "").
+ *
+ * Example:
+ *   formatFileSize(2516582);                        // "2.4 MB"
+ *   isImageAttachment({ mimeType: "image/png" });   // true
+ *   isImageAttachment(new File([], "a.pdf", { type: "application/pdf" })); // false
+ *   attachmentLabel([{ name: "a.pdf", mimeType: "application/pdf" }]); // "📎 a.pdf"
+ */
+
+export const formatFileSize = (bytes = 0) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+export const isImageAttachment = (attachment) =>
+    Boolean((attachment?.mimeType || attachment?.type)?.startsWith("image/"));
+
+export const attachmentLabel = (attachments = []) => {
+    const [first] = attachments;
+    if (!first) return "";
+    return isImageAttachment(first) ? "📷 Photo" : `📎 ${first.name}`;
+};
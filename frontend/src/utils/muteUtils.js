@@ -0,0 +1,39 @@
+/**
+ * muteUtils
+ * ---------
+ * Helpers for per-conversation mute (`conversation.mutedUntil`, see `useMuteConversation`).
+ *
+ * Exports:
+ *   - MUTE_OPTIONS: The durations offered in the conversation menu (`{ label, hours }`, `hours: null`
+ *     mutes until unmuted).
+ *   - isConversationMuted(conversation): Whether the mute is still in effect.
+ *   - formatMutedUntil(mutedUntil): "Muted until Oct 1, 14:30", or "Muted" for an open-ended mute.
+ *
+ * Notes:
+ *   - The server stores "until unmuted" as a far-future date, so any year past `OPEN_ENDED_YEAR`
+ *     reads as open-ended.
+ *   - Expired mutes need no cleanup: they simply stop matching `isConversationMuted`.
+ *
+ * Example:
+ *   isConversationMuted({ mutedUntil: "2099-01-01T00:00:00.000Z" }); // true
+ */
+
+import { formatFullDateTime } from "./dateUtils";
+
+export const MUTE_OPTIONS = [
+    { label: "For 1 hour", hours: 1 },
+    { label: "For 8 hours", hours: 8 },
+    { label: "For 1 week", hours: 24 * 7 },
+    { label: "Until I turn it back on", hours: null },
+];
+
+const OPEN_ENDED_YEAR = 9000;
+
+export const isConversationMuted = (conversation) =>
+    Boolean(conversation?.mutedUntil) &&
+    new Date(conversation.mutedUntil).getTime() > Date.now();
+
+export const formatMutedUntil = (mutedUntil) =>
+    new Date(mutedUntil).getFullYear() >= OPEN_ENDED_YEAR
+        ? "Muted"
+        : `Muted until ${formatFullDateTime(mutedUntil)}`;
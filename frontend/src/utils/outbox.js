@@ -0,0 +1,192 @@
+/**
+ * outbox
+ * ------
+ * The offline outbox: messages the user sent that the server has not confirmed yet.
+ *
+ * Exports:
+ *   - createOutboxEntry({ ownerId, conversationId, receiverId, isGroup, content, files, replyTo }): A new
+ *     "pending" entry with a random `clientId` and `createdAt`.
+ *   - loadOutbox(ownerId): Reads the user's persisted entries into the store (oldest first). Entries that
+ *     were in flight when the page closed are pending again.
+ *   - addToOutbox(entry) / updateOutboxEntry(clientId, patch) / removeFromOutbox(clientId): Change an entry
+ *     in the store and in IndexedDB.
+ *   - clearOutbox(): Empties the store only (on logout); the entries stay persisted for the next login.
+ *   - isEntryInConversation(entry, conversation, receiverId): Whether an entry belongs to the open chat.
+ *   - findEchoedEntry(message): The entry a `message:new` echo confirms (by `clientMessageId`), if any.
+ *   - hasMessage(messages, message): Whether a confirmed message is already in a list, by server ID or
+ *     client ID (the send response and the socket echo both add it).
+ *
+ * Entry Shape:
+ *   - clientId (string): Sent as the message's `clientMessageId`, so retries never create duplicates.
+ *   - ownerId (string), createdAt (ISO string)
+ *   - conversationId (string | null): Target group, or the direct conversation once it exists.
+ *   - receiverId (string | null): Target user of a direct message.
+ *   - isGroup (boolean), content (string), files (File[])
+ *   - replyTo ({ id, senderName, content } | null): The quoted message, as picked in the composer.
+ *   - status ("pending" | "sending" | "failed"), error (string | null)
+ *
+ * Notes:
+ *   - Entries are persisted in the `outbox` object store of the `chat-app` IndexedDB database, so they
+ *     survive reloads. Files are stored as blobs alongside the text.
+ *   - Without IndexedDB (private mode in some browsers) the outbox still works, but only in memory.
+ *   - Entries are scoped by `ownerId`: another account logging in on the same browser never sends them.
+ *
+ * Example:
+ *   const entry = createOutboxEntry({ ownerId, receiverId, content: "Hi" });
+ *   await addToOutbox(entry);
+ */
+
+import useConversation from "../store/zustand/useConversation";
+
+const DB_NAME = "chat-app";
+const DB_VERSION = 1;
+const STORE_NAME = "outbox";
+
+let dbPromise = null;
+
+const openDatabase = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === "undefined") {
+                reject(new Error("IndexedDB is not available"));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE_NAME, {
+                    keyPath: "clientId",
+                });
+                store.createIndex("ownerId", "ownerId");
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).catch((error) => {
+            console.warn("Outbox is not persisted:", error);
+            return null;
+        });
+    }
+    return dbPromise;
+};
+
+// Run one request against the outbox store; resolves to its result (or null without IndexedDB)
+const withStore = async (mode, run) => {
+    const db = await openDatabase();
+    if (!db) return null;
+    return new Promise((resolve, reject) => {
+        const request = run(
+            db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)
+        );
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+};
+
+const persist = (run) =>
+    withStore("readwrite", run).catch((error) =>
+        console.error("Failed to update the outbox:", error)
+    );
+
+const setOutbox = (update) => useConversation.getState().updateOutbox(update);
+
+const createClientId = () =>
+    typeof crypto !== "undefined" && crypto.randomUUID
+        ? crypto.randomUUID()
+        : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+export const createOutboxEntry = ({
+    ownerId,
+    conversationId = null,
+    receiverId = null,
+    isGroup = false,
+    content = "",
+    files = [],
+    replyTo = null,
+}) => ({
+    clientId: createClientId(),
+    ownerId,
+    conversationId,
+    receiverId,
+    isGroup,
+    content,
+    files,
+    replyTo,
+    createdAt: new Date().toISOString(),
+    status: "pending",
+    error: null,
+});
+
+export const loadOutbox = async (ownerId) => {
+    let entries = [];
+    try {
+        entries =
+            (await withStore("readonly", (store) =>
+                store.index("ownerId").getAll(ownerId)
+            )) || [];
+    } catch (error) {
+        console.error("Failed to load the outbox:", error);
+    }
+
+    const restored = entries
+        .map((entry) =>
+            entry.status === "sending" ? { ...entry, status: "pending" } : entry
+        )
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    // Keep anything queued while loading
+    setOutbox((current) => [
+        ...restored,
+        ...current.filter(
+            (entry) => !restored.some((r) => r.clientId === entry.clientId)
+        ),
+    ]);
+};
+
+export const addToOutbox = async (entry) => {
+    setOutbox((current) => [...current, entry]);
+    await persist((store) => store.put(entry));
+};
+
+export const updateOutboxEntry = async (clientId, patch) => {
+    let updated = null;
+    setOutbox((current) =>
+        current.map((entry) => {
+            if (entry.clientId !== clientId) return entry;
+            updated = { ...entry, ...patch };
+            return updated;
+        })
+    );
+    if (updated) await persist((store) => store.put(updated));
+};
+
+export const removeFromOutbox = async (clientId) => {
+    setOutbox((current) =>
+        current.filter((entry) => entry.clientId !== clientId)
+    );
+    await persist((store) => store.delete(clientId));
+};
+
+export const clearOutbox = () => setOutbox(() => []);
+
+export const isEntryInConversation = (entry, conversation, receiverId) => {
+    if (!conversation) return false;
+    if (conversation.isGroup || entry.isGroup) {
+        return entry.conversationId === conversation._id;
+    }
+    return Boolean(receiverId) && entry.receiverId === receiverId;
+};
+
+export const findEchoedEntry = (message) =>
+    (message.clientMessageId &&
+        useConversation
+            .getState()
+            .outbox.find(
+                (entry) => entry.clientId === message.clientMessageId
+            )) ||
+    null;
+
+export const hasMessage = (messages, { id, clientMessageId }) =>
+    messages.some(
+        (m) =>
+            m.id === id ||
+            (clientMessageId && m.clientMessageId === clientMessageId)
+    );
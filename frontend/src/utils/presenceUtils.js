@@ -0,0 +1,39 @@
+/**
+ * presenceUtils
+ * -------------
+ * Helpers for user presence (`presence:statuses` from the server, see `SocketContext`).
+ *
+ * Exports:
+ *   - PRESENCE_OPTIONS: The statuses a user can choose in the account menu (`{ value, label }`).
+ *     "away" is not among them: it is set automatically while the user is idle (`useIdleStatus`).
+ *   - getPresenceLabel(status, lastSeenAt): The status line, e.g. "Online", "Do not disturb" or
+ *     "Last seen 5 minutes ago".
+ *
+ * Statuses:
+ *   - "online", "away", "dnd" (do not disturb): Reported for online users.
+ *   - "invisible": Only ever reported for the current user; others see them as offline.
+ *   - "offline": Not in the server's map.
+ *
+ * Example:
+ *   getPresenceLabel("offline", "2024-05-01T10:00:00.000Z"); // "Last seen 3 hours ago"
+ */
+
+import { formatTimeAgo } from "./dateUtils";
+
+export const PRESENCE_OPTIONS = [
+    { value: "online", label: "Online" },
+    { value: "dnd", label: "Do not disturb" },
+    { value: "invisible", label: "Invisible" },
+];
+
+const STATUS_LABELS = {
+    online: "Online",
+    away: "Away",
+    dnd: "Do not disturb",
+    invisible: "Invisible",
+};
+
+export const getPresenceLabel = (status, lastSeenAt) => {
+    if (STATUS_LABELS[status]) return STATUS_LABELS[status];
+    return lastSeenAt ? `Last seen ${formatTimeAgo(lastSeenAt)}` : "Offline";
+};
@@ -0,0 +1,50 @@
+/**
+ * searchUtils
+ * -----------
+ * Helpers for highlighting message search matches on the client.
+ *
+ * Exports:
+ *   - parseSearchTerms(query): Words of a search query worth highlighting (lowercased, deduplicated,
+ *     without negated `-terms`; quoted phrases contribute their words).
+ *   - findHighlightRanges(text, terms): Sorted, merged [start, end) ranges of whole-word, case-insensitive
+ *     matches of any term in `text`.
+ *
+ * Notes:
+ *   - Mirrors `backend/utils/searchSnippet.js`, so bubbles highlight the same words the server matched
+ *     (the message text index does no stemming).
+ *
+ * Example:
+ *   parseSearchTerms('lunch -pizza');              // ["lunch"]
+ *   findHighlightRanges("Lunch at 1?", ["lunch"]); // [[0, 5]]
+ */
+
+const WORD = /[\p{L}\p{N}_]+/gu;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+export const parseSearchTerms = (query = "") => {
+    const positive = query.replace(/(^|\s)-("[^"]*"|\S+)/g, " ");
+    const words = positive.toLowerCase().match(WORD) || [];
+    return [...new Set(words)];
+};
+
+export const findHighlightRanges = (text = "", terms = []) => {
+    const ranges = [];
+    terms.forEach((term) => {
+        const pattern = new RegExp(
+            `(?<![\\p{L}\\p{N}_])${escapeRegExp(term)}(?![\\p{L}\\p{N}_])`,
+            "giu"
+        );
+        for (const match of text.matchAll(pattern)) {
+            ranges.push([match.index, match.index + match[0].length]);
+        }
+    });
+
+    ranges.sort((a, b) => a[0] - b[0]);
+    return ranges.reduce((merged, range) => {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+        else merged.push([...range]);
+        return merged;
+    }, []);
+};
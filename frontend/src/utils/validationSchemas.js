@@ -6,6 +6,9 @@
  * Exports:
  *   - signupSchema: Validation schema for user signup form inputs.
  *   - loginSchema: Validation schema for user login form inputs.
+ *   - changePasswordSchema: Validation schema for the change password form.
+ *   - forgotPasswordSchema: Validation schema for the "forgot password" request form.
+ *   - resetPasswordSchema: Validation schema for the reset password form (opened from the emailed link).
  *
  * signupSchema
  * ------------
@@ -104,8 +107,28 @@
  *           - "Password must contain at least one number."
  *           - "Password must include a special character (@, $, !, %, *, ?, &, #)."
  *
+ * changePasswordSchema
+ * --------------------
+ * Fields:
+ *   - currentPassword: Required ("Current password is required.").
+ *   - newPassword: Same rules and messages as the signup `password`; must also differ from
+ *     `currentPassword` ("New password must be different from the current one.").
+ *   - confirmPassword: Required; must match `newPassword` ("Passwords do not match.").
+ *
+ * forgotPasswordSchema
+ * --------------------
+ * Fields:
+ *   - identifier: Username or recovery email. Required ("Username or email is required."),
+ *     maximum 254 characters.
+ *
+ * resetPasswordSchema
+ * -------------------
+ * Fields:
+ *   - password / confirmPassword: Same rules and messages as in `signupSchema`.
+ *
  * Usage:
  *   - Used in `SignUp.jsx` and `Login.jsx` to validate user inputs before form submission.
+ *   - Used in `ChangePassword.jsx`, `ForgotPassword.jsx` and `ResetPassword.jsx` for the password flows.
  *
  * Example:
  *   - Validating signup inputs:
@@ -179,3 +202,42 @@ export const loginSchema = Yup.object().shape({
             "Password must include a special character (@, $, !, %, *, ?, &, #)"
         ),
 });
+
+// The signup password rules, shared by every form that sets a new password
+const newPasswordField = () =>
+    Yup.string()
+        .required("Password is required")
+        .min(6, "Password must be at least 6 characters")
+        .max(100, "Password must not exceed 100 characters")
+        .matches(/[A-Z]/, "Password must contain at least one uppercase letter")
+        .matches(/[a-z]/, "Password must contain at least one lowercase letter")
+        .matches(/[0-9]/, "Password must contain at least one number")
+        .matches(
+            /[@$!%*?&#]/,
+            "Password must include a special character (@, $, !, %, *, ?, &, #)"
+        );
+
+export const changePasswordSchema = Yup.object().shape({
+    currentPassword: Yup.string().required("Current password is required"),
+    newPassword: newPasswordField().notOneOf(
+        [Yup.ref("currentPassword")],
+        "New password must be different from the current one"
+    ),
+    confirmPassword: Yup.string()
+        .required("Confirm password is required")
+        .oneOf([Yup.ref("newPassword"), null], "Passwords do not match"),
+});
+
+export const forgotPasswordSchema = Yup.object().shape({
+    identifier: Yup.string()
+        .trim()
+        .required("Username or email is required")
+        .max(254, "Username or email is too long"),
+});
+
+export const resetPasswordSchema = Yup.object().shape({
+    password: newPasswordField(),
+    confirmPassword: Yup.string()
+        .required("Confirm password is required")
+        .oneOf([Yup.ref("password"), null], "Passwords do not match"),
+});